@@ -16,11 +16,15 @@ const createError = require('http-errors');
 const flash = require('connect-flash');
 const { getBranding } = require('./config/branding');
 const { SqliteSessionStore } = require('./utils/sqliteSessionStore');
+const auditContext = require('./utils/auditContext');
 
 require('./config/passport-setup');
 
 const publicRoutes = require('./routes/publicRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const apiRoutes = require('./routes/apiRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const { isSmsEnabled } = require('./utils/sms');
 
 const app = express();
 
@@ -78,6 +82,23 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Token-authenticated JSON API. Mounted ahead of sessions so integrations never
+// create a session and don't need a CSRF token; see routes/apiRoutes.js.
+app.use('/api/v1', rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 600,
+    standardHeaders: true,
+    legacyHeaders: false
+}), apiRoutes);
+
+// Inbound SMS webhooks (STOP/START/HELP), also outside sessions and CSRF.
+app.use('/sms', rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    standardHeaders: true,
+    legacyHeaders: false
+}), smsRoutes);
+
 const sessionSecret = process.env.SESSION_SECRET;
 if (!sessionSecret || sessionSecret.length < 24) {
     throw new Error('SESSION_SECRET must be set to a long, random value (24+ chars).');
@@ -129,9 +150,10 @@ app.use((req, res, next) => {
     return res.status(403).redirect('back');
 });
 
-// Attach branding information to every response so views can render dynamic titles.
+// Attach branding information (and whether texting is on) to every response so views can render them.
 app.use((req, res, next) => {
     res.locals.brand = getBranding();
+    res.locals.smsEnabled = isSmsEnabled();
     next();
 });
 
@@ -143,6 +165,11 @@ app.use((req, res, next) => {
     next();
 });
 
+// Record who is behind each request so the audit log can attribute DB changes.
+app.use((req, res, next) => {
+    auditContext.runWithActor(auditContext.actorFromRequest(req), next);
+});
+
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 100,
@@ -151,6 +178,7 @@ const apiLimiter = rateLimit({
 });
 app.use('/signup', apiLimiter);
 app.use('/manage/remind', apiLimiter);
+app.use('/checkin', apiLimiter);
 
 app.use('/', publicRoutes);
 app.use('/admin', adminRoutes);
@@ -1,5 +1,6 @@
 // src/config/passport-setup.js (Definitive Final Version)
 const passport = require('passport');
+const accessService = require('../services/accessService');
 let GoogleStrategy;
 try {
   GoogleStrategy = require('passport-google-oauth20').Strategy;
@@ -34,19 +35,25 @@ if (!hasGoogleCredentials || !GoogleStrategy) {
             // Validate using the email address (more reliable than 'hd').
             const email = profile.emails && profile.emails.length > 0 ? profile.emails[0].value : null;
 
-            if (!GOOGLE_WORKSPACE_DOMAIN) {
-                if (OAUTH_DEBUG) console.log('No GOOGLE_WORKSPACE_DOMAIN configured; allowing admin login.');
-                return done(null, profile);
+            if (GOOGLE_WORKSPACE_DOMAIN && !(email && email.toLowerCase().endsWith('@' + GOOGLE_WORKSPACE_DOMAIN))) {
+                console.error(`\u274c FAILURE: User's email does not belong to the required domain '${GOOGLE_WORKSPACE_DOMAIN}'.`);
+                const errorMessage = `Access denied. Only accounts from the ${GOOGLE_WORKSPACE_DOMAIN} domain are authorized.`;
+                return done(null, false, { message: errorMessage });
             }
 
-            if (email && email.toLowerCase().endsWith('@' + GOOGLE_WORKSPACE_DOMAIN)) {
-                if (OAUTH_DEBUG) console.log(`\u2705 SUCCESS: Email domain accepted for '@${GOOGLE_WORKSPACE_DOMAIN}'.`);
+            // The domain check only proves who the person is; the admin_users
+            // table (see accessService) decides whether they get in and with which role.
+            try {
+                const account = accessService.resolveAdminLogin(email, profile.displayName);
+                if (!account) {
+                    if (OAUTH_DEBUG) console.log('[OAuth] No admin access granted for this account.');
+                    return done(null, false, { message: 'Your account has not been given admin access yet. Ask an owner to add you.' });
+                }
+                if (OAUTH_DEBUG) console.log(`\u2705 SUCCESS: Admin login accepted with role '${account.role}'.`);
                 return done(null, profile);
+            } catch (err) {
+                return done(err);
             }
-
-            console.error(`\u274c FAILURE: User's email does not belong to the required domain '${GOOGLE_WORKSPACE_DOMAIN}'.`);
-            const errorMessage = `Access denied. Only accounts from the ${GOOGLE_WORKSPACE_DOMAIN} domain are authorized.`;
-            return done(null, false, { message: errorMessage });
         }
     )
   );
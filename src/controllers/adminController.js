@@ -1,15 +1,38 @@
 // src/controllers/adminController.js
 const adminService = require('../services/adminService');
 const publicService = require('../services/publicService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const checkInService = require('../services/checkInService');
+const hoursReportService = require('../services/hoursReportService');
+const apiService = require('../services/apiService');
+const webhookService = require('../services/webhookService');
+const rosterImportService = require('../services/rosterImportService');
+const broadcastService = require('../services/broadcastService');
+const mailOutboxService = require('../services/mailOutboxService');
+const emailTemplateService = require('../services/emailTemplateService');
+const registrationQuestionService = require('../services/registrationQuestionService');
+const retentionService = require('../services/retentionService');
+const { AGE_BRACKETS, MIN_AGE_OPTIONS } = require('../utils/stationRequirements');
 const { validationResult } = require('express-validator');
 
 /**
  * Render the administrative dashboard with a chronological list of events.
+ * Archived events are only listed with `?archived=1`.
  */
 exports.showDashboard = (req, res, next) => {
   try {
-    const events = adminService.getDashboardData();
-    res.render('admin/dashboard', { title: 'Admin Dashboard', events, messages: req.flash(), layoutVariant: 'admin' });
+    const showArchived = String((req.query && req.query.archived) || '') === '1';
+    const allEvents = adminService.getDashboardData({ includeArchived: true });
+    const events = showArchived ? allEvents : allEvents.filter(e => !e.archived_at);
+    res.render('admin/dashboard', {
+      title: 'Admin Dashboard',
+      events,
+      showArchived,
+      archivedCount: allEvents.filter(e => e.archived_at).length,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
   } catch (e) { next(e); }
 };
 
@@ -61,10 +84,13 @@ exports.showEventDetail = (req, res, next) => {
     res.render('admin/event-detail', {
       title: `Manage Event`,
       event,
+      series: adminService.getEventSeriesSummary(event),
       helpers,
       messages: req.flash(),
       layoutVariant: 'admin',
       shareUrl,
+      requirementOptions: { ageBrackets: AGE_BRACKETS, minAges: MIN_AGE_OPTIONS },
+      questions: registrationQuestionService.listQuestions(event.event_id),
       query: req.query
     });
   } catch (e) { next(e); }
@@ -162,6 +188,214 @@ exports.exportEventSkeletonCsv = (req, res, next) => {
   } catch (e) { next(e); }
 };
 
+/**
+ * Upload form for a structure CSV (the skeleton export format). Posting with
+ * `apply` unset shows a dry-run diff; posting again with `apply=1` writes it.
+ */
+exports.showStructureImport = (req, res, next) => {
+  try {
+    const event = adminService.getEventDetailsForAdmin(req.params.eventId);
+    if (!event) return next(new Error('Event not found'));
+    res.render('admin/structure-import', {
+      title: 'Import Structure',
+      event,
+      csv: '',
+      plan: null,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.importStructure = (req, res, next) => {
+  try {
+    const csv = String((req.body && req.body.csv) || '');
+    if (req.body && req.body.apply === '1') {
+      const summary = adminService.applyStructureImport(req.params.eventId, csv);
+      req.flash('success', `Import applied: ${summary.stationsCreated} station(s) added, ${summary.stationsUpdated} updated; ${summary.blocksCreated} block(s) added, ${summary.blocksUpdated} updated.`);
+      return res.redirect(`/admin/event/${req.params.eventId}`);
+    }
+    const plan = adminService.planStructureImport(req.params.eventId, csv);
+    res.render('admin/structure-import', {
+      title: 'Import Structure',
+      event: plan.event,
+      csv,
+      plan,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Bulk roster import: preview how each row matches a block, then add them.
+ */
+exports.showRosterImport = (req, res, next) => {
+  try {
+    const event = adminService.getEventDetailsForAdmin(req.params.eventId);
+    if (!event) return next(new Error('Event not found'));
+    res.render('admin/roster-import', {
+      title: 'Import Roster',
+      event,
+      csv: '',
+      sendLinks: false,
+      plan: null,
+      applied: false,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.importRoster = async (req, res, next) => {
+  try {
+    const csv = String((req.body && req.body.csv) || '');
+    const sendLinks = req.body && req.body.send_links === '1';
+    const applied = req.body && req.body.apply === '1';
+    const plan = applied
+      ? await rosterImportService.applyRosterImport(req.params.eventId, csv, { sendLinks })
+      : rosterImportService.planRosterImport(req.params.eventId, csv);
+    res.render('admin/roster-import', {
+      title: 'Import Roster',
+      event: plan.event,
+      csv: applied ? '' : csv,
+      sendLinks,
+      plan,
+      applied,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+function renderBroadcasts(req, res, draft, errorMessage) {
+  const page = broadcastService.getBroadcastPage(req.params.eventId);
+  const messages = req.flash();
+  if (errorMessage) messages.error = (messages.error || []).concat(errorMessage);
+  res.render('admin/broadcasts', {
+    title: 'Message Volunteers',
+    ...page,
+    draft,
+    helpers: require('../views/helpers'),
+    messages,
+    layoutVariant: 'admin'
+  });
+}
+
+/**
+ * Compose an email to the event's volunteers (everyone, one station, one
+ * block, or unfilled-item contributors) and review what was sent before.
+ */
+exports.showBroadcasts = (req, res, next) => {
+  try {
+    renderBroadcasts(req, res, { audience: 'all', subject: '', body: '' });
+  } catch (e) { next(e); }
+};
+
+exports.sendBroadcast = (req, res, next) => {
+  const body = req.body || {};
+  // The audience picker posts "all", "unfilled", "station:<id>", or "block:<id>".
+  const [audience, targetId] = String(body.audience || '').split(':');
+  try {
+    const result = broadcastService.queueBroadcast(req.params.eventId, {
+      audience,
+      target_id: targetId,
+      subject: body.subject,
+      body: body.body
+    }, req.user && req.user.email);
+    const skipped = result.skipped ? ` ${result.skipped} opted out of email and will be skipped.` : '';
+    req.flash('success', `Message queued for ${result.queued} registrant(s).${skipped}`);
+    res.redirect(`/admin/event/${req.params.eventId}/messages`);
+  } catch (e) {
+    if (e.status !== 400) return next(e);
+    try {
+      renderBroadcasts(req, res, { audience: String(body.audience || ''), subject: body.subject || '', body: body.body || '' }, e.message);
+    } catch (err) { next(err); }
+  }
+};
+
+exports.showBroadcastDetail = (req, res, next) => {
+  try {
+    const event = adminService.getEventDetailsForAdmin(req.params.eventId);
+    if (!event) return next(new Error('Event not found'));
+    const detail = broadcastService.getBroadcastDetail(event.event_id, req.params.messageId);
+    res.render('admin/broadcast-detail', {
+      title: 'Sent Message',
+      event,
+      ...detail,
+      helpers: require('../views/helpers'),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+function renderQuestions(req, res, draft, errorMessage) {
+  const page = registrationQuestionService.getQuestionsPage(req.params.eventId);
+  const messages = req.flash();
+  if (errorMessage) messages.error = (messages.error || []).concat(errorMessage);
+  res.render('admin/questions', {
+    title: 'Registration Questions',
+    ...page,
+    draft,
+    helpers: require('../views/helpers'),
+    messages,
+    layoutVariant: 'admin'
+  });
+}
+
+const EMPTY_QUESTION_DRAFT = { label: '', help_text: '', question_type: 'text', options: '', is_required: '', scope: 'registrant' };
+
+/**
+ * Custom questions volunteers answer when they sign up (per signup or per
+ * participant). Answers show up as extra columns in the CSV export.
+ */
+exports.showQuestions = (req, res, next) => {
+  try {
+    renderQuestions(req, res, EMPTY_QUESTION_DRAFT);
+  } catch (e) { next(e); }
+};
+
+exports.createQuestion = (req, res, next) => {
+  const body = req.body || {};
+  try {
+    registrationQuestionService.createQuestion(req.params.eventId, body);
+    req.flash('success', 'Question added.');
+    res.redirect(`/admin/event/${req.params.eventId}/questions`);
+  } catch (e) {
+    if (e.status !== 400) return next(e);
+    try {
+      renderQuestions(req, res, { ...EMPTY_QUESTION_DRAFT, ...body }, e.message);
+    } catch (err) { next(err); }
+  }
+};
+
+exports.updateQuestion = (req, res, next) => {
+  try {
+    registrationQuestionService.updateQuestion(req.params.eventId, req.params.questionId, req.body || {});
+    req.flash('success', 'Question updated.');
+  } catch (e) {
+    if (e.status !== 400) return next(e);
+    req.flash('error', e.message);
+  }
+  res.redirect(`/admin/event/${req.params.eventId}/questions`);
+};
+
+exports.moveQuestion = (req, res, next) => {
+  try {
+    registrationQuestionService.moveQuestion(req.params.eventId, req.params.questionId, req.body && req.body.direction);
+    res.redirect(`/admin/event/${req.params.eventId}/questions`);
+  } catch (e) { next(e); }
+};
+
+exports.deleteQuestion = (req, res, next) => {
+  try {
+    registrationQuestionService.deleteQuestion(req.params.eventId, req.params.questionId);
+    req.flash('success', 'Question deleted along with its answers.');
+    res.redirect(`/admin/event/${req.params.eventId}/questions`);
+  } catch (e) { next(e); }
+};
+
 /**
  * Export only the open slots/items so admins can see what still needs to be filled.
  */
@@ -376,7 +610,7 @@ exports.exportEventCsvAdvanced = (req, res, next) => {
     const payload = adminService.getEventRosterForExport(eventId, { stationIds, start, end, sort });
     if (!payload || !payload.event) return next(new Error('Event not found'));
 
-    const { event, rows } = payload;
+    const { event, rows, questionColumns = [] } = payload;
     const filenameSafe = String(event.name || 'event').replace(/[^A-Za-z0-9._-]+/g, '_');
     const filename = `${filenameSafe}_${event.event_id}.csv`;
 
@@ -392,6 +626,11 @@ exports.exportEventCsvAdvanced = (req, res, next) => {
       station_name: ['station_name', 'Station/Category'],
       station_about: ['station_about', 'Station About'],
       station_duties: ['station_duties', 'Station Duties'],
+      location: ['location', 'Location'],
+      location_name: ['location_name', 'Location Name'],
+      location_address: ['location_address', 'Location Address'],
+      location_room: ['location_room', 'Room'],
+      location_notes: ['location_notes', 'Location Notes'],
       block_id: ['block_id', 'Block ID'],
       item_title: ['block_title', 'Item Title'],
       servings: ['servings', 'Feeds'],
@@ -411,8 +650,13 @@ exports.exportEventCsvAdvanced = (req, res, next) => {
       registrant_name: ['registrant_name', 'Registrant Name'],
       registrant_email: ['registrant_email', 'Registrant Email'],
       registrant_phone: ['registrant_phone', 'Registrant Phone'],
-      dish_name: ['reservation_note', 'Dish Name']
+      dish_name: ['reservation_note', 'Dish Name'],
+      attendance: ['attendance', 'Attendance'],
+      attendance_marked_at: ['attendance_marked_at', 'Attendance Marked At (UTC)'],
+      cant_make_it: ['cant_make_it', "Can't Make It"]
     };
+    // Registration questions export under their own label
+    questionColumns.forEach(col => { FIELD_MAP[col.key] = [col.key, col.header]; });
 
     const DEFAULT_FIELDS = (String(event.signup_mode || '') === 'potluck')
       ? [
@@ -428,8 +672,11 @@ exports.exportEventCsvAdvanced = (req, res, next) => {
           'station_name', 'block_start', 'block_end',
           'volunteer_name', 'volunteer_email', 'volunteer_phone',
           'registrant_name', 'registrant_email', 'registrant_phone',
-          'reservation_date'
+          'reservation_date',
+          'attendance',
+          'cant_make_it'
         ];
+    questionColumns.forEach(col => DEFAULT_FIELDS.push(col.key));
 
     const chosen = (fields && fields.length ? fields : DEFAULT_FIELDS)
       .filter(key => FIELD_MAP[key])
@@ -496,6 +743,83 @@ exports.exportEventPrintView = (req, res, next) => {
   } catch (e) { next(e); }
 };
 
+/**
+ * Browse the audit trail for an event (filterable by type, action, and actor).
+ */
+exports.showEventHistory = (req, res, next) => {
+  try {
+    const event = adminService.getEventDetailsForAdmin(req.params.eventId);
+    if (!event) return next(new Error('Event not found'));
+    const history = auditService.getEventHistory(event.event_id, req.query || {});
+    res.render('admin/event-history', {
+      title: 'Event History',
+      event,
+      history,
+      entityLabels: auditService.ENTITY_LABELS,
+      actions: auditService.ACTIONS,
+      helpers: require('../views/helpers'),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Volunteer hours across all events in a date range, by volunteer, event, and station.
+ */
+exports.showHoursReport = (req, res, next) => {
+  try {
+    const report = hoursReportService.getVolunteerHoursReport(req.query || {});
+    res.render('admin/hours-report', {
+      title: 'Volunteer Hours',
+      report,
+      helpers: require('../views/helpers'),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+/**
+ * CSV of the hours report: one row per volunteer, or with `detail=1` one row
+ * per volunteer and station (which also identifies the event).
+ */
+exports.exportHoursReportCsv = (req, res, next) => {
+  try {
+    const report = hoursReportService.getVolunteerHoursReport(req.query || {});
+    const { filters } = report;
+    const detail = String((req.query || {}).detail || '') === '1';
+    const suffix = `${filters.from}_${filters.to}${filters.attendedOnly ? '_attended' : ''}${detail ? '_detail' : ''}`;
+    const filename = `volunteer_hours_${suffix}.csv`;
+
+    function csvEscapeSafe(v) {
+      let s = v == null ? '' : String(v);
+      if (/^[=+\-@]/.test(s)) s = "'" + s;
+      if (/[",\n\r]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+      return s;
+    }
+
+    const lines = [];
+    if (detail) {
+      lines.push(['Volunteer', 'Email', 'Event', 'Event Start', 'Station', 'Shifts', 'Hours'].map(csvEscapeSafe).join(','));
+      report.volunteers.forEach(v => {
+        v.stations.forEach(s => {
+          lines.push([v.name, v.email, s.event_name, s.date_start, s.name, s.shifts, s.hours].map(csvEscapeSafe).join(','));
+        });
+      });
+    } else {
+      lines.push(['Volunteer', 'Email', 'Events', 'Shifts', 'Hours'].map(csvEscapeSafe).join(','));
+      report.volunteers.forEach(v => {
+        lines.push([v.name, v.email, v.events.length, v.shifts, v.hours].map(csvEscapeSafe).join(','));
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(lines.join('\n'));
+  } catch (e) { next(e); }
+};
+
 // ----------------------------------------------------------------------------- 
 // Create
 // -----------------------------------------------------------------------------
@@ -504,7 +828,8 @@ exports.exportEventPrintView = (req, res, next) => {
  */
 exports.createEvent = (req, res, next) => {
   try {
-    adminService.createEvent(req.body);
+    const result = adminService.createEvent(req.body);
+    accessService.grantCreatorAccess(req.access, result.lastInsertRowid);
     req.flash('success', 'Event created successfully.');
     res.redirect('/admin/dashboard');
   } catch (e) { next(e); }
@@ -550,7 +875,12 @@ exports.updateEvent = (req, res, next) => {
   try {
     const { eventId } = req.params;
     adminService.updateEvent(eventId, req.body);
-    req.flash('success', 'Event updated.');
+    if (req.body && req.body.apply_to_series) {
+      const pushed = adminService.pushSeriesTemplate(eventId);
+      req.flash('success', `Event updated and copied to ${pushed.updated} upcoming occurrence(s).`);
+    } else {
+      req.flash('success', 'Event updated.');
+    }
     res.redirect(`/admin/event/${eventId}`);
   } catch (e) { next(e); }
 };
@@ -630,15 +960,18 @@ exports.addReservation = (req, res, next) => {
   let eventIdSafe = '';
   try {
     blockIdParam = req.params.blockId;
-    const { eventId, name, email, phone, dish_note, is_potluck, registrant_name, participant_name } = req.body;
+    const { eventId, name, email, phone, dish_note, is_potluck, registrant_name, participant_name, age_bracket, qualifications } = req.body;
     eventIdSafe = eventId || '';
-    adminService.addReservationToBlock(
+    const added = adminService.addReservationToBlock(
       blockIdParam,
-      { name, email, phone, dish_note, registrant_name, participant_name },
+      { name, email, phone, dish_note, registrant_name, participant_name, age_bracket, qualifications },
       eventId,
       String(is_potluck) === 'true'
     );
-    req.flash('success', 'Volunteer added to time block.');
+    const unmet = added && added.unmet ? added.unmet : [];
+    req.flash('success', unmet.length
+      ? `Volunteer added to time block. Flagged on the roster: doesn't meet ${unmet.join(', ')}.`
+      : 'Volunteer added to time block.');
     res.redirect(`/admin/event/${eventId}`);
   } catch (e) {
     if (e.status === 409 || e.status === 400) {
@@ -675,16 +1008,74 @@ exports.updateReservation = (req, res, next) => {
 /**
  * Remove a volunteer from a time block.
  */
-exports.deleteReservation = (req, res, next) => {
+exports.deleteReservation = async (req, res, next) => {
   try {
     const { reservationId } = req.params;
     const { eventId } = req.body;
-    adminService.deleteReservation(reservationId);
+    const promoted = await adminService.deleteReservation(reservationId);
     req.flash('success', 'Volunteer removed from time block.');
+    if (promoted.length) {
+      const names = promoted.map(p => p.participant_name).join(', ');
+      req.flash('success', `Moved up from the waitlist: ${names}.`);
+    }
     res.redirect(`/admin/event/${eventId}`);
   } catch (e) { next(e); }
 };
 
+/**
+ * Day-of check-in: mobile-friendly roster grouped by station and time block.
+ */
+exports.showCheckIn = (req, res, next) => {
+  try {
+    const data = adminService.getEventCheckIn(req.params.eventId);
+    if (!data) return next(new Error('Event not found'));
+    res.render('admin/check-in', {
+      title: 'Check-in',
+      event: data.event,
+      totals: data.totals,
+      attendanceLabels: adminService.ATTENDANCE_LABELS,
+      canEdit: !!(req.access && req.access.canEditEvent(data.event.event_id)),
+      helpers: require('../views/helpers'),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Printable station posters with the QR code for volunteer self check-in.
+ */
+exports.showCheckInPosters = (req, res, next) => {
+  try {
+    const event = adminService.getEventDetailsForAdmin(req.params.eventId);
+    if (!event) return next(new Error('Event not found'));
+    res.render('admin/check-in-posters', {
+      title: 'Station QR Codes',
+      event,
+      posters: checkInService.getEventQrPosters(event),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Mark a volunteer present/late/no-show. Responds with JSON for the one-tap
+ * buttons, or redirects back to the check-in page without JavaScript.
+ */
+exports.setAttendance = (req, res, next) => {
+  try {
+    const { reservationId } = req.params;
+    const { eventId, status } = req.body;
+    const markedBy = req.user && req.user.email ? req.user.email : null;
+    const result = adminService.setReservationAttendance(reservationId, status, markedBy);
+    if (req.xhr || req.get('x-requested-with') === 'XMLHttpRequest') {
+      return res.json({ ok: true, ...result });
+    }
+    res.redirect(`/admin/event/${eventId}/check-in#checkin-${reservationId}`);
+  } catch (e) { next(e); }
+};
+
 // ----------------------------------------------------------------------------- 
 // Delete
 // -----------------------------------------------------------------------------
@@ -761,15 +1152,397 @@ exports.copyEvent = (req, res, next) => {
   try {
     const { eventId } = req.params;
     const result = adminService.copyEvent(eventId);
+    accessService.grantCreatorAccess(req.access, result.event_id);
     req.flash('success', 'Event copied. New event is in Draft.');
     res.redirect('/admin/dashboard');
   } catch (e) { next(e); }
 };
 
+/**
+ * Generate a recurring series from this event using the submitted repeat rule.
+ */
+exports.createEventSeries = (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const result = adminService.generateEventSeries(eventId, req.body || {});
+    accessService.grantCreatorAccess(req.access, result.event_ids);
+    req.flash('success', `Created ${result.event_ids.length} occurrence(s) as drafts.`);
+    res.redirect(`/admin/event/${eventId}`);
+  } catch (e) { next(e); }
+};
+
+/**
+ * Copy the series template's current details to every upcoming occurrence.
+ */
+exports.pushSeriesTemplate = (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const result = adminService.pushSeriesTemplate(eventId);
+    const skippedNote = result.skipped
+      ? ` ${result.skipped} station(s)/slot(s) with signups were left as they are.`
+      : '';
+    req.flash('success', `Updated ${result.updated} upcoming occurrence(s).${skippedNote}`);
+    res.redirect(`/admin/event/${eventId}`);
+  } catch (e) { next(e); }
+};
+
+// -----------------------------------------------------------------------------
+// Access management (owners only)
+// -----------------------------------------------------------------------------
+/**
+ * List admin accounts with their roles and coordinator event assignments.
+ */
+exports.showAdminUsers = (req, res, next) => {
+  try {
+    res.render('admin/users', {
+      title: 'Users & Access',
+      helpers: require('../views/helpers'),
+      users: accessService.listAdminUsers(),
+      events: adminService.getDashboardData({ includeArchived: true }),
+      ownerEmails: accessService.parseOwnerEmails(),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.addAdminUser = (req, res, next) => {
+  try {
+    accessService.addAdminUser(req.body || {});
+    req.flash('success', `Access granted to ${String(req.body.email || '').trim()}.`);
+    res.redirect('/admin/users');
+  } catch (e) { next(e); }
+};
+
+exports.updateAdminUser = (req, res, next) => {
+  try {
+    accessService.updateAdminUser(req.params.adminUserId, req.body || {});
+    req.flash('success', 'Access updated.');
+    res.redirect('/admin/users');
+  } catch (e) { next(e); }
+};
+
+exports.removeAdminUser = (req, res, next) => {
+  try {
+    accessService.removeAdminUser(req.params.adminUserId, req.access);
+    req.flash('success', 'Access removed.');
+    res.redirect('/admin/users');
+  } catch (e) { next(e); }
+};
+
+/**
+ * List API tokens. A freshly created token is shown once (kept in the session
+ * only until this page renders).
+ */
+exports.showApiTokens = (req, res, next) => {
+  try {
+    const newToken = req.session && req.session.newApiToken;
+    if (req.session) delete req.session.newApiToken;
+    res.render('admin/api-tokens', {
+      title: 'API Tokens',
+      helpers: require('../views/helpers'),
+      tokens: apiService.listApiTokens(),
+      scopeLabels: apiService.SCOPE_LABELS,
+      newToken: newToken || null,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.createApiToken = (req, res, next) => {
+  try {
+    const created = apiService.createApiToken(req.body || {}, req.user && req.user.email);
+    req.session.newApiToken = { token: created.token, name: String(req.body.name || '').trim() };
+    res.redirect('/admin/api-tokens');
+  } catch (e) { next(e); }
+};
+
+exports.revokeApiToken = (req, res, next) => {
+  try {
+    apiService.revokeApiToken(req.params.apiTokenId);
+    req.flash('success', 'API token revoked.');
+    res.redirect('/admin/api-tokens');
+  } catch (e) { next(e); }
+};
+
+/**
+ * Webhook endpoints. Like API tokens, a new or rotated signing secret is shown
+ * once after the redirect.
+ */
+exports.showWebhooks = (req, res, next) => {
+  try {
+    const newSecret = req.session && req.session.newWebhookSecret;
+    if (req.session) delete req.session.newWebhookSecret;
+    res.render('admin/webhooks', {
+      title: 'Webhooks',
+      helpers: require('../views/helpers'),
+      endpoints: webhookService.listEndpoints(),
+      eventTypes: webhookService.EVENT_TYPES,
+      newSecret: newSecret || null,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.createWebhook = (req, res, next) => {
+  try {
+    req.session.newWebhookSecret = webhookService.createEndpoint(req.body || {}, req.user && req.user.email);
+    res.redirect('/admin/webhooks');
+  } catch (e) { next(e); }
+};
+
+exports.updateWebhook = (req, res, next) => {
+  try {
+    webhookService.updateEndpoint(req.params.endpointId, req.body || {});
+    req.flash('success', 'Webhook updated.');
+    res.redirect('/admin/webhooks');
+  } catch (e) { next(e); }
+};
+
+exports.rotateWebhookSecret = (req, res, next) => {
+  try {
+    req.session.newWebhookSecret = webhookService.rotateSecret(req.params.endpointId);
+    res.redirect('/admin/webhooks');
+  } catch (e) { next(e); }
+};
+
+exports.testWebhook = (req, res, next) => {
+  try {
+    webhookService.sendTest(req.params.endpointId);
+    req.flash('success', 'Test delivery queued. Check the delivery log for the result.');
+    res.redirect(`/admin/webhooks/deliveries?endpoint=${encodeURIComponent(req.params.endpointId)}`);
+  } catch (e) { next(e); }
+};
+
+exports.deleteWebhook = (req, res, next) => {
+  try {
+    webhookService.deleteEndpoint(req.params.endpointId);
+    req.flash('success', 'Webhook deleted along with its delivery log.');
+    res.redirect('/admin/webhooks');
+  } catch (e) { next(e); }
+};
+
+/**
+ * Delivery log across endpoints (filterable by endpoint and status).
+ */
+exports.showWebhookDeliveries = (req, res, next) => {
+  try {
+    res.render('admin/webhook-deliveries', {
+      title: 'Webhook Deliveries',
+      helpers: require('../views/helpers'),
+      log: webhookService.listDeliveries(req.query || {}),
+      endpoints: webhookService.listEndpoints(),
+      maxAttempts: webhookService.MAX_ATTEMPTS,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.retryWebhookDelivery = (req, res, next) => {
+  try {
+    webhookService.retryDelivery(req.params.deliveryId);
+    req.flash('success', 'Delivery queued for another attempt.');
+    const returnTo = String((req.body && req.body.returnTo) || '');
+    res.redirect(returnTo.startsWith('/admin/webhooks/deliveries') ? returnTo : '/admin/webhooks/deliveries');
+  } catch (e) { next(e); }
+};
+
+/**
+ * Outbound email log: everything volunteers were sent (or are waiting on),
+ * with resend and discard for messages the worker could not deliver.
+ */
+exports.showMailOutbox = (req, res, next) => {
+  try {
+    res.render('admin/mail-outbox', {
+      title: 'Email Outbox',
+      helpers: require('../views/helpers'),
+      log: mailOutboxService.listMail(req.query || {}),
+      kinds: mailOutboxService.KINDS,
+      maxAttempts: mailOutboxService.MAX_ATTEMPTS,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.showMailMessage = (req, res, next) => {
+  try {
+    res.render('admin/mail-message', {
+      title: 'Email',
+      helpers: require('../views/helpers'),
+      mail: mailOutboxService.getMail(req.params.mailId),
+      kinds: mailOutboxService.KINDS,
+      maxAttempts: mailOutboxService.MAX_ATTEMPTS,
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+function mailReturnTo(req) {
+  const returnTo = String((req.body && req.body.returnTo) || '');
+  return returnTo.startsWith('/admin/mail') ? returnTo : '/admin/mail';
+}
+
+exports.resendMailMessage = (req, res, next) => {
+  try {
+    mailOutboxService.resendMail(req.params.mailId);
+    req.flash('success', 'Email queued to send again.');
+    res.redirect(mailReturnTo(req));
+  } catch (e) { next(e); }
+};
+
+exports.discardMailMessage = (req, res, next) => {
+  try {
+    mailOutboxService.discardMail(req.params.mailId);
+    req.flash('success', 'Email discarded; it will not be sent.');
+    res.redirect(mailReturnTo(req));
+  } catch (e) { next(e); }
+};
+
+/**
+ * Data retention: the archive/purge settings, a preview of what the next
+ * purge would anonymise, and the log of past purge runs.
+ */
+exports.showRetention = (req, res, next) => {
+  try {
+    res.render('admin/retention', {
+      title: 'Data Retention',
+      helpers: require('../views/helpers'),
+      preview: retentionService.getPurgePreview(),
+      runs: retentionService.listPurgeRuns(),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+exports.runRetentionPurge = (req, res, next) => {
+  try {
+    const run = retentionService.runPurge({ source: 'manual', runBy: req.user && req.user.email });
+    if (!run) {
+      req.flash('error', 'The personal data purge is turned off (PII_RETENTION_DAYS=0).');
+    } else if (run.event_count) {
+      req.flash('success', `Anonymised ${run.registration_count} registration(s) across ${run.event_count} event(s).`);
+    } else {
+      req.flash('success', 'Nothing was due for anonymising.');
+    }
+    res.redirect('/admin/retention');
+  } catch (e) { next(e); }
+};
+
+// Email templates: site-wide at /admin/email-templates (owners) and per-event
+// overrides at /admin/event/:eventId/email-templates (event editors).
+function emailTemplatesBase(req) {
+  return req.params.eventId ? `/admin/event/${req.params.eventId}/email-templates` : '/admin/email-templates';
+}
+
+exports.showEmailTemplates = (req, res, next) => {
+  try {
+    res.render('admin/email-templates', {
+      title: 'Email Templates',
+      ...emailTemplateService.listTemplates(req.params.eventId || null),
+      baseUrl: emailTemplatesBase(req),
+      helpers: require('../views/helpers'),
+      messages: req.flash(),
+      layoutVariant: 'admin'
+    });
+  } catch (e) { next(e); }
+};
+
+function renderEmailTemplateEditor(req, res, draft, extraMessages) {
+  const editor = emailTemplateService.getTemplateEditor(req.params.templateKey, req.params.eventId || null);
+  const messages = req.flash();
+  Object.keys(extraMessages || {}).forEach(type => {
+    messages[type] = (messages[type] || []).concat(extraMessages[type]);
+  });
+  const current = draft || editor.draft;
+  let preview;
+  try {
+    preview = emailTemplateService.previewTemplate(editor.key, req.params.eventId || null, current);
+  } catch (e) {
+    if (e.status !== 400) throw e;
+    preview = { error: e.message };
+  }
+  res.render('admin/email-template-edit', {
+    title: `${editor.label} Email`,
+    ...editor,
+    draft: current,
+    preview,
+    baseUrl: emailTemplatesBase(req),
+    helpers: require('../views/helpers'),
+    messages,
+    layoutVariant: 'admin'
+  });
+}
+
+exports.showEmailTemplate = (req, res, next) => {
+  try {
+    renderEmailTemplateEditor(req, res);
+  } catch (e) { next(e); }
+};
+
+function postedTemplateDraft(req) {
+  const body = req.body || {};
+  return { subject: body.subject || '', text_body: body.text_body || '', html_body: body.html_body || '' };
+}
+
+exports.saveEmailTemplate = (req, res, next) => {
+  const draft = postedTemplateDraft(req);
+  try {
+    emailTemplateService.saveTemplate(req.params.templateKey, req.params.eventId || null, draft, req.user && req.user.email);
+    req.flash('success', 'Email template saved.');
+    res.redirect(`${emailTemplatesBase(req)}/${req.params.templateKey}`);
+  } catch (e) {
+    if (e.status !== 400) return next(e);
+    try {
+      renderEmailTemplateEditor(req, res, draft, { error: e.message });
+    } catch (err) { next(err); }
+  }
+};
+
+exports.resetEmailTemplate = (req, res, next) => {
+  try {
+    const removed = emailTemplateService.resetTemplate(req.params.templateKey, req.params.eventId || null);
+    const fallback = req.params.eventId ? 'the site-wide email' : 'the built-in email';
+    req.flash('success', removed ? `Template removed; ${fallback} is used again.` : `Nothing to remove; ${fallback} is already used.`);
+    res.redirect(`${emailTemplatesBase(req)}/${req.params.templateKey}`);
+  } catch (e) { next(e); }
+};
+
+// Live preview for the editor (JSON); 400s carry the validation message.
+exports.previewEmailTemplate = (req, res, next) => {
+  try {
+    const preview = emailTemplateService.previewTemplate(req.params.templateKey, req.params.eventId || null, postedTemplateDraft(req));
+    res.json({ ok: true, ...preview });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ ok: false, error: e.message });
+    next(e);
+  }
+};
+
+exports.sendTestEmailTemplate = async (req, res, next) => {
+  const draft = postedTemplateDraft(req);
+  const email = req.user && req.user.email;
+  try {
+    const status = await emailTemplateService.sendTestEmail(req.params.templateKey, req.params.eventId || null, draft, email);
+    const note = status === 'sent' ? `Test email sent to ${email}.` : `Test email to ${email} is waiting in the outbox; the mail server did not accept it yet.`;
+    renderEmailTemplateEditor(req, res, draft, { success: note });
+  } catch (e) {
+    if (e.status !== 400) return next(e);
+    try {
+      renderEmailTemplateEditor(req, res, draft, { error: e.message });
+    } catch (err) { next(err); }
+  }
+};
+
 // Temporary maintenance endpoint: merge duplicate registrations per event
 exports.mergeAllDuplicates = (req, res, next) => {
   try {
-    const events = adminService.getDashboardData();
+    const events = adminService.getDashboardData({ includeArchived: true });
     let mergedTotal = 0;
     const conflicts = [];
     events.forEach(evt => {
@@ -0,0 +1,110 @@
+// src/controllers/apiController.js
+// JSON handlers for /api/v1. Successful responses are `{ ok: true, data }`;
+// errors are rendered by the API router as `{ ok: false, error }`.
+const apiService = require('../services/apiService');
+
+function send(res, data, status = 200) {
+  res.status(status).json({ ok: true, data });
+}
+
+// Reads -----------------------------------------------------------------------
+
+exports.listEvents = (req, res, next) => {
+  try {
+    send(res, apiService.listEvents());
+  } catch (e) { next(e); }
+};
+
+exports.getEvent = (req, res, next) => {
+  try {
+    send(res, apiService.getEvent(req.params.eventId));
+  } catch (e) { next(e); }
+};
+
+exports.listStations = (req, res, next) => {
+  try {
+    send(res, apiService.listStations(req.params.eventId));
+  } catch (e) { next(e); }
+};
+
+exports.listRegistrations = (req, res, next) => {
+  try {
+    send(res, apiService.listRegistrations(req.params.eventId));
+  } catch (e) { next(e); }
+};
+
+exports.listOpenNeeds = (req, res, next) => {
+  try {
+    send(res, apiService.listOpenNeeds(req.params.eventId));
+  } catch (e) { next(e); }
+};
+
+exports.getStation = (req, res, next) => {
+  try {
+    send(res, apiService.getStation(req.params.stationId));
+  } catch (e) { next(e); }
+};
+
+exports.getBlock = (req, res, next) => {
+  try {
+    send(res, apiService.getBlock(req.params.blockId));
+  } catch (e) { next(e); }
+};
+
+// Writes ----------------------------------------------------------------------
+
+exports.createEvent = (req, res, next) => {
+  try {
+    send(res, apiService.createEvent(req.body), 201);
+  } catch (e) { next(e); }
+};
+
+exports.updateEvent = (req, res, next) => {
+  try {
+    send(res, apiService.updateEvent(req.params.eventId, req.body));
+  } catch (e) { next(e); }
+};
+
+exports.setEventPublish = (req, res, next) => {
+  try {
+    send(res, apiService.setEventPublish(req.params.eventId, req.body));
+  } catch (e) { next(e); }
+};
+
+exports.createStation = (req, res, next) => {
+  try {
+    send(res, apiService.createStation(req.params.eventId, req.body), 201);
+  } catch (e) { next(e); }
+};
+
+exports.updateStation = (req, res, next) => {
+  try {
+    send(res, apiService.updateStation(req.params.stationId, req.body));
+  } catch (e) { next(e); }
+};
+
+exports.deleteStation = (req, res, next) => {
+  try {
+    apiService.deleteStation(req.params.stationId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+};
+
+exports.createBlock = (req, res, next) => {
+  try {
+    send(res, apiService.createBlock(req.params.stationId, req.body), 201);
+  } catch (e) { next(e); }
+};
+
+exports.updateBlock = (req, res, next) => {
+  try {
+    send(res, apiService.updateBlock(req.params.blockId, req.body));
+  } catch (e) { next(e); }
+};
+
+exports.deleteBlock = (req, res, next) => {
+  try {
+    apiService.deleteBlock(req.params.blockId);
+    res.status(204).end();
+  } catch (e) { next(e); }
+};
@@ -4,6 +4,10 @@
 // processing volunteer sign-ups, and serving the manage-signup experience.
 const { validationResult } = require('express-validator');
 const publicService = require('../services/publicService');
+const checkInService = require('../services/checkInService');
+const smsService = require('../services/smsService');
+const swapService = require('../services/swapService');
+const { getSmsProvider } = require('../utils/sms');
 const createError = require('http-errors');
 const helpers = require('../views/helpers');
 
@@ -83,7 +87,8 @@ exports.showEventDetail = (req, res, next) => {
         }
         const debugLayout = String(req.query.debug || '').toLowerCase() === 'layout';
         // Do not pass messages explicitly; app middleware exposes res.locals.messages
-        res.render('public/event-detail', { title: event.name, event, helpers, preview, backTo, debugLayout, query: req.query });
+        const signupWindow = publicService.getSignupWindow(event);
+        res.render('public/event-detail', { title: event.name, event, helpers, preview, backTo, debugLayout, signupWindow, query: req.query });
     } catch (error) {
         console.error(`--- ERROR IN showEventDetail for eventId: ${req.params.eventId} ---`, error);
         next(error);
@@ -103,7 +108,8 @@ exports.handleSignup = async (req, res, next) => {
       payload.registrant = {
         name: req.body.name,
         email: req.body.email,
-        phone: req.body.phone
+        phone: req.body.phone,
+        sms_opt_in: req.body.sms_opt_in
       };
     }
 
@@ -122,6 +128,7 @@ exports.handleSignup = async (req, res, next) => {
         title: (evt && evt.name) || 'Event',
         event: evt,
         helpers,
+        signupWindow: evt ? publicService.getSignupWindow(evt) : null,
         draftRegistration: payload,
         messages: req.flash()
       });
@@ -148,7 +155,14 @@ exports.handleSignup = async (req, res, next) => {
         };
         try { req.flash('debug', JSON.stringify(debugBlob, null, 2)); } catch (_) {}
         const evt = publicService.getEventDetailsForPublic(payload.eventId);
-        return res.status(error.status || 400).render('public/event-detail', { title: (evt && evt.name) || 'Event', event: evt, messages: req.flash(), helpers, draftRegistration: payload });
+        return res.status(error.status || 400).render('public/event-detail', {
+          title: (evt && evt.name) || 'Event',
+          event: evt,
+          messages: req.flash(),
+          helpers,
+          signupWindow: evt ? publicService.getSignupWindow(evt) : null,
+          draftRegistration: payload
+        });
       }
       res.redirect(`/events/${payload.eventId}`);
     }
@@ -163,7 +177,7 @@ exports.showManageSignup = (req, res, next) => {
             return res.redirect('/events');
         }
 
-        const { event, participants, registration } = context;
+        const { event, participants, registration, waitlist } = context;
         const assignmentsData = {
           participants: participants || []
         };
@@ -179,6 +193,12 @@ exports.showManageSignup = (req, res, next) => {
             volunteerEmail: registration.registrant_email || ''
         };
 
+        const smsPreferences = {
+            optIn: Number(registration.sms_opt_in || 0) === 1,
+            phone: registration.sms_phone || registration.registrant_phone || '',
+            optedOutAt: registration.sms_opted_out_at || null
+        };
+
         const debugCapacity = String(req.query.debug || '').toLowerCase() === 'capacity';
 
         res.render('public/manage-signup', {
@@ -187,10 +207,16 @@ exports.showManageSignup = (req, res, next) => {
             token,
             registration,
             participants,
+            waitlist: waitlist || [],
             assignmentsJson: JSON.stringify(assignmentsData),
             selectedBlockIds,
             helpers,
             emailPreferences,
+            smsPreferences,
+            swapBoard: swapService.getSwapBoard(context),
+            lockedShifts: publicService.getLockedShifts(context),
+            calendarPath: publicService.getCalendarFeedPath(registration.registration_id),
+            answers: context.answers,
             query: req.query,
             debugCapacity
         });
@@ -216,6 +242,32 @@ exports.updateManageSignup = async (req, res, next) => {
       req.flash('success', 'Participant added.');
       return res.redirect(`/manage/${token}`);
     }
+    if (action === 'details') {
+      await publicService.updateParticipantProfile(token, Number(req.body.participantId || req.body.participant_id), {
+        ageBracket: req.body.age_bracket,
+        qualifications: req.body.qualifications
+      });
+      req.flash('success', 'Participant details updated.');
+      return res.redirect(`/manage/${token}`);
+    }
+    if (action === 'answers') {
+      // Fields are answer_<questionId> (once per signup) or
+      // answer_<questionId>_<participantId> (per participant).
+      const answers = { registrant: {}, participants: {} };
+      Object.keys(req.body).forEach(key => {
+        const match = /^answer_(\d+)(?:_(\d+))?$/.exec(key);
+        if (!match) return;
+        if (!match[2]) {
+          answers.registrant[match[1]] = req.body[key];
+          return;
+        }
+        answers.participants[match[2]] = answers.participants[match[2]] || {};
+        answers.participants[match[2]][match[1]] = req.body[key];
+      });
+      publicService.updateRegistrationAnswers(token, answers);
+      req.flash('success', 'Your answers have been saved.');
+      return res.redirect(`/manage/${token}`);
+    }
     if (action === 'merge') {
       await publicService.mergeParticipants(token, Number(req.body.fromId || req.body.from_id), Number(req.body.toId || req.body.to_id));
       req.flash('success', 'Participants merged.');
@@ -227,6 +279,11 @@ exports.updateManageSignup = async (req, res, next) => {
       req.flash('success', 'Participant removed.');
       return res.redirect(`/manage/${token}`);
     }
+    if (action === 'leave-waitlist') {
+      await publicService.leaveWaitlist(token, Number(req.body.waitlistId || req.body.waitlist_id));
+      req.flash('success', 'Removed from the waitlist.');
+      return res.redirect(`/manage/${token}`);
+    }
 
     let payload = {};
     try {
@@ -271,6 +328,84 @@ exports.updateManageSignup = async (req, res, next) => {
   }
 };
 
+function sendCalendarFeed(res, feed) {
+  if (!feed) return res.status(404).type('text/plain').send('This calendar link has expired or is no longer valid.');
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${feed.filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(feed.content);
+}
+
+/**
+ * Calendar feed for a registration. Calendar apps poll this URL, so it always
+ * reflects the volunteer's current slots.
+ */
+exports.downloadCalendarFeed = (req, res, next) => {
+  try {
+    sendCalendarFeed(res, publicService.getCalendarFeed(req.params.token));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The same feed reached through a manage link, for subscriptions made before
+ * feeds had their own link.
+ */
+exports.downloadManageCalendar = (req, res, next) => {
+  try {
+    sendCalendarFeed(res, publicService.getManageCalendar(req.params.token));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Station check-in page reached by scanning the QR poster.
+ */
+exports.showStationCheckIn = (req, res, next) => {
+  try {
+    const context = checkInService.getStationCheckIn(req.params.token);
+    if (!context) return next(createError(404, 'This check-in code is no longer valid.'));
+    res.render('public/station-checkin', {
+      title: `Check in: ${context.station.station_name}`,
+      token: req.params.token,
+      ...context,
+      outcome: null,
+      lookup: '',
+      helpers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.submitStationCheckIn = (req, res, next) => {
+  try {
+    const token = req.params.token;
+    const lookup = typeof req.body.lookup === 'string' ? req.body.lookup : '';
+    const context = checkInService.getStationCheckIn(token);
+    if (!context) return next(createError(404, 'This check-in code is no longer valid.'));
+    let outcome;
+    try {
+      outcome = checkInService.selfCheckIn(token, { lookup, participantId: req.body.participant_id });
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      outcome = { result: 'invalid', message: err.message };
+    }
+    res.render('public/station-checkin', {
+      title: `Check in: ${context.station.station_name}`,
+      token,
+      ...context,
+      outcome,
+      lookup,
+      helpers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.updateEmailPreference = async (req, res) => {
   const token = req.params.token;
   const preference = req.body.preference;
@@ -293,6 +428,102 @@ exports.updateEmailPreference = async (req, res) => {
   }
 };
 
+exports.updateSmsPreference = (req, res) => {
+  const token = req.params.token;
+  try {
+    const result = publicService.updateSmsPreference(token, req.body.preference, req.body.phone);
+    req.flash('success', result.optedIn
+      ? `We will text confirmations and reminders to ${result.phone}.`
+      : 'You will no longer get volunteer text messages.');
+    return res.redirect(`/manage/${token}#sms-preferences`);
+  } catch (error) {
+    req.flash('error', error.message || 'Unable to update text message preferences.');
+    if (error.status === 410) {
+      return res.redirect('/events');
+    }
+    return res.redirect(`/manage/${token}#sms-preferences`);
+  }
+};
+
+function swapError(req, res, token, error, fallback) {
+  req.flash('error', error.message || fallback);
+  if (error.status === 410) return res.redirect('/events');
+  return res.redirect(`/manage/${token}#shift-swaps`);
+}
+
+// Post one of this registration's shifts to the swap board. `shift` is
+// "<participantId>:<blockId>" from the manage page select.
+exports.requestShiftSwap = (req, res) => {
+  const token = req.params.token;
+  try {
+    const [participantId, blockId] = String(req.body.shift || '').split(':');
+    swapService.requestSwap(token, { participantId, blockId, note: req.body.note });
+    req.flash('success', 'Your shift is on the swap board. We will email you if someone takes it; until then it is still yours.');
+    return res.redirect(`/manage/${token}#shift-swaps`);
+  } catch (error) {
+    return swapError(req, res, token, error, 'Unable to post that shift.');
+  }
+};
+
+exports.cancelShiftSwap = (req, res) => {
+  const token = req.params.token;
+  try {
+    swapService.cancelSwap(token, req.params.swapId);
+    req.flash('success', 'Your shift was taken off the swap board.');
+    return res.redirect(`/manage/${token}#shift-swaps`);
+  } catch (error) {
+    return swapError(req, res, token, error, 'Unable to withdraw that swap request.');
+  }
+};
+
+exports.acceptShiftSwap = async (req, res) => {
+  const token = req.params.token;
+  try {
+    const { trade } = await swapService.acceptSwap(token, req.params.swapId, {
+      participantId: req.body.participant_id,
+      tradeBlockId: req.body.trade_block_id
+    });
+    req.flash('success', trade
+      ? 'Swap done: the shift is yours and the other volunteer has yours. Check your email for the details.'
+      : 'The shift is yours. Check your email for the details.');
+    return res.redirect(`/manage/${token}#shift-swaps`);
+  } catch (error) {
+    return swapError(req, res, token, error, 'Unable to take that shift.');
+  }
+};
+
+// Tell the coordinators a participant can't make a shift that is inside the
+// change lock-out. `shift` is "<participantId>:<blockId>" like the swap form.
+exports.reportCantMakeIt = async (req, res) => {
+  const token = req.params.token;
+  try {
+    const [participantId, blockId] = String(req.body.shift || '').split(':');
+    await publicService.reportCantMakeIt(token, { participantId, blockId, note: req.body.note });
+    req.flash('success', "Thanks for letting us know. The coordinator has been emailed and will follow up if needed.");
+  } catch (error) {
+    req.flash('error', error.message || 'Unable to send that notice.');
+    if (error.status === 410) return res.redirect('/events');
+  }
+  return res.redirect(`/manage/${token}#locked-shifts`);
+};
+
+// Inbound SMS webhook from the provider (STOP / START / HELP replies). Mounted
+// outside the session/CSRF stack; the provider verifies the request instead.
+exports.receiveInboundSms = (req, res, next) => {
+  try {
+    const provider = getSmsProvider();
+    if (!provider) return next(createError(404, 'SMS is not enabled.'));
+    if (!provider.verifyInbound(req)) return next(createError(403, 'Invalid SMS webhook credentials.'));
+    const result = smsService.handleInboundSms(provider.parseInbound(req));
+    if (result.action !== 'ignored') {
+      console.log('[SMS] Inbound %s updated %d registration(s).', result.action.toUpperCase(), result.updated);
+    }
+    return provider.replyInbound(res, result.reply);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // AJAX: check if a registration already exists for this event/email; if so, send manage link(s).
 exports.checkDuplicateRegistration = async (req, res) => {
   try {
@@ -4,6 +4,7 @@
 const { db } = require('../config/database');
 const createError = require('http-errors');
 const crypto = require('crypto');
+const auditContext = require('../utils/auditContext');
 
 // Enforce referential integrity at the SQLite level.
 try { db.exec('PRAGMA foreign_keys = ON;'); } catch (_) {}
@@ -93,6 +94,17 @@ try { db.prepare(`ALTER TABLE registrations ADD COLUMN manage_token_expires_at T
 try { db.prepare(`ALTER TABLE registrations ADD COLUMN email_opt_in INTEGER NOT NULL DEFAULT 1`).run(); } catch (_) {}
 try { db.prepare(`ALTER TABLE registrations ADD COLUMN email_opted_out_at TEXT`).run(); } catch (_) {}
 try { db.prepare(`ALTER TABLE registrations ADD COLUMN email_opt_out_reason TEXT`).run(); } catch (_) {}
+// Text messages are opt-in per registration; sms_phone is the normalized
+// (E.164) number the texts go to and STOP replies are matched against.
+try { db.prepare(`ALTER TABLE registrations ADD COLUMN sms_opt_in INTEGER NOT NULL DEFAULT 0`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE registrations ADD COLUMN sms_phone TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE registrations ADD COLUMN sms_opted_in_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE registrations ADD COLUMN sms_opted_out_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`CREATE INDEX IF NOT EXISTS idx_registrations_sms_phone ON registrations(sms_phone)`).run(); } catch (_) {}
+// Calendar feed token: kept in plain text (like station check-in tokens) and
+// never rotated, so subscriptions keep working when new manage links go out.
+try { db.prepare(`ALTER TABLE registrations ADD COLUMN calendar_token TEXT`).run(); } catch (_) {}
+try { db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_registrations_calendar_token ON registrations(calendar_token)`).run(); } catch (_) {}
 
 try {
   db.prepare(`
@@ -138,6 +150,492 @@ try {
   db.prepare(`CREATE INDEX IF NOT EXISTS idx_potluck_assignments_item ON potluck_assignments(item_id)`).run();
 } catch (_) { /* already exists */ }
 
+// Automated reminders: remember what was sent so restarts never double-send
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS reminder_deliveries (
+      delivery_id INTEGER PRIMARY KEY,
+      registration_id INTEGER NOT NULL,
+      offset_hours INTEGER NOT NULL,
+      target_key TEXT NOT NULL,
+      sent_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_reminder_deliveries ON reminder_deliveries(registration_id, offset_hours, target_key)`).run();
+} catch (_) { /* already exists */ }
+
+// Every manage link still in date for a registration. Reminders, promotions,
+// broadcasts and swap notices each mail a fresh link, so one hash per
+// registration would break the links in earlier emails. The registrations
+// columns keep the newest one.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS registration_tokens (
+      token_id INTEGER PRIMARY KEY,
+      registration_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_registration_tokens_registration ON registration_tokens(registration_id)`).run();
+} catch (_) { /* already exists */ }
+
+// Waitlist for full schedule blocks; promoted in created_at order when a spot opens
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS waitlist_entries (
+      waitlist_id INTEGER PRIMARY KEY,
+      participant_id INTEGER NOT NULL,
+      time_block_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE,
+      FOREIGN KEY (time_block_id) REFERENCES time_blocks(block_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_waitlist_entries_unique ON waitlist_entries(participant_id, time_block_id)`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_waitlist_entries_block ON waitlist_entries(time_block_id, created_at)`).run();
+} catch (_) { /* already exists */ }
+
+// Recurring event series: template + generated occurrences share a series_id
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS event_series (
+      series_id INTEGER PRIMARY KEY,
+      template_event_id INTEGER,
+      frequency TEXT NOT NULL,
+      until_date TEXT,
+      occurrence_count INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (template_event_id) REFERENCES events(event_id) ON DELETE SET NULL
+    )
+  `).run();
+} catch (_) { /* already exists */ }
+try { db.prepare(`ALTER TABLE events ADD COLUMN series_id INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN series_index INTEGER`).run(); } catch (_) {}
+try { db.prepare(`CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id, series_index)`).run(); } catch (_) {}
+// The template station/block each occurrence's copy was made from, so pushing
+// template changes matches them even after stations are added or reordered.
+try { db.prepare(`ALTER TABLE stations ADD COLUMN source_station_id INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE time_blocks ADD COLUMN source_block_id INTEGER`).run(); } catch (_) {}
+
+// Signup window and scheduled publish/unpublish times (local "YYYY-MM-DD HH:mm" text, like event dates)
+try { db.prepare(`ALTER TABLE events ADD COLUMN signups_open_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN signups_close_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN publish_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN unpublish_at TEXT`).run(); } catch (_) {}
+
+// Self-service change lock-out: hours before a shift starts when the manage
+// link can no longer drop or move it. Volunteers flag the shift instead
+// (cant_make_it_at / cant_make_it_note) and coordinators are emailed.
+try { db.prepare(`ALTER TABLE events ADD COLUMN change_lockout_hours INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE schedule_assignments ADD COLUMN cant_make_it_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE schedule_assignments ADD COLUMN cant_make_it_note TEXT`).run(); } catch (_) {}
+
+// Signup limits (see utils/signupLimits.js); NULL means no limit.
+try { db.prepare(`ALTER TABLE events ADD COLUMN max_participants_per_registration INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN max_assignments_per_participant INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN min_assignments_per_participant INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN max_hours_per_day REAL`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN min_rest_minutes INTEGER`).run(); } catch (_) {}
+
+// Retention (see services/retentionService.js): past events are archived off
+// the dashboard, and later their volunteers' personal details are anonymised.
+try { db.prepare(`ALTER TABLE events ADD COLUMN archived_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE events ADD COLUMN pii_purged_at TEXT`).run(); } catch (_) {}
+
+// Structured locations (see utils/location.js). Stations override the event's
+// location field by field; blank station fields fall back to the event's.
+['events', 'stations'].forEach(table => {
+  ['location_name', 'location_address', 'location_room', 'location_notes'].forEach(column => {
+    try { db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`).run(); } catch (_) {}
+  });
+});
+
+// Admin accounts with roles + per-event coordinator assignments
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      admin_user_id INTEGER PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'coordinator', 'viewer')),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_login_at TEXT
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS event_coordinators (
+      event_id INTEGER NOT NULL,
+      admin_user_id INTEGER NOT NULL,
+      PRIMARY KEY (event_id, admin_user_id),
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(admin_user_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_event_coordinators_user ON event_coordinators(admin_user_id)`).run();
+} catch (_) { /* already exists */ }
+
+// Custom registration questions per event (T-shirt size, dietary needs, ...).
+// Registrant-level answers have no participant_id; participant-level answers
+// have one row per participant. Created before the audit triggers below.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS event_questions (
+      question_id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      help_text TEXT,
+      question_type TEXT NOT NULL DEFAULT 'text' CHECK (question_type IN ('text', 'select', 'checkbox')),
+      options TEXT,
+      is_required INTEGER NOT NULL DEFAULT 0,
+      scope TEXT NOT NULL DEFAULT 'registrant' CHECK (scope IN ('registrant', 'participant')),
+      question_order INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_event_questions_event ON event_questions(event_id, question_order)`).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS question_answers (
+      answer_id INTEGER PRIMARY KEY,
+      question_id INTEGER NOT NULL,
+      registration_id INTEGER NOT NULL,
+      participant_id INTEGER,
+      answer TEXT NOT NULL,
+      FOREIGN KEY (question_id) REFERENCES event_questions(question_id) ON DELETE CASCADE,
+      FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE,
+      FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_question_answers ON question_answers(question_id, registration_id, COALESCE(participant_id, 0))`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_question_answers_registration ON question_answers(registration_id)`).run();
+} catch (_) { /* already exists */ }
+
+// Audit trail: every create/update/delete on the core tables is captured by
+// TEMP triggers (recreated per connection) that call back into JS for the
+// current actor, so no DAL path can forget to log a change.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      audit_id INTEGER PRIMARY KEY,
+      event_id INTEGER,
+      entity_type TEXT NOT NULL,
+      entity_id INTEGER,
+      action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      actor TEXT NOT NULL,
+      actor_type TEXT NOT NULL,
+      before_json TEXT,
+      after_json TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event_id, audit_id)`).run();
+} catch (_) { /* already exists */ }
+
+const blockEventSql = (blockRef) => `(SELECT s.event_id FROM time_blocks tb JOIN stations s ON s.station_id = tb.station_id WHERE tb.block_id = ${blockRef})`;
+const participantEventSql = (participantRef) => `(SELECT r.event_id FROM participants p JOIN registrations r ON r.registration_id = p.registration_id WHERE p.participant_id = ${participantRef})`;
+const participantNameSql = (participantRef) => `(SELECT participant_name FROM participants WHERE participant_id = ${participantRef})`;
+
+// `columns` are compared to decide whether an UPDATE is worth logging (token
+// rotation on registrations, for example, is not); `labels` are extra
+// read-only values stored alongside so history stays readable after deletes.
+const AUDITED_TABLES = [
+  {
+    table: 'events', entity: 'event', key: 'event_id',
+    columns: ['name', 'description', 'date_start', 'date_end', 'signup_mode', 'publish_state', 'series_id', 'series_index',
+      'signups_open_at', 'signups_close_at', 'publish_at', 'unpublish_at', 'change_lockout_hours',
+      'max_participants_per_registration', 'max_assignments_per_participant', 'min_assignments_per_participant',
+      'max_hours_per_day', 'min_rest_minutes', 'archived_at', 'pii_purged_at',
+      'location_name', 'location_address', 'location_room', 'location_notes'],
+    eventId: (row) => `${row}.event_id`
+  },
+  {
+    table: 'stations', entity: 'station', key: 'station_id',
+    columns: ['name', 'description_overview', 'description_tasks', 'station_order', 'min_age', 'required_qualifications',
+      'location_name', 'location_address', 'location_room', 'location_notes'],
+    eventId: (row) => `${row}.event_id`
+  },
+  {
+    table: 'time_blocks', entity: 'time_block', key: 'block_id',
+    columns: ['station_id', 'title', 'start_time', 'end_time', 'capacity_needed', 'servings_min', 'servings_max', 'item_order'],
+    labels: { station_name: (row) => `(SELECT name FROM stations WHERE station_id = ${row}.station_id)` },
+    eventId: (row) => `(SELECT event_id FROM stations WHERE station_id = ${row}.station_id)`
+  },
+  {
+    table: 'event_questions', entity: 'question', key: 'question_id',
+    columns: ['label', 'help_text', 'question_type', 'options', 'is_required', 'scope', 'question_order'],
+    eventId: (row) => `${row}.event_id`
+  },
+  {
+    table: 'registrations', entity: 'registration', key: 'registration_id',
+    columns: ['registrant_name', 'registrant_email', 'registrant_phone', 'email_opt_in'],
+    eventId: (row) => `${row}.event_id`
+  },
+  {
+    table: 'participants', entity: 'participant', key: 'participant_id',
+    columns: ['registration_id', 'participant_name', 'age_bracket', 'qualifications'],
+    eventId: (row) => `(SELECT event_id FROM registrations WHERE registration_id = ${row}.registration_id)`
+  },
+  {
+    table: 'schedule_assignments', entity: 'reservation', key: 'assignment_id',
+    columns: ['participant_id', 'time_block_id', 'attendance_status', 'cant_make_it_at'],
+    labels: {
+      participant_name: (row) => participantNameSql(`${row}.participant_id`),
+      start_time: (row) => `(SELECT start_time FROM time_blocks WHERE block_id = ${row}.time_block_id)`
+    },
+    eventId: (row) => `COALESCE(${blockEventSql(`${row}.time_block_id`)}, ${participantEventSql(`${row}.participant_id`)})`
+  },
+  {
+    table: 'potluck_assignments', entity: 'potluck_reservation', key: 'assignment_id',
+    columns: ['participant_id', 'item_id', 'dish_name'],
+    labels: {
+      participant_name: (row) => participantNameSql(`${row}.participant_id`),
+      item_title: (row) => `(SELECT title FROM time_blocks WHERE block_id = ${row}.item_id)`
+    },
+    eventId: (row) => `COALESCE(${blockEventSql(`${row}.item_id`)}, ${participantEventSql(`${row}.participant_id`)})`
+  }
+];
+
+function auditJsonSql(spec, row) {
+  const pairs = spec.columns.map(col => `'${col}', ${row}.${col}`);
+  Object.keys(spec.labels || {}).forEach(name => pairs.push(`'${name}', ${spec.labels[name](row)}`));
+  return `json_object(${pairs.join(', ')})`;
+}
+
+function installAuditTriggers() {
+  db.function('audit_actor', { deterministic: false }, () => auditContext.getActor().label);
+  db.function('audit_actor_type', { deterministic: false }, () => auditContext.getActor().type);
+  AUDITED_TABLES.forEach(spec => {
+    const variants = [
+      { action: 'create', op: 'INSERT', row: 'NEW', before: 'NULL', after: auditJsonSql(spec, 'NEW') },
+      { action: 'update', op: 'UPDATE', row: 'NEW', before: auditJsonSql(spec, 'OLD'), after: auditJsonSql(spec, 'NEW'),
+        when: spec.columns.map(col => `OLD.${col} IS NOT NEW.${col}`).join(' OR ') },
+      { action: 'delete', op: 'DELETE', row: 'OLD', before: auditJsonSql(spec, 'OLD'), after: 'NULL' }
+    ];
+    variants.forEach(v => {
+      try {
+        db.exec(`
+          CREATE TEMP TRIGGER IF NOT EXISTS audit_${spec.table}_${v.action}
+          AFTER ${v.op} ON ${spec.table}
+          ${v.when ? `WHEN ${v.when}` : ''}
+          BEGIN
+            INSERT INTO audit_log (event_id, entity_type, entity_id, action, actor, actor_type, before_json, after_json)
+            VALUES (${spec.eventId(v.row)}, '${spec.entity}', ${v.row}.${spec.key}, '${v.action}',
+                    audit_actor(), audit_actor_type(), ${v.before}, ${v.after});
+          END
+        `);
+      } catch (_) { /* table missing until schema.sql has been applied */ }
+    });
+  });
+}
+installAuditTriggers();
+
+// Day-of attendance on shift assignments: present | late | no_show (NULL = not marked yet)
+try { db.prepare(`ALTER TABLE schedule_assignments ADD COLUMN attendance_status TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE schedule_assignments ADD COLUMN attendance_marked_at TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE schedule_assignments ADD COLUMN attendance_marked_by TEXT`).run(); } catch (_) {}
+
+// Unguessable per-station token behind the printable self check-in QR code
+try { db.prepare(`ALTER TABLE stations ADD COLUMN checkin_token TEXT`).run(); } catch (_) {}
+try { db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_stations_checkin_token ON stations(checkin_token)`).run(); } catch (_) {}
+
+// Station requirements and the matching participant declarations (see
+// utils/stationRequirements.js). required_qualifications / qualifications hold
+// one qualification per line.
+try { db.prepare(`ALTER TABLE stations ADD COLUMN min_age INTEGER`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE stations ADD COLUMN required_qualifications TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE participants ADD COLUMN age_bracket TEXT`).run(); } catch (_) {}
+try { db.prepare(`ALTER TABLE participants ADD COLUMN qualifications TEXT`).run(); } catch (_) {}
+
+// Tokens for the /api/v1 JSON API. Only the SHA-256 hash is stored (like
+// manage_token_hash); the prefix lets admins tell tokens apart in the UI.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      api_token_id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'read' CHECK (scope IN ('read', 'write')),
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      revoked_at TEXT
+    )
+  `).run();
+} catch (_) { /* already exists */ }
+
+// Outgoing webhooks: admin-configured endpoints plus a persisted delivery queue
+// (one row per endpoint per event) that the webhook worker retries with backoff.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      endpoint_id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      event_types TEXT NOT NULL DEFAULT '',
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id INTEGER PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_attempt_at TEXT,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(endpoint_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, delivery_id)`).run();
+} catch (_) { /* already exists */ }
+
+// Admin broadcasts to an event's volunteers: the message plus one queued row
+// per recipient registration, drained a few at a time by the broadcast worker.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS broadcast_messages (
+      message_id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      audience TEXT NOT NULL CHECK (audience IN ('all', 'station', 'block', 'unfilled')),
+      audience_id INTEGER,
+      audience_label TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      sent_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS broadcast_recipients (
+      recipient_id INTEGER PRIMARY KEY,
+      message_id INTEGER NOT NULL,
+      registration_id INTEGER,
+      email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+      error TEXT,
+      sent_at TEXT,
+      FOREIGN KEY (message_id) REFERENCES broadcast_messages(message_id) ON DELETE CASCADE,
+      FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE SET NULL
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_broadcast_messages_event ON broadcast_messages(event_id, message_id)`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_queue ON broadcast_recipients(status, recipient_id)`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_message ON broadcast_recipients(message_id)`).run();
+} catch (_) { /* already exists */ }
+
+// Outbound email outbox: volunteer emails are stored here first and sent by
+// the mail worker with exponential backoff; 'dead' rows ran out of attempts.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS mail_outbox (
+      mail_id INTEGER PRIMARY KEY,
+      kind TEXT NOT NULL DEFAULT 'other',
+      event_id INTEGER,
+      to_address TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      text_body TEXT,
+      html_body TEXT,
+      headers_json TEXT,
+      attachments_json TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'dead', 'discarded')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_attempt_at TEXT,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      sent_at TEXT,
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE SET NULL
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_mail_outbox_due ON mail_outbox(status, next_attempt_at)`).run();
+} catch (_) { /* already exists */ }
+
+// Admin-edited email templates. A row with no event_id replaces the built-in
+// email everywhere; a row for an event overrides that for the one event.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      template_id INTEGER PRIMARY KEY,
+      template_key TEXT NOT NULL CHECK (template_key IN ('confirmation', 'manage_link')),
+      event_id INTEGER,
+      subject TEXT NOT NULL,
+      text_body TEXT NOT NULL,
+      html_body TEXT,
+      updated_by TEXT,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_scope ON email_templates(template_key, COALESCE(event_id, 0))`).run();
+} catch (_) { /* already exists */ }
+
+// Shift swap board. A volunteer offers one of their shifts (participant +
+// block, which survive manage-page edits that re-create assignment rows);
+// another registrant of the event takes it over, optionally trading one of
+// their own shifts back.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS shift_swaps (
+      swap_id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      registration_id INTEGER NOT NULL,
+      participant_id INTEGER NOT NULL,
+      time_block_id INTEGER NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'cancelled')),
+      accepted_registration_id INTEGER,
+      accepted_participant_id INTEGER,
+      trade_block_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      resolved_at TEXT,
+      FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+      FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE,
+      FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE,
+      FOREIGN KEY (time_block_id) REFERENCES time_blocks(block_id) ON DELETE CASCADE,
+      FOREIGN KEY (accepted_registration_id) REFERENCES registrations(registration_id) ON DELETE SET NULL,
+      FOREIGN KEY (accepted_participant_id) REFERENCES participants(participant_id) ON DELETE SET NULL,
+      FOREIGN KEY (trade_block_id) REFERENCES time_blocks(block_id) ON DELETE SET NULL
+    )
+  `).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_swaps_open ON shift_swaps(participant_id, time_block_id) WHERE status = 'open'`).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS idx_shift_swaps_event ON shift_swaps(event_id, status)`).run();
+} catch (_) { /* already exists */ }
+
+// One row per personal-data purge that anonymised something (and every manual
+// run); events_json lists the events and counts so the log reads on its own.
+try {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS purge_runs (
+      run_id INTEGER PRIMARY KEY,
+      source TEXT NOT NULL CHECK (source IN ('scheduled', 'manual')),
+      run_by TEXT,
+      retention_days INTEGER NOT NULL,
+      cutoff TEXT NOT NULL,
+      event_count INTEGER NOT NULL DEFAULT 0,
+      registration_count INTEGER NOT NULL DEFAULT 0,
+      participant_count INTEGER NOT NULL DEFAULT 0,
+      events_json TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `).run();
+} catch (_) { /* already exists */ }
+
 // Optional notes on reservations (e.g., potluck dish names)
 try {
   db.prepare(`ALTER TABLE reservations ADD COLUMN note TEXT`).run();
@@ -162,10 +660,47 @@ function mapRun(res) {
   return { changes: res.changes, lastInsertRowid: res.lastInsertRowid };
 }
 
+// Replace one answer set (a registrant's when participantId is null) with
+// `answers` ({ [questionId]: text }). Callers wrap this in a transaction.
+function writeAnswers(registrationId, participantId, answers) {
+  db.prepare(`DELETE FROM question_answers WHERE registration_id = ? AND COALESCE(participant_id, 0) = COALESCE(?, 0)`)
+    .run(registrationId, participantId);
+  const insert = db.prepare(`INSERT INTO question_answers (question_id, registration_id, participant_id, answer) VALUES (?, ?, ?, ?)`);
+  Object.keys(answers || {}).forEach(questionId => {
+    const answer = answers[questionId];
+    if (answer == null || answer === '') return;
+    insert.run(Number(questionId), registrationId, participantId, String(answer));
+  });
+}
+
 function hashToken(token) {
   return crypto.createHash('sha256').update(String(token || ''), 'utf8').digest('hex');
 }
 
+// Capacity and duplicate rules for putting a participant into a schedule
+// block; `excludeAssignmentId` is the row being handed over, which already
+// counts toward the block. Runs inside the caller's transaction.
+function assertBlockHasRoom(blockId, participantId, excludeAssignmentId) {
+  const targetBlock = db.prepare(`SELECT capacity_needed FROM time_blocks WHERE block_id = ?`).get(blockId);
+  if (!targetBlock) throw createError(404, 'Target time block not found.');
+
+  const currentCountRow = db.prepare(`SELECT COUNT(*) AS cnt FROM reservations WHERE block_id = ?`).get(blockId);
+  const currentCount = (currentCountRow && currentCountRow.cnt) || 0; // legacy fallback
+  const newCountRow = db.prepare(`
+    SELECT COUNT(*) AS cnt FROM schedule_assignments WHERE time_block_id = ? AND assignment_id <> ?
+  `).get(blockId, excludeAssignmentId || 0);
+  const newCount = (newCountRow && newCountRow.cnt) || 0;
+  const effectiveCount = Math.max(currentCount, newCount);
+  if (effectiveCount >= Number(targetBlock.capacity_needed)) {
+    throw createError(409, 'Target time block is already full.');
+  }
+
+  const duplicate = db.prepare(`SELECT 1 FROM schedule_assignments WHERE participant_id = ? AND time_block_id = ?`).get(participantId, blockId);
+  if (duplicate) {
+    throw createError(409, 'Volunteer already assigned to the selected time block.');
+  }
+}
+
 function cleanupExpiredTokens() {
   try {
     db.prepare(`DELETE FROM volunteer_tokens WHERE expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')`).run();
@@ -293,7 +828,10 @@ const admin = {
       SELECT event_id, name, description, date_start, date_end,
              COALESCE(is_published, 0) AS is_published,
              COALESCE(publish_state, CASE WHEN COALESCE(is_published,0)=1 THEN 'published' ELSE 'draft' END) AS publish_state,
-             COALESCE(signup_mode, 'schedule') AS signup_mode
+             COALESCE(signup_mode, 'schedule') AS signup_mode,
+             series_id, series_index,
+             signups_open_at, signups_close_at, publish_at, unpublish_at,
+             archived_at, pii_purged_at
       FROM events
       ORDER BY datetime(date_start) DESC
     `).all();
@@ -307,11 +845,20 @@ const admin = {
         COALESCE(e.signup_mode, 'schedule') AS signup_mode,
         COALESCE(e.is_published, 0) AS is_published,
         COALESCE(e.publish_state, CASE WHEN COALESCE(e.is_published,0)=1 THEN 'published' ELSE 'draft' END) AS publish_state,
+        e.series_id, e.series_index,
+        e.signups_open_at, e.signups_close_at, e.publish_at, e.unpublish_at, e.change_lockout_hours,
+        e.max_participants_per_registration, e.max_assignments_per_participant, e.min_assignments_per_participant,
+        e.max_hours_per_day, e.min_rest_minutes, e.archived_at, e.pii_purged_at,
+        e.location_name, e.location_address, e.location_room, e.location_notes,
         s.station_id,
         s.name AS station_name,
         s.description AS station_description,
         s.description_overview AS station_description_overview,
         s.description_tasks AS station_description_tasks,
+        s.min_age AS station_min_age,
+        s.required_qualifications AS station_required_qualifications,
+        s.location_name AS station_location_name, s.location_address AS station_location_address,
+        s.location_room AS station_location_room, s.location_notes AS station_location_notes,
         tb.block_id, tb.start_time, tb.end_time, tb.capacity_needed, tb.title, tb.servings_min, tb.servings_max, tb.item_order,
         COALESCE(
           CASE WHEN COALESCE(e.signup_mode, 'schedule') = 'potluck' THEN rpot.cnt ELSE rsched.cnt END,
@@ -322,6 +869,7 @@ const admin = {
             THEN CASE WHEN COALESCE(rpot.cnt, 0) >= tb.capacity_needed THEN 1 ELSE 0 END
           ELSE CASE WHEN COALESCE(rsched.cnt, 0) >= tb.capacity_needed THEN 1 ELSE 0 END
         END AS is_full,
+        COALESCE(wl.cnt, 0) AS waitlist_count,
         COALESCE(rn.notes_csv, '') AS notes_csv,
         COALESCE(rn.notes_with_names_csv, '') AS notes_with_names_csv
       FROM events e
@@ -337,6 +885,11 @@ const admin = {
         FROM potluck_assignments
         GROUP BY item_id
       ) rpot ON rpot.block_id = tb.block_id
+      LEFT JOIN (
+        SELECT time_block_id AS block_id, COUNT(*) AS cnt
+        FROM waitlist_entries
+        GROUP BY time_block_id
+      ) wl ON wl.block_id = tb.block_id
       LEFT JOIN (
         SELECT pa.item_id AS block_id,
                GROUP_CONCAT(TRIM(pa.dish_name), '||') AS notes_csv,
@@ -369,6 +922,10 @@ const admin = {
         s.description AS station_description,
         s.description_overview AS station_description_overview,
         s.description_tasks AS station_description_tasks,
+        s.min_age AS station_min_age,
+        s.required_qualifications AS station_required_qualifications,
+        s.location_name AS station_location_name, s.location_address AS station_location_address,
+        s.location_room AS station_location_room, s.location_notes AS station_location_notes,
         tb.block_id, tb.start_time, tb.end_time, tb.capacity_needed, tb.title, tb.servings_min, tb.servings_max, tb.item_order,
         COALESCE(
           CASE WHEN COALESCE(e.signup_mode, 'schedule') = 'potluck' THEN rpot.cnt ELSE rsched.cnt END,
@@ -414,7 +971,13 @@ const admin = {
         r.registrant_email AS registrant_email,
         r.registrant_phone AS volunteer_phone,
         pa.created_at AS reservation_date,
-        pa.dish_name AS reservation_note
+        pa.dish_name AS reservation_note,
+        NULL AS attendance_status,
+        NULL AS attendance_marked_at,
+        NULL AS cant_make_it_at,
+        NULL AS cant_make_it_note,
+        p.age_bracket,
+        p.qualifications
       FROM potluck_assignments pa
       JOIN participants p ON p.participant_id = pa.participant_id
       JOIN registrations r ON r.registration_id = p.registration_id
@@ -436,7 +999,13 @@ const admin = {
         r.registrant_email AS registrant_email,
         r.registrant_phone AS volunteer_phone,
         sa.created_at AS reservation_date,
-        NULL AS reservation_note
+        NULL AS reservation_note,
+        sa.attendance_status,
+        sa.attendance_marked_at,
+        sa.cant_make_it_at,
+        sa.cant_make_it_note,
+        p.age_bracket,
+        p.qualifications
       FROM schedule_assignments sa
       JOIN participants p ON p.participant_id = sa.participant_id
       JOIN registrations r ON r.registration_id = p.registration_id
@@ -561,6 +1130,22 @@ const admin = {
     }
   },
 
+  // Record day-of attendance for a shift assignment (status NULL clears it).
+  setAttendance: (reservationId, status, markedBy) => {
+    try {
+      const res = db.prepare(`
+        UPDATE schedule_assignments
+        SET attendance_status = ?,
+            attendance_marked_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END,
+            attendance_marked_by = ?
+        WHERE assignment_id = ?
+      `).run(status, status, status ? markedBy || null : null, reservationId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error recording attendance: ' + e.message);
+    }
+  },
+
   // Atomically move a reservation to a new block while enforcing capacity & duplicate rules.
   moveReservation: (reservationId, newBlockId) => {
     const tx = db.transaction((rid, blockId) => {
@@ -573,28 +1158,13 @@ const admin = {
 
       if (reservation.time_block_id === blockId) return { changes: 0 };
 
-      const targetBlock = db.prepare(`SELECT capacity_needed FROM time_blocks WHERE block_id = ?`).get(blockId);
-      if (!targetBlock) throw createError(404, 'Target time block not found.');
-
-      const currentCountRow = db.prepare(`SELECT COUNT(*) AS cnt FROM reservations WHERE block_id = ?`).get(blockId);
-      const currentCount = (currentCountRow && currentCountRow.cnt) || 0; // legacy fallback
-      const newCountRow = db.prepare(`SELECT COUNT(*) AS cnt FROM schedule_assignments WHERE time_block_id = ?`).get(blockId);
-      const newCount = (newCountRow && newCountRow.cnt) || 0;
-      const effectiveCount = Math.max(currentCount, newCount);
-      if (effectiveCount >= Number(targetBlock.capacity_needed)) {
-        throw createError(409, 'Target time block is already full.');
-      }
-
-      const duplicate = db.prepare(`SELECT 1 FROM schedule_assignments WHERE participant_id = ? AND time_block_id = ?`).get(reservation.participant_id, blockId);
-      if (duplicate) {
-        throw createError(409, 'Volunteer already assigned to the selected time block.');
-      }
-
-      if (effectiveCount >= Number(targetBlock.capacity_needed)) {
-        throw createError(409, 'Target time block is already full.');
-      }
+      assertBlockHasRoom(blockId, reservation.participant_id, null);
 
-      db.prepare(`UPDATE schedule_assignments SET time_block_id = ?, created_at = datetime('now') WHERE assignment_id = ?`).run(blockId, rid);
+      db.prepare(`
+        UPDATE schedule_assignments
+        SET time_block_id = ?, created_at = datetime('now'), cant_make_it_at = NULL, cant_make_it_note = NULL
+        WHERE assignment_id = ?
+      `).run(blockId, rid);
       return { changes: 1 };
     });
 
@@ -657,6 +1227,12 @@ const admin = {
     if (patch.date_start !== undefined) { fields.push(`date_start = ?`); values.push(patch.date_start); }
     if (patch.date_end !== undefined) { fields.push(`date_end = ?`); values.push(patch.date_end); }
     if (patch.signup_mode !== undefined) { fields.push(`signup_mode = ?`); values.push(patch.signup_mode); }
+    ['signups_open_at', 'signups_close_at', 'publish_at', 'unpublish_at', 'change_lockout_hours',
+      'max_participants_per_registration', 'max_assignments_per_participant', 'min_assignments_per_participant',
+      'max_hours_per_day', 'min_rest_minutes',
+      'location_name', 'location_address', 'location_room', 'location_notes'].forEach(key => {
+      if (patch[key] !== undefined) { fields.push(`${key} = ?`); values.push(patch[key]); }
+    });
     if (fields.length === 0) return { changes: 0, lastInsertRowid: 0 };
     values.push(eventId);
     try {
@@ -687,6 +1263,152 @@ const admin = {
     }
   },
 
+  // Events whose scheduled publish or unpublish time has passed.
+  listDuePublishChanges: (nowTxt) => {
+    return db.prepare(`
+      SELECT event_id, name, publish_at, unpublish_at,
+             COALESCE(publish_state, CASE WHEN COALESCE(is_published,0)=1 THEN 'published' ELSE 'draft' END) AS publish_state
+      FROM events
+      WHERE (publish_at IS NOT NULL AND publish_at <= ?)
+         OR (unpublish_at IS NOT NULL AND unpublish_at <= ?)
+      ORDER BY event_id
+    `).all(nowTxt, nowTxt);
+  },
+
+  // Apply a scheduled publish-state change and clear the schedule entry that
+  // triggered it, so a later manual change is not overridden.
+  applyScheduledPublish: (eventId, state, clearColumn) => {
+    const column = clearColumn === 'unpublish_at' ? 'unpublish_at' : 'publish_at';
+    try {
+      const res = db.prepare(`
+        UPDATE events SET is_published = ?, publish_state = ?, ${column} = NULL WHERE event_id = ?
+      `).run(state === 'draft' ? 0 : 1, state, eventId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error applying scheduled publish: ' + e.message);
+    }
+  },
+
+  // Events that ended before `cutoffTxt` (local text) and are not archived yet.
+  listEventsDueForArchive: (cutoffTxt) => {
+    return db.prepare(`
+      SELECT event_id, name, date_end
+      FROM events
+      WHERE archived_at IS NULL AND REPLACE(date_end, 'T', ' ') < ?
+      ORDER BY event_id
+    `).all(cutoffTxt);
+  },
+
+  archiveEvent: (eventId) => {
+    const res = db.prepare(`UPDATE events SET archived_at = datetime('now') WHERE event_id = ? AND archived_at IS NULL`).run(eventId);
+    return mapRun(res);
+  },
+
+  // Events that ended before `cutoffTxt` whose personal details are still
+  // stored, with how much each purge would touch.
+  listEventsDueForPurge: (cutoffTxt) => {
+    return db.prepare(`
+      SELECT
+        e.event_id, e.name, e.date_start, e.date_end, e.archived_at,
+        (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.event_id) AS registration_count,
+        (SELECT COUNT(*) FROM participants p JOIN registrations r ON r.registration_id = p.registration_id
+          WHERE r.event_id = e.event_id) AS participant_count,
+        (SELECT COUNT(*) FROM question_answers qa JOIN registrations r ON r.registration_id = qa.registration_id
+          WHERE r.event_id = e.event_id) AS answer_count,
+        (SELECT COUNT(*) FROM mail_outbox m WHERE m.event_id = e.event_id AND m.to_address <> '') AS mail_count
+      FROM events e
+      WHERE e.pii_purged_at IS NULL AND REPLACE(e.date_end, 'T', ' ') < ?
+      ORDER BY e.date_end, e.event_id
+    `).all(cutoffTxt);
+  },
+
+  // Anonymise everyone who signed up for an event. Registrations, participants
+  // and their shifts stay (so hours and fill rates still add up) but names,
+  // contact details, free-text answers and notes are cleared, along with the
+  // copies kept in emails, broadcasts, webhook payloads and the audit log.
+  // The purge's own audit rows are dropped; the event's pii_purged_at update
+  // records it instead.
+  purgeEventPii: (eventId) => {
+    const regIds = `SELECT registration_id FROM registrations WHERE event_id = ?`;
+    const personal = `'registration', 'participant', 'reservation', 'potluck_reservation'`;
+    const tx = db.transaction(() => {
+      const lastAudit = db.prepare(`SELECT COALESCE(MAX(audit_id), 0) AS id FROM audit_log`).get().id;
+      const registrations = db.prepare(`
+        UPDATE registrations
+        SET registrant_name = 'Anonymised', registrant_email = '', registrant_phone = NULL,
+            manage_token_hash = NULL, manage_token_expires_at = NULL, calendar_token = NULL,
+            email_opt_in = 0, email_opt_out_reason = NULL,
+            sms_opt_in = 0, sms_phone = NULL
+        WHERE event_id = ?
+      `).run(eventId).changes;
+      db.prepare(`DELETE FROM registration_tokens WHERE registration_id IN (${regIds})`).run(eventId);
+      // Numbered so names stay unique within a registration and the hours
+      // report still counts each participant once.
+      const participants = db.prepare(`
+        UPDATE participants
+        SET participant_name = 'Anonymised #' || participant_id, age_bracket = NULL, qualifications = NULL
+        WHERE registration_id IN (${regIds})
+      `).run(eventId).changes;
+      db.prepare(`DELETE FROM question_answers WHERE registration_id IN (${regIds})`).run(eventId);
+      db.prepare(`
+        UPDATE schedule_assignments SET cant_make_it_note = NULL
+        WHERE cant_make_it_note IS NOT NULL
+          AND participant_id IN (SELECT participant_id FROM participants WHERE registration_id IN (${regIds}))
+      `).run(eventId);
+      db.prepare(`
+        UPDATE potluck_assignments SET dish_name = NULL
+        WHERE dish_name IS NOT NULL
+          AND participant_id IN (SELECT participant_id FROM participants WHERE registration_id IN (${regIds}))
+      `).run(eventId);
+      db.prepare(`UPDATE shift_swaps SET note = NULL WHERE event_id = ?`).run(eventId);
+      db.prepare(`
+        UPDATE broadcast_recipients SET email = ''
+        WHERE message_id IN (SELECT message_id FROM broadcast_messages WHERE event_id = ?)
+      `).run(eventId);
+      db.prepare(`
+        UPDATE mail_outbox
+        SET to_address = '', subject = 'Anonymised', text_body = NULL, html_body = NULL, headers_json = NULL, attachments_json = NULL,
+            status = CASE WHEN status = 'pending' THEN 'discarded' ELSE status END
+        WHERE event_id = ?
+      `).run(eventId);
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET payload_json = json_remove(payload_json, '$.data.registration', '$.data.removed.participant_name')
+        WHERE CASE WHEN json_valid(payload_json) THEN json_extract(payload_json, '$.data.event.event_id') END = ?
+      `).run(eventId);
+      db.prepare(`DELETE FROM audit_log WHERE audit_id > ? AND event_id = ? AND entity_type IN (${personal})`).run(lastAudit, eventId);
+      const piiKeys = `'$.registrant_name', '$.registrant_email', '$.registrant_phone', '$.participant_name', '$.age_bracket', '$.qualifications'`;
+      db.prepare(`
+        UPDATE audit_log
+        SET before_json = json_remove(before_json, ${piiKeys}), after_json = json_remove(after_json, ${piiKeys})
+        WHERE event_id = ? AND entity_type IN (${personal})
+      `).run(eventId);
+      db.prepare(`
+        UPDATE events SET pii_purged_at = datetime('now'), archived_at = COALESCE(archived_at, datetime('now'))
+        WHERE event_id = ?
+      `).run(eventId);
+      return { registrations, participants };
+    });
+    try {
+      return tx();
+    } catch (e) {
+      throw createError(500, 'DB error purging personal details: ' + e.message);
+    }
+  },
+
+  insertPurgeRun: (run) => {
+    const res = db.prepare(`
+      INSERT INTO purge_runs (source, run_by, retention_days, cutoff, event_count, registration_count, participant_count, events_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(run.source, run.run_by || null, run.retention_days, run.cutoff,
+      run.event_count, run.registration_count, run.participant_count, JSON.stringify(run.events || []));
+    return mapRun(res);
+  },
+
+  listPurgeRuns: (limit = 50) => {
+    return db.prepare(`SELECT * FROM purge_runs ORDER BY run_id DESC LIMIT ?`).all(limit);
+  },
+
   // deprecated: setEventState removed (use setEventPublish)
 
   // Persist edits to a station's descriptive fields.
@@ -704,6 +1426,31 @@ const admin = {
     }
   },
 
+  // Minimum age (NULL = none) and required qualifications (one per line).
+  setStationRequirements: (stationId, { minAge, qualifications }) => {
+    try {
+      const res = db.prepare(`
+        UPDATE stations SET min_age = ?, required_qualifications = ? WHERE station_id = ?
+      `).run(minAge || null, qualifications || null, stationId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error updating station requirements: ' + e.message);
+    }
+  },
+
+  // A station's own location fields (NULL = use the event's); see utils/location.js.
+  setStationLocation: (stationId, { location_name, location_address, location_room, location_notes }) => {
+    try {
+      const res = db.prepare(`
+        UPDATE stations SET location_name = ?, location_address = ?, location_room = ?, location_notes = ?
+        WHERE station_id = ?
+      `).run(location_name || null, location_address || null, location_room || null, location_notes || null, stationId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error updating station location: ' + e.message);
+    }
+  },
+
   // Apply a partial update to a time block entry.
   updateTimeBlock: (blockId, patch) => {
     const fields = [];
@@ -724,78 +1471,867 @@ const admin = {
     }
   },
 
-  // Delete
-  // Cascade-delete an event, removing dependent stations, blocks, and reservations.
-  deleteEvent: (id) => {
-    try {
-      const txn = db.transaction((eventId) => {
-        db.prepare(`
-          DELETE FROM reservations
-          WHERE block_id IN (
-            SELECT block_id FROM time_blocks
-            WHERE station_id IN (SELECT station_id FROM stations WHERE event_id = ?)
-          )
-        `).run(eventId);
-        db.prepare(`
-          DELETE FROM time_blocks
-          WHERE station_id IN (SELECT station_id FROM stations WHERE event_id = ?)
-        `).run(eventId);
-        db.prepare(`DELETE FROM stations WHERE event_id = ?`).run(eventId);
-        const res = db.prepare(`DELETE FROM events WHERE event_id = ?`).run(eventId);
-        return res;
-      });
-      const res = txn(id);
-      return mapRun(res);
-    } catch (e) {
-      throw createError(500, 'DB error deleting event: ' + e.message);
-    }
+  // Delete
+  // Cascade-delete an event, removing dependent stations, blocks, and reservations.
+  deleteEvent: (id) => {
+    try {
+      const txn = db.transaction((eventId) => {
+        db.prepare(`
+          DELETE FROM reservations
+          WHERE block_id IN (
+            SELECT block_id FROM time_blocks
+            WHERE station_id IN (SELECT station_id FROM stations WHERE event_id = ?)
+          )
+        `).run(eventId);
+        db.prepare(`
+          DELETE FROM time_blocks
+          WHERE station_id IN (SELECT station_id FROM stations WHERE event_id = ?)
+        `).run(eventId);
+        db.prepare(`DELETE FROM stations WHERE event_id = ?`).run(eventId);
+        const res = db.prepare(`DELETE FROM events WHERE event_id = ?`).run(eventId);
+        return res;
+      });
+      const res = txn(id);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error deleting event: ' + e.message);
+    }
+  },
+
+  // Delete a station and its blocks/reservations via a transaction.
+  deleteStation: (id) => {
+    try {
+      const txn = db.transaction((stationId) => {
+        db.prepare(`DELETE FROM reservations WHERE block_id IN (SELECT block_id FROM time_blocks WHERE station_id = ?)`).run(stationId);
+        db.prepare(`DELETE FROM time_blocks WHERE station_id = ?`).run(stationId);
+        const res = db.prepare(`DELETE FROM stations WHERE station_id = ?`).run(stationId);
+        return res;
+      });
+      const res = txn(id);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error deleting station: ' + e.message);
+    }
+  },
+
+  // Delete a single time block and any attached reservations.
+  deleteTimeBlock: (blockId) => {
+    try {
+      const txn = db.transaction((bid) => {
+        db.prepare(`DELETE FROM reservations WHERE block_id = ?`).run(bid);
+        const res = db.prepare(`DELETE FROM time_blocks WHERE block_id = ?`).run(bid);
+        return res;
+      });
+      const res = txn(blockId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error deleting time block: ' + e.message);
+    }
+  },
+  // Write a planned structure import (adminService.applyStructureImport) in one
+  // transaction: stations are created or updated, then their blocks.
+  applyStructureImport: (eventId, stations) => {
+    const tx = db.transaction((list) => {
+      list.forEach(st => {
+        let stationId = st.station_id;
+        if (st.action === 'create') {
+          stationId = admin.createStation(eventId, st.values.name, st.values.about || '', st.values.duties || '').lastInsertRowid;
+        } else if (st.action === 'update') {
+          admin.updateStation(stationId, st.values.name, st.values.about || '', st.values.duties || '');
+        }
+        st.blocks.forEach(b => {
+          const { start_time, end_time, capacity_needed, ...rest } = b.values;
+          if (b.action === 'create') {
+            const blockId = admin.createTimeBlock(stationId, start_time, end_time, capacity_needed).lastInsertRowid;
+            admin.updateTimeBlock(blockId, rest);
+          } else {
+            admin.updateTimeBlock(b.block_id, b.values);
+          }
+        });
+      });
+      return { changes: list.length };
+    });
+    return tx(stations);
+  },
+  // Update station ordering for an event. Accepts array of { station_id, station_order }
+  updateStationsOrder: (pairs) => {
+    try {
+      const tx = db.transaction((list) => {
+        const stmt = db.prepare(`UPDATE stations SET station_order = ? WHERE station_id = ?`);
+        for (const p of list) {
+          stmt.run(p.station_order, p.station_id);
+        }
+        return { changes: list.length };
+      });
+      return tx(pairs);
+    } catch (e) {
+      throw createError(500, 'DB error updating station order: ' + e.message);
+    }
+  },
+  // Start a recurring series with `templateEventId` as occurrence 0.
+  createEventSeries: (templateEventId, frequency, untilDate, occurrenceCount) => {
+    try {
+      const tx = db.transaction(() => {
+        const res = db.prepare(`
+          INSERT INTO event_series (template_event_id, frequency, until_date, occurrence_count, created_at)
+          VALUES (?, ?, ?, ?, datetime('now'))
+        `).run(templateEventId, frequency, untilDate || null, occurrenceCount || null);
+        db.prepare(`UPDATE events SET series_id = ?, series_index = 0 WHERE event_id = ?`)
+          .run(res.lastInsertRowid, templateEventId);
+        return mapRun(res);
+      });
+      return tx();
+    } catch (e) {
+      throw createError(500, 'DB error creating event series: ' + e.message);
+    }
+  },
+
+  // Attach an occurrence to a series at the given position.
+  setEventSeries: (eventId, seriesId, seriesIndex) => {
+    try {
+      const res = db.prepare(`UPDATE events SET series_id = ?, series_index = ? WHERE event_id = ?`)
+        .run(seriesId, seriesIndex, eventId);
+      return mapRun(res);
+    } catch (e) {
+      throw createError(500, 'DB error linking event to series: ' + e.message);
+    }
+  },
+
+  getEventSeries: (seriesId) => {
+    return db.prepare(`SELECT * FROM event_series WHERE series_id = ?`).get(seriesId);
+  },
+
+  // Record the template station/block a series copy was made from.
+  setStationSource: (stationId, sourceStationId) => {
+    const res = db.prepare(`UPDATE stations SET source_station_id = ? WHERE station_id = ?`).run(sourceStationId, stationId);
+    return mapRun(res);
+  },
+
+  setTimeBlockSource: (blockId, sourceBlockId) => {
+    const res = db.prepare(`UPDATE time_blocks SET source_block_id = ? WHERE block_id = ?`).run(sourceBlockId, blockId);
+    return mapRun(res);
+  },
+
+  // station_id/block_id -> the template ids they were copied from (null when unknown).
+  getStructureSources: (eventId) => {
+    const stations = new Map();
+    const blocks = new Map();
+    db.prepare(`
+      SELECT s.station_id, s.source_station_id, tb.block_id, tb.source_block_id
+      FROM stations s
+      LEFT JOIN time_blocks tb ON tb.station_id = s.station_id
+      WHERE s.event_id = ?
+    `).all(eventId).forEach(row => {
+      stations.set(row.station_id, row.source_station_id);
+      if (row.block_id) blocks.set(row.block_id, row.source_block_id);
+    });
+    return { stations, blocks };
+  },
+
+  countEventRegistrations: (eventId) => {
+    return db.prepare(`SELECT COUNT(*) AS c FROM registrations WHERE event_id = ?`).get(eventId).c;
+  },
+
+  // Run `fn` in one transaction: every write it makes lands, or none do.
+  inTransaction: (fn) => db.transaction(fn)(),
+
+  // Every event in a series, template first.
+  listSeriesEvents: (seriesId) => {
+    return db.prepare(`
+      SELECT event_id, name, date_start, date_end, series_index,
+             COALESCE(publish_state, CASE WHEN COALESCE(is_published,0)=1 THEN 'published' ELSE 'draft' END) AS publish_state
+      FROM events
+      WHERE series_id = ?
+      ORDER BY COALESCE(series_index, 0) ASC, datetime(date_start) ASC
+    `).all(seriesId);
+  },
+
+  // --- Admin accounts -------------------------------------------------------
+  // Who hears about an event's volunteers: every owner plus the event's coordinators.
+  listEventNotifyEmails: (eventId) => {
+    return db.prepare(`
+      SELECT DISTINCT u.email
+      FROM admin_users u
+      WHERE u.role = 'owner'
+         OR u.admin_user_id IN (SELECT admin_user_id FROM event_coordinators WHERE event_id = ?)
+      ORDER BY LOWER(u.email)
+    `).all(eventId).map(row => row.email);
+  },
+
+  listAdminUsers: () => {
+    return db.prepare(`
+      SELECT u.*,
+             (SELECT GROUP_CONCAT(ec.event_id) FROM event_coordinators ec WHERE ec.admin_user_id = u.admin_user_id) AS event_ids
+      FROM admin_users u
+      ORDER BY CASE u.role WHEN 'owner' THEN 0 WHEN 'coordinator' THEN 1 ELSE 2 END, LOWER(u.email)
+    `).all();
+  },
+
+  getAdminUserByEmail: (email) => {
+    return db.prepare(`SELECT * FROM admin_users WHERE email = ?`).get(String(email || '').trim());
+  },
+
+  getAdminUserById: (adminUserId) => {
+    return db.prepare(`SELECT * FROM admin_users WHERE admin_user_id = ?`).get(adminUserId);
+  },
+
+  countAdminUsers: (role) => {
+    const row = role
+      ? db.prepare(`SELECT COUNT(*) AS cnt FROM admin_users WHERE role = ?`).get(role)
+      : db.prepare(`SELECT COUNT(*) AS cnt FROM admin_users`).get();
+    return row ? row.cnt : 0;
+  },
+
+  createAdminUser: (email, displayName, role) => {
+    try {
+      const res = db.prepare(`
+        INSERT INTO admin_users (email, display_name, role, created_at)
+        VALUES (?, ?, ?, datetime('now'))
+      `).run(String(email).trim(), displayName || null, role);
+      return mapRun(res);
+    } catch (e) {
+      if (String(e.message).includes('UNIQUE')) throw createError(409, 'That email already has access.');
+      throw createError(500, 'DB error creating admin user: ' + e.message);
+    }
+  },
+
+  updateAdminUserRole: (adminUserId, role) => {
+    try {
+      return mapRun(db.prepare(`UPDATE admin_users SET role = ? WHERE admin_user_id = ?`).run(role, adminUserId));
+    } catch (e) {
+      throw createError(500, 'DB error updating admin user: ' + e.message);
+    }
+  },
+
+  recordAdminLogin: (adminUserId, displayName) => {
+    db.prepare(`
+      UPDATE admin_users
+      SET last_login_at = datetime('now'), display_name = COALESCE(?, display_name)
+      WHERE admin_user_id = ?
+    `).run(displayName || null, adminUserId);
+  },
+
+  deleteAdminUser: (adminUserId) => {
+    try {
+      return mapRun(db.prepare(`DELETE FROM admin_users WHERE admin_user_id = ?`).run(adminUserId));
+    } catch (e) {
+      throw createError(500, 'DB error removing admin user: ' + e.message);
+    }
+  },
+
+  listCoordinatorEventIds: (adminUserId) => {
+    return db.prepare(`SELECT event_id FROM event_coordinators WHERE admin_user_id = ?`)
+      .all(adminUserId)
+      .map(row => row.event_id);
+  },
+
+  // Replace the set of events a coordinator may edit.
+  setCoordinatorEvents: (adminUserId, eventIds) => {
+    try {
+      const tx = db.transaction((ids) => {
+        db.prepare(`DELETE FROM event_coordinators WHERE admin_user_id = ?`).run(adminUserId);
+        const insert = db.prepare(`INSERT OR IGNORE INTO event_coordinators (event_id, admin_user_id) VALUES (?, ?)`);
+        ids.forEach(eventId => insert.run(eventId, adminUserId));
+      });
+      tx(Array.isArray(eventIds) ? eventIds : []);
+    } catch (e) {
+      throw createError(500, 'DB error assigning coordinator events: ' + e.message);
+    }
+  },
+
+  addEventCoordinator: (eventId, adminUserId) => {
+    db.prepare(`INSERT OR IGNORE INTO event_coordinators (event_id, admin_user_id) VALUES (?, ?)`).run(eventId, adminUserId);
+  },
+
+  getStationEventId: (stationId) => {
+    const row = db.prepare(`SELECT event_id FROM stations WHERE station_id = ?`).get(stationId);
+    return row ? row.event_id : null;
+  },
+
+  getBlockEventId: (blockId) => {
+    const row = db.prepare(`
+      SELECT s.event_id
+      FROM time_blocks tb
+      JOIN stations s ON s.station_id = tb.station_id
+      WHERE tb.block_id = ?
+    `).get(blockId);
+    return row ? row.event_id : null;
+  },
+
+  // Return the station's check-in token, minting one on first use.
+  ensureStationCheckinToken: (stationId) => {
+    const row = db.prepare(`SELECT checkin_token FROM stations WHERE station_id = ?`).get(stationId);
+    if (!row) throw createError(404, 'Station not found.');
+    if (row.checkin_token) return row.checkin_token;
+    const token = crypto.randomBytes(16).toString('hex');
+    db.prepare(`UPDATE stations SET checkin_token = ? WHERE station_id = ? AND checkin_token IS NULL`).run(token, stationId);
+    return db.prepare(`SELECT checkin_token FROM stations WHERE station_id = ?`).get(stationId).checkin_token;
+  },
+
+  // Audit history for one event, newest first. `beforeId` pages backwards.
+  listAuditLog: (eventId, filters = {}) => {
+    const where = ['event_id = ?'];
+    const values = [eventId];
+    if (filters.entityType) { where.push('entity_type = ?'); values.push(filters.entityType); }
+    if (filters.action) { where.push('action = ?'); values.push(filters.action); }
+    if (filters.actor) { where.push('actor = ?'); values.push(filters.actor); }
+    if (filters.beforeId) { where.push('audit_id < ?'); values.push(filters.beforeId); }
+    values.push(filters.limit || 100);
+    return db.prepare(`
+      SELECT audit_id, event_id, entity_type, entity_id, action, actor, actor_type, before_json, after_json, created_at
+      FROM audit_log
+      WHERE ${where.join(' AND ')}
+      ORDER BY audit_id DESC
+      LIMIT ?
+    `).all(values);
+  },
+
+  listAuditActors: (eventId) => {
+    return db.prepare(`
+      SELECT actor, actor_type, COUNT(*) AS changes
+      FROM audit_log
+      WHERE event_id = ?
+      GROUP BY actor, actor_type
+      ORDER BY actor COLLATE NOCASE
+    `).all(eventId);
+  },
+
+  // One row per shift signup whose block starts within [fromDate, untilDate]
+  // (local YYYY-MM-DD, inclusive). `attendedOnly` keeps present/late shifts.
+  listVolunteerShifts: (fromDate, untilDate, opts = {}) => {
+    const where = [`substr(replace(tb.start_time, 'T', ' '), 1, 10) BETWEEN ? AND ?`];
+    if (opts.attendedOnly) where.push(`sa.attendance_status IN ('present', 'late')`);
+    return db.prepare(`
+      SELECT
+        sa.assignment_id,
+        sa.attendance_status,
+        p.participant_id,
+        p.participant_name,
+        r.registrant_name,
+        lower(r.registrant_email) AS registrant_email,
+        e.event_id,
+        e.name AS event_name,
+        e.date_start AS event_date_start,
+        s.station_id,
+        s.name AS station_name,
+        tb.start_time,
+        tb.end_time
+      FROM schedule_assignments sa
+      JOIN participants p ON p.participant_id = sa.participant_id
+      JOIN registrations r ON r.registration_id = p.registration_id
+      JOIN time_blocks tb ON tb.block_id = sa.time_block_id
+      JOIN stations s ON s.station_id = tb.station_id
+      JOIN events e ON e.event_id = s.event_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY tb.start_time ASC, sa.assignment_id ASC
+    `).all(fromDate, untilDate);
+  },
+
+  // API tokens: the raw token is hashed here and never stored.
+  createApiToken: (name, token, scope, createdBy) => {
+    return mapRun(db.prepare(`
+      INSERT INTO api_tokens (name, token_hash, token_prefix, scope, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, hashToken(token), String(token).slice(0, 12), scope, createdBy || null));
+  },
+
+  listApiTokens: () => {
+    return db.prepare(`
+      SELECT api_token_id, name, token_prefix, scope, created_by, created_at, last_used_at, revoked_at
+      FROM api_tokens
+      ORDER BY revoked_at IS NOT NULL, created_at DESC, api_token_id DESC
+    `).all();
+  },
+
+  getActiveApiToken: (token) => {
+    if (!token) return null;
+    return db.prepare(`
+      SELECT api_token_id, name, token_prefix, scope, created_by, created_at, last_used_at
+      FROM api_tokens
+      WHERE token_hash = ? AND revoked_at IS NULL
+    `).get(hashToken(token)) || null;
+  },
+
+  touchApiToken: (apiTokenId) => {
+    return mapRun(db.prepare(`UPDATE api_tokens SET last_used_at = datetime('now') WHERE api_token_id = ?`).run(apiTokenId));
+  },
+
+  revokeApiToken: (apiTokenId) => {
+    return mapRun(db.prepare(`
+      UPDATE api_tokens SET revoked_at = datetime('now')
+      WHERE api_token_id = ? AND revoked_at IS NULL
+    `).run(apiTokenId));
+  },
+
+  // --- Webhooks ---
+  listWebhookEndpoints: () => {
+    return db.prepare(`
+      SELECT
+        we.*,
+        (SELECT COUNT(*) FROM webhook_deliveries wd WHERE wd.endpoint_id = we.endpoint_id AND wd.status = 'pending') AS pending_count,
+        (SELECT COUNT(*) FROM webhook_deliveries wd WHERE wd.endpoint_id = we.endpoint_id AND wd.status = 'failed') AS failed_count,
+        (SELECT MAX(wd.delivered_at) FROM webhook_deliveries wd WHERE wd.endpoint_id = we.endpoint_id) AS last_delivered_at
+      FROM webhook_endpoints we
+      ORDER BY we.name COLLATE NOCASE, we.endpoint_id
+    `).all();
+  },
+
+  getWebhookEndpoint: (endpointId) => {
+    return db.prepare(`SELECT * FROM webhook_endpoints WHERE endpoint_id = ?`).get(endpointId) || null;
+  },
+
+  listActiveWebhookEndpoints: () => {
+    return db.prepare(`SELECT * FROM webhook_endpoints WHERE is_active = 1 ORDER BY endpoint_id`).all();
+  },
+
+  createWebhookEndpoint: (name, url, secret, eventTypes, createdBy) => {
+    return mapRun(db.prepare(`
+      INSERT INTO webhook_endpoints (name, url, secret, event_types, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, url, secret, eventTypes, createdBy || null));
+  },
+
+  updateWebhookEndpoint: (endpointId, patch) => {
+    const fields = [];
+    const values = [];
+    ['name', 'url', 'secret', 'event_types', 'is_active'].forEach(key => {
+      if (patch[key] !== undefined) { fields.push(`${key} = ?`); values.push(patch[key]); }
+    });
+    if (!fields.length) return { changes: 0 };
+    values.push(endpointId);
+    return mapRun(db.prepare(`UPDATE webhook_endpoints SET ${fields.join(', ')} WHERE endpoint_id = ?`).run(values));
+  },
+
+  deleteWebhookEndpoint: (endpointId) => {
+    return mapRun(db.prepare(`DELETE FROM webhook_endpoints WHERE endpoint_id = ?`).run(endpointId));
+  },
+
+  // Queue one delivery per endpoint for the same payload.
+  enqueueWebhookDeliveries: (endpointIds, eventType, payloadJson) => {
+    const insert = db.prepare(`
+      INSERT INTO webhook_deliveries (endpoint_id, event_type, payload_json)
+      VALUES (?, ?, ?)
+    `);
+    const tx = db.transaction((ids) => ids.map(id => insert.run(id, eventType, payloadJson).lastInsertRowid));
+    return tx(endpointIds);
+  },
+
+  // Pending deliveries whose next attempt (UTC text) is due, oldest first.
+  listDueWebhookDeliveries: (nowUtcTxt, limit = 25) => {
+    return db.prepare(`
+      SELECT wd.*, we.url, we.secret, we.name AS endpoint_name
+      FROM webhook_deliveries wd
+      JOIN webhook_endpoints we ON we.endpoint_id = wd.endpoint_id
+      WHERE wd.status = 'pending' AND wd.next_attempt_at <= ? AND we.is_active = 1
+      ORDER BY wd.next_attempt_at ASC, wd.delivery_id ASC
+      LIMIT ?
+    `).all(nowUtcTxt, limit);
+  },
+
+  recordWebhookAttempt: (deliveryId, result) => {
+    return mapRun(db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?,
+          attempts = attempts + 1,
+          next_attempt_at = COALESCE(?, next_attempt_at),
+          last_attempt_at = ?,
+          response_status = ?,
+          last_error = ?,
+          delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+      WHERE delivery_id = ?
+    `).run(
+      result.status,
+      result.nextAttemptAt || null,
+      result.attemptedAt,
+      result.responseStatus == null ? null : result.responseStatus,
+      result.error || null,
+      result.status,
+      result.attemptedAt,
+      deliveryId
+    ));
+  },
+
+  listWebhookDeliveries: (filters = {}) => {
+    const where = ['1 = 1'];
+    const values = [];
+    if (filters.endpointId) { where.push('wd.endpoint_id = ?'); values.push(filters.endpointId); }
+    if (filters.status) { where.push('wd.status = ?'); values.push(filters.status); }
+    if (filters.beforeId) { where.push('wd.delivery_id < ?'); values.push(filters.beforeId); }
+    values.push(filters.limit || 100);
+    return db.prepare(`
+      SELECT wd.delivery_id, wd.endpoint_id, wd.event_type, wd.payload_json, wd.status, wd.attempts,
+             wd.next_attempt_at, wd.last_attempt_at, wd.response_status, wd.last_error,
+             wd.created_at, wd.delivered_at, we.name AS endpoint_name, we.url
+      FROM webhook_deliveries wd
+      JOIN webhook_endpoints we ON we.endpoint_id = wd.endpoint_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY wd.delivery_id DESC
+      LIMIT ?
+    `).all(values);
+  },
+
+  // Put a failed delivery back in the queue for an immediate attempt.
+  retryWebhookDelivery: (deliveryId) => {
+    return mapRun(db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', next_attempt_at = datetime('now')
+      WHERE delivery_id = ? AND status = 'failed'
+    `).run(deliveryId));
+  },
+
+  // --- Broadcasts ---
+  // Registrations a broadcast goes to. `audience` is all | station | block |
+  // unfilled (contributors to items that still have open slots); `targetId`
+  // is the station or block for the narrower audiences.
+  listBroadcastAudience: (eventId, audience, targetId) => {
+    const assigned = `
+      WITH assigned AS (
+        SELECT p.registration_id, sa.time_block_id AS block_id
+        FROM schedule_assignments sa
+        JOIN participants p ON p.participant_id = sa.participant_id
+        UNION
+        SELECT p.registration_id, pa.item_id AS block_id
+        FROM potluck_assignments pa
+        JOIN participants p ON p.participant_id = pa.participant_id
+      )`;
+    const columns = `r.registration_id, r.registrant_name, r.registrant_email, COALESCE(r.email_opt_in, 1) AS email_opt_in`;
+    if (audience === 'all') {
+      return db.prepare(`
+        SELECT ${columns} FROM registrations r
+        WHERE r.event_id = ?
+        ORDER BY r.registration_id
+      `).all(eventId);
+    }
+    if (audience === 'station' || audience === 'block') {
+      return db.prepare(`
+        ${assigned}
+        SELECT DISTINCT ${columns}
+        FROM registrations r
+        JOIN assigned a ON a.registration_id = r.registration_id
+        JOIN time_blocks tb ON tb.block_id = a.block_id
+        WHERE r.event_id = ? AND ${audience === 'station' ? 'tb.station_id' : 'tb.block_id'} = ?
+        ORDER BY r.registration_id
+      `).all(eventId, targetId);
+    }
+    if (audience === 'unfilled') {
+      return db.prepare(`
+        SELECT DISTINCT ${columns}
+        FROM registrations r
+        JOIN participants p ON p.registration_id = r.registration_id
+        JOIN potluck_assignments pa ON pa.participant_id = p.participant_id
+        JOIN time_blocks tb ON tb.block_id = pa.item_id
+        WHERE r.event_id = ?
+          AND (SELECT COUNT(*) FROM potluck_assignments x WHERE x.item_id = tb.block_id) < tb.capacity_needed
+        ORDER BY r.registration_id
+      `).all(eventId);
+    }
+    return [];
+  },
+
+  // Store a broadcast and queue its recipients in one step. Opted-out
+  // recipients are recorded as skipped so the history shows them.
+  createBroadcast: (message, recipients) => {
+    const tx = db.transaction(() => {
+      const messageId = db.prepare(`
+        INSERT INTO broadcast_messages (event_id, audience, audience_id, audience_label, subject, body, sent_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        message.event_id,
+        message.audience,
+        message.audience_id || null,
+        message.audience_label,
+        message.subject,
+        message.body,
+        message.sent_by || null
+      ).lastInsertRowid;
+      const insert = db.prepare(`
+        INSERT INTO broadcast_recipients (message_id, registration_id, email, status, error)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      recipients.forEach(r => insert.run(messageId, r.registration_id, r.email, r.status || 'pending', r.error || null));
+      return messageId;
+    });
+    return tx();
+  },
+
+  listBroadcastsForEvent: (eventId) => {
+    return db.prepare(`
+      SELECT
+        bm.*,
+        COUNT(br.recipient_id) AS recipient_count,
+        SUM(CASE WHEN br.status = 'pending' THEN 1 ELSE 0 END) AS pending_count,
+        SUM(CASE WHEN br.status = 'sent' THEN 1 ELSE 0 END) AS sent_count,
+        SUM(CASE WHEN br.status = 'failed' THEN 1 ELSE 0 END) AS failed_count,
+        SUM(CASE WHEN br.status = 'skipped' THEN 1 ELSE 0 END) AS skipped_count
+      FROM broadcast_messages bm
+      LEFT JOIN broadcast_recipients br ON br.message_id = bm.message_id
+      WHERE bm.event_id = ?
+      GROUP BY bm.message_id
+      ORDER BY bm.message_id DESC
+    `).all(eventId);
+  },
+
+  getBroadcast: (messageId) => {
+    return db.prepare(`SELECT * FROM broadcast_messages WHERE message_id = ?`).get(messageId) || null;
+  },
+
+  listBroadcastRecipients: (messageId) => {
+    return db.prepare(`
+      SELECT br.*, r.registrant_name
+      FROM broadcast_recipients br
+      LEFT JOIN registrations r ON r.registration_id = br.registration_id
+      WHERE br.message_id = ?
+      ORDER BY br.recipient_id
+    `).all(messageId);
+  },
+
+  // Oldest queued recipients across all broadcasts, with their message.
+  listPendingBroadcastRecipients: (limit = 10) => {
+    return db.prepare(`
+      SELECT br.recipient_id, br.registration_id, br.email, bm.message_id, bm.subject, bm.body
+      FROM broadcast_recipients br
+      JOIN broadcast_messages bm ON bm.message_id = br.message_id
+      WHERE br.status = 'pending'
+      ORDER BY br.recipient_id ASC
+      LIMIT ?
+    `).all(limit);
+  },
+
+  recordBroadcastRecipient: (recipientId, status, error) => {
+    return mapRun(db.prepare(`
+      UPDATE broadcast_recipients
+      SET status = ?, error = ?, sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END
+      WHERE recipient_id = ?
+    `).run(status, error || null, status, recipientId));
+  },
+
+  // --- Mail outbox ---
+  // `nextAttemptAt` (UTC text) lets the caller hold the row while it makes
+  // the first attempt itself.
+  enqueueMail: (mail) => {
+    return db.prepare(`
+      INSERT INTO mail_outbox (kind, event_id, to_address, subject, text_body, html_body, headers_json, attachments_json, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+    `).run(
+      mail.kind || 'other',
+      mail.event_id || null,
+      mail.to_address,
+      mail.subject,
+      mail.text_body || null,
+      mail.html_body || null,
+      mail.headers_json || null,
+      mail.attachments_json || null,
+      mail.next_attempt_at || null
+    ).lastInsertRowid;
+  },
+
+  getMail: (mailId) => {
+    return db.prepare(`
+      SELECT mo.*, e.name AS event_name
+      FROM mail_outbox mo
+      LEFT JOIN events e ON e.event_id = mo.event_id
+      WHERE mo.mail_id = ?
+    `).get(mailId) || null;
+  },
+
+  listDueMail: (nowUtcTxt, limit = 25) => {
+    return db.prepare(`
+      SELECT * FROM mail_outbox
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC, mail_id ASC
+      LIMIT ?
+    `).all(nowUtcTxt, limit);
+  },
+
+  // Push a due row's next attempt out to `leaseUntilTxt` so overlapping
+  // sweeps do not send it twice. Returns false if someone else got it first.
+  claimMail: (mailId, nowUtcTxt, leaseUntilTxt) => {
+    const info = db.prepare(`
+      UPDATE mail_outbox SET next_attempt_at = ?
+      WHERE mail_id = ? AND status = 'pending' AND next_attempt_at <= ?
+    `).run(leaseUntilTxt, mailId, nowUtcTxt);
+    return info.changes === 1;
+  },
+
+  recordMailAttempt: (mailId, result) => {
+    return mapRun(db.prepare(`
+      UPDATE mail_outbox
+      SET status = ?,
+          attempts = attempts + 1,
+          next_attempt_at = COALESCE(?, next_attempt_at),
+          last_attempt_at = ?,
+          last_error = ?,
+          sent_at = CASE WHEN ? = 'sent' THEN ? ELSE sent_at END
+      WHERE mail_id = ?
+    `).run(
+      result.status,
+      result.nextAttemptAt || null,
+      result.attemptedAt,
+      result.error || null,
+      result.status,
+      result.attemptedAt,
+      mailId
+    ));
+  },
+
+  listMail: (filters = {}) => {
+    const where = ['1 = 1'];
+    const values = [];
+    if (filters.status) { where.push('mo.status = ?'); values.push(filters.status); }
+    if (filters.kind) { where.push('mo.kind = ?'); values.push(filters.kind); }
+    if (filters.q) {
+      where.push(`(mo.to_address LIKE ? ESCAPE '\\' OR mo.subject LIKE ? ESCAPE '\\')`);
+      const like = '%' + String(filters.q).replace(/[\\%_]/g, m => '\\' + m) + '%';
+      values.push(like, like);
+    }
+    if (filters.beforeId) { where.push('mo.mail_id < ?'); values.push(filters.beforeId); }
+    values.push(filters.limit || 100);
+    return db.prepare(`
+      SELECT mo.mail_id, mo.kind, mo.event_id, mo.to_address, mo.subject, mo.status, mo.attempts,
+             mo.next_attempt_at, mo.last_attempt_at, mo.last_error, mo.created_at, mo.sent_at,
+             e.name AS event_name
+      FROM mail_outbox mo
+      LEFT JOIN events e ON e.event_id = mo.event_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY mo.mail_id DESC
+      LIMIT ?
+    `).all(values);
+  },
+
+  countMailByStatus: () => {
+    return db.prepare(`SELECT status, COUNT(*) AS count FROM mail_outbox GROUP BY status`).all();
+  },
+
+  // Queue a message again from scratch (any state except already pending).
+  resendMail: (mailId) => {
+    return mapRun(db.prepare(`
+      UPDATE mail_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), last_error = NULL
+      WHERE mail_id = ? AND status != 'pending'
+    `).run(mailId));
+  },
+
+  discardMail: (mailId) => {
+    return mapRun(db.prepare(`
+      UPDATE mail_outbox SET status = 'discarded'
+      WHERE mail_id = ? AND status IN ('pending', 'dead')
+    `).run(mailId));
+  },
+
+  // Drop sent/discarded messages (and the manage links inside them) once old.
+  purgeMail: (beforeUtcTxt) => {
+    return mapRun(db.prepare(`
+      DELETE FROM mail_outbox
+      WHERE status IN ('sent', 'discarded') AND created_at < ?
+    `).run(beforeUtcTxt));
+  },
+
+  // --- Email templates ---
+  // `eventId` null reads/writes the site-wide template.
+  getEmailTemplate: (templateKey, eventId) => {
+    return db.prepare(`
+      SELECT * FROM email_templates
+      WHERE template_key = ? AND COALESCE(event_id, 0) = COALESCE(?, 0)
+    `).get(templateKey, eventId || null) || null;
+  },
+
+  listEmailTemplates: (eventId) => {
+    return db.prepare(`
+      SELECT * FROM email_templates
+      WHERE event_id IS NULL OR event_id = ?
+      ORDER BY template_key, event_id
+    `).all(eventId || null);
+  },
+
+  countEmailTemplateOverrides: () => {
+    return db.prepare(`
+      SELECT template_key, COUNT(*) AS count
+      FROM email_templates
+      WHERE event_id IS NOT NULL
+      GROUP BY template_key
+    `).all();
+  },
+
+  saveEmailTemplate: (templateKey, eventId, fields) => {
+    const tx = db.transaction(() => {
+      const info = db.prepare(`
+        UPDATE email_templates
+        SET subject = ?, text_body = ?, html_body = ?, updated_by = ?, updated_at = datetime('now')
+        WHERE template_key = ? AND COALESCE(event_id, 0) = COALESCE(?, 0)
+      `).run(fields.subject, fields.text_body, fields.html_body || null, fields.updated_by || null, templateKey, eventId || null);
+      if (info.changes) return info;
+      return db.prepare(`
+        INSERT INTO email_templates (template_key, event_id, subject, text_body, html_body, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(templateKey, eventId || null, fields.subject, fields.text_body, fields.html_body || null, fields.updated_by || null);
+    });
+    return mapRun(tx());
+  },
+
+  deleteEmailTemplate: (templateKey, eventId) => {
+    return mapRun(db.prepare(`
+      DELETE FROM email_templates
+      WHERE template_key = ? AND COALESCE(event_id, 0) = COALESCE(?, 0)
+    `).run(templateKey, eventId || null));
+  },
+
+  // --- Registration questions ---
+  listEventQuestions: (eventId) => {
+    return db.prepare(`
+      SELECT q.*,
+        (SELECT COUNT(*) FROM question_answers a WHERE a.question_id = q.question_id) AS answer_count
+      FROM event_questions q
+      WHERE q.event_id = ?
+      ORDER BY q.question_order, q.question_id
+    `).all(eventId);
+  },
+
+  getEventQuestion: (questionId) => {
+    return db.prepare(`SELECT * FROM event_questions WHERE question_id = ?`).get(questionId) || null;
+  },
+
+  // New questions go to the end of the event's list.
+  createEventQuestion: (eventId, fields) => {
+    return mapRun(db.prepare(`
+      INSERT INTO event_questions (event_id, label, help_text, question_type, options, is_required, scope, question_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(question_order), 0) + 1 FROM event_questions WHERE event_id = ?))
+    `).run(eventId, fields.label, fields.help_text || null, fields.question_type, fields.options || null,
+      fields.is_required ? 1 : 0, fields.scope, eventId));
   },
 
-  // Delete a station and its blocks/reservations via a transaction.
-  deleteStation: (id) => {
-    try {
-      const txn = db.transaction((stationId) => {
-        db.prepare(`DELETE FROM reservations WHERE block_id IN (SELECT block_id FROM time_blocks WHERE station_id = ?)`).run(stationId);
-        db.prepare(`DELETE FROM time_blocks WHERE station_id = ?`).run(stationId);
-        const res = db.prepare(`DELETE FROM stations WHERE station_id = ?`).run(stationId);
-        return res;
-      });
-      const res = txn(id);
-      return mapRun(res);
-    } catch (e) {
-      throw createError(500, 'DB error deleting station: ' + e.message);
-    }
+  updateEventQuestion: (questionId, fields) => {
+    return mapRun(db.prepare(`
+      UPDATE event_questions
+      SET label = ?, help_text = ?, question_type = ?, options = ?, is_required = ?, scope = ?
+      WHERE question_id = ?
+    `).run(fields.label, fields.help_text || null, fields.question_type, fields.options || null,
+      fields.is_required ? 1 : 0, fields.scope, questionId));
   },
 
-  // Delete a single time block and any attached reservations.
-  deleteTimeBlock: (blockId) => {
-    try {
-      const txn = db.transaction((bid) => {
-        db.prepare(`DELETE FROM reservations WHERE block_id = ?`).run(bid);
-        const res = db.prepare(`DELETE FROM time_blocks WHERE block_id = ?`).run(bid);
-        return res;
-      });
-      const res = txn(blockId);
-      return mapRun(res);
-    } catch (e) {
-      throw createError(500, 'DB error deleting time block: ' + e.message);
-    }
+  deleteEventQuestion: (questionId) => {
+    return mapRun(db.prepare(`DELETE FROM event_questions WHERE question_id = ?`).run(questionId));
   },
-  // Update station ordering for an event. Accepts array of { station_id, station_order }
-  updateStationsOrder: (pairs) => {
-    try {
-      const tx = db.transaction((list) => {
-        const stmt = db.prepare(`UPDATE stations SET station_order = ? WHERE station_id = ?`);
-        for (const p of list) {
-          stmt.run(p.station_order, p.station_id);
-        }
-        return { changes: list.length };
-      });
-      return tx(pairs);
-    } catch (e) {
-      throw createError(500, 'DB error updating station order: ' + e.message);
-    }
+
+  // Renumber an event's questions in the given order (array of question ids).
+  setEventQuestionsOrder: (eventId, questionIds) => {
+    const tx = db.transaction(() => {
+      const stmt = db.prepare(`UPDATE event_questions SET question_order = ? WHERE question_id = ? AND event_id = ?`);
+      questionIds.forEach((id, idx) => stmt.run(idx + 1, id, eventId));
+      return { changes: questionIds.length };
+    });
+    return tx();
+  },
+
+  // Every answer given for the event, for exports.
+  listEventAnswers: (eventId) => {
+    return db.prepare(`
+      SELECT a.question_id, a.registration_id, a.participant_id, a.answer
+      FROM question_answers a
+      JOIN event_questions q ON q.question_id = a.question_id
+      WHERE q.event_id = ?
+    `).all(eventId);
   },
+
   // Update item ordering within a station. Accepts array of { block_id, item_order }
   updateBlocksOrder: (pairs) => {
     try {
@@ -830,6 +2366,8 @@ const publicDal = {
         s.event_id,
         s.station_id,
         s.name AS station_name,
+        s.min_age,
+        s.required_qualifications,
         COALESCE(e.signup_mode, 'schedule') AS signup_mode
       FROM time_blocks tb
       JOIN stations s ON s.station_id = tb.station_id
@@ -857,7 +2395,8 @@ const publicDal = {
   listUpcomingEvents: () => {
     return db.prepare(`
       SELECT event_id, name, description, date_start, date_end,
-             COALESCE(signup_mode, 'schedule') AS signup_mode
+             COALESCE(signup_mode, 'schedule') AS signup_mode,
+             signups_open_at, signups_close_at
       FROM events
       WHERE COALESCE(publish_state, CASE WHEN COALESCE(is_published,0)=1 THEN 'published' ELSE 'draft' END) = 'published'
         AND datetime(date_end) >= datetime('now')
@@ -870,7 +2409,11 @@ const publicDal = {
     return db.prepare(`
       SELECT event_id, name, description, date_start, date_end,
              COALESCE(is_published, 0) AS is_published,
-             COALESCE(signup_mode, 'schedule') AS signup_mode
+             COALESCE(signup_mode, 'schedule') AS signup_mode,
+             signups_open_at, signups_close_at, change_lockout_hours,
+             max_participants_per_registration, max_assignments_per_participant, min_assignments_per_participant,
+             max_hours_per_day, min_rest_minutes,
+             location_name, location_address, location_room, location_notes
       FROM events
       WHERE event_id = ?
     `).get(eventId);
@@ -882,11 +2425,19 @@ const publicDal = {
       SELECT
         e.event_id, e.name, e.description, e.date_start, e.date_end,
         COALESCE(e.signup_mode, 'schedule') AS signup_mode,
+        e.signups_open_at, e.signups_close_at, e.change_lockout_hours,
+        e.max_participants_per_registration, e.max_assignments_per_participant, e.min_assignments_per_participant,
+        e.max_hours_per_day, e.min_rest_minutes,
+        e.location_name, e.location_address, e.location_room, e.location_notes,
         s.station_id,
         s.name AS station_name,
         s.description AS station_description,
         s.description_overview AS station_description_overview,
         s.description_tasks AS station_description_tasks,
+        s.min_age AS station_min_age,
+        s.required_qualifications AS station_required_qualifications,
+        s.location_name AS station_location_name, s.location_address AS station_location_address,
+        s.location_room AS station_location_room, s.location_notes AS station_location_notes,
         tb.block_id, tb.start_time, tb.end_time, tb.capacity_needed, tb.title, tb.servings_min, tb.servings_max, tb.item_order,
         COALESCE(
           CASE WHEN COALESCE(e.signup_mode, 'schedule') = 'potluck' THEN rpot.cnt ELSE rsched.cnt END,
@@ -897,6 +2448,7 @@ const publicDal = {
             THEN CASE WHEN COALESCE(rpot.cnt, 0) >= tb.capacity_needed THEN 1 ELSE 0 END
           ELSE CASE WHEN COALESCE(rsched.cnt, 0) >= tb.capacity_needed THEN 1 ELSE 0 END
         END AS is_full,
+        COALESCE(wl.cnt, 0) AS waitlist_count,
         COALESCE(rn.notes_csv, '') AS notes_csv,
         COALESCE(rn.notes_with_names_csv, '') AS notes_with_names_csv
       FROM events e
@@ -912,6 +2464,11 @@ const publicDal = {
         FROM potluck_assignments
         GROUP BY item_id
       ) rpot ON rpot.block_id = tb.block_id
+      LEFT JOIN (
+        SELECT time_block_id AS block_id, COUNT(*) AS cnt
+        FROM waitlist_entries
+        GROUP BY time_block_id
+      ) wl ON wl.block_id = tb.block_id
       LEFT JOIN (
         SELECT pa.item_id AS block_id,
                GROUP_CONCAT(TRIM(pa.dish_name), '||') AS notes_csv,
@@ -1287,25 +2844,38 @@ const publicDal = {
   // ---------------------------------------------------------------------------
   // Group registrations (multi-participant)
   // ---------------------------------------------------------------------------
-  createRegistrationWithAssignments: (eventId, registrant, participantNames, scheduleAssignments, potluckAssignments) => {
-    const tx = db.transaction((eid, reg, participantList, sched, pot) => {
+  createRegistrationWithAssignments: (eventId, registrant, participantNames, scheduleAssignments, potluckAssignments, waitlistAssignments) => {
+    const tx = db.transaction((eid, reg, participantList, sched, pot, waitlist) => {
       const regRes = db.prepare(`
         INSERT INTO registrations (
           event_id, registrant_name, registrant_email, registrant_phone,
           created_at, manage_token_hash, manage_token_expires_at,
-          email_opt_in, email_opted_out_at, email_opt_out_reason
+          email_opt_in, email_opted_out_at, email_opt_out_reason,
+          sms_opt_in, sms_phone, sms_opted_in_at
         )
-        VALUES (?, ?, ?, ?, datetime('now'), NULL, NULL, ?, NULL, NULL)
+        VALUES (?, ?, ?, ?, datetime('now'), NULL, NULL, ?, NULL, NULL, ?, ?, CASE WHEN ? = 1 THEN datetime('now') END)
       `).run(
         eid,
         reg.name,
         reg.email,
         reg.phone || null,
-        typeof reg.email_opt_in === 'undefined' ? 1 : reg.email_opt_in ? 1 : 0
+        typeof reg.email_opt_in === 'undefined' ? 1 : reg.email_opt_in ? 1 : 0,
+        reg.sms_opt_in ? 1 : 0,
+        reg.sms_opt_in ? reg.sms_phone || null : null,
+        reg.sms_opt_in ? 1 : 0
       );
       const registrationId = regRes.lastInsertRowid;
-      const insertPart = db.prepare(`INSERT INTO participants (registration_id, participant_name) VALUES (?, ?)`);
-      const participantIds = participantList.map(name => insertPart.run(registrationId, name).lastInsertRowid);
+      // Entries are names, or { name, age_bracket, qualifications, answers } when
+      // the participant declared details for station requirements or answered
+      // participant-level registration questions.
+      const insertPart = db.prepare(`INSERT INTO participants (registration_id, participant_name, age_bracket, qualifications) VALUES (?, ?, ?, ?)`);
+      const participantIds = participantList.map(entry => {
+        const part = typeof entry === 'object' && entry ? entry : { name: entry };
+        const participantId = insertPart.run(registrationId, part.name, part.age_bracket || null, part.qualifications || null).lastInsertRowid;
+        if (part.answers) writeAnswers(registrationId, participantId, part.answers);
+        return participantId;
+      });
+      if (reg.answers) writeAnswers(registrationId, null, reg.answers);
 
       const blockIds = Array.from(new Set([
         ...sched.map(s => Number(s.blockId)),
@@ -1362,18 +2932,6 @@ const publicDal = {
           GROUP BY sa.time_block_id
         `).all([...schedIds, eid]);
         rows.forEach(row => schedCounts.set(Number(row.time_block_id), Number(row.cnt || 0)));
-        if (debugInfo) {
-          debugInfo.rawSchedCounts = rows;
-          debugInfo.schedRows = db.prepare(`
-            SELECT sa.time_block_id, sa.participant_id, sa.assignment_id, p.registration_id, r.registrant_email
-            FROM schedule_assignments sa
-            JOIN participants p ON p.participant_id = sa.participant_id
-            JOIN registrations r ON r.registration_id = p.registration_id
-            JOIN time_blocks tb ON tb.block_id = sa.time_block_id
-            JOIN stations s ON s.station_id = tb.station_id
-            WHERE sa.time_block_id IN (${placeholders}) AND s.event_id = ?
-          `).all([...schedIds, eid]);
-        }
       }
       const potCounts = new Map();
       if (potIds.length) {
@@ -1387,9 +2945,6 @@ const publicDal = {
           GROUP BY pa.item_id
         `).all([...potIds, eid]);
         rows.forEach(row => potCounts.set(Number(row.item_id), Number(row.cnt || 0)));
-        if (debugInfo) {
-          debugInfo.rawPotCounts = rows;
-        }
       }
 
       const pendingSched = new Map();
@@ -1452,10 +3007,35 @@ const publicDal = {
         insertPot.run(participantId, blockId, dish);
       });
 
+      // Waitlist requests: only for blocks of this event that are full, counting
+      // the shifts taken above. A block with room has to be picked as a shift,
+      // so it goes through the overlap and capacity checks.
+      const insertWait = db.prepare(`INSERT OR IGNORE INTO waitlist_entries (participant_id, time_block_id) VALUES (?, ?)`);
+      const takenStmt = db.prepare(`SELECT COUNT(*) AS cnt FROM schedule_assignments WHERE time_block_id = ?`);
+      const waitIds = Array.from(new Set(waitlist.map(w => Number(w.blockId)).filter(Number.isFinite)));
+      const waitInfo = new Map((waitIds.length ? publicDal.getBlocksInfo(waitIds) : []).map(b => [Number(b.block_id), b]));
+      waitlist.forEach(w => {
+        const blockId = Number(w.blockId);
+        if (!Number.isFinite(blockId)) return;
+        const info = waitInfo.get(blockId);
+        if (!info || Number(info.event_id) !== Number(eid)) {
+          throw createError(400, 'All waitlist requests must belong to this event.');
+        }
+        const cap = Number(info.capacity_needed);
+        if (!(Number.isFinite(cap) && cap > 0 && ((takenStmt.get(blockId) || {}).cnt || 0) >= cap)) {
+          throw createError(409, 'A time block you asked to wait for has open spots; pick it as a shift instead.');
+        }
+        const pIdxRaw = Number.isFinite(Number(w.participantIndex)) ? Number(w.participantIndex) : 0;
+        const participantId = participantIds[pIdxRaw];
+        if (!participantId) throw createError(400, 'Invalid participant reference in waitlist request.');
+        if (seenSched.has(`${participantId}:${blockId}`)) return;
+        insertWait.run(participantId, blockId);
+      });
+
       return { registrationId, participantIds };
     });
 
-    return tx(eventId, registrant, participantNames, scheduleAssignments || [], potluckAssignments || []);
+    return tx(eventId, registrant, participantNames, scheduleAssignments || [], potluckAssignments || [], waitlistAssignments || []);
   },
 
   replaceRegistrationAssignments: (registrationId, eventId, scheduleAssignments, potluckAssignments, debugOptions = {}) => {
@@ -1490,7 +3070,7 @@ const publicDal = {
       });
 
       const schedExisting = participantIds.length
-        ? db.prepare(`SELECT assignment_id, participant_id, time_block_id FROM schedule_assignments WHERE participant_id IN (${participantIds.map(() => '?').join(',')})`).all(participantIds)
+        ? db.prepare(`SELECT assignment_id, participant_id, time_block_id, cant_make_it_at, cant_make_it_note FROM schedule_assignments WHERE participant_id IN (${participantIds.map(() => '?').join(',')})`).all(participantIds)
         : [];
       const potExisting = participantIds.length
         ? db.prepare(`SELECT assignment_id, participant_id, item_id, dish_name FROM potluck_assignments WHERE participant_id IN (${participantIds.map(() => '?').join(',')})`).all(participantIds)
@@ -1703,7 +3283,14 @@ const publicDal = {
         db.prepare(`DELETE FROM potluck_assignments WHERE participant_id IN (${placeholders})`).run(participantIds);
       }
 
-      const insertSched = db.prepare(`INSERT INTO schedule_assignments (participant_id, time_block_id) VALUES (?, ?)`);
+      // Kept shifts hold on to a "can't make it" report; everything else is re-inserted fresh.
+      const cantMakeIt = new Map(schedExisting
+        .filter(r => r.cant_make_it_at)
+        .map(r => [`${r.participant_id}:${r.time_block_id}`, r]));
+      const insertSched = db.prepare(`
+        INSERT INTO schedule_assignments (participant_id, time_block_id, cant_make_it_at, cant_make_it_note)
+        VALUES (?, ?, ?, ?)
+      `);
       const insertPot = db.prepare(`INSERT INTO potluck_assignments (participant_id, item_id, dish_name) VALUES (?, ?, ?)`);
       const seenSched = new Set();
       sched.forEach(s => {
@@ -1714,7 +3301,8 @@ const publicDal = {
         const key = `${pid}:${bid}`;
         if (seenSched.has(key)) return;
         seenSched.add(key);
-        insertSched.run(pid, bid);
+        const report = cantMakeIt.get(key);
+        insertSched.run(pid, bid, report ? report.cant_make_it_at : null, report ? report.cant_make_it_note : null);
       });
       const seenPot = new Set();
       pot.forEach(p => {
@@ -1737,7 +3325,7 @@ const publicDal = {
 
   getRegistrationByToken: (token) => {
     const hashed = hashToken(token);
-    let row = db.prepare(`
+    const latest = `
       SELECT
         r.*,
         e.name AS event_name,
@@ -1749,8 +3337,26 @@ const publicDal = {
       FROM registrations r
       JOIN events e ON e.event_id = r.event_id
       WHERE r.manage_token_hash = ?
+    `;
+    let row = db.prepare(`
+      SELECT
+        r.*,
+        t.expires_at AS manage_token_expires_at,
+        e.name AS event_name,
+        e.date_start,
+        e.date_end,
+        COALESCE(e.signup_mode, 'schedule') AS signup_mode,
+        e.publish_state,
+        e.is_published
+      FROM registration_tokens t
+      JOIN registrations r ON r.registration_id = t.registration_id
+      JOIN events e ON e.event_id = r.event_id
+      WHERE t.token_hash = ?
     `).get(hashed);
+    if (row) return row;
 
+    // Links issued before registration_tokens existed only live on the registration
+    row = db.prepare(latest).get(hashed);
     if (row) return row;
 
     // Legacy fallback: find a registration that matches an older volunteer token/email
@@ -1783,16 +3389,45 @@ const publicDal = {
     return null;
   },
 
+  // Adds the link alongside the registration's others (storing one again
+  // renews its expiry) and drops any that have expired.
   storeRegistrationToken: (token, registrationId, expiresAt) => {
     const hashed = hashToken(token);
-    db.prepare(`
-      UPDATE registrations
-      SET manage_token_hash = ?, manage_token_expires_at = ?
-      WHERE registration_id = ?
-    `).run(hashed, expiresAt || null, registrationId);
+    const tx = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO registration_tokens (registration_id, token_hash, expires_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(token_hash) DO UPDATE SET expires_at = excluded.expires_at
+      `).run(registrationId, hashed, expiresAt || null);
+      db.prepare(`
+        DELETE FROM registration_tokens
+        WHERE registration_id = ? AND expires_at IS NOT NULL AND datetime(expires_at) < datetime('now')
+      `).run(registrationId);
+      db.prepare(`
+        UPDATE registrations
+        SET manage_token_hash = ?, manage_token_expires_at = ?
+        WHERE registration_id = ?
+      `).run(hashed, expiresAt || null, registrationId);
+    });
+    tx();
     return token;
   },
 
+  // Return the registration's calendar feed token, minting one on first use.
+  ensureRegistrationCalendarToken: (registrationId) => {
+    const row = db.prepare(`SELECT calendar_token FROM registrations WHERE registration_id = ?`).get(registrationId);
+    if (!row) throw createError(404, 'Registration not found.');
+    if (row.calendar_token) return row.calendar_token;
+    const token = crypto.randomBytes(24).toString('hex');
+    db.prepare(`UPDATE registrations SET calendar_token = ? WHERE registration_id = ? AND calendar_token IS NULL`).run(token, registrationId);
+    return db.prepare(`SELECT calendar_token FROM registrations WHERE registration_id = ?`).get(registrationId).calendar_token;
+  },
+
+  getRegistrationByCalendarToken: (token) => {
+    if (!token) return null;
+    return db.prepare(`SELECT * FROM registrations WHERE calendar_token = ?`).get(String(token)) || null;
+  },
+
   setRegistrationEmailPreference: (registrationId, opts = {}) => {
     if (!registrationId) return;
     const reason = typeof opts.reason === 'string' && opts.reason.trim().length ? opts.reason.trim().slice(0, 500) : null;
@@ -1803,6 +3438,37 @@ const publicDal = {
     }
   },
 
+  // Opting in records the number texts go to; opting out keeps it so a later
+  // START reply can find the registration again.
+  setRegistrationSmsPreference: (registrationId, opts = {}) => {
+    if (!registrationId) return;
+    if (opts.optIn) {
+      db.prepare(`
+        UPDATE registrations
+        SET sms_opt_in = 1, sms_phone = COALESCE(?, sms_phone), sms_opted_in_at = datetime('now'), sms_opted_out_at = NULL
+        WHERE registration_id = ?
+      `).run(opts.phone || null, registrationId);
+    } else {
+      db.prepare(`UPDATE registrations SET sms_opt_in = 0, sms_opted_out_at = datetime('now') WHERE registration_id = ?`).run(registrationId);
+    }
+  },
+
+  // STOP reply: every registration texting that number is opted out.
+  optOutSmsByPhone: (phone) => {
+    return mapRun(db.prepare(`
+      UPDATE registrations SET sms_opt_in = 0, sms_opted_out_at = datetime('now')
+      WHERE sms_phone = ? AND sms_opt_in = 1
+    `).run(phone));
+  },
+
+  // START reply: undo an earlier opt-out (never opts in a number that did not ask for texts).
+  resumeSmsByPhone: (phone) => {
+    return mapRun(db.prepare(`
+      UPDATE registrations SET sms_opt_in = 1, sms_opted_in_at = datetime('now'), sms_opted_out_at = NULL
+      WHERE sms_phone = ? AND sms_opt_in = 0 AND sms_opted_out_at IS NOT NULL
+    `).run(phone));
+  },
+
   findRegistrationByEmail: (eventId, email) => {
     return db.prepare(`
       SELECT *
@@ -1861,6 +3527,7 @@ const publicDal = {
         const placeholders = ids.map(() => '?').join(',');
         db.prepare(`DELETE FROM schedule_assignments WHERE participant_id IN (${placeholders})`).run(ids);
         db.prepare(`DELETE FROM potluck_assignments WHERE participant_id IN (${placeholders})`).run(ids);
+        db.prepare(`DELETE FROM waitlist_entries WHERE participant_id IN (${placeholders})`).run(ids);
         db.prepare(`DELETE FROM participants WHERE participant_id IN (${placeholders})`).run(ids);
       }
       db.prepare(`DELETE FROM registrations WHERE registration_id = ?`).run(rid);
@@ -1883,7 +3550,7 @@ const publicDal = {
     `).get(registrationId);
     if (!registration) return null;
     const participants = db.prepare(`
-      SELECT participant_id, participant_name
+      SELECT participant_id, participant_name, age_bracket, qualifications
       FROM participants
       WHERE registration_id = ?
       ORDER BY participant_id ASC
@@ -1896,16 +3563,23 @@ const publicDal = {
             sa.assignment_id,
             sa.participant_id,
             sa.time_block_id,
+            sa.cant_make_it_at,
+            sa.cant_make_it_note,
             tb.start_time,
             tb.end_time,
             tb.title,
             tb.servings_min,
             tb.servings_max,
             s.station_id,
-            s.name AS station_name
+            s.name AS station_name,
+            COALESCE(s.location_name, e.location_name) AS location_name,
+            COALESCE(s.location_address, e.location_address) AS location_address,
+            COALESCE(s.location_room, e.location_room) AS location_room,
+            COALESCE(s.location_notes, e.location_notes) AS location_notes
           FROM schedule_assignments sa
           JOIN time_blocks tb ON tb.block_id = sa.time_block_id
           JOIN stations s ON s.station_id = tb.station_id
+          JOIN events e ON e.event_id = s.event_id
           WHERE sa.participant_id IN (${participantIds.map(() => '?').join(',')})
         `).all(participantIds)
       : [];
@@ -1923,10 +3597,15 @@ const publicDal = {
             tb.servings_min,
             tb.servings_max,
             s.station_id,
-            s.name AS station_name
+            s.name AS station_name,
+            COALESCE(s.location_name, e.location_name) AS location_name,
+            COALESCE(s.location_address, e.location_address) AS location_address,
+            COALESCE(s.location_room, e.location_room) AS location_room,
+            COALESCE(s.location_notes, e.location_notes) AS location_notes
           FROM potluck_assignments pa
           JOIN time_blocks tb ON tb.block_id = pa.item_id
           JOIN stations s ON s.station_id = tb.station_id
+          JOIN events e ON e.event_id = s.event_id
           WHERE pa.participant_id IN (${participantIds.map(() => '?').join(',')})
         `).all(participantIds)
       : [];
@@ -1946,6 +3625,40 @@ const publicDal = {
     }
   },
 
+  // Age bracket and qualifications a participant declared for station requirements.
+  setParticipantProfile: (registrationId, participantId, { ageBracket, qualifications }) => {
+    const res = db.prepare(`
+      UPDATE participants
+      SET age_bracket = ?, qualifications = ?
+      WHERE participant_id = ? AND registration_id = ?
+    `).run(ageBracket || null, qualifications || null, participantId, registrationId);
+    if (!res.changes) throw createError(404, 'Participant not found.');
+    return mapRun(res);
+  },
+
+  // Answers to the event's registration questions: { registrant: { [questionId]: answer },
+  // participants: { [participantId]: { [questionId]: answer } } }.
+  getRegistrationAnswers: (registrationId) => {
+    const out = { registrant: {}, participants: {} };
+    db.prepare(`SELECT question_id, participant_id, answer FROM question_answers WHERE registration_id = ?`)
+      .all(registrationId)
+      .forEach(row => {
+        if (row.participant_id == null) {
+          out.registrant[row.question_id] = row.answer;
+        } else {
+          out.participants[row.participant_id] = out.participants[row.participant_id] || {};
+          out.participants[row.participant_id][row.question_id] = row.answer;
+        }
+      });
+    return out;
+  },
+
+  // Replace the registrant's (participantId null) or one participant's answers.
+  setRegistrationAnswers: (registrationId, participantId, answers) => {
+    const tx = db.transaction(() => writeAnswers(registrationId, participantId || null, answers));
+    return tx();
+  },
+
   renameParticipant: (registrationId, participantId, newName) => {
     try {
       const res = db.prepare(`
@@ -2010,6 +3723,385 @@ const publicDal = {
       return mapRun(res);
     });
     return tx(registrationId, participantId, !!removeAssignments);
+  },
+
+  // Waitlist entries for a registration with each entry's position in its block queue.
+  listWaitlistForRegistration: (registrationId) => {
+    return db.prepare(`
+      SELECT
+        w.waitlist_id,
+        w.participant_id,
+        w.time_block_id,
+        w.created_at,
+        p.participant_name,
+        tb.start_time,
+        tb.end_time,
+        s.station_id,
+        s.name AS station_name,
+        (
+          SELECT COUNT(*)
+          FROM waitlist_entries w2
+          WHERE w2.time_block_id = w.time_block_id
+            AND (datetime(w2.created_at) < datetime(w.created_at)
+              OR (datetime(w2.created_at) = datetime(w.created_at) AND w2.waitlist_id <= w.waitlist_id))
+        ) AS position
+      FROM waitlist_entries w
+      JOIN participants p ON p.participant_id = w.participant_id
+      JOIN time_blocks tb ON tb.block_id = w.time_block_id
+      JOIN stations s ON s.station_id = tb.station_id
+      WHERE p.registration_id = ?
+      ORDER BY tb.start_time ASC, p.participant_name ASC
+    `).all(registrationId);
+  },
+
+  removeWaitlistEntry: (registrationId, waitlistId) => {
+    const res = db.prepare(`
+      DELETE FROM waitlist_entries
+      WHERE waitlist_id = ?
+        AND participant_id IN (SELECT participant_id FROM participants WHERE registration_id = ?)
+    `).run(waitlistId, registrationId);
+    if (!res.changes) throw createError(404, 'Waitlist entry not found.');
+    return mapRun(res);
+  },
+
+  /**
+   * Fill open spots in a schedule block from its waitlist, oldest entry first.
+   * Entries whose participant is already assigned are dropped; entries that
+   * would overlap another assignment for that participant, or that
+   * `canPromote(entry, block)` turns down, stay queued.
+   * Returns the promoted entries (one row per new assignment).
+   */
+  promoteWaitlist: (blockId, { canPromote } = {}) => {
+    const tx = db.transaction((bid) => {
+      const block = db.prepare(`
+        SELECT tb.block_id, tb.start_time, tb.end_time, tb.capacity_needed, s.event_id,
+               COALESCE(e.signup_mode, 'schedule') AS signup_mode
+        FROM time_blocks tb
+        JOIN stations s ON s.station_id = tb.station_id
+        JOIN events e ON e.event_id = s.event_id
+        WHERE tb.block_id = ?
+      `).get(bid);
+      if (!block || String(block.signup_mode).toLowerCase() !== 'schedule') return [];
+
+      const entries = db.prepare(`
+        SELECT w.waitlist_id, w.participant_id, w.time_block_id, p.participant_name, p.registration_id
+        FROM waitlist_entries w
+        JOIN participants p ON p.participant_id = w.participant_id
+        WHERE w.time_block_id = ?
+        ORDER BY datetime(w.created_at) ASC, w.waitlist_id ASC
+      `).all(bid);
+      if (!entries.length) return [];
+
+      const countStmt = db.prepare(`SELECT COUNT(*) AS cnt FROM schedule_assignments WHERE time_block_id = ?`);
+      const assignedStmt = db.prepare(`SELECT 1 FROM schedule_assignments WHERE participant_id = ? AND time_block_id = ?`);
+      const overlapStmt = db.prepare(`
+        SELECT 1
+        FROM schedule_assignments sa
+        JOIN time_blocks tb ON tb.block_id = sa.time_block_id
+        WHERE sa.participant_id = ?
+          AND sa.time_block_id <> ?
+          AND REPLACE(tb.start_time, 'T', ' ') < REPLACE(?, 'T', ' ')
+          AND REPLACE(tb.end_time, 'T', ' ') > REPLACE(?, 'T', ' ')
+        LIMIT 1
+      `);
+      const deleteEntry = db.prepare(`DELETE FROM waitlist_entries WHERE waitlist_id = ?`);
+      const insertSched = db.prepare(`INSERT INTO schedule_assignments (participant_id, time_block_id) VALUES (?, ?)`);
+      const capacity = Number(block.capacity_needed) || 0;
+
+      const promoted = [];
+      for (const entry of entries) {
+        if (((countStmt.get(bid) || {}).cnt || 0) >= capacity) break;
+        if (assignedStmt.get(entry.participant_id, bid)) {
+          deleteEntry.run(entry.waitlist_id);
+          continue;
+        }
+        if (overlapStmt.get(entry.participant_id, bid, block.end_time, block.start_time)) continue;
+        if (canPromote && !canPromote(entry, block)) continue;
+        const res = insertSched.run(entry.participant_id, bid);
+        deleteEntry.run(entry.waitlist_id);
+        promoted.push({ ...entry, assignment_id: res.lastInsertRowid });
+      }
+      return promoted;
+    });
+    return tx(Number(blockId));
+  },
+
+  // Record that a volunteer can't make a shift inside the change lock-out.
+  // Only the first report counts; returns changes = 0 if already flagged.
+  markCantMakeIt: (assignmentId, note) => {
+    return mapRun(db.prepare(`
+      UPDATE schedule_assignments
+      SET cant_make_it_at = datetime('now'), cant_make_it_note = ?
+      WHERE assignment_id = ? AND cant_make_it_at IS NULL
+    `).run(note || null, assignmentId));
+  },
+
+  // Offer one of a participant's shifts on the event's swap board.
+  createShiftSwap: ({ eventId, registrationId, participantId, blockId, note }) => {
+    try {
+      const res = db.prepare(`
+        INSERT INTO shift_swaps (event_id, registration_id, participant_id, time_block_id, note)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(eventId, registrationId, participantId, blockId, note || null);
+      return mapRun(res);
+    } catch (e) {
+      if (/UNIQUE/i.test(e.message)) throw createError(409, 'That shift is already on the swap board.');
+      throw createError(500, 'DB error creating shift swap: ' + e.message);
+    }
+  },
+
+  // Withdraw an open offer; only the registration that posted it may do so.
+  cancelShiftSwap: (swapId, registrationId) => {
+    const res = db.prepare(`
+      UPDATE shift_swaps
+      SET status = 'cancelled', resolved_at = datetime('now')
+      WHERE swap_id = ? AND registration_id = ? AND status = 'open'
+    `).run(swapId, registrationId);
+    if (!res.changes) throw createError(404, 'Swap request not found.');
+    return mapRun(res);
+  },
+
+  getShiftSwap: (swapId) => {
+    return db.prepare(`
+      SELECT
+        sw.*,
+        p.participant_name,
+        tb.start_time,
+        tb.end_time,
+        s.name AS station_name
+      FROM shift_swaps sw
+      JOIN participants p ON p.participant_id = sw.participant_id
+      JOIN time_blocks tb ON tb.block_id = sw.time_block_id
+      JOIN stations s ON s.station_id = tb.station_id
+      WHERE sw.swap_id = ?
+    `).get(swapId) || null;
+  },
+
+  // Open offers for an event whose shift is still held by the poster (an
+  // offer silently drops off the board if they edit the shift away).
+  listOpenShiftSwaps: (eventId) => {
+    return db.prepare(`
+      SELECT
+        sw.swap_id,
+        sw.registration_id,
+        sw.participant_id,
+        sw.time_block_id,
+        sw.note,
+        sw.created_at,
+        p.participant_name,
+        tb.start_time,
+        tb.end_time,
+        s.station_id,
+        s.name AS station_name
+      FROM shift_swaps sw
+      JOIN participants p ON p.participant_id = sw.participant_id
+      JOIN time_blocks tb ON tb.block_id = sw.time_block_id
+      JOIN stations s ON s.station_id = tb.station_id
+      WHERE sw.event_id = ?
+        AND sw.status = 'open'
+        AND EXISTS (
+          SELECT 1 FROM schedule_assignments sa
+          WHERE sa.participant_id = sw.participant_id AND sa.time_block_id = sw.time_block_id
+        )
+      ORDER BY tb.start_time ASC, sw.swap_id ASC
+    `).all(eventId);
+  },
+
+  /**
+   * Hand an offered shift to another registrant's participant in one
+   * transaction: the assignment row moves to the new participant (subject to
+   * the same capacity and duplicate rules as moveReservation, plus no
+   * overlapping shifts), and with `tradeBlockId` one of the taker's shifts
+   * moves back to the original participant. Returns the moved assignment ids.
+   */
+  acceptShiftSwap: (swapId, { registrationId, participantId, tradeBlockId }) => {
+    const tx = db.transaction((sid, rid, pid, tradeId) => {
+      const swap = db.prepare(`SELECT * FROM shift_swaps WHERE swap_id = ?`).get(sid);
+      if (!swap || swap.status !== 'open') throw createError(409, 'This shift was already taken or withdrawn.');
+      if (Number(swap.registration_id) === rid) throw createError(400, 'You cannot take your own shift.');
+
+      const taker = db.prepare(`
+        SELECT p.participant_id
+        FROM participants p
+        JOIN registrations r ON r.registration_id = p.registration_id
+        WHERE p.participant_id = ? AND p.registration_id = ? AND r.event_id = ?
+      `).get(pid, rid, swap.event_id);
+      if (!taker) throw createError(400, 'Invalid participant selection.');
+
+      const findAssignment = db.prepare(`SELECT assignment_id FROM schedule_assignments WHERE participant_id = ? AND time_block_id = ?`);
+      const offered = findAssignment.get(swap.participant_id, swap.time_block_id);
+      if (!offered) {
+        db.prepare(`UPDATE shift_swaps SET status = 'cancelled', resolved_at = datetime('now') WHERE swap_id = ?`).run(sid);
+        throw createError(409, 'This shift was already taken or withdrawn.');
+      }
+      const traded = tradeId ? findAssignment.get(pid, tradeId) : null;
+      if (tradeId && !traded) throw createError(400, 'Choose one of your own shifts to trade.');
+
+      const overlapStmt = db.prepare(`
+        SELECT 1
+        FROM schedule_assignments sa
+        JOIN time_blocks tb ON tb.block_id = sa.time_block_id
+        JOIN time_blocks target ON target.block_id = ?
+        WHERE sa.participant_id = ?
+          AND sa.assignment_id <> ?
+          AND REPLACE(tb.start_time, 'T', ' ') < REPLACE(target.end_time, 'T', ' ')
+          AND REPLACE(tb.end_time, 'T', ' ') > REPLACE(target.start_time, 'T', ' ')
+        LIMIT 1
+      `);
+      assertBlockHasRoom(swap.time_block_id, pid, offered.assignment_id);
+      if (overlapStmt.get(swap.time_block_id, pid, traded ? traded.assignment_id : 0)) {
+        throw createError(409, 'That shift overlaps one you already have.');
+      }
+      if (traded) {
+        assertBlockHasRoom(tradeId, swap.participant_id, traded.assignment_id);
+        if (overlapStmt.get(tradeId, swap.participant_id, offered.assignment_id)) {
+          throw createError(409, 'The shift you offered in trade overlaps another of their shifts.');
+        }
+      }
+
+      const moveStmt = db.prepare(`
+        UPDATE schedule_assignments
+        SET participant_id = ?, created_at = datetime('now'),
+            attendance_status = NULL, attendance_marked_at = NULL, attendance_marked_by = NULL,
+            cant_make_it_at = NULL, cant_make_it_note = NULL
+        WHERE assignment_id = ?
+      `);
+      moveStmt.run(pid, offered.assignment_id);
+      if (traded) moveStmt.run(swap.participant_id, traded.assignment_id);
+
+      // The taker no longer needs to wait for the block they just got, and an
+      // offer for the traded shift is moot now that it changed hands.
+      db.prepare(`DELETE FROM waitlist_entries WHERE participant_id = ? AND time_block_id = ?`).run(pid, swap.time_block_id);
+      if (traded) {
+        db.prepare(`
+          UPDATE shift_swaps SET status = 'cancelled', resolved_at = datetime('now')
+          WHERE status = 'open' AND participant_id = ? AND time_block_id = ?
+        `).run(pid, tradeId);
+      }
+      db.prepare(`
+        UPDATE shift_swaps
+        SET status = 'accepted', accepted_registration_id = ?, accepted_participant_id = ?,
+            trade_block_id = ?, resolved_at = datetime('now')
+        WHERE swap_id = ?
+      `).run(rid, pid, traded ? tradeId : null, sid);
+
+      return {
+        assignmentId: offered.assignment_id,
+        tradeAssignmentId: traded ? traded.assignment_id : null
+      };
+    });
+    return tx(Number(swapId), Number(registrationId), Number(participantId), tradeBlockId ? Number(tradeBlockId) : null);
+  },
+
+  // Reminder candidates: schedule assignments starting inside (fromTxt, untilTxt].
+  // Times are canonical local text so plain string comparison keeps ordering.
+  listScheduleReminderCandidates: (fromTxt, untilTxt) => {
+    return db.prepare(`
+      SELECT
+        sa.assignment_id,
+        sa.time_block_id,
+        sa.created_at AS assigned_at,
+        tb.start_time,
+        tb.end_time,
+        r.registration_id,
+        r.registrant_email,
+        e.event_id
+      FROM schedule_assignments sa
+      JOIN participants p ON p.participant_id = sa.participant_id
+      JOIN registrations r ON r.registration_id = p.registration_id
+      JOIN time_blocks tb ON tb.block_id = sa.time_block_id
+      JOIN stations s ON s.station_id = tb.station_id
+      JOIN events e ON e.event_id = s.event_id
+      WHERE COALESCE(e.signup_mode, 'schedule') = 'schedule'
+        AND (COALESCE(r.email_opt_in, 1) = 1 OR COALESCE(r.sms_opt_in, 0) = 1)
+        AND REPLACE(tb.start_time, 'T', ' ') > ?
+        AND REPLACE(tb.start_time, 'T', ' ') <= ?
+      ORDER BY r.registration_id ASC, tb.start_time ASC
+    `).all(fromTxt, untilTxt);
+  },
+
+  // Reminder candidates: potluck registrations (with at least one item) for
+  // events starting inside (fromTxt, untilTxt].
+  listPotluckReminderCandidates: (fromTxt, untilTxt) => {
+    return db.prepare(`
+      SELECT
+        r.registration_id,
+        r.registrant_email,
+        r.created_at AS assigned_at,
+        e.event_id,
+        e.date_start AS start_time
+      FROM registrations r
+      JOIN events e ON e.event_id = r.event_id
+      WHERE COALESCE(e.signup_mode, 'schedule') = 'potluck'
+        AND (COALESCE(r.email_opt_in, 1) = 1 OR COALESCE(r.sms_opt_in, 0) = 1)
+        AND REPLACE(e.date_start, 'T', ' ') > ?
+        AND REPLACE(e.date_start, 'T', ' ') <= ?
+        AND EXISTS (
+          SELECT 1
+          FROM potluck_assignments pa
+          JOIN participants p ON p.participant_id = pa.participant_id
+          WHERE p.registration_id = r.registration_id
+        )
+      ORDER BY r.registration_id ASC
+    `).all(fromTxt, untilTxt);
+  },
+
+  // Claim a reminder slot before sending. Returns false when it was already sent.
+  claimReminderDelivery: (registrationId, offsetHours, targetKey) => {
+    const res = db.prepare(`
+      INSERT OR IGNORE INTO reminder_deliveries (registration_id, offset_hours, target_key)
+      VALUES (?, ?, ?)
+    `).run(registrationId, offsetHours, targetKey);
+    return res.changes > 0;
+  },
+
+  // Release a claim so the next sweep retries (used when the send fails).
+  releaseReminderDelivery: (registrationId, offsetHours, targetKey) => {
+    const res = db.prepare(`
+      DELETE FROM reminder_deliveries
+      WHERE registration_id = ? AND offset_hours = ? AND target_key = ?
+    `).run(registrationId, offsetHours, targetKey);
+    return mapRun(res);
+  },
+
+  // Station (with its event) behind a self check-in QR code.
+  getStationByCheckinToken: (token) => {
+    if (!token) return null;
+    return db.prepare(`
+      SELECT
+        s.station_id,
+        s.name AS station_name,
+        s.description_overview,
+        s.description_tasks,
+        e.event_id,
+        e.name AS event_name,
+        COALESCE(e.signup_mode, 'schedule') AS signup_mode
+      FROM stations s
+      JOIN events e ON e.event_id = s.event_id
+      WHERE s.checkin_token = ?
+    `).get(token) || null;
+  },
+
+  // Every block at a station with whoever is assigned to it (blocks with
+  // nobody assigned come back once with NULL assignment columns).
+  listStationCheckinRoster: (stationId) => {
+    return db.prepare(`
+      SELECT
+        tb.block_id,
+        tb.start_time,
+        tb.end_time,
+        sa.assignment_id,
+        sa.attendance_status,
+        p.participant_id,
+        p.participant_name,
+        r.registrant_email
+      FROM time_blocks tb
+      LEFT JOIN schedule_assignments sa ON sa.time_block_id = tb.block_id
+      LEFT JOIN participants p ON p.participant_id = sa.participant_id
+      LEFT JOIN registrations r ON r.registration_id = p.registration_id
+      WHERE tb.station_id = ?
+      ORDER BY tb.start_time ASC, tb.block_id ASC, p.participant_name COLLATE NOCASE ASC
+    `).all(stationId);
   }
 };
 
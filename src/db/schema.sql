@@ -16,6 +16,12 @@ CREATE TABLE IF NOT EXISTS stations (
     event_id INTEGER NOT NULL,
     name TEXT NOT NULL,
     description TEXT,
+    min_age INTEGER,
+    required_qualifications TEXT,
+    location_name TEXT,
+    location_address TEXT,
+    location_room TEXT,
+    location_notes TEXT,
     FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
 );
 CREATE INDEX IF NOT EXISTS idx_stations_event_id ON stations(event_id);
@@ -68,15 +74,24 @@ CREATE TABLE IF NOT EXISTS registrations (
     email_opt_in INTEGER NOT NULL DEFAULT 1,
     email_opted_out_at TEXT,
     email_opt_out_reason TEXT,
+    sms_opt_in INTEGER NOT NULL DEFAULT 0,
+    sms_phone TEXT,
+    sms_opted_in_at TEXT,
+    sms_opted_out_at TEXT,
+    calendar_token TEXT,
     FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
 );
 CREATE INDEX IF NOT EXISTS idx_registrations_event ON registrations(event_id);
 CREATE INDEX IF NOT EXISTS idx_registrations_token ON registrations(manage_token_hash);
+CREATE INDEX IF NOT EXISTS idx_registrations_sms_phone ON registrations(sms_phone);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_registrations_calendar_token ON registrations(calendar_token);
 
 CREATE TABLE IF NOT EXISTS participants (
     participant_id INTEGER PRIMARY KEY,
     registration_id INTEGER NOT NULL,
     participant_name TEXT NOT NULL,
+    age_bracket TEXT,
+    qualifications TEXT,
     FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE
 );
 CREATE INDEX IF NOT EXISTS idx_participants_registration ON participants(registration_id);
@@ -87,6 +102,11 @@ CREATE TABLE IF NOT EXISTS schedule_assignments (
     participant_id INTEGER NOT NULL,
     time_block_id INTEGER NOT NULL,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    attendance_status TEXT, -- present | late | no_show; NULL until checked in
+    attendance_marked_at TEXT,
+    attendance_marked_by TEXT,
+    cant_make_it_at TEXT, -- set when the volunteer reports they can't make a locked shift
+    cant_make_it_note TEXT,
     FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE,
     FOREIGN KEY (time_block_id) REFERENCES time_blocks(block_id) ON DELETE CASCADE
 );
@@ -104,3 +124,269 @@ CREATE TABLE IF NOT EXISTS potluck_assignments (
 );
 CREATE UNIQUE INDEX IF NOT EXISTS uq_potluck_assignments_unique ON potluck_assignments(participant_id, item_id);
 CREATE INDEX IF NOT EXISTS idx_potluck_assignments_item ON potluck_assignments(item_id);
+
+-- Automated reminder emails already delivered (one row per registration/offset/target).
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+    delivery_id INTEGER PRIMARY KEY,
+    registration_id INTEGER NOT NULL,
+    offset_hours INTEGER NOT NULL,
+    target_key TEXT NOT NULL,
+    sent_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_reminder_deliveries ON reminder_deliveries(registration_id, offset_hours, target_key);
+
+-- Every manage link still in date for a registration; registrations keeps the newest.
+CREATE TABLE IF NOT EXISTS registration_tokens (
+    token_id INTEGER PRIMARY KEY,
+    registration_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_registration_tokens_registration ON registration_tokens(registration_id);
+
+-- Participants waiting for a spot in a full time block (first come, first served).
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    waitlist_id INTEGER PRIMARY KEY,
+    participant_id INTEGER NOT NULL,
+    time_block_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE,
+    FOREIGN KEY (time_block_id) REFERENCES time_blocks(block_id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_waitlist_entries_unique ON waitlist_entries(participant_id, time_block_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_block ON waitlist_entries(time_block_id, created_at);
+
+-- Recurring event series. The template event (series_index 0) is copied into
+-- each occurrence; events carry series_id/series_index, and copied stations and
+-- time blocks source_station_id/source_block_id, via migrations in dal.js.
+CREATE TABLE IF NOT EXISTS event_series (
+    series_id INTEGER PRIMARY KEY,
+    template_event_id INTEGER,
+    frequency TEXT NOT NULL,
+    until_date TEXT,
+    occurrence_count INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (template_event_id) REFERENCES events(event_id) ON DELETE SET NULL
+);
+
+-- Admin accounts and roles. Google sign-in only grants access to emails listed
+-- here (or to ADMIN_OWNER_EMAILS). Coordinators edit the events assigned to them.
+CREATE TABLE IF NOT EXISTS admin_users (
+    admin_user_id INTEGER PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    display_name TEXT,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'coordinator', 'viewer')),
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_login_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS event_coordinators (
+    event_id INTEGER NOT NULL,
+    admin_user_id INTEGER NOT NULL,
+    PRIMARY KEY (event_id, admin_user_id),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (admin_user_id) REFERENCES admin_users(admin_user_id) ON DELETE CASCADE
+);
+
+-- Audit trail of changes to events, stations, time blocks, registrations,
+-- participants and assignments. Rows are written by TEMP triggers installed in
+-- dal.js; event_id is intentionally not a foreign key so history outlives deletes.
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id INTEGER PRIMARY KEY,
+    event_id INTEGER,
+    entity_type TEXT NOT NULL,
+    entity_id INTEGER,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    actor TEXT NOT NULL,
+    actor_type TEXT NOT NULL,
+    before_json TEXT,
+    after_json TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event_id, audit_id);
+
+-- Tokens for the /api/v1 JSON API. Only a SHA-256 hash of each token is kept;
+-- 'write' tokens may also change event structure.
+CREATE TABLE IF NOT EXISTS api_tokens (
+    api_token_id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'read' CHECK (scope IN ('read', 'write')),
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_used_at TEXT,
+    revoked_at TEXT
+);
+
+-- Outgoing webhooks. Each signup change is queued once per active endpoint and
+-- retried with backoff by the webhook worker; the rows double as the delivery log.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    endpoint_id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    event_types TEXT NOT NULL DEFAULT '',
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id INTEGER PRIMARY KEY,
+    endpoint_id INTEGER NOT NULL,
+    event_type TEXT NOT NULL,
+    payload_json TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_attempt_at TEXT,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    delivered_at TEXT,
+    FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(endpoint_id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, delivery_id);
+
+-- Admin broadcast emails to an event's volunteers. Recipients are queued per
+-- registration and sent a few at a time by the broadcast worker.
+CREATE TABLE IF NOT EXISTS broadcast_messages (
+    message_id INTEGER PRIMARY KEY,
+    event_id INTEGER NOT NULL,
+    audience TEXT NOT NULL CHECK (audience IN ('all', 'station', 'block', 'unfilled')),
+    audience_id INTEGER,
+    audience_label TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    sent_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_broadcast_messages_event ON broadcast_messages(event_id, message_id);
+
+CREATE TABLE IF NOT EXISTS broadcast_recipients (
+    recipient_id INTEGER PRIMARY KEY,
+    message_id INTEGER NOT NULL,
+    registration_id INTEGER,
+    email TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    error TEXT,
+    sent_at TEXT,
+    FOREIGN KEY (message_id) REFERENCES broadcast_messages(message_id) ON DELETE CASCADE,
+    FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_queue ON broadcast_recipients(status, recipient_id);
+CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_message ON broadcast_recipients(message_id);
+
+-- Outbound email outbox. Volunteer emails are stored before sending and the
+-- mail worker retries failures with exponential backoff; 'dead' rows gave up.
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    mail_id INTEGER PRIMARY KEY,
+    kind TEXT NOT NULL DEFAULT 'other',
+    event_id INTEGER,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    text_body TEXT,
+    html_body TEXT,
+    headers_json TEXT,
+    attachments_json TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'dead', 'discarded')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_attempt_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    sent_at TEXT,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_due ON mail_outbox(status, next_attempt_at);
+
+-- Admin-edited email templates (event_id NULL = site-wide, otherwise a per-event override)
+CREATE TABLE IF NOT EXISTS email_templates (
+    template_id INTEGER PRIMARY KEY,
+    template_key TEXT NOT NULL CHECK (template_key IN ('confirmation', 'manage_link')),
+    event_id INTEGER,
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_scope ON email_templates(template_key, COALESCE(event_id, 0));
+
+-- Shift swap board: a volunteer offers a shift (participant + block) and another
+-- registrant of the event takes it, optionally trading one of theirs back.
+CREATE TABLE IF NOT EXISTS shift_swaps (
+    swap_id INTEGER PRIMARY KEY,
+    event_id INTEGER NOT NULL,
+    registration_id INTEGER NOT NULL,
+    participant_id INTEGER NOT NULL,
+    time_block_id INTEGER NOT NULL,
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'cancelled')),
+    accepted_registration_id INTEGER,
+    accepted_participant_id INTEGER,
+    trade_block_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    resolved_at TEXT,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE,
+    FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE,
+    FOREIGN KEY (time_block_id) REFERENCES time_blocks(block_id) ON DELETE CASCADE,
+    FOREIGN KEY (accepted_registration_id) REFERENCES registrations(registration_id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_participant_id) REFERENCES participants(participant_id) ON DELETE SET NULL,
+    FOREIGN KEY (trade_block_id) REFERENCES time_blocks(block_id) ON DELETE SET NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_swaps_open ON shift_swaps(participant_id, time_block_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_shift_swaps_event ON shift_swaps(event_id, status);
+
+-- Custom registration questions per event, answered once per registration
+-- (participant_id NULL) or once per participant.
+CREATE TABLE IF NOT EXISTS event_questions (
+    question_id INTEGER PRIMARY KEY,
+    event_id INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    help_text TEXT,
+    question_type TEXT NOT NULL DEFAULT 'text' CHECK (question_type IN ('text', 'select', 'checkbox')),
+    options TEXT, -- select choices, one per line
+    is_required INTEGER NOT NULL DEFAULT 0,
+    scope TEXT NOT NULL DEFAULT 'registrant' CHECK (scope IN ('registrant', 'participant')),
+    question_order INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_event_questions_event ON event_questions(event_id, question_order);
+
+CREATE TABLE IF NOT EXISTS question_answers (
+    answer_id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    registration_id INTEGER NOT NULL,
+    participant_id INTEGER,
+    answer TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES event_questions(question_id) ON DELETE CASCADE,
+    FOREIGN KEY (registration_id) REFERENCES registrations(registration_id) ON DELETE CASCADE,
+    FOREIGN KEY (participant_id) REFERENCES participants(participant_id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_question_answers ON question_answers(question_id, registration_id, COALESCE(participant_id, 0));
+CREATE INDEX IF NOT EXISTS idx_question_answers_registration ON question_answers(registration_id);
+
+-- Personal-data purge log (see services/retentionService.js). events_json lists
+-- the anonymised events with their registration/participant counts.
+CREATE TABLE IF NOT EXISTS purge_runs (
+    run_id INTEGER PRIMARY KEY,
+    source TEXT NOT NULL CHECK (source IN ('scheduled', 'manual')),
+    run_by TEXT,
+    retention_days INTEGER NOT NULL,
+    cutoff TEXT NOT NULL,
+    event_count INTEGER NOT NULL DEFAULT 0,
+    registration_count INTEGER NOT NULL DEFAULT 0,
+    participant_count INTEGER NOT NULL DEFAULT 0,
+    events_json TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
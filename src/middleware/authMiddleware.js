@@ -1,3 +1,8 @@
+const createError = require('http-errors');
+const accessService = require('../services/accessService');
+const apiService = require('../services/apiService');
+const auditContext = require('../utils/auditContext');
+
 exports.isAuthenticated = (req, res, next) => {
   if (req.isAuthenticated && req.isAuthenticated()) {
     return next();
@@ -17,3 +22,65 @@ exports.isAuthenticated = (req, res, next) => {
   const loginUrl = `/login${nextUrl ? `?next=${encodeURIComponent(nextUrl)}` : ''}`;
   res.redirect(loginUrl);
 };
+
+// Resolve the signed-in admin's role once per request and expose it to views.
+function loadAccess(req, res) {
+  if (req.access === undefined) {
+    req.access = accessService.getAccessForUser(req.user);
+    res.locals.access = req.access;
+  }
+  return req.access;
+}
+
+/**
+ * Require at least `role` (viewer < coordinator < owner). Use after
+ * `isAuthenticated`; accounts removed by an owner get a 403.
+ */
+exports.requireRole = (role) => (req, res, next) => {
+  try {
+    const access = loadAccess(req, res);
+    if (accessService.hasRole(access, role)) return next();
+    return next(createError(403, access
+      ? 'You do not have permission to do that.'
+      : 'Your account does not have admin access. Ask an owner to add you.'));
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Require edit rights on the event behind a route parameter. `kind` is one of
+ * event/station/block/reservation and `param` names the matching req.params key.
+ * Owners may edit everything; coordinators only their assigned events.
+ */
+exports.requireEventAccess = (kind, param) => (req, res, next) => {
+  try {
+    const access = loadAccess(req, res);
+    if (!access) return next(createError(403, 'Your account does not have admin access. Ask an owner to add you.'));
+    const eventId = accessService.resolveEventId(kind, req.params[param]);
+    if (eventId == null) return next(createError(404, 'Not found.'));
+    if (access.canEditEvent(eventId)) return next();
+    return next(createError(403, 'You are not a coordinator for this event.'));
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Authenticate /api/v1 requests with an `Authorization: Bearer <token>` header
+ * and require `scope` ('read' or 'write'). Changes made through the API are
+ * attributed to the token in the audit log.
+ */
+exports.requireApiToken = (scope) => (req, res, next) => {
+  try {
+    const header = String(req.get('authorization') || '');
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const apiToken = match ? apiService.authenticate(match[1]) : null;
+    if (!apiToken) return next(createError(401, 'A valid API token is required.'));
+    if (!apiService.hasScope(apiToken, scope)) return next(createError(403, 'This API token is read-only.'));
+    req.apiToken = apiToken;
+    return auditContext.runWithActor({ type: 'api', label: `api token: ${apiToken.name}` }, next);
+  } catch (err) {
+    return next(err);
+  }
+};
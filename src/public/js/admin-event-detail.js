@@ -1146,6 +1146,67 @@
       handleInput();
     })();
 
+    // One-tap attendance on the check-in page -------------------------------
+    (function initCheckIn() {
+      const forms = qsa('.js-checkin-form');
+      if (!forms.length) return;
+
+      function refreshTotals() {
+        const counts = { present: 0, late: 0, no_show: 0, unmarked: 0 };
+        qsa('.checkin-row').forEach(row => {
+          const status = row.getAttribute('data-status') || 'unmarked';
+          if (counts[status] !== undefined) counts[status] += 1;
+        });
+        qsa('.js-checkin-total').forEach(el => {
+          const key = el.getAttribute('data-status');
+          if (counts[key] !== undefined) el.textContent = String(counts[key]);
+        });
+      }
+
+      function applyStatus(form, status) {
+        const row = form.closest('.checkin-row');
+        if (!row) return;
+        row.setAttribute('data-status', status || '');
+        row.className = 'checkin-row' + (status ? ' checkin-row--' + status : '');
+        qsa('button[data-status]', form).forEach(btn => {
+          const active = btn.getAttribute('data-status') === status;
+          btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+          // Tapping the active status again clears it
+          btn.value = active ? '' : btn.getAttribute('data-status');
+        });
+        refreshTotals();
+      }
+
+      forms.forEach(form => {
+        form.addEventListener('submit', (e) => {
+          const submitter = e.submitter;
+          if (!submitter) return; // fall back to a normal POST
+          e.preventDefault();
+          const data = new URLSearchParams();
+          qsa('input[type="hidden"]', form).forEach(el => data.append(el.name, el.value));
+          data.append('status', submitter.value);
+          qsa('button', form).forEach(btn => { btn.disabled = true; });
+          fetch(form.action, {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: data.toString(),
+            headers: withCsrf({
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'X-Requested-With': 'XMLHttpRequest'
+            })
+          }).then(async res => {
+            if (!res.ok) throw new Error('Server error ' + res.status);
+            const payload = await res.json();
+            applyStatus(form, payload.attendance_status || '');
+          }).catch(() => {
+            showToast('Could not save attendance. Check your connection and try again.', 'danger');
+          }).finally(() => {
+            qsa('button', form).forEach(btn => { btn.disabled = false; });
+          });
+        });
+      });
+    })();
+
     // Drag & drop ordering for stations --------------------------------------
     (function initStationDnD() {
       function evtTargetStation(el) {
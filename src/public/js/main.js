@@ -444,6 +444,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let participants = [];
     const originalPlacement = new Map(); // blockId -> { parent, placeholder }
     const slotAssignments = []; // { slotId, participantKey, participantName, blockId, stationName, startRaw, endRaw, start, end, itemTitle, dishName }
+    const waitlistAssignments = []; // { blockId, participantKey, participantName, stationName, startRaw, endRaw, start, end, startLabel, endLabel } for full blocks
     const allowInlineToasts = !isManageMode;
 
     function participantKeyFromIndex(idx) { return `idx:${idx}`; }
@@ -490,20 +491,94 @@ document.addEventListener('DOMContentLoaded', () => {
       try {
         const arr = JSON.parse(raw);
         if (!Array.isArray(arr)) return [];
-        return arr.map(p => ({ id: p.participant_id || p.id, name: String(p.participant_name || p.name || p).trim() })).filter(p => p.name);
+        return arr.map(p => ({
+          id: p.participant_id || p.id,
+          name: String(p.participant_name || p.name || p).trim(),
+          ageBracket: p.age_bracket || '',
+          qualifications: splitQualifications(p.qualifications)
+        })).filter(p => p.name);
       } catch (_) {
         return [];
       }
     }
 
+    function splitQualifications(value) {
+      const list = Array.isArray(value) ? value : String(value || '').split('\n');
+      return list.map(q => String(q || '').trim()).filter(Boolean);
+    }
+
+    function hasQualification(participant, qualification) {
+      const wanted = String(qualification || '').toLowerCase();
+      return (participant && participant.qualifications || []).some(q => q.toLowerCase() === wanted);
+    }
+
+    // Age brackets and qualifications the page asks participants to declare;
+    // null when no station has a minimum age or required qualification.
+    const stationRequirementOptions = (() => {
+      const source = participantListEl || manageDataEl;
+      try {
+        const parsed = JSON.parse((source && source.getAttribute('data-requirements')) || 'null');
+        if (!parsed) return null;
+        const ageBrackets = Array.isArray(parsed.ageBrackets) ? parsed.ageBrackets : [];
+        const qualifications = Array.isArray(parsed.qualifications) ? parsed.qualifications : [];
+        return ageBrackets.length || qualifications.length ? { ageBrackets, qualifications } : null;
+      } catch (_) {
+        return null;
+      }
+    })();
+
+    // Registration questions: per-participant ones come from data-questions and
+    // are drawn under each name; once-per-signup ones are rendered in step 1.
+    const participantQuestions = (() => {
+      try {
+        const parsed = JSON.parse((participantListEl && participantListEl.getAttribute('data-questions')) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (_) {
+        return [];
+      }
+    })();
+    const registrantQuestionEls = Array.from(document.querySelectorAll('#registrant-questions [data-question-id]'));
+
+    // Event signup limits from data-limits; null when the event sets none.
+    const signupLimits = (() => {
+      const source = participantListEl || manageDataEl;
+      try {
+        const parsed = JSON.parse((source && source.getAttribute('data-limits')) || 'null');
+        return parsed && typeof parsed === 'object' ? parsed : null;
+      } catch (_) {
+        return null;
+      }
+    })();
+    // Manage mode: what each participant held on page load, so only changed
+    // selections are held to the limits (as on the server).
+    const initialSelections = new Map();
+
+    function answerFromControl(el) {
+      if (el.type === 'checkbox') return el.checked ? 'yes' : 'no';
+      return String(el.value || '').trim();
+    }
+
+    function isUnanswered(el) {
+      return el.hasAttribute('data-required') && (el.type === 'checkbox' ? !el.checked : !String(el.value || '').trim());
+    }
+
     function initParticipants() {
       if (isManageMode) {
         const data = manageDataEl ? parseParticipantsDataset(manageDataEl.getAttribute('data-participants')) : [];
         return data.length ? data : [];
       }
       // Signup page
+      const payloadDetails = Array.isArray(initialPayload.participantDetails) ? initialPayload.participantDetails : [];
+      const payloadAnswers = initialPayload.answers && Array.isArray(initialPayload.answers.participants)
+        ? initialPayload.answers.participants
+        : [];
       const payloadParticipants = Array.isArray(initialPayload.participants)
-        ? initialPayload.participants.map(p => ({ name: String((p && (p.name || p.participant_name)) || p || '').trim() })).filter(p => p.name || String(p.name) === '')
+        ? initialPayload.participants.map((p, idx) => ({
+          name: String((p && (p.name || p.participant_name)) || p || '').trim(),
+          ageBracket: (payloadDetails[idx] && payloadDetails[idx].age_bracket) || '',
+          qualifications: splitQualifications(payloadDetails[idx] && payloadDetails[idx].qualifications),
+          answers: payloadAnswers[idx] && typeof payloadAnswers[idx] === 'object' ? { ...payloadAnswers[idx] } : {}
+        })).filter(p => p.name || String(p.name) === '')
         : [];
       const preload = participantListEl ? parseParticipantsDataset(participantListEl.getAttribute('data-participants')) : [];
       const registrantNameInput = document.getElementById('signup-name');
@@ -542,7 +617,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function updateSelectionFabVisibility() {
       if (!selectionFab) return;
-      const hasSelections = slotAssignments.length > 0;
+      const hasSelections = slotAssignments.length > 0 || waitlistAssignments.length > 0;
       const shouldEnable = isManageMode || (step1Complete && hasSelections);
       if (!shouldEnable) {
         try {
@@ -981,6 +1056,60 @@ document.addEventListener('DOMContentLoaded', () => {
       return relevant.some(other => slotsOverlap(meta, other));
     }
 
+    function pluralize(n, unit) {
+      return `${n} ${unit}${n === 1 ? '' : 's'}`;
+    }
+
+    // Mirrors participantLimitProblem in utils/signupLimits.js for slot metas
+    // ({ start, end, startRaw }); '' when nothing is broken. The server checks
+    // again on submit.
+    function limitProblemForSlots(name, slots, checkMinimum) {
+      if (!signupLimits) return '';
+      const who = name || 'This participant';
+      const max = Number(signupLimits.max_assignments_per_participant) || 0;
+      const min = Number(signupLimits.min_assignments_per_participant) || 0;
+      if (max && slots.length > max) return `${who} can take at most ${pluralize(max, 'shift')}.`;
+      if (checkMinimum && min && slots.length > 0 && slots.length < min) {
+        return `${who} needs at least ${pluralize(min, 'shift')} (or none).`;
+      }
+      if (isPotluck) return '';
+      const ranges = slots
+        .filter(slot => Number.isFinite(slot.start) && Number.isFinite(slot.end) && slot.end > slot.start)
+        .sort((a, b) => a.start - b.start);
+      const maxHours = Number(signupLimits.max_hours_per_day) || 0;
+      if (maxHours) {
+        const perDay = new Map();
+        ranges.forEach(slot => {
+          const day = String(slot.startRaw || '').slice(0, 10);
+          perDay.set(day, (perDay.get(day) || 0) + (slot.end - slot.start) / 3600000);
+        });
+        const over = Array.from(perDay.values()).find(hours => hours > maxHours);
+        if (over) {
+          return `${who} would have ${pluralize(Math.round(over * 100) / 100, 'hour')} of shifts in one day; the limit is ${pluralize(maxHours, 'hour')}.`;
+        }
+      }
+      const rest = Number(signupLimits.min_rest_minutes) || 0;
+      if (rest) {
+        const restText = rest >= 60 && rest % 60 === 0 ? pluralize(rest / 60, 'hour') : pluralize(rest, 'minute');
+        for (let i = 1; i < ranges.length; i += 1) {
+          const gap = (ranges[i].start - ranges[i - 1].end) / 60000;
+          if (gap >= 0 && gap < rest) return `${who} needs at least ${restText} between shifts.`;
+        }
+      }
+      return '';
+    }
+
+    // What adding `meta` for this participant would break, if anything.
+    function limitProblemFor(participantKey, meta) {
+      if (!signupLimits || !participantKey || !meta) return '';
+      const others = slotAssignments.filter(a => a.participantKey === participantKey && a.blockId !== Number(meta.id));
+      return limitProblemForSlots(getParticipantNameByKey(participantKey), others.concat(meta), false);
+    }
+
+    function selectionKey(participantKey) {
+      return slotAssignments.filter(a => a.participantKey === participantKey).map(a => a.blockId).sort().join(',');
+    }
+
     function getAssignedCount(blockId) {
       return slotAssignments.filter(a => a.blockId === Number(blockId)).length;
     }
@@ -1059,16 +1188,19 @@ document.addEventListener('DOMContentLoaded', () => {
         let canAssign = true;
         const options = picker ? Array.from(picker.options).map(o => o.value).filter(Boolean) : [];
         const isSingleParticipant = options.length === 1;
-        const selectedConflict = participantKey ? participantHasConflict(participantKey, meta) : false;
         const assignedForSelected = participantKey
           ? slotAssignments.some(a => a.blockId === Number(meta.id) && a.participantKey === participantKey)
           : false;
-        if (participantKey && selectedConflict) {
+        const selectedLimit = participantKey && !assignedForSelected ? limitProblemFor(participantKey, meta) : '';
+        const selectedConflict = participantKey ? participantHasConflict(participantKey, meta) || !!selectedLimit : false;
+        if (participantKey && selectedLimit) {
+          conflicts.push(selectedLimit);
+        } else if (participantKey && selectedConflict) {
           const name = getParticipantNameByKey(participantKey) || 'Participant';
           conflicts.push(`${name} has an overlapping time. Choose another participant.`);
         }
         if (options.length) {
-          const hasAvailable = options.some(key => !participantHasConflict(key, meta));
+          const hasAvailable = options.some(key => !participantHasConflict(key, meta) && !limitProblemFor(key, meta));
           canAssign = hasAvailable;
         }
         if (isBlockAtCapacity(meta) && !assignedForSelected) {
@@ -1160,6 +1292,7 @@ document.addEventListener('DOMContentLoaded', () => {
           sel.dataset.userSet = '1';
         }
       });
+      updateWaitlistButtons();
     }
 
     function getParticipantOptions() {
@@ -1169,6 +1302,119 @@ document.addEventListener('DOMContentLoaded', () => {
       }));
     }
 
+    // Age bracket select and one checkbox per qualification under a participant's
+    // name. Ids avoid the participant- prefix the name checks look for.
+    function buildParticipantDetailFields(idx) {
+      const participant = participants[idx];
+      const fields = document.createElement('div');
+      fields.className = 'participant-details-fields';
+      if (stationRequirementOptions.ageBrackets.length) {
+        const select = document.createElement('select');
+        select.id = `detail-age-${idx}`;
+        select.setAttribute('aria-label', `Age of participant ${idx + 1}`);
+        select.appendChild(new Option('Age…', ''));
+        stationRequirementOptions.ageBrackets.forEach(b => select.appendChild(new Option(b.label, b.key)));
+        select.value = participant.ageBracket || '';
+        select.addEventListener('change', () => {
+          participants[idx].ageBracket = select.value;
+          rebuildPayload();
+        });
+        fields.appendChild(select);
+      }
+      stationRequirementOptions.qualifications.forEach((qualification, qIdx) => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.id = `detail-qual-${idx}-${qIdx}`;
+        box.checked = hasQualification(participant, qualification);
+        box.addEventListener('change', () => {
+          const held = (participants[idx].qualifications || []).filter(q => q.toLowerCase() !== qualification.toLowerCase());
+          if (box.checked) held.push(qualification);
+          participants[idx].qualifications = held;
+          rebuildPayload();
+        });
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(` ${qualification}`));
+        fields.appendChild(label);
+      });
+      return fields;
+    }
+
+    // One field per participant-level question under a participant's name.
+    function buildParticipantQuestionFields(idx) {
+      if (!participants[idx].answers) participants[idx].answers = {};
+      const current = participants[idx].answers;
+      const fields = document.createElement('div');
+      fields.className = 'participant-questions';
+      participantQuestions.forEach(q => {
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.textContent = q.is_required ? q.label : `${q.label} (optional)`;
+        let control;
+        if (q.question_type === 'checkbox') {
+          control = document.createElement('input');
+          control.type = 'checkbox';
+          control.checked = current[q.question_id] === 'yes';
+          label.classList.add('is-checkbox');
+        } else if (q.question_type === 'select') {
+          control = document.createElement('select');
+          control.appendChild(new Option('Choose…', ''));
+          (q.options || []).forEach(option => control.appendChild(new Option(option, option)));
+          control.value = current[q.question_id] || '';
+        } else {
+          control = document.createElement('input');
+          control.type = 'text';
+          control.maxLength = 500;
+          control.value = current[q.question_id] || '';
+        }
+        control.id = `answer-${q.question_id}-${idx}`;
+        control.setAttribute('data-question-id', q.question_id);
+        if (q.is_required) control.setAttribute('data-required', '');
+        if (q.help_text) control.title = q.help_text;
+        control.addEventListener(control.type === 'text' ? 'input' : 'change', () => {
+          participants[idx].answers = { ...(participants[idx].answers || {}), [q.question_id]: answerFromControl(control) };
+          control.classList.remove('input-error');
+          control.removeAttribute('aria-invalid');
+          rebuildPayload();
+        });
+        if (control.type === 'checkbox') {
+          label.appendChild(control);
+          label.appendChild(text);
+        } else {
+          label.appendChild(text);
+          label.appendChild(control);
+        }
+        fields.appendChild(label);
+      });
+      return fields;
+    }
+
+    registrantQuestionEls.forEach(el => {
+      el.addEventListener(el.type === 'text' ? 'input' : 'change', () => {
+        el.classList.remove('input-error');
+        el.removeAttribute('aria-invalid');
+        rebuildPayload();
+      });
+    });
+
+    // What a participant is missing for the station behind a slot, mirroring
+    // utils/stationRequirements.js. The server checks again on submit.
+    function unmetRequirementsForSlot(item, participantKey) {
+      if (!stationRequirementOptions || !item || !item.hasAttribute('data-qualifications')) return [];
+      const participant = participants.find((p, idx) => (isManageMode ? participantKeyFromId(p.id) : participantKeyFromIndex(idx)) === participantKey);
+      if (!participant) return [];
+      const unmet = [];
+      const minAge = Number(item.getAttribute('data-min-age'));
+      if (minAge) {
+        const bracket = stationRequirementOptions.ageBrackets.find(b => b.key === participant.ageBracket);
+        if (!bracket || bracket.minAge < minAge) unmet.push(`age ${minAge}+`);
+      }
+      let required = [];
+      try { required = JSON.parse(item.getAttribute('data-qualifications') || '[]'); } catch (_) { required = []; }
+      required.forEach(q => { if (!hasQualification(participant, q)) unmet.push(q); });
+      return unmet;
+    }
+
     function ensureParticipantInputs() {
       if (isManageMode || !participantListEl) return;
       let count = Number(partySizeInput && partySizeInput.value);
@@ -1196,6 +1442,11 @@ document.addEventListener('DOMContentLoaded', () => {
           slotAssignments.splice(i, 1);
         }
       }
+      for (let i = waitlistAssignments.length - 1; i >= 0; i -= 1) {
+        if (!validKeys.has(waitlistAssignments[i].participantKey)) {
+          waitlistAssignments.splice(i, 1);
+        }
+      }
 
       participantListEl.innerHTML = '';
       const list = document.createElement('div');
@@ -1226,6 +1477,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         wrap.appendChild(label);
         wrap.appendChild(input);
+        if (stationRequirementOptions) wrap.appendChild(buildParticipantDetailFields(idx));
+        if (participantQuestions.length) wrap.appendChild(buildParticipantQuestionFields(idx));
         list.appendChild(wrap);
       });
       participantListEl.appendChild(list);
@@ -1313,6 +1566,101 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    function updateWaitlistButtons() {
+      timeBlockItems.forEach(item => {
+        const waitBtn = item.querySelector('.waitlist-btn');
+        if (!waitBtn) return;
+        const picker = item.querySelector('.participant-picker');
+        const participantKey = picker ? picker.value : null;
+        const blockId = Number(item.getAttribute('data-block-id'));
+        const joined = !!participantKey && waitlistAssignments.some(w => w.blockId === blockId && w.participantKey === participantKey);
+        waitBtn.textContent = joined ? 'Leave waitlist' : 'Join waitlist';
+        waitBtn.classList.toggle('is-selected-assigned', joined);
+        item.classList.toggle('is-waitlisted', waitlistAssignments.some(w => w.blockId === blockId));
+      });
+    }
+
+    function addWaitlistEntry(meta, participantKey) {
+      if (!meta || !participantKey) return;
+      const blockId = Number(meta.id);
+      if (waitlistAssignments.some(w => w.blockId === blockId && w.participantKey === participantKey)) return;
+      const participantName = getParticipantNameByKey(participantKey);
+      waitlistAssignments.push({
+        blockId,
+        participantKey,
+        participantName,
+        stationName: meta.stationName,
+        startRaw: meta.startRaw,
+        endRaw: meta.endRaw,
+        start: meta.start,
+        end: meta.end,
+        startLabel: meta.startLabel,
+        endLabel: meta.endLabel
+      });
+      waitlistAssignments.sort(compareAssignments);
+      updateWaitlistButtons();
+      renderSelectedList();
+      rebuildPayload();
+      updateSignupFormVisibility();
+      updateSelectionFabVisibility();
+      if (allowInlineToasts) {
+        showToast(`${participantName || 'Participant'} added to the waitlist for ${getSlotLabel(meta)}.`);
+      }
+    }
+
+    function removeWaitlistEntry(blockId, participantKey) {
+      const idx = waitlistAssignments.findIndex(w => w.blockId === Number(blockId) && w.participantKey === participantKey);
+      if (idx < 0) return;
+      const removed = waitlistAssignments.splice(idx, 1)[0];
+      updateWaitlistButtons();
+      renderSelectedList();
+      rebuildPayload();
+      updateSignupFormVisibility();
+      updateSelectionFabVisibility();
+      if (allowInlineToasts) {
+        showToast(`${removed.participantName || 'Participant'} removed from the waitlist for ${getSlotLabel(removed)}.`, 'danger');
+      }
+    }
+
+    function renderWaitlistSection() {
+      if (!selectedSlotsContainer || !waitlistAssignments.length) return;
+      const title = document.createElement('h4');
+      title.textContent = 'Waitlist';
+      selectedSlotsContainer.appendChild(title);
+      const hint = document.createElement('p');
+      hint.className = 'muted small';
+      hint.textContent = 'These time blocks are full. We will sign you up and email you if a spot opens up.';
+      selectedSlotsContainer.appendChild(hint);
+      const ul = document.createElement('ul');
+      waitlistAssignments.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'selected-slot selected-slot--waitlist';
+        const textWrap = document.createElement('div');
+        textWrap.className = 'selected-slot__text';
+        const personLine = document.createElement('div');
+        personLine.className = 'selected-slot__person';
+        personLine.textContent = getParticipantNameByKey(entry.participantKey) || entry.participantName || 'Participant';
+        textWrap.appendChild(personLine);
+        const timeLine = document.createElement('span');
+        timeLine.className = 'selected-slot__time';
+        timeLine.textContent = formatSelectedSlotTime(entry);
+        textWrap.appendChild(timeLine);
+        const stationLine = document.createElement('span');
+        stationLine.className = 'selected-slot__station';
+        stationLine.textContent = entry.stationName || 'Opportunity';
+        textWrap.appendChild(stationLine);
+        li.appendChild(textWrap);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'selected-slot-remove';
+        removeBtn.textContent = 'Leave waitlist';
+        removeBtn.addEventListener('click', () => removeWaitlistEntry(entry.blockId, entry.participantKey));
+        li.appendChild(removeBtn);
+        ul.appendChild(li);
+      });
+      selectedSlotsContainer.appendChild(ul);
+    }
+
     function renderSelectedList() {
       renderSaveReview();
       if (!selectedSlotsContainer) return;
@@ -1326,6 +1674,7 @@ document.addEventListener('DOMContentLoaded', () => {
         empty.className = 'muted';
         empty.textContent = 'No selections yet.';
         selectedSlotsContainer.appendChild(empty);
+        renderWaitlistSection();
         return;
       }
 
@@ -1375,8 +1724,9 @@ document.addEventListener('DOMContentLoaded', () => {
             picker.value = assign.participantKey;
             return;
           }
+          const slotItem = document.querySelector(`.time-block-item[data-block-id="${assign.blockId}"]`);
           if (!isPotluck) {
-            const meta = getSlotMeta(document.querySelector(`.time-block-item[data-block-id="${assign.blockId}"]`));
+            const meta = getSlotMeta(slotItem);
             if (meta && participantHasConflict(newKey, meta)) {
               picker.value = assign.participantKey;
               if (allowInlineToasts) {
@@ -1385,6 +1735,12 @@ document.addEventListener('DOMContentLoaded', () => {
               return;
             }
           }
+          const limitNote = slotItem ? limitProblemFor(newKey, getSlotMeta(slotItem)) : '';
+          if (limitNote) {
+            picker.value = assign.participantKey;
+            if (allowInlineToasts) showToast(limitNote, 'danger');
+            return;
+          }
           assign.participantKey = newKey;
           assign.participantName = getParticipantNameByKey(newKey);
           assign.slotId = `${assign.blockId}:${newKey}`;
@@ -1430,6 +1786,7 @@ document.addEventListener('DOMContentLoaded', () => {
         ul.appendChild(li);
       });
       selectedSlotsContainer.appendChild(ul);
+      renderWaitlistSection();
 
       const badge = document.getElementById('selectedCountBadge');
       if (badge) {
@@ -1498,7 +1855,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function updateSignupFormVisibility() {
-      const hasSel = slotAssignments.length > 0;
+      const hasSel = slotAssignments.length > 0 || waitlistAssignments.length > 0;
       const canShow = (isManageMode || step1Complete);
       const show = canShow && (isManageMode || hasSel);
       if (selectedPanel) selectedPanel.style.display = show ? 'block' : 'none';
@@ -1515,7 +1872,8 @@ document.addEventListener('DOMContentLoaded', () => {
       const registrant = {
         name: (document.getElementById('signup-name') || {}).value || '',
         email: (document.getElementById('signup-email') || {}).value || '',
-        phone: (document.getElementById('signup-phone') || {}).value || ''
+        phone: (document.getElementById('signup-phone') || {}).value || '',
+        sms_opt_in: !!(document.getElementById('signup-sms') || {}).checked
       };
       const payload = { eventId, registrant, participants: [], scheduleAssignments: [], potluckAssignments: [] };
       const participantOptions = getParticipantOptions();
@@ -1527,6 +1885,20 @@ document.addEventListener('DOMContentLoaded', () => {
         payload.party_size = payload.partySize;
         payload.registrant_participating = registrantParticipating ? 'yes' : 'no';
         payload.participants = participants.map(p => String(p.name || '').trim());
+        if (stationRequirementOptions) {
+          payload.participantDetails = participants.map(p => ({
+            age_bracket: p.ageBracket || '',
+            qualifications: p.qualifications || []
+          }));
+        }
+        if (participantQuestions.length || registrantQuestionEls.length) {
+          const registrantAnswers = {};
+          registrantQuestionEls.forEach(el => { registrantAnswers[el.getAttribute('data-question-id')] = answerFromControl(el); });
+          payload.answers = {
+            registrant: registrantAnswers,
+            participants: participants.map(p => ({ ...(p.answers || {}) }))
+          };
+        }
         slotAssignments.forEach(assign => {
           const idx = participantOptions.findIndex(opt => opt.key === assign.participantKey);
           if (idx === -1) return;
@@ -1543,6 +1915,14 @@ document.addEventListener('DOMContentLoaded', () => {
             });
           }
         });
+        if (!isPotluck) {
+          payload.waitlist = [];
+          waitlistAssignments.forEach(entry => {
+            const idx = participantOptions.findIndex(opt => opt.key === entry.participantKey);
+            if (idx === -1) return;
+            payload.waitlist.push({ blockId: entry.blockId, participantIndex: idx });
+          });
+        }
       } else {
         slotAssignments.forEach(assign => {
           const pid = assign.participantKey.startsWith('id:') ? Number(assign.participantKey.slice(3)) : null;
@@ -1598,6 +1978,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const meta = getSlotMeta(metaItem);
         addAssignment(meta, participantKey, assign.dishName || assign.dish || '');
       });
+
+      const waitlist = Array.isArray(initialPayload.waitlist) ? initialPayload.waitlist : [];
+      waitlist.forEach(entry => {
+        const blockId = Number(entry.blockId);
+        const idx = Number(entry.participantIndex);
+        const participantKey = Number.isFinite(idx) && participantOptions[idx] ? participantOptions[idx].key : null;
+        if (!participantKey || !Number.isFinite(blockId)) return;
+        const metaItem = timeBlockItems.find(el => el.getAttribute('data-block-id') === String(blockId));
+        if (!metaItem || !metaItem.querySelector('.waitlist-btn')) return;
+        addWaitlistEntry(getSlotMeta(metaItem), participantKey);
+      });
     }
 
     function updateParticipantNamesFromInputs() {
@@ -1677,11 +2068,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Bind Select buttons and participant pickers
     timeBlockItems.forEach(item => {
       const button = item.querySelector('.select-slot-btn');
+      const waitlistBtn = item.querySelector('.waitlist-btn');
       const isFull = item.getAttribute('data-is-full') === 'true' || item.classList.contains('is-full');
       item.setAttribute('aria-disabled', isFull ? 'true' : 'false');
       item.setAttribute('aria-pressed', item.classList.contains('selected') ? 'true' : 'false');
 
-      if (!item.querySelector('.participant-picker') && !isFull) {
+      if (!item.querySelector('.participant-picker') && (!isFull || waitlistBtn)) {
         const options = getParticipantOptions();
         const isSingle = options.length === 1;
         const picker = document.createElement('select');
@@ -1721,7 +2113,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         wrap.appendChild(picker);
         const actionWrap = item.querySelector('.time-block-item__action') || item;
-        actionWrap.insertBefore(wrap, button);
+        actionWrap.insertBefore(wrap, button || waitlistBtn);
       }
       const picker = item.querySelector('.participant-picker');
       if (picker) {
@@ -1729,6 +2121,49 @@ document.addEventListener('DOMContentLoaded', () => {
           lastSelectedParticipantKey = picker.value || null;
           picker.dataset.userSet = picker.value ? '1' : '';
           updateConflictingSlots();
+          updateWaitlistButtons();
+        });
+      }
+
+      if (waitlistBtn) {
+        waitlistBtn.addEventListener('click', (e) => {
+          e.preventDefault();
+          const meta = getSlotMeta(item);
+          const participantKey = picker ? picker.value : (getParticipantOptions()[0] && getParticipantOptions()[0].key);
+          const note = item.querySelector('[data-role="conflict-note"]');
+          if (!participantKey) {
+            if (note) {
+              note.textContent = 'Pick who you want to add to the waitlist first.';
+              note.hidden = false;
+            }
+            if (picker) picker.focus();
+            return;
+          }
+          if (waitlistAssignments.some(w => w.blockId === Number(meta.id) && w.participantKey === participantKey)) {
+            removeWaitlistEntry(meta.id, participantKey);
+            return;
+          }
+          if (participantHasConflict(participantKey, meta)) {
+            const name = getParticipantNameByKey(participantKey) || 'Participant';
+            if (note) {
+              note.textContent = `${name} has an overlapping time. Choose another participant.`;
+              note.hidden = false;
+            }
+            return;
+          }
+          const unmet = unmetRequirementsForSlot(item, participantKey);
+          if (unmet.length) {
+            if (note) {
+              note.textContent = `${getParticipantNameByKey(participantKey) || 'Participant'} needs ${unmet.join(', ')} for this station.`;
+              note.hidden = false;
+            }
+            return;
+          }
+          if (note) {
+            note.textContent = '';
+            note.hidden = true;
+          }
+          addWaitlistEntry(meta, participantKey);
         });
       }
 
@@ -1766,6 +2201,24 @@ document.addEventListener('DOMContentLoaded', () => {
             button.disabled = true;
             return;
           }
+          const unmet = unmetRequirementsForSlot(item, participantKey);
+          if (unmet.length) {
+            const note = item.querySelector('[data-role="conflict-note"]');
+            if (note) {
+              note.textContent = `${getParticipantNameByKey(participantKey) || 'Participant'} needs ${unmet.join(', ')} for this station.`;
+              note.hidden = false;
+            }
+            return;
+          }
+          const limitNote = limitProblemFor(participantKey, meta);
+          if (limitNote) {
+            const note = item.querySelector('[data-role="conflict-note"]');
+            if (note) {
+              note.textContent = limitNote;
+              note.hidden = false;
+            }
+            return;
+          }
           const exists = slotAssignments.find(a => a.blockId === Number(meta.id) && a.participantKey === participantKey);
           if (exists) return;
           addAssignment(meta, participantKey);
@@ -1797,8 +2250,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (el) step1Fields.push(el);
       });
       if (participantListEl) {
-        step1Fields.push(...participantListEl.querySelectorAll('input[id^="participant-"]'));
+        step1Fields.push(...participantListEl.querySelectorAll('input[id^="participant-"], [data-question-id]'));
       }
+      step1Fields.push(...registrantQuestionEls);
       step1Fields.forEach(el => {
         el.classList.remove('input-error');
         el.removeAttribute('aria-invalid');
@@ -1888,6 +2342,21 @@ document.addEventListener('DOMContentLoaded', () => {
         focusEl = focusEl || dupInputs[0];
       }
 
+      const maxPeople = signupLimits ? Number(signupLimits.max_participants_per_registration) || 0 : 0;
+      if (maxPeople && participantInputs.length > maxPeople) {
+        errors.push(`Each signup can include at most ${maxPeople} ${maxPeople === 1 ? 'person' : 'people'}.`);
+        markInvalid(partySizeInput);
+        focusEl = focusEl || partySizeInput;
+      }
+
+      const questionEls = participantListEl ? Array.from(participantListEl.querySelectorAll('[data-question-id]')) : [];
+      const unanswered = questionEls.concat(registrantQuestionEls).filter(isUnanswered);
+      if (unanswered.length) {
+        errors.push('Please answer the required questions.');
+        unanswered.forEach(markInvalid);
+        focusEl = focusEl || unanswered[0];
+      }
+
       if (errors.length) {
         return { ok: false, message: errors[0], focusEl };
       }
@@ -1928,10 +2397,20 @@ document.addEventListener('DOMContentLoaded', () => {
           step1Complete = true;
           updateStepVisibility();
         }
-        if (!isManageMode && slotAssignments.length === 0) {
+        if (!isManageMode && slotAssignments.length === 0 && waitlistAssignments.length === 0) {
           errors.push('Add at least one assignment.');
           focusEl = focusEl || selectionFabButton || signupForm;
         }
+        if (signupLimits) {
+          const limitNote = getParticipantOptions()
+            .filter(opt => !isManageMode || initialSelections.get(opt.key) !== selectionKey(opt.key))
+            .map(opt => limitProblemForSlots(opt.name, slotAssignments.filter(a => a.participantKey === opt.key), true))
+            .find(Boolean);
+          if (limitNote) {
+            errors.push(limitNote);
+            focusEl = focusEl || selectionFabButton || signupForm;
+          }
+        }
         if (isPotluck) {
           const missingDish = slotAssignments.find(a => !a.dishName || !String(a.dishName).trim());
           if (missingDish) {
@@ -2098,11 +2577,13 @@ document.addEventListener('DOMContentLoaded', () => {
       } catch (err) {
         console.warn('[VolunteerUI] Failed to pre-populate manage assignments:', err && err.message);
       }
+      getParticipantOptions().forEach(opt => initialSelections.set(opt.key, selectionKey(opt.key)));
     }
 
     if (!isManageMode) updateParticipantNamesFromInputs();
     updateCapacityStates();
     updateConflictingSlots();
+    updateWaitlistButtons();
     renderSelectedList();
     rebuildPayload();
     updateSignupFormVisibility();
@@ -2202,6 +2683,66 @@ document.addEventListener('DOMContentLoaded', () => {
     console.error('[DatetimeSync] init failed:', err);
   }
 
+  // CSV imports: load a chosen file into the textarea named by data-csv-target
+  try {
+    document.querySelectorAll('input[type="file"][data-csv-target]').forEach(input => {
+      input.addEventListener('change', () => {
+        const target = document.getElementById(input.getAttribute('data-csv-target'));
+        const file = input.files && input.files[0];
+        if (!target || !file) return;
+        const reader = new FileReader();
+        reader.onload = () => { target.value = String(reader.result || ''); };
+        reader.readAsText(file);
+      });
+    });
+  } catch (err) {
+    console.error('[CsvImport] init failed:', err);
+  }
+
+  // Email template editor: re-render the sample preview as the draft changes
+  try {
+    const templateForm = document.getElementById('email-template-form');
+    const previewCard = document.getElementById('email-template-preview');
+    if (templateForm && previewCard && templateForm.dataset.previewUrl) {
+      const subjectEl = previewCard.querySelector('[data-preview-subject]');
+      const htmlFrame = previewCard.querySelector('[data-preview-html]');
+      const textEl = previewCard.querySelector('[data-preview-text]');
+      const errorEl = previewCard.querySelector('[data-preview-error]');
+      let timer = null;
+      let latest = 0;
+      const refresh = async () => {
+        const requestId = ++latest;
+        const data = Object.fromEntries(new FormData(templateForm).entries());
+        try {
+          const resp = await fetch(templateForm.dataset.previewUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+          });
+          const result = await resp.json();
+          if (requestId !== latest) return;
+          if (!result.ok) {
+            errorEl.textContent = result.error || 'Preview unavailable.';
+            errorEl.hidden = false;
+            return;
+          }
+          errorEl.hidden = true;
+          subjectEl.textContent = result.subject;
+          htmlFrame.srcdoc = result.html;
+          textEl.textContent = result.text;
+        } catch (err) {
+          console.error('Template preview failed:', err);
+        }
+      };
+      templateForm.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(refresh, 400);
+      });
+    }
+  } catch (err) {
+    console.error('[EmailTemplatePreview] init failed:', err);
+  }
+
   // Admin Dashboard: validate New Event form client-side (modal)
   try {
     const newEventForm = document.getElementById('newEventForm');
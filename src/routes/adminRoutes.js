@@ -2,46 +2,129 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { isAuthenticated } = require('../middleware/authMiddleware');
+const { isAuthenticated, requireRole, requireEventAccess } = require('../middleware/authMiddleware');
+
+// Role gates: viewers read, coordinators edit their assigned events, owners do everything.
+const canView = requireRole('viewer');
+const canCreate = requireRole('coordinator');
+const ownerOnly = requireRole('owner');
+const editEvent = requireEventAccess('event', 'eventId');
+const editStation = requireEventAccess('station', 'stationId');
+const editBlock = requireEventAccess('block', 'blockId');
+const editReservation = requireEventAccess('reservation', 'reservationId');
 
 // Dashboard & event detail ----------------------------------------------------
-router.get('/dashboard', isAuthenticated, adminController.showDashboard);
-router.get('/help/formatting', isAuthenticated, adminController.showFormattingHelp);
-router.get('/help/workflows', isAuthenticated, adminController.showWorkflowHelp);
-router.get('/event/:eventId', isAuthenticated, adminController.showEventDetail);
-router.get('/event/:eventId/export-skeleton.csv', isAuthenticated, adminController.exportEventSkeletonCsv);
-router.get('/event/:eventId/export-needs.csv', isAuthenticated, adminController.exportEventNeedsCsv);
+router.get('/dashboard', isAuthenticated, canView, adminController.showDashboard);
+router.get('/help/formatting', isAuthenticated, canView, adminController.showFormattingHelp);
+router.get('/help/workflows', isAuthenticated, canView, adminController.showWorkflowHelp);
+router.get('/reports/hours', isAuthenticated, canView, adminController.showHoursReport);
+router.get('/reports/hours.csv', isAuthenticated, canView, adminController.exportHoursReportCsv);
+router.get('/event/:eventId', isAuthenticated, canView, adminController.showEventDetail);
+router.get('/event/:eventId/export-skeleton.csv', isAuthenticated, canView, adminController.exportEventSkeletonCsv);
+router.get('/event/:eventId/export-needs.csv', isAuthenticated, canView, adminController.exportEventNeedsCsv);
 // CSV export of event volunteers
-router.get('/event/:eventId/export.csv', isAuthenticated, adminController.exportEventCsvAdvanced);
+router.get('/event/:eventId/export.csv', isAuthenticated, canView, adminController.exportEventCsvAdvanced);
 // Print-friendly roster view (use browser "Save as PDF")
-router.get('/event/:eventId/print', isAuthenticated, adminController.exportEventPrintView);
+router.get('/event/:eventId/print', isAuthenticated, canView, adminController.exportEventPrintView);
+// Audit trail of changes to the event and its signups
+router.get('/event/:eventId/history', isAuthenticated, canView, adminController.showEventHistory);
+// Day-of check-in (attendance is recorded per reservation below)
+router.get('/event/:eventId/check-in', isAuthenticated, canView, adminController.showCheckIn);
+router.get('/event/:eventId/check-in/qr', isAuthenticated, canView, adminController.showCheckInPosters);
 // Copy event (structure only, never published)
-router.post('/event/:eventId/copy', isAuthenticated, adminController.copyEvent);
+router.post('/event/:eventId/copy', isAuthenticated, canCreate, adminController.copyEvent);
+router.post('/event/:eventId/series', isAuthenticated, editEvent, adminController.createEventSeries);
+router.post('/event/:eventId/series/push', isAuthenticated, editEvent, adminController.pushSeriesTemplate);
+// Structure import from a skeleton-format CSV (dry run first, then apply)
+router.get('/event/:eventId/import', isAuthenticated, editEvent, adminController.showStructureImport);
+router.post('/event/:eventId/import', isAuthenticated, editEvent, adminController.importStructure);
+// Bulk roster import (same rules as adding volunteers one at a time)
+router.get('/event/:eventId/roster-import', isAuthenticated, editEvent, adminController.showRosterImport);
+router.post('/event/:eventId/roster-import', isAuthenticated, editEvent, adminController.importRoster);
+// Email the event's volunteers (queued and throttled) and review past messages
+router.get('/event/:eventId/messages', isAuthenticated, editEvent, adminController.showBroadcasts);
+router.post('/event/:eventId/messages', isAuthenticated, editEvent, adminController.sendBroadcast);
+router.get('/event/:eventId/messages/:messageId', isAuthenticated, editEvent, adminController.showBroadcastDetail);
+
+// Custom questions asked at signup (answers land in the CSV export)
+router.get('/event/:eventId/questions', isAuthenticated, editEvent, adminController.showQuestions);
+router.post('/event/:eventId/questions', isAuthenticated, editEvent, adminController.createQuestion);
+router.post('/event/:eventId/questions/:questionId/edit', isAuthenticated, editEvent, adminController.updateQuestion);
+router.post('/event/:eventId/questions/:questionId/move', isAuthenticated, editEvent, adminController.moveQuestion);
+router.post('/event/:eventId/questions/:questionId/delete', isAuthenticated, editEvent, adminController.deleteQuestion);
+
+// Per-event overrides of the confirmation and manage-link emails
+router.get('/event/:eventId/email-templates', isAuthenticated, editEvent, adminController.showEmailTemplates);
+router.get('/event/:eventId/email-templates/:templateKey', isAuthenticated, editEvent, adminController.showEmailTemplate);
+router.post('/event/:eventId/email-templates/:templateKey', isAuthenticated, editEvent, adminController.saveEmailTemplate);
+router.post('/event/:eventId/email-templates/:templateKey/preview', isAuthenticated, editEvent, adminController.previewEmailTemplate);
+router.post('/event/:eventId/email-templates/:templateKey/test', isAuthenticated, editEvent, adminController.sendTestEmailTemplate);
+router.post('/event/:eventId/email-templates/:templateKey/reset', isAuthenticated, editEvent, adminController.resetEmailTemplate);
 
 // Create ----------------------------------------------------------------------
-router.post('/event', isAuthenticated, adminController.createEvent);
-router.post('/event/:eventId/stations', isAuthenticated, adminController.createStation);
+router.post('/event', isAuthenticated, canCreate, adminController.createEvent);
+router.post('/event/:eventId/stations', isAuthenticated, editEvent, adminController.createStation);
 // Reorder stations via AJAX from admin UI
-router.post('/event/:eventId/stations/reorder', isAuthenticated, adminController.reorderStations);
-router.post('/station/:stationId/blocks', isAuthenticated, adminController.createTimeBlock);
+router.post('/event/:eventId/stations/reorder', isAuthenticated, editEvent, adminController.reorderStations);
+router.post('/station/:stationId/blocks', isAuthenticated, editStation, adminController.createTimeBlock);
 // Reorder blocks/items within a station via AJAX from admin UI
-router.post('/station/:stationId/blocks/reorder', isAuthenticated, adminController.reorderBlocks);
+router.post('/station/:stationId/blocks/reorder', isAuthenticated, editStation, adminController.reorderBlocks);
 
 // Update ----------------------------------------------------------------------
-router.post('/event/:eventId/edit', isAuthenticated, adminController.updateEvent);
-router.post('/event/:eventId/publish', isAuthenticated, adminController.setPublish);
-router.post('/station/:stationId/edit', isAuthenticated, adminController.updateStation);
-router.post('/block/:blockId/edit', isAuthenticated, adminController.updateTimeBlock);
-router.post('/block/:blockId/reservations', isAuthenticated, adminController.addReservation);
-router.post('/reservation/:reservationId/edit', isAuthenticated, adminController.updateReservation);
-router.post('/reservation/:reservationId/delete', isAuthenticated, adminController.deleteReservation);
+router.post('/event/:eventId/edit', isAuthenticated, editEvent, adminController.updateEvent);
+router.post('/event/:eventId/publish', isAuthenticated, editEvent, adminController.setPublish);
+router.post('/station/:stationId/edit', isAuthenticated, editStation, adminController.updateStation);
+router.post('/block/:blockId/edit', isAuthenticated, editBlock, adminController.updateTimeBlock);
+router.post('/block/:blockId/reservations', isAuthenticated, editBlock, adminController.addReservation);
+router.post('/reservation/:reservationId/edit', isAuthenticated, editReservation, adminController.updateReservation);
+router.post('/reservation/:reservationId/delete', isAuthenticated, editReservation, adminController.deleteReservation);
+router.post('/reservation/:reservationId/attendance', isAuthenticated, editReservation, adminController.setAttendance);
 
 // Delete ----------------------------------------------------------------------
-router.post('/event/:eventId/delete', isAuthenticated, adminController.deleteEvent);
-router.post('/station/:stationId/delete', isAuthenticated, adminController.deleteStation);
-router.post('/block/:blockId/delete', isAuthenticated, adminController.deleteTimeBlock);
+router.post('/event/:eventId/delete', isAuthenticated, ownerOnly, adminController.deleteEvent);
+router.post('/station/:stationId/delete', isAuthenticated, editStation, adminController.deleteStation);
+router.post('/block/:blockId/delete', isAuthenticated, editBlock, adminController.deleteTimeBlock);
 
 // Maintenance ----------------------------------------------------------------
-router.get('/maintenance/merge-duplicates', isAuthenticated, adminController.mergeAllDuplicates);
+router.get('/maintenance/merge-duplicates', isAuthenticated, ownerOnly, adminController.mergeAllDuplicates);
+
+// Access management (owners) --------------------------------------------------
+router.get('/users', isAuthenticated, ownerOnly, adminController.showAdminUsers);
+router.post('/users', isAuthenticated, ownerOnly, adminController.addAdminUser);
+router.post('/users/:adminUserId/edit', isAuthenticated, ownerOnly, adminController.updateAdminUser);
+router.post('/users/:adminUserId/delete', isAuthenticated, ownerOnly, adminController.removeAdminUser);
+
+// API tokens for /api/v1 (owners) ---------------------------------------------
+router.get('/api-tokens', isAuthenticated, ownerOnly, adminController.showApiTokens);
+router.post('/api-tokens', isAuthenticated, ownerOnly, adminController.createApiToken);
+router.post('/api-tokens/:apiTokenId/revoke', isAuthenticated, ownerOnly, adminController.revokeApiToken);
+
+// Outgoing webhooks (owners) --------------------------------------------------
+router.get('/webhooks', isAuthenticated, ownerOnly, adminController.showWebhooks);
+router.post('/webhooks', isAuthenticated, ownerOnly, adminController.createWebhook);
+router.get('/webhooks/deliveries', isAuthenticated, ownerOnly, adminController.showWebhookDeliveries);
+router.post('/webhooks/deliveries/:deliveryId/retry', isAuthenticated, ownerOnly, adminController.retryWebhookDelivery);
+router.post('/webhooks/:endpointId/edit', isAuthenticated, ownerOnly, adminController.updateWebhook);
+router.post('/webhooks/:endpointId/rotate-secret', isAuthenticated, ownerOnly, adminController.rotateWebhookSecret);
+router.post('/webhooks/:endpointId/test', isAuthenticated, ownerOnly, adminController.testWebhook);
+router.post('/webhooks/:endpointId/delete', isAuthenticated, ownerOnly, adminController.deleteWebhook);
+
+// Outbound email outbox (owners) ----------------------------------------------
+router.get('/mail', isAuthenticated, ownerOnly, adminController.showMailOutbox);
+router.get('/mail/:mailId', isAuthenticated, ownerOnly, adminController.showMailMessage);
+router.post('/mail/:mailId/resend', isAuthenticated, ownerOnly, adminController.resendMailMessage);
+router.post('/mail/:mailId/discard', isAuthenticated, ownerOnly, adminController.discardMailMessage);
+
+// Archiving and personal data purge (owners) ----------------------------------
+router.get('/retention', isAuthenticated, ownerOnly, adminController.showRetention);
+router.post('/retention/purge', isAuthenticated, ownerOnly, adminController.runRetentionPurge);
+
+// Site-wide email templates (owners) ------------------------------------------
+router.get('/email-templates', isAuthenticated, ownerOnly, adminController.showEmailTemplates);
+router.get('/email-templates/:templateKey', isAuthenticated, ownerOnly, adminController.showEmailTemplate);
+router.post('/email-templates/:templateKey', isAuthenticated, ownerOnly, adminController.saveEmailTemplate);
+router.post('/email-templates/:templateKey/preview', isAuthenticated, ownerOnly, adminController.previewEmailTemplate);
+router.post('/email-templates/:templateKey/test', isAuthenticated, ownerOnly, adminController.sendTestEmailTemplate);
+router.post('/email-templates/:templateKey/reset', isAuthenticated, ownerOnly, adminController.resetEmailTemplate);
 
 module.exports = router;
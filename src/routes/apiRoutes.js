@@ -0,0 +1,46 @@
+// src/routes/apiRoutes.js
+// Versioned JSON API (mounted at /api/v1). Authenticated with bearer tokens
+// created under Admin → API tokens, never with the admin session cookie.
+const express = require('express');
+const createError = require('http-errors');
+const router = express.Router();
+const apiController = require('../controllers/apiController');
+const { requireApiToken } = require('../middleware/authMiddleware');
+
+const canRead = requireApiToken('read');
+const canWrite = requireApiToken('write');
+
+// Events ----------------------------------------------------------------------
+router.get('/events', canRead, apiController.listEvents);
+router.post('/events', canWrite, apiController.createEvent);
+router.get('/events/:eventId', canRead, apiController.getEvent);
+router.patch('/events/:eventId', canWrite, apiController.updateEvent);
+router.post('/events/:eventId/publish', canWrite, apiController.setEventPublish);
+router.get('/events/:eventId/registrations', canRead, apiController.listRegistrations);
+router.get('/events/:eventId/open-needs', canRead, apiController.listOpenNeeds);
+
+// Stations --------------------------------------------------------------------
+router.get('/events/:eventId/stations', canRead, apiController.listStations);
+router.post('/events/:eventId/stations', canWrite, apiController.createStation);
+router.get('/stations/:stationId', canRead, apiController.getStation);
+router.patch('/stations/:stationId', canWrite, apiController.updateStation);
+router.delete('/stations/:stationId', canWrite, apiController.deleteStation);
+
+// Time blocks / items ---------------------------------------------------------
+router.post('/stations/:stationId/blocks', canWrite, apiController.createBlock);
+router.get('/blocks/:blockId', canRead, apiController.getBlock);
+router.patch('/blocks/:blockId', canWrite, apiController.updateBlock);
+router.delete('/blocks/:blockId', canWrite, apiController.deleteBlock);
+
+router.use((req, res, next) => {
+  next(createError(404, `No API route for ${req.method} ${req.originalUrl}`));
+});
+
+// API errors are always JSON; unexpected failures don't leak internals.
+router.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error('[API]', req.method, req.originalUrl, err && err.message);
+  res.status(status).json({ ok: false, error: status >= 500 ? 'Something went wrong.' : err.message });
+});
+
+module.exports = router;
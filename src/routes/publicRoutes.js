@@ -97,6 +97,17 @@ router.post(
 );
 
 router.post('/manage/:token/preferences', publicController.updateEmailPreference);
+router.post('/manage/:token/sms-preferences', publicController.updateSmsPreference);
+router.post('/manage/:token/swaps', publicController.requestShiftSwap);
+router.post('/manage/:token/swaps/:swapId/cancel', publicController.cancelShiftSwap);
+router.post('/manage/:token/swaps/:swapId/accept', publicController.acceptShiftSwap);
+router.post('/manage/:token/cant-make-it', publicController.reportCantMakeIt);
+router.get('/manage/:token/calendar.ics', publicController.downloadManageCalendar);
+router.get('/calendar/:token.ics', publicController.downloadCalendarFeed);
+
+// Station self check-in (QR code posters link here)
+router.get('/checkin/:token', publicController.showStationCheckIn);
+router.post('/checkin/:token', publicController.submitStationCheckIn);
 
 // --- CRITICAL FIX ---
 // Signup submission endpoint. It is now a single, clean route.
@@ -0,0 +1,19 @@
+// src/routes/smsRoutes.js
+// Webhooks from the SMS provider (mounted at /sms). Like the JSON API these
+// sit ahead of sessions and CSRF; the provider's verifyInbound() check in
+// utils/sms.js authenticates each request instead.
+const express = require('express');
+const router = express.Router();
+const publicController = require('../controllers/publicController');
+
+// Replies from volunteers: STOP / START / HELP keywords
+router.post('/inbound', publicController.receiveInboundSms);
+
+// Gateways only need a status code; the HTML error page needs session locals.
+router.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error('[SMS]', req.method, req.originalUrl, err && err.message);
+  res.status(status).json({ ok: false, error: status >= 500 ? 'Something went wrong.' : err.message });
+});
+
+module.exports = router;
@@ -41,4 +41,11 @@ try {
 
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT} in ${process.env.NODE_ENV} mode.`);
+    // Background jobs start only once the database is ready and the app is serving.
+    require('./services/reminderService').startReminderScheduler();
+    require('./services/webhookService').startWebhookWorker();
+    require('./services/broadcastService').startBroadcastWorker();
+    require('./services/mailOutboxService').startMailWorker();
+    require('./services/publishScheduleService').startPublishScheduler();
+    require('./services/retentionService').startRetentionScheduler();
 });
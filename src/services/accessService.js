@@ -0,0 +1,173 @@
+// src/services/accessService.js
+// -----------------------------------------------------------------------------
+// Role-based access for the admin area. Google sign-in proves who someone is;
+// this module decides what they may do:
+//   owner       – everything, including deletes, maintenance, and user admin
+//   coordinator – view all events, create events, edit events assigned to them
+//   viewer      – read-only access to the dashboard, events, and exports
+// Owners listed in ADMIN_OWNER_EMAILS are provisioned automatically on login.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+
+const ROLES = ['owner', 'coordinator', 'viewer'];
+const ROLE_RANK = { viewer: 1, coordinator: 2, owner: 3 };
+
+function normalizeEmail(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function parseOwnerEmails(raw = process.env.ADMIN_OWNER_EMAILS) {
+  return String(raw || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+}
+
+function normalizeRole(value) {
+  const role = String(value || '').trim().toLowerCase();
+  if (!ROLES.includes(role)) throw createError(400, 'Choose a role: owner, coordinator, or viewer.');
+  return role;
+}
+
+/**
+ * Decide whether a freshly authenticated Google account may use the admin
+ * area. Returns the admin user row, or null when access has not been granted.
+ * A brand-new install with no admin users and no ADMIN_OWNER_EMAILS makes the
+ * first person to sign in the owner so nobody is locked out.
+ */
+function resolveAdminLogin(email, displayName) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  let account = dal.admin.getAdminUserByEmail(normalized);
+  const configuredOwners = parseOwnerEmails();
+  if (!account) {
+    const isConfiguredOwner = configuredOwners.includes(normalized);
+    const isBootstrap = !configuredOwners.length && dal.admin.countAdminUsers() === 0;
+    if (!isConfiguredOwner && !isBootstrap) return null;
+    dal.admin.createAdminUser(normalized, displayName, 'owner');
+    account = dal.admin.getAdminUserByEmail(normalized);
+  } else if (account.role !== 'owner' && configuredOwners.includes(normalized)) {
+    dal.admin.updateAdminUserRole(account.admin_user_id, 'owner');
+    account = dal.admin.getAdminUserById(account.admin_user_id);
+  }
+  dal.admin.recordAdminLogin(account.admin_user_id, displayName);
+  return account;
+}
+
+/**
+ * Build the access descriptor for a signed-in session user. Looked up on every
+ * request so role changes apply immediately. Returns null when the account
+ * has been removed.
+ */
+function getAccessForUser(user) {
+  const email = normalizeEmail(user && user.email);
+  if (!email) return null;
+  const account = dal.admin.getAdminUserByEmail(email);
+  if (!account) return null;
+  const eventIds = new Set(
+    account.role === 'coordinator' ? dal.admin.listCoordinatorEventIds(account.admin_user_id) : []
+  );
+  return {
+    admin_user_id: account.admin_user_id,
+    email: account.email,
+    role: account.role,
+    isOwner: account.role === 'owner',
+    canCreateEvents: hasRole({ role: account.role }, 'coordinator'),
+    canEditEvent(eventId) {
+      if (account.role === 'owner') return true;
+      return account.role === 'coordinator' && eventIds.has(Number(eventId));
+    }
+  };
+}
+
+function hasRole(access, role) {
+  if (!access) return false;
+  return (ROLE_RANK[access.role] || 0) >= (ROLE_RANK[role] || Infinity);
+}
+
+/** Map a route parameter (station, block, reservation) to its event id. */
+function resolveEventId(kind, id) {
+  const numericId = Number(id);
+  if (!Number.isFinite(numericId)) return null;
+  if (kind === 'event') return numericId;
+  if (kind === 'station') return dal.admin.getStationEventId(numericId);
+  if (kind === 'block') return dal.admin.getBlockEventId(numericId);
+  if (kind === 'reservation') {
+    const reservation = dal.admin.getReservationById(numericId);
+    return reservation ? dal.admin.getStationEventId(reservation.station_id) : null;
+  }
+  return null;
+}
+
+/** Events a new coordinator creates (or copies) are theirs to edit. */
+function grantCreatorAccess(access, eventIds) {
+  if (!access || access.role !== 'coordinator') return;
+  (Array.isArray(eventIds) ? eventIds : [eventIds])
+    .filter(id => id != null)
+    .forEach(id => dal.admin.addEventCoordinator(Number(id), access.admin_user_id));
+}
+
+// --- Owner user management ---------------------------------------------------
+
+function listAdminUsers() {
+  return dal.admin.listAdminUsers().map(row => ({
+    ...row,
+    event_ids: row.event_ids ? String(row.event_ids).split(',').map(Number) : []
+  }));
+}
+
+function addAdminUser(data) {
+  const email = normalizeEmail(data && data.email);
+  if (!email || !/^[^@\s]+@[^@\s]+$/.test(email)) throw createError(400, 'Enter a valid email address.');
+  const role = normalizeRole(data.role || 'viewer');
+  const res = dal.admin.createAdminUser(email, null, role);
+  return res.lastInsertRowid;
+}
+
+function assertNotLastOwner(account) {
+  if (account.role === 'owner' && dal.admin.countAdminUsers('owner') <= 1) {
+    throw createError(400, 'There must always be at least one owner.');
+  }
+}
+
+/**
+ * Update an account's role and (for coordinators) the events they manage.
+ * `event_ids` may be a single value or an array from a multi-select.
+ */
+function updateAdminUser(adminUserId, data) {
+  const account = dal.admin.getAdminUserById(adminUserId);
+  if (!account) throw createError(404, 'Admin user not found.');
+  const role = normalizeRole(data && data.role);
+  if (role !== 'owner') assertNotLastOwner(account);
+  dal.admin.updateAdminUserRole(account.admin_user_id, role);
+  const rawIds = data && data.event_ids !== undefined ? [].concat(data.event_ids) : [];
+  const eventIds = role === 'coordinator'
+    ? rawIds.map(Number).filter(Number.isFinite)
+    : [];
+  dal.admin.setCoordinatorEvents(account.admin_user_id, eventIds);
+}
+
+function removeAdminUser(adminUserId, currentAccess) {
+  const account = dal.admin.getAdminUserById(adminUserId);
+  if (!account) throw createError(404, 'Admin user not found.');
+  if (currentAccess && currentAccess.admin_user_id === account.admin_user_id) {
+    throw createError(400, 'You cannot remove your own access.');
+  }
+  assertNotLastOwner(account);
+  dal.admin.deleteAdminUser(account.admin_user_id);
+}
+
+module.exports = {
+  ROLES,
+  parseOwnerEmails,
+  resolveAdminLogin,
+  getAccessForUser,
+  hasRole,
+  resolveEventId,
+  grantCreatorAccess,
+  listAdminUsers,
+  addAdminUser,
+  updateAdminUser,
+  removeAdminUser
+};
@@ -7,6 +7,32 @@
 // -----------------------------------------------------------------------------
 const dal = require('../db/dal');
 const createError = require('http-errors');
+const publicService = require('./publicService');
+const webhookService = require('./webhookService');
+const registrationQuestions = require('./registrationQuestionService');
+const { parseCsvRecords } = require('../utils/csv');
+const {
+  normalizeAgeBracket,
+  normalizeMinAge,
+  parseQualifications,
+  serializeQualifications,
+  unmetRequirements
+} = require('../utils/stationRequirements');
+const { SCHEDULE_FIELDS, MAX_LOCKOUT_HOURS, normalizeLockoutHours } = require('../utils/signupWindow');
+const { LIMIT_FIELDS, LIMIT_KEYS, normalizeLimit, signupLimits, participantLimitProblem } = require('../utils/signupLimits');
+const {
+  LOCATION_COLUMNS,
+  locationFrom,
+  hasLocation,
+  locationProblem,
+  locationColumns,
+  mergeLocation,
+  formatLocation
+} = require('../utils/location');
+
+// Day-of attendance values stored on schedule_assignments.attendance_status.
+const ATTENDANCE_STATUSES = ['present', 'late', 'no_show'];
+const ATTENDANCE_LABELS = { present: 'Present', late: 'Late', no_show: 'No-show' };
 
 /**
  * Normalise a datetime-local string (e.g. `YYYY-MM-DDTHH:mm`) into a canonical
@@ -101,10 +127,11 @@ function validateServingsRange(min, max) {
 
 /**
  * Retrieve all events for the admin dashboard sorted chronologically so that
- * coordinators always see the next event first.
+ * coordinators always see the next event first. Archived events are left out
+ * unless `includeArchived` is set.
  */
-function getDashboardData() {
-  return dal.admin.getAllEvents().sort((a, b) => {
+function getDashboardData({ includeArchived = false } = {}) {
+  return dal.admin.getAllEvents().filter(e => includeArchived || !e.archived_at).sort((a, b) => {
     const aDate = new Date(a.date_start).getTime();
     const bDate = new Date(b.date_start).getTime();
     return bDate - aDate; // Newest (latest start) first
@@ -126,6 +153,7 @@ function getEventDetailsForAdmin(eventId) {
     if (!resByBlock.has(r.block_id)) resByBlock.set(r.block_id, []);
     resByBlock.get(r.block_id).push({
       reservation_id: r.reservation_id,
+      registration_id: r.registration_id,
       volunteer_id: r.volunteer_id,
       name: r.volunteer_name,
       email: r.volunteer_email,
@@ -133,7 +161,13 @@ function getEventDetailsForAdmin(eventId) {
       registrant_name: r.registrant_name,
       registrant_email: r.registrant_email,
       reservation_date: r.reservation_date,
-      reservation_note: r.reservation_note || ''
+      reservation_note: r.reservation_note || '',
+      attendance_status: r.attendance_status || null,
+      attendance_marked_at: r.attendance_marked_at || null,
+      cant_make_it_at: r.cant_make_it_at || null,
+      cant_make_it_note: r.cant_make_it_note || '',
+      age_bracket: r.age_bracket || null,
+      qualifications: parseQualifications(r.qualifications)
     });
   });
 
@@ -151,6 +185,17 @@ function getEventDetailsForAdmin(eventId) {
     is_private: isPrivate,
     publish_state: publishState,
     signup_mode: rows[0].signup_mode || 'schedule',
+    series_id: rows[0].series_id || null,
+    series_index: rows[0].series_index != null ? Number(rows[0].series_index) : null,
+    signups_open_at: rows[0].signups_open_at || null,
+    signups_close_at: rows[0].signups_close_at || null,
+    publish_at: rows[0].publish_at || null,
+    unpublish_at: rows[0].unpublish_at || null,
+    change_lockout_hours: normalizeLockoutHours(rows[0].change_lockout_hours),
+    ...signupLimits(rows[0]),
+    archived_at: rows[0].archived_at || null,
+    pii_purged_at: rows[0].pii_purged_at || null,
+    location: locationFrom(rows[0]),
     stations: []
   };
 
@@ -160,17 +205,25 @@ function getEventDetailsForAdmin(eventId) {
     if (!stationMap.has(row.station_id)) {
       const about = row.station_description_overview || row.station_description || '';
       const duties = row.station_description_tasks || '';
+      const ownLocation = locationFrom(row, 'station_');
       stationMap.set(row.station_id, {
         station_id: row.station_id,
         name: row.station_name || row.s_name || row.name,
         about,
         duties,
         description: about,
+        min_age: normalizeMinAge(row.station_min_age),
+        required_qualifications: parseQualifications(row.station_required_qualifications),
+        // own_location holds the station's own fields (for the edit form);
+        // location is what volunteers see, with blanks filled from the event.
+        own_location: ownLocation,
+        location: mergeLocation(event.location, ownLocation),
         time_blocks: []
       });
     }
     if (row.block_id) {
-      stationMap.get(row.station_id).time_blocks.push({
+      const station = stationMap.get(row.station_id);
+      station.time_blocks.push({
         block_id: row.block_id,
         start_time: row.start_time, // local text
         end_time: row.end_time,     // local text
@@ -183,8 +236,11 @@ function getEventDetailsForAdmin(eventId) {
             ? row.capacity_needed
             : row.capacity,
         reserved_count: row.reserved_count || 0,
+        waitlist_count: row.waitlist_count || 0,
         is_full: !!row.is_full,
-        reservations: resByBlock.get(row.block_id) || []
+        // `unmet` lists requirements of this station the volunteer doesn't meet
+        // (admins may place them anyway; the roster flags it).
+        reservations: (resByBlock.get(row.block_id) || []).map(r => ({ ...r, unmet: unmetRequirements(station, r) }))
       });
     }
   });
@@ -220,6 +276,11 @@ function getEventRosterForExport(eventId, opts = {}) {
           station_name: station.name,
           station_about: station.about || '',
           station_duties: station.duties || '',
+          location: formatLocation(station.location),
+          location_name: station.location.name,
+          location_address: station.location.address,
+          location_room: station.location.room,
+          location_notes: station.location.notes,
           // Block
           block_id: block.block_id,
           block_start: block.start_time,
@@ -235,6 +296,7 @@ function getEventRosterForExport(eventId, opts = {}) {
           is_full: !!block.is_full,
           // Volunteer & reservation
           reservation_id: res.reservation_id,
+          registration_id: res.registration_id,
           reservation_date: res.reservation_date,
           volunteer_id: res.volunteer_id,
           volunteer_name: res.name,
@@ -243,7 +305,10 @@ function getEventRosterForExport(eventId, opts = {}) {
           registrant_name: res.registrant_name || res.name,
           registrant_email: res.registrant_email || res.email,
           registrant_phone: res.phone || '',
-          reservation_note: res.reservation_note || res.note || ''
+          reservation_note: res.reservation_note || res.note || '',
+          attendance: ATTENDANCE_LABELS[res.attendance_status] || '',
+          attendance_marked_at: res.attendance_marked_at || '',
+          cant_make_it: res.cant_make_it_at ? (res.cant_make_it_note || 'Yes') : ''
         });
       });
     });
@@ -284,13 +349,15 @@ function getEventRosterForExport(eventId, opts = {}) {
     return cmpText(a.volunteer_name, b.volunteer_name);
   });
 
-  // Add denormalized helpers for CSV: event_type alias
+  // Add denormalized helpers for CSV: event_type alias, registration answers
+  const questions = registrationQuestions.getExportColumns(event.event_id);
   const rowsOut = sorted.map(r => ({
     ...r,
+    ...questions.valuesFor({ registration_id: r.registration_id, participant_id: r.volunteer_id }),
     event_type: String(event.signup_mode || 'schedule')
   }));
 
-  return { event, rows: rowsOut };
+  return { event, rows: rowsOut, questionColumns: questions.columns };
 }
 
 /**
@@ -361,6 +428,9 @@ function getStationDetailsForAdmin(stationId) {
     about: rows[0].station_description_overview || rows[0].station_description || '',
     duties: rows[0].station_description_tasks || '',
     description: rows[0].station_description_overview || rows[0].station_description || '',
+    min_age: normalizeMinAge(rows[0].station_min_age),
+    required_qualifications: parseQualifications(rows[0].station_required_qualifications),
+    own_location: locationFrom(rows[0], 'station_'),
     time_blocks: []
   };
 
@@ -408,9 +478,35 @@ function createEvent(arg) {
   return dal.admin.createEvent(name, description || '', startTxt, endTxt, signup_mode);
 }
 
+const LIMIT_ERRORS = {
+  max_participants_per_registration: 'Enter the most people per signup as a whole number from 1 to 50, or leave it blank.',
+  max_assignments_per_participant: 'Enter the most shifts per participant as a whole number from 1 to 50, or leave it blank.',
+  min_assignments_per_participant: 'Enter the fewest shifts per participant as a whole number from 1 to 50, or leave it blank.',
+  max_hours_per_day: 'Enter the most hours per day in half hours from 0.5 to 24, or leave it blank.',
+  min_rest_minutes: 'Enter the rest between shifts in whole minutes from 1 to 1440, or leave it blank.'
+};
+
+/**
+ * Validated location columns from a form body. Only the fields the caller
+ * sent are returned, so a partial update leaves the others alone.
+ */
+function locationPatch(data) {
+  const sent = LOCATION_COLUMNS.filter(key => data && data[key] !== undefined);
+  if (!sent.length) return {};
+  const location = locationFrom(data);
+  const problem = locationProblem(location);
+  if (problem) throw createError(400, problem);
+  const columns = locationColumns(location);
+  const patch = {};
+  sent.forEach(key => { patch[key] = columns[key]; });
+  return patch;
+}
+
 /**
  * Update an existing event with optional name/description/datetime changes.
- * Only fields present in the payload are persisted.
+ * Only fields present in the payload are persisted. The signup window,
+ * publish schedule, change lock-out, signup limits, and location are cleared
+ * when sent blank.
  */
 function updateEvent(eventId, data) {
   if (!eventId) throw createError(400, 'Event ID required.');
@@ -423,12 +519,582 @@ function updateEvent(eventId, data) {
     const mode = String(data.signup_mode || data.mode || '').trim().toLowerCase();
     if (mode === 'potluck' || mode === 'schedule') patch.signup_mode = mode;
   }
+  Object.assign(patch, locationPatch(data));
   if (patch.date_start && patch.date_end && cmpLocal(patch.date_start, patch.date_end) >= 0) {
     throw createError(400, 'Event end must be after start.');
   }
+  if (data.change_lockout_hours !== undefined) {
+    const raw = String(data.change_lockout_hours == null ? '' : data.change_lockout_hours).trim();
+    patch.change_lockout_hours = raw ? normalizeLockoutHours(raw) : null;
+    if (raw && patch.change_lockout_hours === null) {
+      throw createError(400, `Enter the change lock-out as whole hours from 1 to ${MAX_LOCKOUT_HOURS}, or leave it blank.`);
+    }
+  }
+  if (LIMIT_KEYS.some(key => data[key] !== undefined)) {
+    const rows = dal.admin.getEventById(eventId);
+    if (!rows || !rows.length) throw createError(404, 'Event not found.');
+    LIMIT_FIELDS.forEach(({ key }) => {
+      if (data[key] === undefined) return;
+      const raw = String(data[key] == null ? '' : data[key]).trim();
+      patch[key] = raw ? normalizeLimit(key, raw) : null;
+      if (raw && patch[key] === null) throw createError(400, LIMIT_ERRORS[key]);
+    });
+    const merged = signupLimits({ ...rows[0], ...patch });
+    if (merged.min_assignments_per_participant && merged.max_assignments_per_participant
+      && merged.min_assignments_per_participant > merged.max_assignments_per_participant) {
+      throw createError(400, 'The fewest shifts per participant cannot be more than the most.');
+    }
+  }
+  if (SCHEDULE_FIELDS.some(key => data[key] !== undefined)) {
+    const rows = dal.admin.getEventById(eventId);
+    if (!rows || !rows.length) throw createError(404, 'Event not found.');
+    const merged = {};
+    SCHEDULE_FIELDS.forEach(key => {
+      if (data[key] !== undefined) {
+        patch[key] = String(data[key] || '').trim() ? toCanonicalLocalString(String(data[key])) : null;
+      }
+      merged[key] = patch[key] !== undefined ? patch[key] : rows[0][key];
+    });
+    if (merged.signups_open_at && merged.signups_close_at && cmpLocal(merged.signups_open_at, merged.signups_close_at) >= 0) {
+      throw createError(400, 'Signups must close after they open.');
+    }
+    if (merged.publish_at && merged.unpublish_at && cmpLocal(merged.publish_at, merged.unpublish_at) >= 0) {
+      throw createError(400, 'The unpublish time must be after the publish time.');
+    }
+  }
   return dal.admin.updateEvent(eventId, patch);
 }
 
+// -----------------------------------------------------------------------------
+// Recurring series
+// -----------------------------------------------------------------------------
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_SERIES_OCCURRENCES = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function localPartsToUtc(txt) {
+  const m = String(txt || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[ ](\d{2}):(\d{2}))?$/);
+  if (!m) return null;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0));
+}
+
+function utcToLocalText(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+/**
+ * Move a canonical local datetime by whole calendar days. Works on the text
+ * components (via UTC) so DST changes never nudge the wall-clock time.
+ */
+function shiftLocalDays(txt, days) {
+  const ms = localPartsToUtc(txt);
+  if (ms === null) return txt;
+  return utcToLocalText(ms + days * DAY_MS);
+}
+
+/** Whole calendar days from the date of `b` to the date of `a`. */
+function localDayDiff(a, b) {
+  const A = localPartsToUtc(String(a).slice(0, 10));
+  const B = localPartsToUtc(String(b).slice(0, 10));
+  return Math.round((A - B) / DAY_MS);
+}
+
+/**
+ * Validate a recurrence rule from the admin form. Either an inclusive
+ * `until_date` (YYYY-MM-DD) or an `occurrence_count` (total events, template
+ * included) is required; when both are given the series stops at whichever
+ * comes first.
+ */
+function parseSeriesRule(data, startTxt) {
+  const frequency = String((data && data.frequency) || '').trim().toLowerCase();
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    throw createError(400, 'Choose how often the event repeats (weekly, every two weeks, or monthly).');
+  }
+  const untilRaw = String((data && data.until_date) || '').trim();
+  const countRaw = String((data && data.occurrence_count) || '').trim();
+  if (!untilRaw && !countRaw) throw createError(400, 'Provide an end date or a number of occurrences.');
+
+  let until_date = null;
+  if (untilRaw) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(untilRaw) || localPartsToUtc(untilRaw) === null) {
+      throw createError(400, `Invalid end date: ${untilRaw}`);
+    }
+    if (localDayDiff(untilRaw, startTxt) <= 0) throw createError(400, 'Series end date must be after the event date.');
+    until_date = untilRaw;
+  }
+  let count = null;
+  if (countRaw) {
+    count = Number(countRaw);
+    if (!Number.isInteger(count) || count < 2) throw createError(400, 'Number of occurrences must be at least 2.');
+  }
+  return { frequency, until_date, count };
+}
+
+/**
+ * Day offsets (relative to the template start) for every generated occurrence.
+ * Monthly rules keep the same weekday position ("2nd Tuesday"); a template in
+ * the 5th week maps to the last matching weekday of each month.
+ */
+function seriesDayOffsets(startTxt, rule) {
+  const start = new Date(localPartsToUtc(startTxt.slice(0, 10)));
+  const weekday = start.getUTCDay();
+  const nth = Math.ceil(start.getUTCDate() / 7);
+  const offsets = [];
+  for (let k = 1; ; k++) {
+    let days;
+    if (rule.frequency === 'monthly') {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + k;
+      const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+      let day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      while (day > daysInMonth) day -= 7;
+      days = Math.round((Date.UTC(year, month, day) - start.getTime()) / DAY_MS);
+    } else {
+      days = k * (rule.frequency === 'biweekly' ? 14 : 7);
+    }
+    if (rule.count && offsets.length + 1 >= rule.count) break;
+    if (rule.until_date && localDayDiff(shiftLocalDays(startTxt, days), rule.until_date) > 0) break;
+    if (offsets.length >= MAX_SERIES_OCCURRENCES) {
+      throw createError(400, `A series can generate at most ${MAX_SERIES_OCCURRENCES} occurrences at once.`);
+    }
+    offsets.push(days);
+  }
+  return offsets;
+}
+
+/** Give a copied station the minimum age and qualifications of mapped station `st`. */
+function copyStationRequirements(stationId, st) {
+  const qualifications = serializeQualifications(st && st.required_qualifications);
+  if (!st || (!st.min_age && !qualifications)) return;
+  dal.admin.setStationRequirements(stationId, { minAge: st.min_age, qualifications });
+}
+
+/** Give a copied station the own location fields of mapped station `st`. */
+function copyStationLocation(stationId, st) {
+  if (!st || !hasLocation(st.own_location)) return;
+  dal.admin.setStationLocation(stationId, locationColumns(st.own_location));
+}
+
+/**
+ * The template's signup window and publish times moved by `days`. With
+ * `nowTxt`, publish times that would already have passed are left out, so
+ * pushing a template never publishes or unpublishes an occurrence at once.
+ */
+function shiftSchedule(src, days, nowTxt) {
+  const patch = {};
+  SCHEDULE_FIELDS.forEach(key => {
+    const shifted = src[key] ? shiftLocalDays(src[key], days) : null;
+    if (nowTxt && shifted && (key === 'publish_at' || key === 'unpublish_at') && cmpLocal(shifted, nowTxt) <= 0) return;
+    patch[key] = shifted;
+  });
+  return patch;
+}
+
+/** The template block `b`'s times, capacity and potluck fields moved by `days`. */
+function shiftedBlockPatch(b, days) {
+  return {
+    start_time: shiftLocalDays(b.start_time, days),
+    end_time: shiftLocalDays(b.end_time, days),
+    capacity_needed: b.capacity_needed,
+    title: b.title || null,
+    servings_min: b.servings_min != null ? b.servings_min : null,
+    servings_max: b.servings_max != null ? b.servings_max : null
+  };
+}
+
+/** Add a copy of template block `b` to `stationId`, remembering where it came from. */
+function copyBlockShifted(b, stationId, days) {
+  const patch = shiftedBlockPatch(b, days);
+  const blockId = dal.admin.createTimeBlock(stationId, patch.start_time, patch.end_time, patch.capacity_needed).lastInsertRowid;
+  if (patch.title || patch.servings_min != null || patch.servings_max != null) {
+    dal.admin.updateTimeBlock(blockId, { title: patch.title, servings_min: patch.servings_min, servings_max: patch.servings_max });
+  }
+  if (b.block_id) dal.admin.setTimeBlockSource(blockId, b.block_id);
+}
+
+/**
+ * Recreate the template's stations and blocks on `eventId`, shifted by `days`.
+ * Each copy remembers the template station/block it came from so later pushes
+ * can find it again.
+ */
+function copyStructureShifted(src, eventId, days) {
+  (Array.isArray(src.stations) ? src.stations : []).forEach(st => {
+    const stationId = dal.admin.createStation(eventId, st.name, st.about || '', st.duties || '').lastInsertRowid;
+    if (st.station_id) dal.admin.setStationSource(stationId, st.station_id);
+    copyStationRequirements(stationId, st);
+    copyStationLocation(stationId, st);
+    (Array.isArray(st.time_blocks) ? st.time_blocks : []).forEach(b => copyBlockShifted(b, stationId, days));
+  });
+}
+
+/**
+ * Turn an event into the template of a recurring series and generate every
+ * occurrence as a draft copy whose dates, time blocks, signup window, and
+ * publish times are shifted by the occurrence offset. Reservations are never
+ * copied. The whole series is written in one transaction.
+ */
+function generateEventSeries(eventId, data) {
+  const src = getEventDetailsForAdmin(eventId);
+  if (!src) throw createError(404, 'Event not found.');
+  if (src.series_id) throw createError(409, 'This event already belongs to a series.');
+  const rule = parseSeriesRule(data, src.date_start);
+  const offsets = seriesDayOffsets(src.date_start, rule);
+  if (!offsets.length) throw createError(400, 'The repeat rule does not produce any additional dates.');
+
+  return dal.admin.inTransaction(() => {
+    const seriesId = dal.admin.createEventSeries(src.event_id, rule.frequency, rule.until_date, rule.count).lastInsertRowid;
+    const eventIds = offsets.map((days, idx) => {
+      const newEventId = dal.admin.createEvent(
+        src.name,
+        src.description || '',
+        shiftLocalDays(src.date_start, days),
+        shiftLocalDays(src.date_end, days),
+        src.signup_mode
+      ).lastInsertRowid;
+      copyStructureShifted(src, newEventId, days);
+      dal.admin.updateEvent(newEventId, {
+        ...shiftSchedule(src, days),
+        ...signupLimits(src),
+        ...locationColumns(src.location),
+        change_lockout_hours: src.change_lockout_hours
+      });
+      registrationQuestions.copyQuestions(src.event_id, newEventId);
+      dal.admin.setEventSeries(newEventId, seriesId, idx + 1);
+      return newEventId;
+    });
+    return { series_id: seriesId, event_ids: eventIds };
+  });
+}
+
+/**
+ * Occurrences generated before copies remembered their template station and
+ * block are linked to the template by position once, so the first push
+ * updates them instead of adding duplicates.
+ */
+function linkUnsourcedStructure(src, stations, sources) {
+  if ([...sources.stations.values()].some(id => id != null)) return;
+  stations.forEach((station, sIdx) => {
+    const st = src.stations[sIdx];
+    if (!st) return;
+    dal.admin.setStationSource(station.station_id, st.station_id);
+    sources.stations.set(station.station_id, st.station_id);
+    station.time_blocks.forEach((block, bIdx) => {
+      const b = st.time_blocks[bIdx];
+      if (!b) return;
+      dal.admin.setTimeBlockSource(block.block_id, b.block_id);
+      sources.blocks.set(block.block_id, b.block_id);
+    });
+  });
+}
+
+/**
+ * Push the template's details, signup window, publish times, stations, and
+ * time blocks to every occurrence that has not started yet, one transaction
+ * per occurrence. Occurrences keep their own date; stations and blocks are
+ * matched to the template ones they were copied from. Anything with signups is
+ * never moved out from under volunteers: such blocks keep their times and
+ * capacity, extra stations or blocks are removed only when empty (all counted
+ * as skipped), and the signup mode only changes while nobody has signed up.
+ */
+function pushSeriesTemplate(eventId, now = new Date()) {
+  const src = getEventDetailsForAdmin(eventId);
+  if (!src) throw createError(404, 'Event not found.');
+  if (!src.series_id) throw createError(400, 'This event is not part of a series.');
+  if (src.series_index !== 0) throw createError(400, 'Only the first event in a series can update the others.');
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const nowTxt = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  const targets = dal.admin.listSeriesEvents(src.series_id)
+    .filter(e => e.event_id !== src.event_id && cmpLocal(e.date_start, nowTxt) > 0);
+
+  const summary = { updated: 0, skipped: 0 };
+  const hasSignups = (b) => (b.reserved_count || 0) > 0 || (b.waitlist_count || 0) > 0;
+  const differs = (block, patch) => Object.keys(patch).some(key => String(block[key] ?? '') !== String(patch[key] ?? ''));
+  targets.forEach(target => dal.admin.inTransaction(() => {
+    const days = localDayDiff(target.date_start, src.date_start);
+    const hasRegistrations = dal.admin.countEventRegistrations(target.event_id) > 0;
+    dal.admin.updateEvent(target.event_id, {
+      name: src.name,
+      description: src.description || '',
+      date_start: shiftLocalDays(src.date_start, days),
+      date_end: shiftLocalDays(src.date_end, days),
+      ...(hasRegistrations ? {} : { signup_mode: src.signup_mode }),
+      change_lockout_hours: src.change_lockout_hours,
+      ...signupLimits(src),
+      ...locationColumns(src.location),
+      ...shiftSchedule(src, days, nowTxt)
+    });
+    const current = getEventDetailsForAdmin(target.event_id);
+    const stations = current ? current.stations : [];
+    const sources = dal.admin.getStructureSources(target.event_id);
+    linkUnsourcedStructure(src, stations, sources);
+
+    const matchedStations = new Set();
+    src.stations.forEach(st => {
+      const existing = stations.find(station => sources.stations.get(station.station_id) === st.station_id);
+      if (!existing) {
+        copyStructureShifted({ stations: [st] }, target.event_id, days);
+        return;
+      }
+      matchedStations.add(existing.station_id);
+      dal.admin.updateStation(existing.station_id, st.name, st.about || '', st.duties || '');
+      dal.admin.setStationRequirements(existing.station_id, {
+        minAge: st.min_age,
+        qualifications: serializeQualifications(st.required_qualifications)
+      });
+      dal.admin.setStationLocation(existing.station_id, locationColumns(st.own_location));
+      const matchedBlocks = new Set();
+      st.time_blocks.forEach(b => {
+        const block = existing.time_blocks.find(tb => sources.blocks.get(tb.block_id) === b.block_id);
+        if (!block) {
+          copyBlockShifted(b, existing.station_id, days);
+          return;
+        }
+        matchedBlocks.add(block.block_id);
+        const patch = shiftedBlockPatch(b, days);
+        if (!differs(block, patch)) return;
+        if (hasSignups(block)) summary.skipped += 1;
+        else dal.admin.updateTimeBlock(block.block_id, patch);
+      });
+      existing.time_blocks.filter(block => !matchedBlocks.has(block.block_id)).forEach(block => {
+        if (hasSignups(block)) summary.skipped += 1;
+        else dal.admin.deleteTimeBlock(block.block_id);
+      });
+    });
+    stations.filter(station => !matchedStations.has(station.station_id)).forEach(station => {
+      if (station.time_blocks.some(hasSignups)) summary.skipped += 1;
+      else dal.admin.deleteStation(station.station_id);
+    });
+    summary.updated += 1;
+  }));
+  return summary;
+}
+
+/** Series metadata plus its member events for the admin event page. */
+function getEventSeriesSummary(event) {
+  if (!event || !event.series_id) return null;
+  const series = dal.admin.getEventSeries(event.series_id);
+  if (!series) return null;
+  return {
+    series_id: series.series_id,
+    frequency: series.frequency,
+    until_date: series.until_date,
+    occurrence_count: series.occurrence_count,
+    is_template: event.series_index === 0,
+    events: dal.admin.listSeriesEvents(event.series_id)
+  };
+}
+
+// Structure CSV import ---------------------------------------------------------
+// Reads the same columns exportEventSkeletonCsv writes. Stations are matched
+// by name; time blocks by start/end (schedule) or item name (potluck). Rows
+// only ever create or update: stations and blocks missing from the file are
+// left as they are, so volunteers who already signed up are never dropped.
+
+const SKELETON_COLUMNS = {
+  event_name: 'Event',
+  mode: 'Mode',
+  station_name: 'Station/Category',
+  station_description: 'Station Description',
+  station_duties: 'Station Duties',
+  block_title: 'Item/Block',
+  block_start: 'Block Start',
+  block_end: 'Block End',
+  feeds: 'Feeds',
+  capacity: 'Slots'
+};
+
+/** Read the export's "Feeds" text ("10-20", "10", "≤20") back into min/max. */
+function parseFeeds(text) {
+  const t = String(text || '').trim();
+  if (!t) return { servings_min: null, servings_max: null };
+  let m = t.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+  if (m) return { servings_min: Number(m[1]), servings_max: Number(m[2]) };
+  m = t.match(/^(?:≤|<=)\s*(\d+)$/);
+  if (m) return { servings_min: null, servings_max: Number(m[1]) };
+  m = t.match(/^(\d+)\+?$/);
+  if (m) return { servings_min: Number(m[1]), servings_max: null };
+  throw createError(400, `Feeds "${t}" should look like 10, 10-20, or ≤20.`);
+}
+
+function diffFields(current, next, labels) {
+  return Object.keys(labels)
+    .filter(key => next[key] !== undefined)
+    .filter(key => String(current[key] == null ? '' : current[key]) !== String(next[key] == null ? '' : next[key]))
+    .map(key => ({ field: labels[key], before: current[key], after: next[key] }));
+}
+
+/**
+ * Dry run of a structure import: parse the CSV and compare it with the event
+ * as it stands. Returns per-station and per-block actions (create, update,
+ * unchanged) plus row-level errors; nothing is written.
+ */
+function planStructureImport(eventId, csvText) {
+  const event = getEventDetailsForAdmin(eventId);
+  if (!event) throw createError(404, 'Event not found.');
+  const isPotluck = String(event.signup_mode || '').toLowerCase() === 'potluck';
+  const { headers, records } = parseCsvRecords(csvText, SKELETON_COLUMNS);
+  const has = (key) => headers.includes(key);
+  const plan = {
+    event,
+    isPotluck,
+    stations: [],
+    kept: { stations: 0, blocks: 0 },
+    warnings: [],
+    errors: [],
+    summary: { stationsCreated: 0, stationsUpdated: 0, blocksCreated: 0, blocksUpdated: 0, unchanged: 0 }
+  };
+
+  const required = isPotluck ? ['station_name', 'block_title', 'capacity'] : ['station_name', 'block_start', 'block_end', 'capacity'];
+  const missing = required.filter(key => !has(key));
+  if (missing.length) {
+    plan.errors.push(`Missing column${missing.length === 1 ? '' : 's'}: ${missing.map(key => SKELETON_COLUMNS[key]).join(', ')}. Start from "Export skeleton" to get the expected headers.`);
+    return plan;
+  }
+  if (!records.length) {
+    plan.errors.push('The file has a header row but no stations or blocks.');
+    return plan;
+  }
+
+  const otherEvent = records.find(r => r.event_name && r.event_name !== event.name);
+  if (otherEvent) plan.warnings.push(`This file was exported from "${otherEvent.event_name}"; it will be applied to "${event.name}".`);
+
+  const stationKey = (name) => name.replace(/\s+/g, ' ').toLowerCase();
+  const blockKey = (b) => isPotluck ? String(b.title || '').trim().toLowerCase() : `${b.start_time}|${b.end_time}`;
+  const existingStations = new Map(event.stations.map(st => [stationKey(st.name), st]));
+  const byStation = new Map();
+
+  records.forEach(r => {
+    const rowError = (msg) => plan.errors.push(`Row ${r.line}: ${msg}`);
+    if (has('mode') && r.mode && r.mode.toLowerCase() !== (isPotluck ? 'potluck' : 'schedule')) {
+      return rowError(`mode "${r.mode}" does not match this ${isPotluck ? 'potluck' : 'schedule'} event.`);
+    }
+    const name = String(r.station_name || '').trim();
+    if (!name) return rowError('station name is required.');
+
+    const key = stationKey(name);
+    let entry = byStation.get(key);
+    if (!entry) {
+      const current = existingStations.get(key) || null;
+      const values = { name };
+      if (has('station_description')) values.about = r.station_description;
+      if (has('station_duties')) values.duties = r.station_duties;
+      entry = {
+        action: current ? 'update' : 'create',
+        station_id: current ? current.station_id : null,
+        current,
+        // Columns missing from the file keep the station's current text.
+        values: { about: current ? current.about : '', duties: current ? current.duties : '', ...values },
+        changes: current ? diffFields(current, values, { name: 'Name', about: 'Description', duties: 'Duties' }) : [],
+        blocks: [],
+        seen: new Set()
+      };
+      byStation.set(key, entry);
+      plan.stations.push(entry);
+    }
+
+    // A row with only station columns adds/updates the station alone.
+    if (!r.block_title && !r.block_start && !r.block_end && !r.capacity) return;
+
+    const values = {};
+    try {
+      if (isPotluck) {
+        values.title = r.block_title;
+        if (!values.title) throw createError(400, 'item name is required.');
+        if (has('feeds')) Object.assign(values, parseFeeds(r.feeds));
+      } else {
+        values.start_time = toCanonicalLocalString(r.block_start);
+        values.end_time = toCanonicalLocalString(r.block_end);
+        if (cmpLocal(values.start_time, values.end_time) >= 0) throw createError(400, 'block end must be after its start.');
+        if (has('block_title')) values.title = r.block_title;
+      }
+      const cap = Number(r.capacity);
+      if (!r.capacity || !Number.isInteger(cap) || cap < 1) throw createError(400, `slots must be a whole number of at least 1 (got "${r.capacity}").`);
+      values.capacity_needed = cap;
+      validateServingsRange(values.servings_min, values.servings_max);
+    } catch (err) {
+      return rowError(err.message.charAt(0).toLowerCase() + err.message.slice(1));
+    }
+
+    const bKey = blockKey(values);
+    if (entry.seen.has(bKey)) {
+      return rowError(`"${name}" already has ${isPotluck ? `an item named "${values.title}"` : `a block from ${values.start_time} to ${values.end_time}`} earlier in the file.`);
+    }
+    entry.seen.add(bKey);
+    const current = entry.current ? entry.current.time_blocks.find(b => blockKey(b) === bKey) || null : null;
+    const block = {
+      line: r.line,
+      action: current ? 'update' : 'create',
+      block_id: current ? current.block_id : null,
+      values,
+      changes: current ? diffFields(current, values, {
+        title: isPotluck ? 'Item' : 'Title',
+        capacity_needed: 'Slots',
+        servings_min: 'Feeds min',
+        servings_max: 'Feeds max'
+      }) : []
+    };
+    if (current && current.reserved_count > values.capacity_needed) {
+      plan.warnings.push(`Row ${r.line}: ${current.reserved_count} volunteers are already signed up, more than the new ${values.capacity_needed} slots. Nobody is removed.`);
+    }
+    if (block.action === 'update' && !block.changes.length) block.action = 'unchanged';
+    entry.blocks.push(block);
+  });
+
+  const touchedStationIds = new Set();
+  plan.stations.forEach(entry => {
+    if (entry.action === 'update' && !entry.changes.length) entry.action = 'unchanged';
+    if (entry.action === 'create') plan.summary.stationsCreated += 1;
+    else if (entry.action === 'update') plan.summary.stationsUpdated += 1;
+    else plan.summary.unchanged += 1;
+    entry.blocks.forEach(b => {
+      if (b.action === 'create') plan.summary.blocksCreated += 1;
+      else if (b.action === 'update') plan.summary.blocksUpdated += 1;
+      else plan.summary.unchanged += 1;
+    });
+    if (entry.current) {
+      touchedStationIds.add(entry.current.station_id);
+      const matched = new Set(entry.blocks.map(b => b.block_id).filter(Boolean));
+      plan.kept.blocks += entry.current.time_blocks.filter(b => !matched.has(b.block_id)).length;
+    }
+    delete entry.current;
+    delete entry.seen;
+  });
+  event.stations.filter(st => !touchedStationIds.has(st.station_id)).forEach(st => {
+    plan.kept.stations += 1;
+    plan.kept.blocks += st.time_blocks.length;
+  });
+  return plan;
+}
+
+/**
+ * Apply a structure import in one transaction. The CSV is planned again so
+ * what is written always matches a fresh dry run; any row error aborts.
+ */
+function applyStructureImport(eventId, csvText) {
+  const plan = planStructureImport(eventId, csvText);
+  if (plan.errors.length) throw createError(400, `Fix the import file first: ${plan.errors[0]}`);
+  const changes = plan.stations.map(entry => ({
+    action: entry.action,
+    station_id: entry.station_id,
+    values: entry.values,
+    blocks: entry.blocks
+      .filter(b => b.action !== 'unchanged')
+      .map(b => ({
+        action: b.action,
+        block_id: b.block_id,
+        values: b.action === 'create' && plan.isPotluck
+          ? { ...b.values, start_time: plan.event.date_start, end_time: plan.event.date_end }
+          : b.values
+      }))
+  }));
+  dal.admin.applyStructureImport(plan.event.event_id, changes);
+  return plan.summary;
+}
+
 /**
  * Toggle the publish state of an event so it shows up (or disappears) from the
  * public signup experience.
@@ -450,17 +1116,23 @@ function setEventPublish(eventId, state) {
 
 /**
  * Create a station for a given event. When a `copyStationId` is provided we
- * mirror the source station's descriptive text and time blocks so coordinators
- * can quickly spin up similar stations (e.g. multiple check-in desks).
+ * mirror the source station's descriptive text, requirements, location and time blocks so
+ * coordinators can quickly spin up similar stations (e.g. multiple check-in desks).
  */
 function createStation(arg1, name, description, copyStationId) {
   let eventId, nm, about, duties, copyFrom;
+  let minAge = null;
+  let qualifications = null;
+  let ownLocation = {};
   if (typeof arg1 === 'object' && arg1 !== null) {
     eventId = arg1.event_id || arg1.eventId;
     nm = arg1.name;
     about = arg1.about ?? arg1.description_overview ?? arg1.summary ?? arg1.description;
     duties = arg1.duties ?? arg1.description_tasks ?? arg1.expectations ?? '';
     copyFrom = arg1.copyStationId || arg1.copy_from_station_id;
+    minAge = normalizeMinAge(arg1.min_age);
+    qualifications = serializeQualifications(arg1.required_qualifications);
+    ownLocation = locationFrom(locationPatch(arg1));
   } else {
     eventId = arg1;
     nm = name;
@@ -486,6 +1158,9 @@ function createStation(arg1, name, description, copyStationId) {
     sourceStation = {
       about: rows[0].station_description_overview || rows[0].station_description || rows[0].description || '',
       duties: rows[0].station_description_tasks || '',
+      min_age: normalizeMinAge(rows[0].station_min_age),
+      required_qualifications: serializeQualifications(rows[0].station_required_qualifications),
+      location: locationFrom(rows[0], 'station_'),
       blocks: rows
         .filter(row => row.block_id)
         .map(row => ({
@@ -505,6 +1180,15 @@ function createStation(arg1, name, description, copyStationId) {
 
   const result = dal.admin.createStation(eventId, nm.trim(), finalAbout, finalDuties);
   const newStationId = result.lastInsertRowid;
+  const finalMinAge = minAge || (sourceStation && sourceStation.min_age) || null;
+  const finalQualifications = qualifications || (sourceStation && sourceStation.required_qualifications) || null;
+  if (finalMinAge || finalQualifications) {
+    dal.admin.setStationRequirements(newStationId, { minAge: finalMinAge, qualifications: finalQualifications });
+  }
+  const finalLocation = mergeLocation(sourceStation && sourceStation.location, ownLocation);
+  if (hasLocation(finalLocation)) {
+    dal.admin.setStationLocation(newStationId, locationColumns(finalLocation));
+  }
 
   if (sourceStation && sourceStation.blocks.length) {
     try {
@@ -525,7 +1209,9 @@ function createStation(arg1, name, description, copyStationId) {
 }
 
 /**
- * Update an existing station's name and descriptive fields.
+ * Update an existing station's name and descriptive fields. Requirements are
+ * only touched when the caller sends `min_age` or `required_qualifications`,
+ * and the location only for the `location_*` fields sent.
  */
 function updateStation(stationId, data) {
   if (!stationId) throw createError(400, 'Station ID required.');
@@ -533,12 +1219,25 @@ function updateStation(stationId, data) {
   const about = data.about ?? data.description_overview ?? data.summary ?? data.description ?? '';
   const duties = data.duties ?? data.description_tasks ?? data.expectations ?? '';
   if (!nm) throw createError(400, 'Station name is required.');
-  return dal.admin.updateStation(
+  const location = locationPatch(data);
+  const result = dal.admin.updateStation(
     stationId,
     nm,
     String(about ?? '').trim(),
     String(duties ?? '').trim()
   );
+  if (data.min_age !== undefined || data.required_qualifications !== undefined) {
+    dal.admin.setStationRequirements(stationId, {
+      minAge: normalizeMinAge(data.min_age),
+      qualifications: serializeQualifications(data.required_qualifications)
+    });
+  }
+  if (Object.keys(location).length) {
+    const rows = dal.admin.getStationWithBlocks(stationId);
+    const current = rows && rows.length ? locationColumns(locationFrom(rows[0], 'station_')) : {};
+    dal.admin.setStationLocation(stationId, { ...current, ...location });
+  }
+  return result;
 }
 
 /**
@@ -663,9 +1362,33 @@ function assertNoOverlapForParticipant(participantId, newBlockId, detail) {
   }
 }
 
+/**
+ * The event's signup limits apply to admin placements too, apart from the
+ * minimum (an admin adds one shift at a time). `replacesBlockId` is the shift
+ * being moved away from, which no longer counts.
+ */
+function assertWithinLimitsForParticipant(participantId, newBlockId, detail, replacesBlockId = null) {
+  const newBlock = dal.public.getBlocksInfo([newBlockId])[0];
+  if (!newBlock || String(newBlock.signup_mode || 'schedule') !== 'schedule') return;
+  const limits = signupLimits(dal.public.getEventBasic(newBlock.event_id));
+  const keptIds = (Array.isArray(detail && detail.scheduleAssignments) ? detail.scheduleAssignments : [])
+    .filter(a => Number(a.participant_id) === Number(participantId))
+    .map(a => Number(a.time_block_id))
+    .filter(id => id !== Number(newBlockId) && id !== Number(replacesBlockId));
+  const participant = ((detail && detail.participants) || []).find(p => Number(p.participant_id) === Number(participantId));
+  const problem = participantLimitProblem(
+    limits,
+    participant && participant.participant_name,
+    dal.public.getBlocksInfo(keptIds).concat(newBlock)
+  );
+  if (problem) throw createError(409, problem);
+}
+
 /**
  * Add a reservation directly to a time block on behalf of a volunteer. The DAL
  * handles duplicate detection so we simply forward the normalized payload.
+ * Station requirements do not block an admin add: the result's `unmet` lists
+ * anything the volunteer is missing so the caller can flag it.
  */
 function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
   const eventIdNum = Number(eventId);
@@ -680,6 +1403,9 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
   const blockIdNum = Number(blockId);
   const participantNameRaw = (volunteer.participant_name || volunteer.name || '').trim();
   const normalizedName = participantNameRaw.length ? participantNameRaw : volunteer.name.trim();
+  const declaredAge = normalizeAgeBracket(volunteer.age_bracket);
+  const declaredQualifications = serializeQualifications(volunteer.qualifications);
+  const blockInfo = dal.public.getBlocksInfo([blockIdNum])[0];
 
   // If this email already has a registration for the event, reuse it so the
   // manage link stays consistent and the person can manage all assignments.
@@ -712,6 +1438,10 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
     );
     let participantId = existingParticipant ? existingParticipant.participant_id : null;
     let createdParticipantId = null;
+    const profile = {
+      age_bracket: declaredAge || (existingParticipant && existingParticipant.age_bracket) || null,
+      qualifications: declaredQualifications || (existingParticipant && existingParticipant.qualifications) || null
+    };
     if (!participantId) {
       const addRes = dal.public.addParticipant(existingReg.registration_id, normalizedName);
       participantId = addRes && addRes.participant_id;
@@ -731,6 +1461,7 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
       }
     } else if (!alreadySched) {
       assertNoOverlapForParticipant(participantId, blockIdNum, regDetail);
+      assertWithinLimitsForParticipant(participantId, blockIdNum, regDetail);
       schedAssignments.push({ participantId, blockId: blockIdNum });
     }
 
@@ -772,6 +1503,13 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
       throw err;
     }
 
+    if (declaredAge || declaredQualifications) {
+      dal.public.setParticipantProfile(existingReg.registration_id, participantId, {
+        ageBracket: profile.age_bracket,
+        qualifications: profile.qualifications
+      });
+    }
+
     // Optionally refresh registrant contact if supplied (do not override name unless provided).
     if (volunteer.registrant_name || registrantPhone) {
       dal.admin.updateParticipantContact(participantId, normalizedName, {
@@ -781,10 +1519,15 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
       });
     }
 
-    return { registrationId: existingReg.registration_id, participantId };
+    webhookService.emit('reservation.created', () => ({
+      ...webhookService.registrationData(existingReg.registration_id),
+      block_id: blockIdNum,
+      participant_id: participantId
+    }));
+    return { registrationId: existingReg.registration_id, participantId, unmet: unmetRequirements(blockInfo, profile) };
   }
 
-  const participantNames = [normalizedName];
+  const participantNames = [{ name: normalizedName, age_bracket: declaredAge, qualifications: declaredQualifications }];
   const sched = isPotluck ? [] : [{ blockId: blockIdNum, participantIndex: 0 }];
   const pot = isPotluck ? [{ itemId: blockIdNum, dishName: dishNoteRaw, participantIndex: 0 }] : [];
 
@@ -810,7 +1553,11 @@ function addReservationToBlock(blockId, volunteer, eventId, isPotluck) {
   } catch (_) {
     // do not block success; merging is best-effort
   }
-  return result;
+  webhookService.emit('reservation.created', () => {
+    const merged = dal.public.findRegistrationByEmail(eventIdNum, registrantEmail);
+    return { ...webhookService.registrationData(merged ? merged.registration_id : result.registrationId), block_id: blockIdNum };
+  });
+  return { ...result, unmet: unmetRequirements(blockInfo, { age_bracket: declaredAge, qualifications: declaredQualifications }) };
 }
 
 /**
@@ -919,6 +1666,7 @@ function updateReservation(reservationId, payload) {
     const detail = dal.public.getRegistrationDetailWithAssignments(reservation.registration_id);
     const newBlockId = Number(payload.block_id);
     assertNoOverlapForParticipant(reservation.volunteer_id, newBlockId, detail);
+    assertWithinLimitsForParticipant(reservation.volunteer_id, newBlockId, detail, reservation.block_id);
     dal.admin.moveReservation(reservationId, Number(payload.block_id));
   }
 
@@ -930,11 +1678,72 @@ function updateReservation(reservationId, payload) {
 }
 
 /**
- * Remove a reservation entirely from a time block.
+ * Mark a shift assignment present/late/no-show on the day (empty status clears
+ * it). Potluck signups have no attendance. `markedBy` is the admin's email.
+ */
+function setReservationAttendance(reservationId, status, markedBy) {
+  const normalized = status == null || status === '' ? null : String(status).trim().toLowerCase();
+  if (normalized !== null && !ATTENDANCE_STATUSES.includes(normalized)) {
+    throw createError(400, 'Attendance must be present, late, or no_show.');
+  }
+  const reservation = dal.admin.getReservationById(reservationId);
+  if (!reservation) throw createError(404, 'Reservation not found.');
+  if (reservation.assignment_type !== 'schedule') {
+    throw createError(400, 'Attendance is only tracked for scheduled shifts.');
+  }
+  dal.admin.setAttendance(reservation.reservation_id, normalized, markedBy);
+  return { reservation_id: reservation.reservation_id, attendance_status: normalized };
+}
+
+/**
+ * Shape an event for the day-of check-in page: stations and blocks in start
+ * order with per-block and overall attendance tallies.
+ */
+function getEventCheckIn(eventId) {
+  const event = getEventDetailsForAdmin(eventId);
+  if (!event) return null;
+  const totals = { assigned: 0, present: 0, late: 0, no_show: 0, unmarked: 0 };
+  const stations = event.stations.map(station => {
+    const blocks = sortBlocksForExport(station.time_blocks || [], false).map(block => {
+      const people = (block.reservations || []).slice()
+        .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' }));
+      people.forEach(p => {
+        totals.assigned += 1;
+        totals[p.attendance_status || 'unmarked'] += 1;
+      });
+      return { ...block, reservations: people };
+    });
+    return { ...station, time_blocks: blocks };
+  });
+  return { event: { ...event, stations }, totals };
+}
+
+/**
+ * Remove a reservation entirely from a time block. When a scheduled spot is
+ * freed, the first volunteer on that block's waitlist is moved in and emailed.
+ * Resolves with the promoted waitlist entries.
  */
-function deleteReservation(reservationId) {
+async function deleteReservation(reservationId) {
   if (!reservationId) throw createError(400, 'Reservation ID required.');
-  return dal.admin.deleteReservation(reservationId);
+  const reservation = dal.admin.getReservationById(reservationId);
+  dal.admin.deleteReservation(reservationId);
+  if (reservation) {
+    webhookService.emit('reservation.deleted', () => ({
+      ...webhookService.registrationData(reservation.registration_id),
+      removed: {
+        reservation_id: reservation.reservation_id,
+        assignment_type: reservation.assignment_type,
+        block_id: reservation.block_id,
+        station_id: reservation.station_id,
+        start_time: reservation.start_time,
+        end_time: reservation.end_time,
+        participant_id: reservation.volunteer_id,
+        participant_name: reservation.volunteer_name
+      }
+    }));
+  }
+  if (!reservation || reservation.assignment_type !== 'schedule') return [];
+  return publicService.promoteWaitlist([reservation.block_id]);
 }
 
 /** Convenience wrappers for deletes – DAL already validates referential cleanup. */
@@ -948,8 +1757,10 @@ module.exports = {
   getStationDetailsForAdmin,
   /**
    * Create a new event by copying the structure of an existing one.
-   * Copies: name (with "Copy of"), description, dates, stations, time blocks.
-   * Does NOT copy: publish state (always draft), reservations.
+   * Copies: name (with "Copy of"), description, dates, stations, time blocks,
+   * registration questions, change lock-out, signup limits, locations.
+   * Does NOT copy: publish state (always draft), signup window or publish
+   * times, reservations.
    */
   copyEvent: (sourceEventId) => {
     const src = getEventDetailsForAdmin(sourceEventId);
@@ -963,16 +1774,24 @@ module.exports = {
     // Create new event (is_published defaults to 0 in DAL)
     const evRes = dal.admin.createEvent(name, src.description || '', startTxt, endTxt);
     const newEventId = evRes.lastInsertRowid;
+    dal.admin.updateEvent(newEventId, {
+      change_lockout_hours: src.change_lockout_hours,
+      ...signupLimits(src),
+      ...locationColumns(src.location)
+    });
 
     // Copy stations and blocks in current order; no reservations
     (Array.isArray(src.stations) ? src.stations : []).forEach(st => {
       const sRes = dal.admin.createStation(newEventId, st.name, st.about || '', st.duties || '');
       const newStationId = sRes.lastInsertRowid;
+      copyStationRequirements(newStationId, st);
+      copyStationLocation(newStationId, st);
       const blocks = Array.isArray(st.time_blocks) ? st.time_blocks : [];
       blocks.forEach(b => {
         dal.admin.createTimeBlock(newStationId, b.start_time, b.end_time, b.capacity_needed);
       });
     });
+    registrationQuestions.copyQuestions(src.event_id, newEventId);
 
     return { event_id: newEventId };
   },
@@ -1010,6 +1829,12 @@ module.exports = {
   },
   createEvent,
   updateEvent,
+  generateEventSeries,
+  pushSeriesTemplate,
+  getEventSeriesSummary,
+  seriesDayOffsets,
+  planStructureImport,
+  applyStructureImport,
   setEventPublish,
   createStation,
   updateStation,
@@ -1018,6 +1843,10 @@ module.exports = {
   addReservationToBlock,
   updateReservation,
   deleteReservation,
+  ATTENDANCE_STATUSES,
+  ATTENDANCE_LABELS,
+  setReservationAttendance,
+  getEventCheckIn,
   deleteEvent,
   deleteStation,
   deleteTimeBlock,
@@ -0,0 +1,266 @@
+// src/services/apiService.js
+// -----------------------------------------------------------------------------
+// Backing for the versioned /api/v1 JSON API used by outside systems (church
+// management, spreadsheets). Owners mint tokens on the admin side; only a hash
+// is stored. Tokens are either read-only or read & write. Data goes through
+// adminService so the API and the admin pages agree on validation and shape,
+// and the output is trimmed to stable, documented fields.
+// -----------------------------------------------------------------------------
+const crypto = require('crypto');
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const adminService = require('./adminService');
+const { serializeRegistration } = require('../utils/registrationPayload');
+
+const API_SCOPES = ['read', 'write'];
+const SCOPE_LABELS = { read: 'Read only', write: 'Read & write' };
+const TOKEN_PREFIX = 'vsu_';
+
+// --- Tokens ------------------------------------------------------------------
+
+/**
+ * Create a token and return the raw value. It is shown to the owner once;
+ * afterwards only the hash and a short prefix are kept.
+ */
+function createApiToken(data, createdBy) {
+  const name = String((data && data.name) || '').trim();
+  if (!name) throw createError(400, 'Give the token a name so you can recognise it later.');
+  const scope = String((data && data.scope) || 'read').trim().toLowerCase();
+  if (!API_SCOPES.includes(scope)) throw createError(400, 'Choose a scope: read or write.');
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const res = dal.admin.createApiToken(name.slice(0, 100), token, scope, createdBy);
+  return { api_token_id: res.lastInsertRowid, token, scope };
+}
+
+function listApiTokens() {
+  return dal.admin.listApiTokens();
+}
+
+function revokeApiToken(apiTokenId) {
+  const res = dal.admin.revokeApiToken(apiTokenId);
+  if (!res.changes) throw createError(404, 'API token not found or already revoked.');
+}
+
+/** Look up an active token from the raw bearer value and record its use. */
+function authenticate(rawToken) {
+  const token = String(rawToken || '').trim();
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+  const row = dal.admin.getActiveApiToken(token);
+  if (!row) return null;
+  dal.admin.touchApiToken(row.api_token_id);
+  return row;
+}
+
+/** Write tokens may do everything read tokens can. */
+function hasScope(apiToken, scope) {
+  if (!apiToken) return false;
+  return scope === 'read' || apiToken.scope === 'write';
+}
+
+// --- Shapes ------------------------------------------------------------------
+
+function isPotluck(event) {
+  return String(event.signup_mode || '').toLowerCase() === 'potluck';
+}
+
+function serializeEventSummary(event) {
+  return {
+    event_id: event.event_id,
+    name: event.name,
+    description: event.description || '',
+    date_start: event.date_start,
+    date_end: event.date_end,
+    signup_mode: event.signup_mode || 'schedule',
+    publish_state: event.publish_state || 'draft',
+    series_id: event.series_id || null
+  };
+}
+
+function serializeBlock(block, potluck) {
+  return {
+    block_id: block.block_id,
+    title: block.title || '',
+    start_time: potluck ? null : block.start_time,
+    end_time: potluck ? null : block.end_time,
+    capacity_needed: Number(block.capacity_needed) || 0,
+    reserved_count: Array.isArray(block.reservations) ? block.reservations.length : Number(block.reserved_count || 0),
+    waitlist_count: Number(block.waitlist_count || 0),
+    servings_min: block.servings_min != null ? block.servings_min : null,
+    servings_max: block.servings_max != null ? block.servings_max : null
+  };
+}
+
+function serializeStation(station, potluck) {
+  return {
+    station_id: station.station_id,
+    name: station.name,
+    about: station.about || '',
+    duties: station.duties || '',
+    blocks: (station.time_blocks || []).map(block => serializeBlock(block, potluck))
+  };
+}
+
+function loadEvent(eventId) {
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  if (!event) throw createError(404, 'Event not found.');
+  return event;
+}
+
+function findStation(stationId) {
+  const eventId = dal.admin.getStationEventId(Number(stationId));
+  if (eventId == null) throw createError(404, 'Station not found.');
+  const event = loadEvent(eventId);
+  const station = event.stations.find(s => Number(s.station_id) === Number(stationId));
+  if (!station) throw createError(404, 'Station not found.');
+  return { event, station };
+}
+
+function findBlock(blockId) {
+  const eventId = dal.admin.getBlockEventId(Number(blockId));
+  if (eventId == null) throw createError(404, 'Time block not found.');
+  const event = loadEvent(eventId);
+  for (const station of event.stations) {
+    const block = station.time_blocks.find(b => Number(b.block_id) === Number(blockId));
+    if (block) return { event, station, block };
+  }
+  throw createError(404, 'Time block not found.');
+}
+
+// --- Reads -------------------------------------------------------------------
+
+function listEvents() {
+  return adminService.getDashboardData({ includeArchived: true }).map(serializeEventSummary);
+}
+
+/** An event with its stations and blocks (counts only, no volunteer details). */
+function getEvent(eventId) {
+  const event = loadEvent(eventId);
+  const potluck = isPotluck(event);
+  return {
+    ...serializeEventSummary(event),
+    stations: event.stations.map(station => serializeStation(station, potluck))
+  };
+}
+
+function listStations(eventId) {
+  return getEvent(eventId).stations;
+}
+
+function getStation(stationId) {
+  const { event, station } = findStation(stationId);
+  return { event_id: event.event_id, ...serializeStation(station, isPotluck(event)) };
+}
+
+function getBlock(blockId) {
+  const { event, station, block } = findBlock(blockId);
+  return { event_id: event.event_id, station_id: station.station_id, ...serializeBlock(block, isPotluck(event)) };
+}
+
+/** Every registration for an event with its participants and their signups. */
+function listRegistrations(eventId) {
+  const event = loadEvent(eventId);
+  return dal.public.listRegistrationsForEvent(event.event_id)
+    .map(row => serializeRegistration(dal.public.getRegistrationDetailWithAssignments(row.registration_id)))
+    .filter(Boolean);
+}
+
+/** Blocks/items that still have open slots. */
+function listOpenNeeds(eventId) {
+  const payload = adminService.getEventOpenNeedsForExport(eventId);
+  if (!payload || !payload.event) throw createError(404, 'Event not found.');
+  const potluck = isPotluck(payload.event);
+  return payload.rows.map(r => ({
+    block_id: r.block_id,
+    station_id: r.station_id,
+    station_name: r.station_name,
+    title: r.block_title || '',
+    start_time: potluck ? null : r.block_start,
+    end_time: potluck ? null : r.block_end,
+    capacity_needed: r.capacity_needed,
+    reserved_count: r.reserved_count,
+    open_slots: r.open_slots
+  }));
+}
+
+// --- Writes ------------------------------------------------------------------
+
+function createEvent(data) {
+  const res = adminService.createEvent(data || {});
+  return getEvent(res.lastInsertRowid);
+}
+
+function updateEvent(eventId, data) {
+  loadEvent(eventId);
+  adminService.updateEvent(eventId, data || {});
+  return getEvent(eventId);
+}
+
+function setEventPublish(eventId, data) {
+  loadEvent(eventId);
+  const state = String((data && data.publish_state) || '').trim().toLowerCase();
+  if (!['draft', 'private', 'published'].includes(state)) {
+    throw createError(400, 'publish_state must be draft, private, or published.');
+  }
+  adminService.setEventPublish(eventId, state);
+  return getEvent(eventId);
+}
+
+function createStation(eventId, data) {
+  loadEvent(eventId);
+  const { station_id } = adminService.createStation({ ...(data || {}), event_id: Number(eventId), copyStationId: null });
+  return getStation(station_id);
+}
+
+function updateStation(stationId, data) {
+  const { station } = findStation(stationId);
+  adminService.updateStation(station.station_id, { name: station.name, about: station.about, duties: station.duties, ...(data || {}) });
+  return getStation(station.station_id);
+}
+
+function deleteStation(stationId) {
+  const { station } = findStation(stationId);
+  adminService.deleteStation(station.station_id);
+}
+
+function createBlock(stationId, data) {
+  const { station } = findStation(stationId);
+  const res = adminService.createTimeBlock({ ...(data || {}), station_id: station.station_id });
+  return getBlock(res.lastInsertRowid);
+}
+
+function updateBlock(blockId, data) {
+  const { block } = findBlock(blockId);
+  adminService.updateTimeBlock(block.block_id, data || {});
+  return getBlock(block.block_id);
+}
+
+function deleteBlock(blockId) {
+  const { block } = findBlock(blockId);
+  adminService.deleteTimeBlock(block.block_id);
+}
+
+module.exports = {
+  API_SCOPES,
+  SCOPE_LABELS,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticate,
+  hasScope,
+  listEvents,
+  getEvent,
+  listStations,
+  getStation,
+  getBlock,
+  listRegistrations,
+  listOpenNeeds,
+  createEvent,
+  updateEvent,
+  setEventPublish,
+  createStation,
+  updateStation,
+  deleteStation,
+  createBlock,
+  updateBlock,
+  deleteBlock
+};
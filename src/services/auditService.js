@@ -0,0 +1,116 @@
+// src/services/auditService.js
+// -----------------------------------------------------------------------------
+// Read side of the audit trail. Rows are written by triggers installed in the
+// DAL; this module turns them into something an admin can scan: a label for
+// the thing that changed, and the fields whose values differ.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+
+const ENTITY_LABELS = {
+  event: 'Event',
+  station: 'Station',
+  question: 'Registration question',
+  time_block: 'Time block',
+  registration: 'Registration',
+  participant: 'Participant',
+  reservation: 'Shift signup',
+  potluck_reservation: 'Potluck signup'
+};
+const ACTIONS = ['create', 'update', 'delete'];
+const PAGE_SIZE = 100;
+
+// Values stored only to keep deleted rows readable; not listed as changes.
+// (A reservation's start_time is kept so moves show the new slot.)
+const LABEL_FIELDS = {
+  time_block: ['station_name'],
+  reservation: ['participant_name'],
+  potluck_reservation: ['participant_name', 'item_title']
+};
+
+function parseJson(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (_) { return null; }
+}
+
+function describe(entityType, values) {
+  if (!values) return '';
+  switch (entityType) {
+    case 'event':
+    case 'station':
+      return values.name || '';
+    case 'time_block':
+      return [values.title || values.start_time, values.station_name].filter(Boolean).join(' · ');
+    case 'registration':
+      return [values.registrant_name, values.registrant_email].filter(Boolean).join(' · ');
+    case 'participant':
+      return values.participant_name || '';
+    case 'question':
+      return values.label || '';
+    case 'reservation':
+      return [values.participant_name, values.start_time].filter(Boolean).join(' · ');
+    case 'potluck_reservation':
+      return [values.participant_name, values.item_title, values.dish_name].filter(Boolean).join(' · ');
+    default:
+      return '';
+  }
+}
+
+function diffValues(before, after, entityType) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const hidden = LABEL_FIELDS[entityType] || [];
+  const changes = [];
+  keys.forEach(field => {
+    const was = before ? before[field] : undefined;
+    const now = after ? after[field] : undefined;
+    if (was === now || hidden.includes(field)) return;
+    changes.push({ field, before: was == null ? null : was, after: now == null ? null : now });
+  });
+  return changes;
+}
+
+function normalizeFilters(query = {}) {
+  const entityType = Object.prototype.hasOwnProperty.call(ENTITY_LABELS, query.entity) ? query.entity : '';
+  const action = ACTIONS.includes(query.action) ? query.action : '';
+  const actor = typeof query.actor === 'string' ? query.actor.trim() : '';
+  const beforeId = Number.parseInt(query.before, 10);
+  return { entityType, action, actor, beforeId: Number.isFinite(beforeId) && beforeId > 0 ? beforeId : null };
+}
+
+/**
+ * Audit history for an event, newest first, filtered by entity type, action
+ * and actor. Returns one page plus the cursor for the next (older) page.
+ */
+function getEventHistory(eventId, query = {}) {
+  const filters = normalizeFilters(query);
+  const rows = dal.admin.listAuditLog(eventId, { ...filters, limit: PAGE_SIZE + 1 });
+  const hasMore = rows.length > PAGE_SIZE;
+  const entries = rows.slice(0, PAGE_SIZE).map(row => {
+    const before = parseJson(row.before_json);
+    const after = parseJson(row.after_json);
+    return {
+      audit_id: row.audit_id,
+      created_at: row.created_at,
+      action: row.action,
+      actor: row.actor,
+      actor_type: row.actor_type,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      entity_label: ENTITY_LABELS[row.entity_type] || row.entity_type,
+      description: describe(row.entity_type, after || before),
+      changes: row.action === 'update' ? diffValues(before, after, row.entity_type) : [],
+      values: row.action === 'update' ? null : (after || before)
+    };
+  });
+  return {
+    entries,
+    filters,
+    actors: dal.admin.listAuditActors(eventId),
+    nextBeforeId: hasMore && entries.length ? entries[entries.length - 1].audit_id : null
+  };
+}
+
+module.exports = {
+  ENTITY_LABELS,
+  ACTIONS,
+  getEventHistory
+};
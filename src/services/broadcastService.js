@@ -0,0 +1,223 @@
+// src/services/broadcastService.js
+// -----------------------------------------------------------------------------
+// Admin broadcast emails to an event's volunteers. Composing a message stores
+// it with one recipient row per registration in the chosen audience; a small
+// worker then drains the queue a batch at a time so a large event does not hit
+// the mail server all at once. Opted-out registrations are never emailed: they
+// are recorded as skipped when queued and re-checked right before sending.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const adminService = require('./adminService');
+const publicService = require('./publicService');
+const { fmtRange } = require('../views/helpers');
+
+const AUDIENCES = ['all', 'station', 'block', 'unfilled'];
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+
+let timer = null;
+let sweepInProgress = false;
+
+function getBroadcastConfig() {
+  const interval = Number(process.env.BROADCAST_INTERVAL_SECONDS);
+  const batch = Number(process.env.BROADCAST_BATCH_SIZE);
+  return {
+    intervalSeconds: Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_SECONDS,
+    batchSize: Number.isFinite(batch) && batch > 0 ? Math.floor(batch) : DEFAULT_BATCH_SIZE
+  };
+}
+
+function isPotluckEvent(event) {
+  return String(event.signup_mode || '').toLowerCase() === 'potluck';
+}
+
+function blockLabel(block, station, isPotluck) {
+  if (isPotluck) return `${station.name}: ${block.title || 'Item'}`;
+  const when = fmtRange(block.start_time, block.end_time);
+  return `${station.name}: ${when}${block.title ? ` (${block.title})` : ''}`;
+}
+
+/**
+ * Work out who a message is for and how to describe them in the history.
+ * Throws 400 when the audience is unknown or its station/block is not part of
+ * this event.
+ */
+function resolveAudience(event, audience, targetId) {
+  const isPotluck = isPotluckEvent(event);
+  if (!AUDIENCES.includes(audience)) throw createError(400, 'Choose who should receive this message.');
+  if (audience === 'all') {
+    return { audience, audienceId: null, label: 'Everyone signed up' };
+  }
+  if (audience === 'unfilled') {
+    if (!isPotluck) throw createError(400, 'Unfilled-item contributors only apply to potluck events.');
+    return { audience, audienceId: null, label: 'Contributors to items that still need more' };
+  }
+  const id = Number(targetId);
+  if (audience === 'station') {
+    const station = event.stations.find(s => Number(s.station_id) === id);
+    if (!station) throw createError(400, `Choose a ${isPotluck ? 'category' : 'station'}.`);
+    return { audience, audienceId: station.station_id, label: `${isPotluck ? 'Category' : 'Station'}: ${station.name}` };
+  }
+  for (const station of event.stations) {
+    const block = (station.time_blocks || []).find(b => Number(b.block_id) === id);
+    if (block) {
+      return { audience, audienceId: block.block_id, label: `${isPotluck ? 'Item' : 'Block'}: ${blockLabel(block, station, isPotluck)}` };
+    }
+  }
+  throw createError(400, `Choose ${isPotluck ? 'an item' : 'a time block'}.`);
+}
+
+/**
+ * Everything the compose screen needs: the event with its stations/blocks for
+ * the audience pickers, and the sent-message history (newest first).
+ */
+function getBroadcastPage(eventId) {
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  if (!event) throw createError(404, 'Event not found.');
+  const isPotluck = isPotluckEvent(event);
+  const blocks = [];
+  event.stations.forEach(station => {
+    (station.time_blocks || []).forEach(block => {
+      blocks.push({ block_id: block.block_id, label: blockLabel(block, station, isPotluck) });
+    });
+  });
+  return {
+    event,
+    isPotluck,
+    stations: event.stations.map(s => ({ station_id: s.station_id, name: s.name })),
+    blocks,
+    history: dal.admin.listBroadcastsForEvent(event.event_id)
+  };
+}
+
+/**
+ * Store a broadcast and queue it for the worker. Returns the new message id
+ * with how many recipients were queued and how many were skipped because they
+ * opted out of email.
+ */
+function queueBroadcast(eventId, data = {}, sentBy) {
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  if (!event) throw createError(404, 'Event not found.');
+  const subject = String(data.subject || '').replace(/\s+/g, ' ').trim();
+  const body = String(data.body || '').replace(/\r\n?/g, '\n').trim();
+  if (!subject) throw createError(400, 'A subject is required.');
+  if (subject.length > MAX_SUBJECT_LENGTH) throw createError(400, `Keep the subject under ${MAX_SUBJECT_LENGTH} characters.`);
+  if (!body) throw createError(400, 'A message is required.');
+  if (body.length > MAX_BODY_LENGTH) throw createError(400, `Keep the message under ${MAX_BODY_LENGTH} characters.`);
+
+  const target = resolveAudience(event, String(data.audience || ''), data.target_id);
+  const seen = new Set();
+  const recipients = [];
+  dal.admin.listBroadcastAudience(event.event_id, target.audience, target.audienceId).forEach(row => {
+    const email = String(row.registrant_email || '').trim().toLowerCase();
+    if (!email || seen.has(email)) return;
+    seen.add(email);
+    const optedOut = Number(row.email_opt_in) === 0;
+    recipients.push({
+      registration_id: row.registration_id,
+      email,
+      status: optedOut ? 'skipped' : 'pending',
+      error: optedOut ? 'Opted out of email' : null
+    });
+  });
+  const queued = recipients.filter(r => r.status === 'pending').length;
+  if (!queued) {
+    throw createError(400, recipients.length
+      ? 'Everyone in that group has opted out of email.'
+      : 'Nobody is signed up in that group yet.');
+  }
+
+  const messageId = dal.admin.createBroadcast({
+    event_id: event.event_id,
+    audience: target.audience,
+    audience_id: target.audienceId,
+    audience_label: target.label,
+    subject,
+    body,
+    sent_by: sentBy
+  }, recipients);
+  return { message_id: messageId, queued, skipped: recipients.length - queued };
+}
+
+/** One sent message with its per-recipient delivery status. */
+function getBroadcastDetail(eventId, messageId) {
+  const message = dal.admin.getBroadcast(messageId);
+  if (!message || Number(message.event_id) !== Number(eventId)) throw createError(404, 'Message not found.');
+  return { message, recipients: dal.admin.listBroadcastRecipients(message.message_id) };
+}
+
+/**
+ * Send up to `batchSize` queued recipients, oldest first. Registrations that
+ * opted out (or were deleted) since the message was queued are skipped;
+ * mailer errors mark the recipient failed with the reason.
+ */
+async function runBroadcastSweep(batchSize = getBroadcastConfig().batchSize) {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+  const due = dal.admin.listPendingBroadcastRecipients(batchSize);
+  for (const row of due) {
+    try {
+      const sent = row.registration_id
+        ? await publicService.sendBroadcastEmail(row.registration_id, { subject: row.subject, body: row.body })
+        : false;
+      if (sent) {
+        dal.admin.recordBroadcastRecipient(row.recipient_id, 'sent');
+        summary.sent += 1;
+      } else {
+        dal.admin.recordBroadcastRecipient(row.recipient_id, 'skipped', 'Opted out or no longer registered');
+        summary.skipped += 1;
+      }
+    } catch (err) {
+      console.error('[Broadcast] Failed to email %s:', row.email, err);
+      dal.admin.recordBroadcastRecipient(row.recipient_id, 'failed', (err && err.message) || 'Send failed');
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+async function tick() {
+  if (sweepInProgress) return;
+  sweepInProgress = true;
+  try {
+    const summary = await runBroadcastSweep();
+    if (summary.sent || summary.failed) {
+      console.log('[Broadcast] sent %d, failed %d, skipped %d', summary.sent, summary.failed, summary.skipped);
+    }
+  } catch (err) {
+    console.error('[Broadcast] Sweep failed:', err);
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+/**
+ * Start the send queue worker: every BROADCAST_INTERVAL_SECONDS (default 30)
+ * it sends at most BROADCAST_BATCH_SIZE (default 10) emails.
+ */
+function startBroadcastWorker() {
+  if (timer) return timer;
+  const { intervalSeconds } = getBroadcastConfig();
+  timer = setInterval(tick, intervalSeconds * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  return timer;
+}
+
+function stopBroadcastWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  AUDIENCES,
+  getBroadcastConfig,
+  getBroadcastPage,
+  queueBroadcast,
+  getBroadcastDetail,
+  runBroadcastSweep,
+  startBroadcastWorker,
+  stopBroadcastWorker
+};
@@ -0,0 +1,149 @@
+// src/services/checkInService.js
+// -----------------------------------------------------------------------------
+// Volunteer self check-in. Each station gets a printable QR code that points at
+// /checkin/<token>; a volunteer scans it, types their name or email, and is
+// matched to their shift at that station that is happening now. Matching marks
+// the schedule assignment present, the same field admins set on the day-of
+// check-in page.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const qr = require('../utils/qr');
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+// Volunteers may check in this long before their shift starts.
+const EARLY_CHECKIN_MINUTES = 60;
+const SELF_CHECKIN_ACTOR = 'self check-in';
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Canonical local "YYYY-MM-DD HH:mm" text, matching how block times are stored.
+function toLocalText(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function canonical(txt) {
+  return String(txt || '').trim().replace('T', ' ').slice(0, 16);
+}
+
+function normalize(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function buildCheckinUrl(token) {
+  return `${APP_BASE_URL}/checkin/${token}`;
+}
+
+/**
+ * Group the station roster into blocks and split them into the ones open for
+ * check-in right now and the next one coming up.
+ */
+function loadStation(token, now) {
+  const station = dal.public.getStationByCheckinToken(token);
+  if (!station) return null;
+  const blocks = new Map();
+  dal.public.listStationCheckinRoster(station.station_id).forEach(row => {
+    if (!blocks.has(row.block_id)) {
+      blocks.set(row.block_id, { block_id: row.block_id, start_time: row.start_time, end_time: row.end_time, people: [] });
+    }
+    if (row.assignment_id) {
+      blocks.get(row.block_id).people.push({
+        assignment_id: row.assignment_id,
+        participant_id: row.participant_id,
+        participant_name: row.participant_name,
+        registrant_email: row.registrant_email,
+        attendance_status: row.attendance_status || null
+      });
+    }
+  });
+  const nowTxt = toLocalText(now);
+  const openFrom = toLocalText(new Date(now.getTime() + EARLY_CHECKIN_MINUTES * 60000));
+  const all = Array.from(blocks.values());
+  const current = all.filter(b => canonical(b.start_time) <= openFrom && canonical(b.end_time) > nowTxt);
+  const next = all.find(b => canonical(b.start_time) > openFrom) || null;
+  return { station, current, next };
+}
+
+/** Data for the public check-in page, or null for an unknown token. */
+function getStationCheckIn(token, now = new Date()) {
+  const loaded = loadStation(token, now);
+  if (!loaded) return null;
+  const { station, current, next } = loaded;
+  return {
+    station,
+    currentBlocks: current.map(({ people, ...block }) => block),
+    nextBlock: next ? { block_id: next.block_id, start_time: next.start_time, end_time: next.end_time } : null
+  };
+}
+
+/**
+ * Match a volunteer to a current shift at the station and mark them present.
+ * `lookup` is a name or email; when an email covers several people in a group
+ * signup, `participantId` picks one of them on the follow-up submit.
+ *
+ * Resolves to `{ result, station, block, matches }` where result is one of
+ * checked_in | already | choose | not_found | no_shift.
+ */
+function selfCheckIn(token, { lookup, participantId } = {}, now = new Date()) {
+  const loaded = loadStation(token, now);
+  if (!loaded) throw createError(404, 'This check-in code is no longer valid.');
+  const { station, current } = loaded;
+  if (String(station.signup_mode).toLowerCase() === 'potluck') {
+    throw createError(400, 'Check-in is only available for scheduled shifts.');
+  }
+  if (!current.length) return { result: 'no_shift', station };
+
+  const query = normalize(lookup);
+  if (!query) throw createError(400, 'Enter the name or email you signed up with.');
+  const candidates = [];
+  current.forEach(block => block.people.forEach(person => candidates.push({ ...person, block })));
+
+  let matches = candidates.filter(c => normalize(c.participant_name) === query);
+  if (!matches.length && query.includes('@')) {
+    matches = candidates.filter(c => normalize(c.registrant_email) === query);
+  }
+  if (participantId != null && participantId !== '') {
+    matches = matches.filter(c => Number(c.participant_id) === Number(participantId));
+  }
+  if (!matches.length) return { result: 'not_found', station };
+  if (matches.length > 1) {
+    return {
+      result: 'choose',
+      station,
+      matches: matches.map(m => ({ participant_id: m.participant_id, participant_name: m.participant_name }))
+    };
+  }
+
+  const match = matches[0];
+  const block = { block_id: match.block.block_id, start_time: match.block.start_time, end_time: match.block.end_time };
+  if (match.attendance_status === 'present' || match.attendance_status === 'late') {
+    return { result: 'already', station, block, participantName: match.participant_name };
+  }
+  dal.admin.setAttendance(match.assignment_id, 'present', SELF_CHECKIN_ACTOR);
+  return { result: 'checked_in', station, block, participantName: match.participant_name };
+}
+
+/**
+ * One printable poster per station: the check-in URL and its QR code as SVG.
+ * Tokens are created on first print and stay stable afterwards.
+ */
+function getEventQrPosters(event) {
+  return (event.stations || []).map(station => {
+    const url = buildCheckinUrl(dal.admin.ensureStationCheckinToken(station.station_id));
+    return {
+      station_id: station.station_id,
+      name: station.name,
+      url,
+      svg: qr.toSvg(url, { title: `Check in at ${station.name}` })
+    };
+  });
+}
+
+module.exports = {
+  EARLY_CHECKIN_MINUTES,
+  getStationCheckIn,
+  selfCheckIn,
+  getEventQrPosters
+};
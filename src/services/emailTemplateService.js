@@ -0,0 +1,220 @@
+// src/services/emailTemplateService.js
+// -----------------------------------------------------------------------------
+// Admin-editable versions of the signup confirmation and manage-link emails.
+// Owners edit the site-wide templates; anyone who can edit an event can give
+// it its own override. With no template saved, publicService keeps sending
+// the built-in emails. Previews and test sends use made-up sample data.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const publicService = require('./publicService');
+const { queueMail } = require('./mailOutboxService');
+const { PLACEHOLDERS, findUnknownPlaceholders } = require('../utils/emailTemplate');
+
+const TEMPLATES = {
+  confirmation: {
+    label: 'Signup confirmation',
+    description: 'Sent after someone signs up or changes their signup. The calendar file is still attached.'
+  },
+  manage_link: {
+    label: 'Manage link',
+    description: 'Sent when a volunteer asks for their manage link again, or signs up twice with the same email.'
+  }
+};
+
+// Starting point offered when a template has never been edited.
+const STARTERS = {
+  confirmation: {
+    subject: 'Your volunteer schedule for {{event_name}}',
+    text_body: [
+      'Hi {{registrant_name}},',
+      '',
+      'Thank you for serving with us at {{event_name}} ({{event_dates}})!',
+      '',
+      'Here is your group schedule:',
+      '{{assignments}}',
+      '',
+      'Manage your signup here: {{manage_url}}',
+      '',
+      'Questions? {{support_contact}}',
+      '',
+      'With gratitude,',
+      '{{support_name}}'
+    ].join('\n')
+  },
+  manage_link: {
+    subject: 'Manage your signup for {{event_name}}',
+    text_body: [
+      'Hi {{registrant_name}},',
+      '',
+      'Use the link below to view or edit your signup for {{event_name}}:',
+      '{{manage_links}}',
+      '',
+      'Questions? {{support_contact}}',
+      '',
+      'With gratitude,',
+      '{{support_name}}',
+      '',
+      'If you did not request this email you can ignore it.'
+    ].join('\n')
+  }
+};
+
+const MAX_SUBJECT = 200;
+const MAX_BODY = 50000;
+
+function requireKey(templateKey) {
+  if (!TEMPLATES[templateKey]) throw createError(404, 'Email template not found.');
+  return templateKey;
+}
+
+function requireEvent(eventId) {
+  const event = dal.public.getEventBasic(Number(eventId));
+  if (!event) throw createError(404, 'Event not found.');
+  return event;
+}
+
+/**
+ * Both templates for a scope with where each one currently comes from:
+ * 'event' (this event's override), 'site' (site-wide template) or 'default'
+ * (the built-in email). `eventId` null lists the site-wide scope.
+ */
+function listTemplates(eventId = null) {
+  const event = eventId ? requireEvent(eventId) : null;
+  const rows = dal.admin.listEmailTemplates(event ? event.event_id : null);
+  const overrides = {};
+  dal.admin.countEmailTemplateOverrides().forEach(r => { overrides[r.template_key] = r.count; });
+  const templates = Object.keys(TEMPLATES).map(key => {
+    const site = rows.find(r => r.template_key === key && r.event_id == null) || null;
+    const own = event ? rows.find(r => r.template_key === key && r.event_id === event.event_id) || null : null;
+    const current = own || site;
+    return {
+      key,
+      ...TEMPLATES[key],
+      source: own ? 'event' : (site ? 'site' : 'default'),
+      subject: current ? current.subject : null,
+      updated_by: current ? current.updated_by : null,
+      updated_at: current ? current.updated_at : null,
+      eventOverrides: overrides[key] || 0
+    };
+  });
+  return { event, templates };
+}
+
+/**
+ * Editor state for one template. The draft is the scope's own saved row,
+ * else what it currently inherits, else the starter text.
+ */
+function getTemplateEditor(templateKey, eventId = null) {
+  requireKey(templateKey);
+  const event = eventId ? requireEvent(eventId) : null;
+  const own = dal.admin.getEmailTemplate(templateKey, event ? event.event_id : null);
+  const site = event ? dal.admin.getEmailTemplate(templateKey, null) : null;
+  const base = own || site || STARTERS[templateKey];
+  return {
+    key: templateKey,
+    ...TEMPLATES[templateKey],
+    event,
+    saved: own,
+    inheritsSite: Boolean(!own && site),
+    placeholders: PLACEHOLDERS,
+    draft: {
+      subject: base.subject,
+      text_body: base.text_body,
+      html_body: base.html_body || ''
+    }
+  };
+}
+
+function normalizeDraft(input = {}) {
+  const draft = {
+    subject: String(input.subject || '').replace(/\s+/g, ' ').trim(),
+    text_body: String(input.text_body || '').replace(/\r\n?/g, '\n').trim(),
+    html_body: String(input.html_body || '').replace(/\r\n?/g, '\n').trim()
+  };
+  if (!draft.subject) throw createError(400, 'Subject is required.');
+  if (!draft.text_body) throw createError(400, 'A plain-text body is required.');
+  if (draft.subject.length > MAX_SUBJECT) throw createError(400, `Subject must be ${MAX_SUBJECT} characters or fewer.`);
+  if (draft.text_body.length > MAX_BODY || draft.html_body.length > MAX_BODY) {
+    throw createError(400, 'Template body is too long.');
+  }
+  const unknown = findUnknownPlaceholders([draft.subject, draft.text_body, draft.html_body].join('\n'));
+  if (unknown.length) {
+    throw createError(400, `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(n => `{{${n}}}`).join(', ')}`);
+  }
+  return draft;
+}
+
+function saveTemplate(templateKey, eventId, input, updatedBy) {
+  requireKey(templateKey);
+  const event = eventId ? requireEvent(eventId) : null;
+  const draft = normalizeDraft(input);
+  dal.admin.saveEmailTemplate(templateKey, event ? event.event_id : null, { ...draft, updated_by: updatedBy || null });
+  return draft;
+}
+
+/** Remove the scope's saved template so it falls back to the site-wide or built-in email. */
+function resetTemplate(templateKey, eventId) {
+  requireKey(templateKey);
+  const event = eventId ? requireEvent(eventId) : null;
+  return dal.admin.deleteEmailTemplate(templateKey, event ? event.event_id : null).changes > 0;
+}
+
+/** Made-up signup used by previews and test sends. */
+function sampleValues(templateKey, event) {
+  const sampleEvent = event || { name: 'Community Food Drive', date_start: '2030-06-14 09:00', date_end: '2030-06-14 15:00' };
+  const day = String(sampleEvent.date_start || '2030-06-14').slice(0, 10);
+  const isPotluck = String(sampleEvent.signup_mode || '').toLowerCase() === 'potluck';
+  const manageUrls = templateKey === 'manage_link'
+    ? ['https://example.org/manage/sample-token-1', 'https://example.org/manage/sample-token-2']
+    : ['https://example.org/manage/sample-token'];
+  return publicService.buildTemplateValues({
+    registration: { registrant_name: 'Jordan Rivera', registrant_email: 'jordan@example.org' },
+    event: sampleEvent,
+    participants: isPotluck
+      ? [
+          { participant_name: 'Jordan Rivera', schedule: [], potluck: [{ station_name: 'Desserts', title: 'Cookies (2 dozen)', dish_name: 'Oatmeal raisin' }] },
+          { participant_name: 'Sam Rivera', schedule: [], potluck: [{ station_name: 'Mains', title: 'Casserole', dish_name: '' }] }
+        ]
+      : [
+          { participant_name: 'Jordan Rivera', schedule: [{ station_name: 'Registration desk', start_time: `${day} 09:00`, end_time: `${day} 11:00` }], potluck: [] },
+          { participant_name: 'Sam Rivera', schedule: [{ station_name: 'Sorting', start_time: `${day} 11:00`, end_time: `${day} 13:00` }], potluck: [] }
+        ],
+    waitlist: isPotluck ? [] : [{ participant_name: 'Sam Rivera', station_name: 'Packing', start_time: `${day} 13:00`, end_time: `${day} 15:00`, position: 2 }],
+    manageUrls,
+    calendarUrl: templateKey === 'confirmation' && !isPotluck ? 'https://example.org/calendar/sample-token.ics' : ''
+  });
+}
+
+/** Render an unsaved draft with sample data: { subject, text, html }. */
+function previewTemplate(templateKey, eventId, input) {
+  requireKey(templateKey);
+  const event = eventId ? requireEvent(eventId) : null;
+  const draft = normalizeDraft(input);
+  const values = sampleValues(templateKey, event);
+  const { subject, text, html } = publicService.renderTemplateEmail(draft, values, values.values.manage_url);
+  return { subject, text, html };
+}
+
+/** Email the rendered draft (sample data) to the signed-in admin. */
+async function sendTestEmail(templateKey, eventId, input, toAddress) {
+  const email = String(toAddress || '').trim();
+  if (!email) throw createError(400, 'Your account has no email address to send the test to.');
+  const preview = previewTemplate(templateKey, eventId, input);
+  return queueMail({
+    to: email,
+    subject: `[Test] ${preview.subject}`,
+    text: preview.text,
+    html: preview.html
+  }, { kind: 'other', eventId: eventId ? Number(eventId) : null });
+}
+
+module.exports = {
+  TEMPLATES,
+  listTemplates,
+  getTemplateEditor,
+  saveTemplate,
+  resetTemplate,
+  previewTemplate,
+  sendTestEmail
+};
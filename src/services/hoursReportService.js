@@ -0,0 +1,140 @@
+// src/services/hoursReportService.js
+// -----------------------------------------------------------------------------
+// Volunteer hours across events. Shift lengths come from the time block a
+// participant is assigned to; a volunteer is the participant name plus the
+// registrant email, so the same person is counted together across events even
+// though each signup creates its own participant row.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizeName(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function blockMinutes(startTxt, endTxt) {
+  const start = new Date(String(startTxt || '').replace(' ', 'T'));
+  const end = new Date(String(endTxt || '').replace(' ', 'T'));
+  const diff = Math.round((end.getTime() - start.getTime()) / 60000);
+  return Number.isFinite(diff) && diff > 0 ? diff : 0;
+}
+
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+function validDate(txt) {
+  if (!DATE_RE.test(String(txt || ''))) return null;
+  const d = new Date(`${txt}T00:00`);
+  return Number.isNaN(d.getTime()) ? null : txt;
+}
+
+/**
+ * Read the report filters from a query string. The range defaults to the
+ * current calendar year; `attended=1` counts only shifts marked present/late.
+ */
+function parseFilters(query = {}, now = new Date()) {
+  const year = now.getFullYear();
+  let from = validDate(query.from) || `${year}-01-01`;
+  let to = validDate(query.to) || `${year}-12-31`;
+  if (from > to) [from, to] = [to, from];
+  const attended = ['1', 'true', 'on'].includes(String(query.attended || '').toLowerCase());
+  return { from, to, attendedOnly: attended };
+}
+
+function bump(map, key, seed, minutes) {
+  if (!map.has(key)) map.set(key, { ...seed, shifts: 0, minutes: 0 });
+  const entry = map.get(key);
+  entry.shifts += 1;
+  entry.minutes += minutes;
+  return entry;
+}
+
+function finish(entries, sortFn) {
+  return Array.from(entries)
+    .map(({ minutes, ...rest }) => ({ ...rest, minutes, hours: toHours(minutes) }))
+    .sort(sortFn);
+}
+
+const byHoursThenName = (a, b) => (b.minutes - a.minutes) || String(a.name).localeCompare(String(b.name));
+const byEventDate = (a, b) => String(a.date_start || '').localeCompare(String(b.date_start || '')) || (a.event_id - b.event_id);
+
+/**
+ * Aggregate shift hours per volunteer, with per-event and per-station
+ * breakdowns for each volunteer and overall.
+ */
+function getVolunteerHoursReport(query = {}, now = new Date()) {
+  const filters = parseFilters(query, now);
+  const rows = dal.admin.listVolunteerShifts(filters.from, filters.to, { attendedOnly: filters.attendedOnly });
+
+  const volunteers = new Map();
+  const events = new Map();
+  const stations = new Map();
+  let totalMinutes = 0;
+
+  rows.forEach(row => {
+    const minutes = blockMinutes(row.start_time, row.end_time);
+    totalMinutes += minutes;
+    const email = row.registrant_email || '';
+    const key = `${email}|${normalizeName(row.participant_name)}`;
+    const volunteer = bump(volunteers, key, {
+      name: row.participant_name,
+      email,
+      events: new Map(),
+      stations: new Map()
+    }, minutes);
+    bump(volunteer.events, row.event_id, {
+      event_id: row.event_id,
+      name: row.event_name,
+      date_start: row.event_date_start
+    }, minutes);
+    bump(volunteer.stations, row.station_id, {
+      station_id: row.station_id,
+      name: row.station_name,
+      event_id: row.event_id,
+      event_name: row.event_name,
+      date_start: row.event_date_start
+    }, minutes);
+
+    const event = bump(events, row.event_id, {
+      event_id: row.event_id,
+      name: row.event_name,
+      date_start: row.event_date_start,
+      people: new Set()
+    }, minutes);
+    event.people.add(key);
+    const station = bump(stations, row.station_id, {
+      station_id: row.station_id,
+      name: row.station_name,
+      event_id: row.event_id,
+      event_name: row.event_name,
+      date_start: row.event_date_start,
+      people: new Set()
+    }, minutes);
+    station.people.add(key);
+  });
+
+  const withVolunteerCount = ({ people, ...rest }) => ({ ...rest, volunteers: people.size });
+
+  return {
+    filters,
+    volunteers: finish(volunteers.values(), byHoursThenName).map(v => ({
+      ...v,
+      events: finish(v.events.values(), byEventDate),
+      stations: finish(v.stations.values(), (a, b) => byEventDate(a, b) || String(a.name).localeCompare(String(b.name)))
+    })),
+    events: finish(events.values(), byEventDate).map(withVolunteerCount),
+    stations: finish(stations.values(), (a, b) => byEventDate(a, b) || String(a.name).localeCompare(String(b.name))).map(withVolunteerCount),
+    totals: {
+      volunteers: volunteers.size,
+      shifts: rows.length,
+      hours: toHours(totalMinutes)
+    }
+  };
+}
+
+module.exports = {
+  parseFilters,
+  getVolunteerHoursReport
+};
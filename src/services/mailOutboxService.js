@@ -0,0 +1,280 @@
+// src/services/mailOutboxService.js
+// -----------------------------------------------------------------------------
+// Persistent outbox for volunteer emails. `queueMail()` stores the message in
+// `mail_outbox` and then tries to send it straight away, so a healthy mail
+// server delivers as quickly as before, while a failed send never reaches the
+// volunteer as an error and is never silently dropped. A background worker
+// (like the webhook worker) retries pending rows with exponential backoff and
+// moves them to 'dead' after MAX_ATTEMPTS; owners can resend or discard them
+// from the admin mail page.
+//
+// Manage links are live credentials, so the stored copy never holds one: each
+// `/manage/<token>` is replaced by a marker naming the registration, and
+// retries and resends issue a fresh link in its place.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const mailer = require('../utils/mailer');
+
+const KINDS = {
+  confirmation: 'Signup confirmation',
+  manage_link: 'Manage link',
+  reminder: 'Reminder',
+  waitlist: 'Waitlist promotion',
+  swap: 'Shift swap',
+  cant_make_it: "Can't make it",
+  other: 'Other'
+};
+const STATUSES = ['pending', 'sent', 'dead', 'discarded'];
+// Retry n waits RETRY_BASE_MINUTES * 2^(n-1), capped at RETRY_MAX_MINUTES.
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+const MAX_ATTEMPTS = 8;
+// How long a row is held while one worker is sending it.
+const SEND_LEASE_MINUTES = 5;
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_RETENTION_DAYS = 30;
+const SWEEP_BATCH = 25;
+
+let timer = null;
+let sweepInProgress = false;
+
+// SQLite `datetime('now')` format (UTC, no zone suffix).
+function toSqliteUtc(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60000);
+}
+
+function retryDelayMinutes(attempts) {
+  return Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MINUTES);
+}
+
+function serializeAttachments(attachments) {
+  if (!Array.isArray(attachments) || !attachments.length) return null;
+  return JSON.stringify(attachments.map(a => (Buffer.isBuffer(a.content)
+    ? { ...a, content: a.content.toString('base64'), encoding: 'base64' }
+    : a)));
+}
+
+const MANAGE_LINK = /\/manage\/([0-9a-f]{48})\b/g;
+const MANAGE_MARKER = /\/manage\/\{\{registration:(\d+)\}\}/g;
+// Where a manage link that can't be issued again points instead: the event's
+// page, whose "lost your link?" form mails a fresh one.
+function expiredLink(eventId) {
+  return eventId ? `/events/${eventId}` : '/events';
+}
+
+/** `text` with every manage link swapped for its registration's marker. */
+function redactManageLinks(text, registrations, eventId) {
+  if (!text) return text;
+  return text.replace(MANAGE_LINK, (match, token) => {
+    if (!registrations.has(token)) {
+      const registration = dal.public.getRegistrationByToken(token);
+      registrations.set(token, registration ? registration.registration_id : null);
+    }
+    const registrationId = registrations.get(token);
+    return registrationId ? `/manage/{{registration:${registrationId}}}` : expiredLink(eventId);
+  });
+}
+
+/** `text` with each marker replaced by a freshly issued manage link. */
+function restoreManageLinks(text, tokens, eventId) {
+  if (!text) return text;
+  return text.replace(MANAGE_MARKER, (match, registrationId) => {
+    if (!tokens.has(registrationId)) {
+      // Required here rather than at the top: publicService queues its mail
+      // through this module.
+      const { issueManageToken } = require('./publicService');
+      let token = null;
+      try { token = issueManageToken(Number(registrationId)); } catch (_) { /* registration deleted */ }
+      tokens.set(registrationId, token);
+    }
+    const token = tokens.get(registrationId);
+    return token ? `/manage/${token}` : expiredLink(eventId);
+  });
+}
+
+function parseJson(text) {
+  if (!text) return undefined;
+  try { return JSON.parse(text); } catch (_) { return undefined; }
+}
+
+/** The message a stored row sends, with fresh manage links in place of markers. */
+function storedMessage(row) {
+  const tokens = new Map();
+  return {
+    to: row.to_address,
+    subject: row.subject,
+    text: restoreManageLinks(row.text_body, tokens, row.event_id) || undefined,
+    html: restoreManageLinks(row.html_body, tokens, row.event_id) || undefined,
+    headers: parseJson(restoreManageLinks(row.headers_json, tokens, row.event_id)),
+    attachments: parseJson(restoreManageLinks(row.attachments_json, tokens, row.event_id))
+  };
+}
+
+/**
+ * Send one stored row through the mailer and record the outcome. The first
+ * attempt passes the original `message`, whose links are already fresh.
+ */
+async function attempt(row, now, message) {
+  const attemptedAt = toSqliteUtc(now);
+  try {
+    await mailer.sendMail(message || storedMessage(row));
+    dal.admin.recordMailAttempt(row.mail_id, { status: 'sent', attemptedAt });
+    return 'sent';
+  } catch (err) {
+    const attempts = row.attempts + 1;
+    const error = String((err && err.message) || 'Send failed').slice(0, 500);
+    if (attempts >= MAX_ATTEMPTS) {
+      dal.admin.recordMailAttempt(row.mail_id, { status: 'dead', attemptedAt, error });
+      console.error('[Mail] Giving up on mail #%d to %s after %d attempts: %s', row.mail_id, row.to_address, attempts, error);
+      return 'dead';
+    }
+    const nextAttemptAt = toSqliteUtc(addMinutes(now, retryDelayMinutes(attempts)));
+    dal.admin.recordMailAttempt(row.mail_id, { status: 'pending', attemptedAt, nextAttemptAt, error });
+    console.error('[Mail] Send to %s failed (attempt %d), retrying: %s', row.to_address, attempts, error);
+    return 'retrying';
+  }
+}
+
+/**
+ * Store a message in the outbox and make the first attempt right away.
+ * Resolves to the row's status afterwards ('sent' or 'pending'); mail server
+ * errors never reject, they are retried by the worker instead.
+ */
+async function queueMail(message, { kind = 'other', eventId = null } = {}) {
+  const now = new Date();
+  const registrations = new Map();
+  const row = {
+    kind: KINDS[kind] ? kind : 'other',
+    event_id: eventId,
+    to_address: message.to,
+    subject: message.subject,
+    text_body: redactManageLinks(message.text, registrations, eventId),
+    html_body: redactManageLinks(message.html, registrations, eventId),
+    headers_json: message.headers && Object.keys(message.headers).length
+      ? redactManageLinks(JSON.stringify(message.headers), registrations, eventId)
+      : null,
+    attachments_json: redactManageLinks(serializeAttachments(message.attachments), registrations, eventId),
+    // Held for the first attempt below so a concurrent sweep leaves it alone.
+    next_attempt_at: toSqliteUtc(addMinutes(now, SEND_LEASE_MINUTES))
+  };
+  const mailId = dal.admin.enqueueMail(row);
+  const outcome = await attempt({ ...row, mail_id: mailId, attempts: 0 }, now, {
+    to: message.to,
+    subject: message.subject,
+    text: message.text || undefined,
+    html: message.html || undefined,
+    headers: row.headers_json ? message.headers : undefined,
+    attachments: row.attachments_json ? message.attachments : undefined
+  });
+  return outcome === 'sent' ? 'sent' : 'pending';
+}
+
+/**
+ * Attempt every due pending message once. Failures are rescheduled with
+ * exponential backoff and marked dead after MAX_ATTEMPTS. Old sent and
+ * discarded rows are purged along the way.
+ */
+async function runMailSweep(now = new Date()) {
+  const summary = { sent: 0, retrying: 0, dead: 0 };
+  const nowTxt = toSqliteUtc(now);
+  const due = dal.admin.listDueMail(nowTxt, SWEEP_BATCH);
+  for (const row of due) {
+    if (!dal.admin.claimMail(row.mail_id, nowTxt, toSqliteUtc(addMinutes(now, SEND_LEASE_MINUTES)))) continue;
+    const outcome = await attempt(row, now);
+    summary[outcome] += 1;
+  }
+  const retention = Number(process.env.MAIL_OUTBOX_RETENTION_DAYS);
+  const days = Number.isFinite(retention) && retention > 0 ? retention : DEFAULT_RETENTION_DAYS;
+  dal.admin.purgeMail(toSqliteUtc(new Date(now.getTime() - days * 86400000)));
+  return summary;
+}
+
+// --- Admin page --------------------------------------------------------------
+
+function listMail(query = {}) {
+  const filters = {
+    status: STATUSES.includes(query.status) ? query.status : null,
+    kind: KINDS[query.kind] ? query.kind : null,
+    q: String(query.q || '').trim().slice(0, 200) || null,
+    beforeId: Number(query.before) || null,
+    limit: 100
+  };
+  const rows = dal.admin.listMail(filters);
+  const counts = { pending: 0, sent: 0, dead: 0, discarded: 0 };
+  dal.admin.countMailByStatus().forEach(r => { counts[r.status] = r.count; });
+  return {
+    filters,
+    counts,
+    messages: rows,
+    nextBeforeId: rows.length === filters.limit ? rows[rows.length - 1].mail_id : null
+  };
+}
+
+function getMail(mailId) {
+  const mail = dal.admin.getMail(mailId);
+  if (!mail) throw createError(404, 'Message not found.');
+  return mail;
+}
+
+/** Queue a message again with a fresh set of attempts (sent ones are sent again). */
+function resendMail(mailId) {
+  const mail = getMail(mailId);
+  if (!mail.to_address) throw createError(400, 'This email was anonymised by the data retention purge and cannot be resent.');
+  if (!dal.admin.resendMail(mailId).changes) throw createError(400, 'That message is already waiting to be sent.');
+}
+
+function discardMail(mailId) {
+  getMail(mailId);
+  if (!dal.admin.discardMail(mailId).changes) throw createError(400, 'Only pending or dead messages can be discarded.');
+}
+
+async function tick() {
+  if (sweepInProgress) return;
+  sweepInProgress = true;
+  try {
+    const summary = await runMailSweep(new Date());
+    if (summary.retrying || summary.dead) {
+      console.log('[Mail] sent %d, retrying %d, dead %d', summary.sent, summary.retrying, summary.dead);
+    }
+  } catch (err) {
+    console.error('[Mail] Sweep failed:', err);
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+/** Start the outbox worker (MAIL_OUTBOX_INTERVAL_SECONDS, default 30). */
+function startMailWorker() {
+  if (timer) return timer;
+  const interval = Number(process.env.MAIL_OUTBOX_INTERVAL_SECONDS);
+  const seconds = Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_SECONDS;
+  timer = setInterval(tick, seconds * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  return timer;
+}
+
+function stopMailWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  KINDS,
+  STATUSES,
+  MAX_ATTEMPTS,
+  retryDelayMinutes,
+  queueMail,
+  runMailSweep,
+  listMail,
+  getMail,
+  resendMail,
+  discardMail,
+  startMailWorker,
+  stopMailWorker
+};
@@ -10,13 +10,33 @@ const createError = require('http-errors');
 const dal = require('../db/dal');
 const { fmt12 } = require('../views/helpers');
 const { sendMail } = require('../utils/mailer');
+const { queueMail } = require('./mailOutboxService');
+const smsService = require('./smsService');
+const { normalizePhone, isSmsEnabled } = require('../utils/sms');
+const { buildCalendar } = require('../utils/ics');
+const { renderPlaceholders, textToHtml } = require('../utils/emailTemplate');
 const { getBranding } = require('../config/branding');
+const {
+  AGE_BRACKETS,
+  normalizeAgeBracket,
+  normalizeMinAge,
+  parseQualifications,
+  serializeQualifications,
+  unmetRequirements
+} = require('../utils/stationRequirements');
+const webhookService = require('./webhookService');
+const registrationQuestions = require('./registrationQuestionService');
+const { signupWindow, timeUntil, normalizeLockoutHours, isChangeLocked } = require('../utils/signupWindow');
+const { signupLimits, describeLimits, partySizeProblem, participantLimitProblem } = require('../utils/signupLimits');
+const { locationFrom, mergeLocation, formatLocation, hasLocation, directionsUrl } = require('../utils/location');
 
 const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
 const TOKEN_TTL_DAYS = Number(process.env.MANAGE_TOKEN_TTL_DAYS || 30);
+const MAX_CANT_MAKE_IT_NOTE = 300;
 
 function mapEventRows(rows) {
   if (!rows || rows.length === 0 || !rows[0].event_id) return null;
+  const limits = signupLimits(rows[0]);
 
   const event = {
     event_id: rows[0].event_id,
@@ -25,6 +45,12 @@ function mapEventRows(rows) {
     date_start: rows[0].date_start,
     date_end: rows[0].date_end,
     signup_mode: rows[0].signup_mode || 'schedule',
+    signups_open_at: rows[0].signups_open_at || null,
+    signups_close_at: rows[0].signups_close_at || null,
+    change_lockout_hours: normalizeLockoutHours(rows[0].change_lockout_hours),
+    signup_limits: limits,
+    signup_limit_notes: describeLimits(limits),
+    location: locationFrom(rows[0]),
     stations: []
   };
 
@@ -40,6 +66,9 @@ function mapEventRows(rows) {
         about,
         duties,
         description: about,
+        min_age: normalizeMinAge(row.station_min_age),
+        required_qualifications: parseQualifications(row.station_required_qualifications),
+        location: mergeLocation(event.location, locationFrom(row, 'station_')),
         time_blocks: []
       });
     }
@@ -69,6 +98,7 @@ function mapEventRows(rows) {
         end_time: row.end_time,
         capacity_needed: typeof row.capacity_needed !== 'undefined' ? row.capacity_needed : row.capacity,
         reserved_count: row.reserved_count || 0,
+        waitlist_count: row.waitlist_count || 0,
         servings_min: row.servings_min,
         servings_max: row.servings_max,
         title: row.title || '',
@@ -79,11 +109,21 @@ function mapEventRows(rows) {
   });
 
   event.stations = Array.from(stationMap.values());
+  // What step 1 asks participants to declare: an age bracket when any station
+  // has a minimum age, and each qualification some station requires.
+  event.requirements = {
+    ageBrackets: event.stations.some(st => st.min_age) ? AGE_BRACKETS : [],
+    qualifications: parseQualifications(event.stations.reduce((acc, st) => acc.concat(st.required_qualifications), []))
+  };
+  event.questions = registrationQuestions.listQuestions(event.event_id);
   return event;
 }
 
-function getPublicEvents() {
-  return dal.public.listUpcomingEvents();
+function getPublicEvents(now = new Date()) {
+  return dal.public.listUpcomingEvents().map(event => ({
+    ...event,
+    signup_window: getSignupWindow(event, now)
+  }));
 }
 
 function enrichPotluckDishNotes(event, eventId) {
@@ -120,6 +160,29 @@ function getEventDetailsForPublic(eventId) {
   return enrichPotluckDishNotes(event, eventId);
 }
 
+/**
+ * The event's signup window at `now`, with a friendly "opens in" phrase for
+ * the public page when signups have not opened yet.
+ */
+function getSignupWindow(event, now = new Date()) {
+  const current = signupWindow(event, now);
+  return {
+    ...current,
+    opens_in: current.status === 'upcoming' ? timeUntil(current.opens_at, now) : ''
+  };
+}
+
+// Refuse new signups outside the event's signup window.
+function assertSignupsOpen(event, now = new Date()) {
+  const current = signupWindow(event, now);
+  if (current.status === 'upcoming') {
+    throw createError(403, `Signups for ${event.name} open ${fmt12(current.opens_at)}.`);
+  }
+  if (current.status === 'closed') {
+    throw createError(403, `Signups for ${event.name} closed ${fmt12(current.closes_at)}.`);
+  }
+}
+
 function getEventDetailsForPreview(eventId) {
   const rows = dal.admin.getEventById(eventId);
   const event = mapEventRows(rows);
@@ -145,6 +208,47 @@ function buildManageUrl(token) {
   return `${APP_BASE_URL}/manage/${token}`;
 }
 
+/**
+ * Path of the registration's calendar feed. Its token is separate from the
+ * manage link and never rotated, so subscriptions survive new manage links.
+ */
+function getCalendarFeedPath(registrationId) {
+  return `/calendar/${dal.public.ensureRegistrationCalendarToken(registrationId)}.ics`;
+}
+
+/**
+ * One calendar entry per schedule assignment. UIDs are keyed on participant +
+ * block so re-sent attachments and feed refreshes update entries in place.
+ */
+function collectCalendarEntries(event, participants, manageUrl) {
+  let host = 'localhost';
+  try { host = new URL(APP_BASE_URL).hostname || host; } catch (_) {}
+  const list = Array.isArray(participants) ? participants : [];
+  const entries = [];
+  list.forEach(p => {
+    (p.schedule || []).forEach(slot => {
+      const who = list.length > 1 ? ` (${p.participant_name})` : '';
+      const location = locationFrom(slot);
+      const description = [
+        `${p.participant_name}: ${slot.station_name}`,
+        location.notes,
+        event.description || '',
+        manageUrl ? `Manage your signup: ${manageUrl}` : ''
+      ].filter(Boolean).join('\n\n');
+      entries.push({
+        uid: `shift-${p.participant_id}-${slot.time_block_id}@${host}`,
+        start: slot.start_time,
+        end: slot.end_time,
+        summary: `${event.name}: ${slot.station_name}${who}`,
+        description,
+        location: formatLocation(location),
+        url: manageUrl
+      });
+    });
+  });
+  return entries;
+}
+
 function computeExpiryDate(days = TOKEN_TTL_DAYS) {
   if (!Number.isFinite(days) || days <= 0) return null;
   const dt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
@@ -388,6 +492,8 @@ function groupAssignments(detail) {
   const participants = (detail.participants || []).map(p => ({
     participant_id: p.participant_id,
     participant_name: p.participant_name,
+    age_bracket: p.age_bracket || null,
+    qualifications: p.qualifications || null,
     schedule: [],
     potluck: []
   }));
@@ -403,7 +509,188 @@ function groupAssignments(detail) {
   return participants;
 }
 
-async function sendConfirmationEmail({ registration, event, participants, manageUrl, isUpdate }) {
+// One bullet line per assignment, e.g. "• Ann: Sorting — Sat 9:00 AM – 11:00 AM".
+function formatAssignmentsText(participants) {
+  return participants.map(p => {
+    const lines = [];
+    if (p.schedule && p.schedule.length) {
+      p.schedule.forEach(slot => {
+        const timeStr = fmtRange(slot.start_time, slot.end_time);
+        lines.push(`• ${p.participant_name}: ${slot.station_name}${timeStr ? ' — ' + timeStr : ''}`);
+      });
+    }
+    if (p.potluck && p.potluck.length) {
+      p.potluck.forEach(slot => {
+        const dish = slot.dish_name ? ` (Dish: ${slot.dish_name})` : '';
+        lines.push(`• ${p.participant_name}: ${slot.station_name} — ${slot.title || 'Item'}${dish}`);
+      });
+    }
+    return lines.join('\n');
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Where the group's assignments take place: one entry per distinct location
+ * with the stations held there. Assignment rows carry the station's
+ * effective location; without any, the event's own location is used.
+ */
+function collectLocations(event, participants) {
+  const byKey = new Map();
+  (participants || []).forEach(p => {
+    [].concat(p.schedule || [], p.potluck || []).forEach(slot => {
+      const location = locationFrom(slot);
+      if (!hasLocation(location)) return;
+      const key = JSON.stringify(location);
+      if (!byKey.has(key)) byKey.set(key, { location, stations: [] });
+      const entry = byKey.get(key);
+      if (slot.station_name && !entry.stations.includes(slot.station_name)) entry.stations.push(slot.station_name);
+    });
+  });
+  if (!byKey.size) {
+    const own = (event && event.location) || locationFrom(event);
+    return hasLocation(own) ? [{ location: own, stations: [] }] : [];
+  }
+  return Array.from(byKey.values());
+}
+
+// "• Sorting: Main Hall, Room 2, 1 Main St" plus notes and a directions link.
+// Stations are only named when the group is spread over several places.
+function formatLocationsText(entries) {
+  return entries.map(({ location, stations }) => {
+    const label = entries.length > 1 && stations.length ? `${stations.join(', ')}: ` : '';
+    const place = formatLocation(location);
+    const notes = location.notes.replace(/\s*\n\s*/g, ' ');
+    const lines = [`• ${label}${place || notes}`];
+    if (place && notes) lines.push(`  ${notes}`);
+    const url = directionsUrl(location);
+    if (url) lines.push(`  Directions: ${url}`);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+function formatLocationsHtml(entries) {
+  return entries.map(({ location, stations }) => {
+    const label = entries.length > 1 && stations.length ? `<strong>${escapeHtml(stations.join(', '))}:</strong> ` : '';
+    const place = formatLocation(location);
+    const url = directionsUrl(location);
+    return `<p style="margin:0 0 8px; color:#475569; font-size:14px; line-height:1.6;">${label}${escapeHtml(place || location.notes)}`
+      + (place && location.notes ? `<br />${escapeHtml(location.notes).replace(/\n/g, '<br />')}` : '')
+      + (url ? `<br /><a href="${escapeHtml(url)}" style="color:#2563eb;">Get directions</a>` : '')
+      + '</p>';
+  }).join('');
+}
+
+function formatWaitlistText(entries) {
+  return entries.map(w => {
+    const timeStr = fmtRange(w.start_time, w.end_time);
+    return `• ${w.participant_name}: ${w.station_name}${timeStr ? ' — ' + timeStr : ''} (#${w.position} in line)`;
+  }).join('\n');
+}
+
+function htmlList(text) {
+  const items = String(text || '').split('\n').filter(Boolean).map(line => `<li style="margin:0 0 6px;">${escapeHtml(line.replace(/^•\s*/, ''))}</li>`);
+  return items.length ? `<ul style="margin:0 0 16px; padding-left:20px;">${items.join('')}</ul>` : '';
+}
+
+/**
+ * Placeholder values for the editable email templates (see
+ * utils/emailTemplate). `htmlValues` holds list and link values already
+ * formatted for HTML bodies.
+ */
+function buildTemplateValues({ registration, event, participants, waitlist, manageUrls, calendarUrl }) {
+  const { supportName, supportEmail, supportPhone, orgName } = resolveSupportContact();
+  const urls = (manageUrls || []).filter(Boolean);
+  const contact = [supportEmail && `Email: ${supportEmail}`, supportPhone && `Phone: ${supportPhone}`].filter(Boolean);
+  const assignments = (participants || []).length ? formatAssignmentsText(participants) : '';
+  const waitlistText = formatWaitlistText(Array.isArray(waitlist) ? waitlist : []);
+  const locations = collectLocations(event, participants);
+  const values = {
+    registrant_name: registration.registrant_name || registration.registrant_email || '',
+    registrant_email: registration.registrant_email || '',
+    event_name: event.name || '',
+    event_dates: fmtRange(event.date_start, event.date_end),
+    assignments: assignments || 'No assignments yet.',
+    waitlist: waitlistText,
+    location: formatLocationsText(locations),
+    manage_url: urls[0] || '',
+    manage_links: urls.length > 1 ? urls.map((url, idx) => `Signup ${idx + 1}: ${url}`).join('\n') : (urls[0] || ''),
+    calendar_url: calendarUrl || '',
+    support_name: supportName || 'Volunteer Team',
+    support_contact: contact.length ? contact.join(' | ') : 'Reply to this email and we will help you.',
+    org_name: orgName || ''
+  };
+  const linkHtml = (url) => `<a href="${escapeHtml(url)}" style="color:#2563eb;">${escapeHtml(url)}</a>`;
+  const htmlValues = {
+    assignments: assignments ? htmlList(assignments) : '<p style="margin:0 0 16px; color:#94a3b8;">No assignments yet.</p>',
+    waitlist: htmlList(waitlistText),
+    location: formatLocationsHtml(locations),
+    manage_url: urls[0] ? linkHtml(urls[0]) : '',
+    manage_links: urls.length > 1
+      ? `<ul style="margin:0 0 16px; padding-left:20px;">${urls.map((url, idx) => `<li style="margin:0 0 6px;">Signup ${idx + 1}: ${linkHtml(url)}</li>`).join('')}</ul>`
+      : (urls[0] ? linkHtml(urls[0]) : ''),
+    calendar_url: calendarUrl ? linkHtml(calendarUrl) : ''
+  };
+  return { values, htmlValues };
+}
+
+/** The event's override for `templateKey`, else the site-wide one, else null. */
+function findEmailTemplate(templateKey, eventId) {
+  return (eventId && dal.admin.getEmailTemplate(templateKey, eventId)) || dal.admin.getEmailTemplate(templateKey, null);
+}
+
+/**
+ * Render an admin template ({ subject, text_body, html_body }) into
+ * { subject, text, html }. Without an HTML body the text is converted. The
+ * compliance footer for `manageUrl` is always appended so edited templates
+ * keep the sender details and unsubscribe link.
+ */
+function renderTemplateEmail(template, { values, htmlValues }, manageUrl) {
+  const { supportEmail, supportPhone, orgName, orgMailingAddress } = resolveSupportContact();
+  const complianceFooter = buildComplianceFooter({
+    orgName,
+    supportEmail,
+    supportPhone,
+    mailingAddress: orgMailingAddress,
+    manageUrl
+  });
+  const subject = renderPlaceholders(template.subject, values).replace(/\s+/g, ' ').trim();
+  const textParts = [renderPlaceholders(template.text_body, values).trim()];
+  if (complianceFooter.textLines.length) {
+    textParts.push('', ...complianceFooter.textLines);
+  }
+  const customHtml = String(template.html_body || '').trim();
+  let html;
+  if (customHtml && /<\/body>/i.test(customHtml)) {
+    html = renderPlaceholders(customHtml, values, { html: true, htmlValues })
+      .replace(/<\/body>/i, `${complianceFooter.htmlBlock}</body>`);
+  } else {
+    const bodyHtml = customHtml
+      ? renderPlaceholders(customHtml, values, { html: true, htmlValues })
+      : textToHtml(template.text_body, values, htmlValues);
+    html = `<!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>${escapeHtml(subject)}</title>
+      </head>
+      <body style="margin:0; padding:24px 16px; background-color:#ffffff;">
+        <div style="max-width:640px; margin:0 auto; font-family:'Segoe UI', Arial, sans-serif; color:#0f172a; font-size:15px;">
+          ${bodyHtml}
+          ${complianceFooter.htmlBlock}
+        </div>
+      </body>
+    </html>`;
+  }
+  return {
+    subject,
+    text: textParts.join('\n'),
+    html,
+    headers: complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined
+  };
+}
+
+async function sendConfirmationEmail({ registration, event, participants, waitlist, manageUrl, isUpdate }) {
   if (!registration || !registration.registrant_email) return;
   if (typeof registration.email_opt_in !== 'undefined' && Number(registration.email_opt_in) === 0) {
     console.info('[PublicService] Skipping confirmation email to %s (registrant opted out).', registration.registrant_email);
@@ -417,23 +704,17 @@ async function sendConfirmationEmail({ registration, event, participants, manage
     : (isUpdate ? `Updated volunteer schedule for ${event.name}` : `Your volunteer schedule for ${event.name}`);
 
   const listItems = participants.length
-    ? participants.map(p => {
-        const lines = [];
-        if (p.schedule && p.schedule.length) {
-          p.schedule.forEach(slot => {
-            const timeStr = fmtRange(slot.start_time, slot.end_time);
-            lines.push(`• ${p.participant_name}: ${slot.station_name}${timeStr ? ' — ' + timeStr : ''}`);
-          });
-        }
-        if (p.potluck && p.potluck.length) {
-          p.potluck.forEach(slot => {
-            const dish = slot.dish_name ? ` (Dish: ${slot.dish_name})` : '';
-            lines.push(`• ${p.participant_name}: ${slot.station_name} — ${slot.title || 'Item'}${dish}`);
-          });
-        }
-        return lines.join('\n');
-      }).filter(Boolean).join('\n')
+    ? formatAssignmentsText(participants)
     : 'You currently have no reserved opportunities.';
+  // No manage link in the attachment: calendar apps keep it, and the mail
+  // outbox can't swap it out of the folded iCalendar lines it stores.
+  const calendarEntries = isPotluckEmail ? [] : collectCalendarEntries(event, participants, null);
+  const calendarUrl = calendarEntries.length && registration.registration_id
+    ? `${APP_BASE_URL}${getCalendarFeedPath(registration.registration_id)}`
+    : '';
+  const waitlistEntries = Array.isArray(waitlist) ? waitlist : [];
+  const waitlistItems = formatWaitlistText(waitlistEntries);
+  const locations = collectLocations(event, participants);
 
   const complianceFooter = buildComplianceFooter({
     orgName,
@@ -454,8 +735,18 @@ async function sendConfirmationEmail({ registration, event, participants, manage
       lines.push('');
       lines.push('Here is your group schedule:');
     }
-    lines.push(listItems || 'No assignments yet.', '', `Manage your signup here: ${manageUrl}`, '',
-      'If you have any questions or run into trouble, reach out to us:');
+    lines.push(listItems || 'No assignments yet.');
+    if (locations.length) {
+      lines.push('', 'Where to go:', formatLocationsText(locations));
+    }
+    if (waitlistItems) {
+      lines.push('', 'Waitlist (we will email you if a spot opens up):', waitlistItems);
+    }
+    lines.push('', `Manage your signup here: ${manageUrl}`);
+    if (calendarUrl) {
+      lines.push(`Your shifts are attached as a calendar file. Subscribe to stay in sync: ${calendarUrl}`);
+    }
+    lines.push('', 'If you have any questions or run into trouble, reach out to us:');
     const contactLines = [];
     if (supportEmail) contactLines.push(`Email: ${supportEmail}`);
     if (supportPhone) contactLines.push(`Phone: ${supportPhone}`);
@@ -493,6 +784,15 @@ async function sendConfirmationEmail({ registration, event, participants, manage
         `).join('')}
       </table>`
     : '<p style="margin:16px 0 24px; color:#475569; font-family:\'Segoe UI\', Arial, sans-serif;">You currently have no reserved opportunities.</p>';
+  const locationHtml = locations.length
+    ? `<p style="margin:0 0 8px; font-weight:600; color:#0f172a;">Where to go</p>
+      <div style="margin:0 0 16px;">${formatLocationsHtml(locations)}</div>`
+    : '';
+  const waitlistHtml = waitlistEntries.length
+    ? `<p style="margin:0 0 8px; font-weight:600; color:#0f172a;">Waitlist</p>
+      <p style="margin:0 0 8px; color:#475569; font-size:14px;">We will email you if a spot opens up.</p>
+      ${waitlistEntries.map(w => `<p style="margin:0 0 6px; color:#475569; font-size:14px;">${escapeHtml(w.participant_name)}: ${escapeHtml(w.station_name)} — ${escapeHtml(fmtRange(w.start_time, w.end_time))} (#${Number(w.position) || 1} in line)</p>`).join('')}`
+    : '';
 
   const html = `<!DOCTYPE html>
     <html lang="en">
@@ -521,6 +821,8 @@ async function sendConfirmationEmail({ registration, event, participants, manage
                       <p style="margin:0 0 16px; font-size:16px;">Hi ${escapeHtml(registration.registrant_name || registration.registrant_email)},</p>
                       <p style="margin:0 0 16px; color:#475569; line-height:1.7;">${isPotluckEmail ? 'Below are the food prep items your group signed up for.' : 'Below you will find your group&rsquo;s volunteer schedule details.'}</p>
                       ${groupedHtml}
+                      ${locationHtml}
+                      ${waitlistHtml}
                       <table role="presentation" cellpadding="0" cellspacing="0" border="0" align="center" style="margin:32px auto 28px;">
                         <tr>
                           <td align="center" role="presentation">
@@ -530,6 +832,7 @@ async function sendConfirmationEmail({ registration, event, participants, manage
                           </td>
                         </tr>
                       </table>
+                      ${calendarUrl ? `<p style="margin:-12px 0 24px; text-align:center; color:#475569; font-size:14px; font-family:'Segoe UI', Arial, sans-serif;">Your shifts are attached as a calendar file, or <a href="${calendarUrl}" style="color:#2563eb;">subscribe to your calendar feed</a> to stay in sync.</p>` : ''}
                       <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border-top:1px solid rgba(15,23,42,0.08); margin-top:24px; padding-top:24px;">
                         <tr>
                           <td style="font-family:'Segoe UI', Arial, sans-serif;">
@@ -557,18 +860,68 @@ async function sendConfirmationEmail({ registration, event, participants, manage
 
   try {
     const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
-    await sendMail({
+    const attachments = calendarEntries.length
+      ? [{
+          filename: 'volunteer-schedule.ics',
+          content: buildCalendar({ name: event.name, events: calendarEntries }),
+          contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+        }]
+      : undefined;
+    const template = findEmailTemplate('confirmation', event.event_id);
+    const content = template
+      ? renderTemplateEmail(template, buildTemplateValues({
+          registration,
+          event,
+          participants,
+          waitlist: waitlistEntries,
+          manageUrls: [manageUrl],
+          calendarUrl
+        }), manageUrl)
+      : { subject, text, html, headers };
+    await queueMail({
       to: registration.registrant_email,
-      subject,
-      text,
-      html,
-      headers
-    });
+      ...content,
+      attachments
+    }, { kind: 'confirmation', eventId: event.event_id });
   } catch (err) {
     console.error('Failed to send volunteer confirmation email:', err);
   }
 }
 
+function isTruthyFlag(value) {
+  return value === true || value === 1 || ['1', 'true', 'on', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+// "Sorting, Sep 1, 2030 9:00 AM (+2 more)" — the first assignment, for texts.
+function summarizeForSms(participants) {
+  const slots = [];
+  (participants || []).forEach(p => {
+    (p.schedule || []).forEach(slot => slots.push({ sort: String(slot.start_time || ''), label: `${slot.station_name}, ${fmtRange(slot.start_time, slot.end_time)}` }));
+    (p.potluck || []).forEach(slot => slots.push({ sort: '', label: `${slot.station_name}: ${slot.title || 'Item'}` }));
+  });
+  if (!slots.length) return '';
+  slots.sort((a, b) => a.sort.localeCompare(b.sort));
+  return slots[0].label + (slots.length > 1 ? ` (+${slots.length - 1} more)` : '');
+}
+
+/** Short confirmation text for registrations that opted in to SMS. */
+async function sendConfirmationSms(registrationId, { event, participants, manageUrl }) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !smsService.canText(detail.registration)) return false;
+  const { orgName } = resolveSupportContact();
+  const summary = summarizeForSms(participants);
+  return smsService.sendRegistrationSms(detail.registration,
+    `${orgName}: you're signed up for ${event.name}.${summary ? ` ${summary}.` : ''} Manage: ${manageUrl}`);
+}
+
+// Send the confirmation text without waiting on the provider, so a slow or
+// failing one never holds up the signup; failures are only logged.
+function queueConfirmationSms(registrationId, details) {
+  sendConfirmationSms(registrationId, details).catch(err => {
+    console.error('[SMS] Failed to text the confirmation for registration %s:', registrationId, err);
+  });
+}
+
 function normalizeName(value) {
   return String(value || '').trim();
 }
@@ -586,6 +939,83 @@ function ensureUniqueParticipants(names) {
   });
 }
 
+// Age bracket and qualifications a participant declared in step 1, taken from
+// an object participant entry and/or the parallel `participantDetails` array.
+function participantProfileFrom(entry, details) {
+  const src = {
+    ...(entry && typeof entry === 'object' ? entry : {}),
+    ...(details && typeof details === 'object' ? details : {})
+  };
+  return {
+    age_bracket: normalizeAgeBracket(src.age_bracket || src.ageBracket),
+    qualifications: serializeQualifications(src.qualifications)
+  };
+}
+
+// Reject the first { participant, block } pair whose station the participant
+// does not qualify for. `block` is a getBlocksInfo row.
+function assertMeetsRequirements(checks) {
+  checks.forEach(({ participant, block }) => {
+    if (!participant || !block) return;
+    const unmet = unmetRequirements(block, participant);
+    if (unmet.length) {
+      const name = participant.participant_name || participant.name || 'This participant';
+      throw createError(400, `${name} can't sign up for ${block.station_name} (needs ${unmet.join(', ')}).`);
+    }
+  });
+}
+
+/**
+ * This registration's shifts inside the event's change lock-out, which the
+ * manage link can no longer drop or move. Potluck items never lock.
+ */
+function getLockedShifts(context, now = new Date()) {
+  if (!context || String(context.event.signup_mode || '').toLowerCase() === 'potluck') return [];
+  const shifts = [];
+  context.participants.forEach(p => {
+    p.schedule.forEach(slot => {
+      if (!isChangeLocked(context.event, slot.start_time, now)) return;
+      shifts.push({
+        assignment_id: slot.assignment_id,
+        participant_id: p.participant_id,
+        participant_name: p.participant_name,
+        time_block_id: Number(slot.time_block_id),
+        station_name: slot.station_name,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        cant_make_it_at: slot.cant_make_it_at || null,
+        cant_make_it_note: slot.cant_make_it_note || ''
+      });
+    });
+  });
+  return shifts.sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+}
+
+function lockedShiftError(event, shift) {
+  return createError(403, `${shift.participant_name}'s ${shift.station_name} shift (${fmtRange(shift.start_time, shift.end_time)}) starts within ${event.change_lockout_hours} hours, so it can no longer be dropped or moved here. Use "I can't make it" to let the coordinator know instead.`);
+}
+
+// Limits of a mapped event, or of a plain event row.
+function limitsOf(event) {
+  return event.signup_limits || signupLimits(event);
+}
+
+// Hold each { name, blocks } entry (blocks are getBlocksInfo rows for that
+// participant's final shifts or items) to the event's signup limits.
+function assertWithinSignupLimits(event, entries) {
+  const limits = limitsOf(event);
+  const timed = String(event.signup_mode || '').toLowerCase() !== 'potluck';
+  entries.forEach(({ name, blocks }) => {
+    const problem = participantLimitProblem(limits, name, blocks.filter(Boolean), { checkMinimum: true, timed });
+    if (problem) throw createError(400, problem);
+  });
+}
+
+function assertPartySize(event, count) {
+  const problem = partySizeProblem(limitsOf(event), count);
+  if (problem) throw createError(400, problem);
+}
+
 function slotsOverlap(a, b) {
   if (!a || !b) return false;
   if (!Number.isFinite(a.start) || !Number.isFinite(a.end) || !Number.isFinite(b.start) || !Number.isFinite(b.end)) {
@@ -612,6 +1042,7 @@ async function processVolunteerSignup(payload) {
   if (!Number.isFinite(eventId)) throw createError(400, 'Event is required.');
   const event = dal.public.getEventBasic(eventId);
   if (!event) throw createError(404, 'Event not found.');
+  assertSignupsOpen(event);
   const isPotluck = String(event.signup_mode || '').toLowerCase() === 'potluck';
 
   const registrant = {
@@ -620,11 +1051,16 @@ async function processVolunteerSignup(payload) {
     phone: normalizeName(payload.registrant && payload.registrant.phone ? payload.registrant.phone : payload.phone),
     email_opt_in: payload.registrant && typeof payload.registrant.email_opt_in !== 'undefined'
       ? payload.registrant.email_opt_in
-      : 1
+      : 1,
+    sms_opt_in: isSmsEnabled() && isTruthyFlag(payload.registrant && payload.registrant.sms_opt_in)
   };
   if (!registrant.name || !registrant.email) {
     throw createError(400, 'Name and email are required.');
   }
+  if (registrant.sms_opt_in) {
+    registrant.sms_phone = normalizePhone(registrant.phone);
+    if (!registrant.sms_phone) throw createError(400, 'Enter a mobile number to get text messages.');
+  }
 
   // If this email already has active assignments for this event, short-circuit
   // and send them their manage link instead of allowing a new registration.
@@ -650,15 +1086,29 @@ async function processVolunteerSignup(payload) {
   const participantNames = participantsInput.map(p => normalizeName(p && (p.name || p.participant_name || p)));
   if (!participantNames.length) throw createError(400, 'Add at least one participant.');
   ensureUniqueParticipants(participantNames);
+  assertPartySize(event, participantNames.length);
+  const detailsInput = Array.isArray(payload.participantDetails) ? payload.participantDetails : [];
+  const questions = registrationQuestions.listQuestions(eventId);
+  const answers = registrationQuestions.normalizeSignupAnswers(questions, payload.answers, participantNames);
+  registrant.answers = answers.registrant;
+  const participantProfiles = participantsInput.map((p, idx) => ({
+    name: participantNames[idx],
+    ...participantProfileFrom(p, detailsInput[idx]),
+    answers: answers.participants[idx]
+  }));
 
   const participantIndexByName = new Map();
   participantNames.forEach((name, idx) => participantIndexByName.set(name.toLowerCase(), idx));
 
   const scheduleAssignmentsRaw = Array.isArray(payload.scheduleAssignments) ? payload.scheduleAssignments : [];
   const potluckAssignmentsRaw = Array.isArray(payload.potluckAssignments) ? payload.potluckAssignments : [];
-  if (!scheduleAssignmentsRaw.length && !potluckAssignmentsRaw.length) {
+  const waitlistRaw = Array.isArray(payload.waitlist) ? payload.waitlist : [];
+  if (!scheduleAssignmentsRaw.length && !potluckAssignmentsRaw.length && !waitlistRaw.length) {
     throw createError(400, 'Select at least one assignment.');
   }
+  if (isPotluck && waitlistRaw.length) {
+    throw createError(400, 'Waitlists are only available for scheduled time blocks.');
+  }
 
   if (isPotluck && scheduleAssignmentsRaw.length) {
     throw createError(400, 'This event uses item sign-ups. Please assign items instead of time slots.');
@@ -693,10 +1143,18 @@ async function processVolunteerSignup(payload) {
     if (!dish) throw createError(400, 'Please enter a dish name for each item.');
     return { itemId: blockId, participantIndex: idx, dishName: dish };
   }) : [];
+  const normalizedWait = waitlistRaw.map(item => {
+    const blockId = Number(item.blockId || item.time_block_id || item);
+    const idx = Number(item.participantIndex);
+    if (!Number.isFinite(blockId) || !Number.isFinite(idx) || !participantNames[idx]) {
+      throw createError(400, 'Each waitlist request must have a participant.');
+    }
+    return { blockId, participantIndex: idx };
+  });
 
   const blockIds = isPotluck
     ? normalizedPot.map(p => p.itemId)
-    : normalizedSched.map(s => s.blockId);
+    : normalizedSched.map(s => s.blockId).concat(normalizedWait.map(w => w.blockId));
   const blockInfo = dal.public.getBlocksInfo(blockIds);
   if (!blockInfo || !blockInfo.length) throw createError(400, 'No valid selections were submitted.');
   blockInfo.forEach(info => {
@@ -708,11 +1166,18 @@ async function processVolunteerSignup(payload) {
       throw createError(400, 'Selections do not match this event\'s sign-up mode.');
     }
   });
-
+  const blockById = new Map(blockInfo.map(info => [Number(info.block_id), info]));
+  assertMeetsRequirements([
+    ...normalizedSched.map(a => ({ participant: participantProfiles[a.participantIndex], block: blockById.get(a.blockId) })),
+    ...normalizedWait.map(w => ({ participant: participantProfiles[w.participantIndex], block: blockById.get(w.blockId) })),
+    ...normalizedPot.map(a => ({ participant: participantProfiles[a.participantIndex], block: blockById.get(a.itemId) }))
+  ]);
+
+  // Waitlist requests may be promoted later, so they count like shifts here.
   if (!isPotluck) {
     const timeMap = buildTimeMap(blockInfo);
     const byParticipant = new Map();
-    normalizedSched.forEach(assign => {
+    normalizedSched.concat(normalizedWait).forEach(assign => {
       const idx = assign.participantIndex;
       const list = byParticipant.get(idx) || [];
       const meta = timeMap.get(assign.blockId) || { start: Number.NaN, end: Number.NaN };
@@ -729,25 +1194,48 @@ async function processVolunteerSignup(payload) {
       }
     });
   }
+  assertWithinSignupLimits(event, participantNames.map((name, idx) => ({
+    name,
+    blocks: Array.from(new Set(normalizedSched.concat(normalizedWait).filter(a => a.participantIndex === idx).map(a => a.blockId)
+      .concat(normalizedPot.filter(a => a.participantIndex === idx).map(a => a.itemId))))
+      .map(id => blockById.get(Number(id)))
+  })));
 
   // If this email already has registrations for this event, merge into the
   // existing record so we don't create duplicate manage links.
   let existing = mergeRegistrationsForEmail(eventId, registrant.email);
   if (existing) {
+    if (registrant.sms_opt_in) {
+      dal.public.setRegistrationSmsPreference(existing.registration_id, { optIn: true, phone: registrant.sms_phone });
+    }
     const detail = dal.public.getRegistrationDetailWithAssignments(existing.registration_id);
     const nameToPid = new Map();
     (detail.participants || []).forEach(p => {
       nameToPid.set(String(p.participant_name).trim().toLowerCase(), p.participant_id);
     });
+    assertPartySize(event, nameToPid.size + participantNames.filter(name => !nameToPid.has(name.toLowerCase())).length);
 
-    // Ensure all incoming participants exist (create missing)
-    participantNames.forEach(name => {
-      const key = String(name).trim().toLowerCase();
+    // Ensure all incoming participants exist (create missing); details they
+    // declared this time replace what was on file.
+    participantProfiles.forEach(profile => {
+      const key = String(profile.name).trim().toLowerCase();
       if (!nameToPid.has(key)) {
-        const addRes = dal.public.addParticipant(existing.registration_id, name);
+        const addRes = dal.public.addParticipant(existing.registration_id, profile.name);
         nameToPid.set(key, addRes && addRes.participant_id);
       }
+      if (profile.age_bracket || profile.qualifications) {
+        dal.public.setParticipantProfile(existing.registration_id, nameToPid.get(key), {
+          ageBracket: profile.age_bracket,
+          qualifications: profile.qualifications
+        });
+      }
+      if (questions.some(q => q.scope === 'participant')) {
+        dal.public.setRegistrationAnswers(existing.registration_id, nameToPid.get(key), profile.answers);
+      }
     });
+    if (questions.some(q => q.scope === 'registrant')) {
+      dal.public.setRegistrationAnswers(existing.registration_id, null, registrant.answers);
+    }
 
     const schedAssignments = [];
     const potAssignments = [];
@@ -788,6 +1276,18 @@ async function processVolunteerSignup(payload) {
       dedupPot.push(a);
     });
 
+    // Participants in this signup are held to the limits with the shifts they already had.
+    const mergedBlocks = new Map(dal.public.getBlocksInfo(dedupSched.map(a => a.blockId).concat(dedupPot.map(a => a.itemId)))
+      .map(info => [Number(info.block_id), info]));
+    assertWithinSignupLimits(event, participantNames.map(name => {
+      const pid = nameToPid.get(name.toLowerCase());
+      return {
+        name,
+        blocks: dedupSched.filter(a => a.participantId === pid).map(a => mergedBlocks.get(Number(a.blockId)))
+          .concat(dedupPot.filter(a => a.participantId === pid).map(a => mergedBlocks.get(Number(a.itemId))))
+      };
+    }));
+
     dal.public.replaceRegistrationAssignments(existing.registration_id, eventId, dedupSched, dedupPot);
     const registrationId = existing.registration_id;
     const token = issueManageToken(registrationId);
@@ -797,6 +1297,7 @@ async function processVolunteerSignup(payload) {
 
     await sendConfirmationEmail({
       registration: {
+        registration_id: registrationId,
         registrant_name: registrant.name,
         registrant_email: registrant.email,
         email_opt_in: registrant.email_opt_in
@@ -806,6 +1307,9 @@ async function processVolunteerSignup(payload) {
       manageUrl,
       isUpdate: true
     });
+    queueConfirmationSms(registrationId, { event, participants, manageUrl });
+
+    webhookService.emit('signup.updated', () => webhookService.registrationData(registrationId));
 
     return {
       registrationId,
@@ -819,11 +1323,13 @@ async function processVolunteerSignup(payload) {
   const result = dal.public.createRegistrationWithAssignments(
     eventId,
     registrant,
-    participantNames,
+    participantProfiles,
     normalizedSched,
-    normalizedPot
+    normalizedPot,
+    normalizedWait
   );
   const registrationId = result.registrationId;
+
   const token = issueManageToken(registrationId);
   const manageUrl = buildManageUrl(token);
 
@@ -832,15 +1338,20 @@ async function processVolunteerSignup(payload) {
 
   await sendConfirmationEmail({
     registration: {
+      registration_id: registrationId,
       registrant_name: registrant.name,
       registrant_email: registrant.email,
       email_opt_in: registrant.email_opt_in
     },
     event,
     participants,
+    waitlist: dal.public.listWaitlistForRegistration(registrationId),
     manageUrl,
     isUpdate: false
   });
+  queueConfirmationSms(registrationId, { event, participants, manageUrl });
+
+  webhookService.emit('signup.created', () => webhookService.registrationData(registrationId));
 
   return {
     registrationId,
@@ -869,11 +1380,16 @@ function getManageContext(token) {
 
   const detail = dal.public.getRegistrationDetailWithAssignments(registration.registration_id);
   const participants = groupAssignments(detail);
+  const waitlist = event.signup_mode === 'potluck'
+    ? []
+    : dal.public.listWaitlistForRegistration(registration.registration_id);
 
   return {
     registration,
     event,
-    participants
+    participants,
+    waitlist,
+    answers: dal.public.getRegistrationAnswers(registration.registration_id)
   };
 }
 
@@ -946,6 +1462,42 @@ async function updateVolunteerSignup(token, scheduleAssignments, potluckAssignme
     });
   }
 
+  // Shifts inside the change lock-out have to stay where they are.
+  const keptKeys = new Set(dedupSched.map(a => `${a.participantId}:${a.blockId}`));
+  const droppedLocked = getLockedShifts(context).find(shift => !keptKeys.has(`${shift.participant_id}:${shift.time_block_id}`));
+  if (droppedLocked) throw lockedShiftError(event, droppedLocked);
+
+  // Only newly chosen slots have to meet station requirements and the signup
+  // window, so a volunteer an admin placed despite a flag can still edit the
+  // rest of their signup, and anyone can drop a slot after signups close.
+  const participantById = new Map(participantRows.map(p => [Number(p.participant_id), p]));
+  const blockById = new Map(blockInfo.map(info => [Number(info.block_id), info]));
+  const heldKeys = new Set(context.participants.reduce((acc, p) => acc.concat(
+    p.schedule.map(slot => `${p.participant_id}:${slot.time_block_id}`),
+    p.potluck.map(slot => `${p.participant_id}:${slot.item_id}`)
+  ), []));
+  const newlyChosen = [
+    ...dedupSched.map(a => ({ participantId: a.participantId, blockId: a.blockId })),
+    ...dedupPot.map(a => ({ participantId: a.participantId, blockId: a.itemId }))
+  ].filter(a => !heldKeys.has(`${a.participantId}:${a.blockId}`));
+  if (newlyChosen.length) assertSignupsOpen(event);
+  assertMeetsRequirements(newlyChosen
+    .map(a => ({ participant: participantById.get(a.participantId), block: blockById.get(Number(a.blockId)) })));
+
+  // Likewise only participants whose selection changed are held to the signup limits.
+  const finalIds = new Map();
+  (isPotluck ? dedupPot.map(a => [a.participantId, a.itemId]) : dedupSched.map(a => [a.participantId, a.blockId]))
+    .forEach(([pid, id]) => finalIds.set(pid, (finalIds.get(pid) || []).concat(Number(id))));
+  const changedParticipants = context.participants.filter(p => {
+    const before = isPotluck ? p.potluck.map(slot => slot.item_id) : p.schedule.map(slot => slot.time_block_id);
+    const after = finalIds.get(p.participant_id) || [];
+    return before.map(Number).sort().join(',') !== after.slice().sort().join(',');
+  });
+  assertWithinSignupLimits(event, changedParticipants.map(p => ({
+    name: p.participant_name,
+    blocks: (finalIds.get(p.participant_id) || []).map(id => blockById.get(id))
+  })));
+
   if (!isPotluck && blockInfo.length) {
     const timeMap = buildTimeMap(blockInfo);
     const byParticipant = new Map();
@@ -967,6 +1519,11 @@ async function updateVolunteerSignup(token, scheduleAssignments, potluckAssignme
     });
   }
 
+  // Blocks this registration held before the update; any it gave up may have
+  // waitlisted volunteers ready to take the spot.
+  const previousBlockIds = isPotluck ? [] : context.participants
+    .reduce((acc, p) => acc.concat(p.schedule.map(slot => Number(slot.time_block_id))), []);
+
   const replaceResult = dal.public.replaceRegistrationAssignments(
     registration.registration_id,
     registration.event_id,
@@ -976,8 +1533,11 @@ async function updateVolunteerSignup(token, scheduleAssignments, potluckAssignme
   );
 
   // If everything was cleared, remove the registration to avoid stale manage links.
-  if (!dedupSched.length && !dedupPot.length) {
+  // Registrations still waiting on a full block are kept so they can be promoted.
+  if (!dedupSched.length && !dedupPot.length && !(context.waitlist || []).length) {
+    webhookService.emit('signup.cancelled', () => webhookService.registrationData(registration.registration_id));
     try { dal.public.deleteRegistrationCascade(registration.registration_id); } catch (_) {}
+    await promoteWaitlist(previousBlockIds);
     return {
       registration: null,
       event,
@@ -988,6 +1548,9 @@ async function updateVolunteerSignup(token, scheduleAssignments, potluckAssignme
     };
   }
 
+  const keptBlocks = new Set(dedupSched.map(a => Number(a.blockId)));
+  await promoteWaitlist(previousBlockIds.filter(id => !keptBlocks.has(id)));
+
   const detail = dal.public.getRegistrationDetailWithAssignments(registration.registration_id);
   const participants = groupAssignments(detail);
   const expiresAt = computeExpiryDate();
@@ -997,13 +1560,39 @@ async function updateVolunteerSignup(token, scheduleAssignments, potluckAssignme
     registration,
     event,
     participants,
+    waitlist: isPotluck ? [] : dal.public.listWaitlistForRegistration(registration.registration_id),
     manageUrl: buildManageUrl(token),
     isUpdate: true
   });
 
+  webhookService.emit('signup.updated', () => webhookService.registrationData(registration.registration_id));
+
   return { registration, event, participants, debug: replaceResult && replaceResult.debug };
 }
 
+/**
+ * Email a registrant their current schedule with a fresh manage link, as if
+ * they had signed up themselves. Used when admins add volunteers in bulk.
+ */
+async function sendRegistrationConfirmation(registrationId) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !detail.registration) return false;
+  const event = dal.public.getEventBasic(detail.registration.event_id);
+  if (!event) return false;
+  const manageUrl = buildManageUrl(issueManageToken(registrationId));
+  const participants = groupAssignments(detail);
+  await sendConfirmationEmail({
+    registration: detail.registration,
+    event,
+    participants,
+    waitlist: dal.public.listWaitlistForRegistration(registrationId),
+    manageUrl,
+    isUpdate: false
+  });
+  queueConfirmationSms(registrationId, { event, participants, manageUrl });
+  return true;
+}
+
 async function sendManageReminder(email, eventId) {
   const inputEmail = String(email || '').trim();
   const eventIdNum = Number(eventId);
@@ -1158,7 +1747,19 @@ async function sendManageReminder(email, eventId) {
     </html>`;
   try {
     const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
-    await sendMail({ to: primaryReg.registrant_email, subject, text, html, headers });
+    const template = findEmailTemplate('manage_link', event.event_id);
+    let content = { subject, text, html, headers };
+    if (template) {
+      const detail = dal.public.getRegistrationDetailWithAssignments(primaryReg.registration_id);
+      content = renderTemplateEmail(template, buildTemplateValues({
+        registration: primaryReg,
+        event,
+        participants: detail ? groupAssignments(detail) : [],
+        waitlist: dal.public.listWaitlistForRegistration(primaryReg.registration_id),
+        manageUrls: tokens.map(t => t.manageUrl)
+      }), tokens[0].manageUrl);
+    }
+    await queueMail({ to: primaryReg.registrant_email, ...content }, { kind: 'manage_link', eventId: event.event_id });
   } catch (err) {
     console.error('Failed to send manage reminder email:', err);
   }
@@ -1170,6 +1771,526 @@ async function sendManageReminder(email, eventId) {
   };
 }
 
+/**
+ * Shared HTML shell for short notification emails (reminders, waitlist
+ * promotions): blue header, greeting, a body block, the manage button, and
+ * the compliance footer. Callers pass pre-escaped HTML fragments.
+ */
+function renderNoticeEmailHtml({ subject, heading, introHtml, greetingName, leadHtml, bodyHtml, manageUrl, buttonLabel, closingHtml, supportName, footerHtml }) {
+  return `<!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>${escapeHtml(subject)}</title>
+      </head>
+      <body style="margin:0; padding:0; background-color:#dfe4f3;">
+        <div role="article" aria-roledescription="email" lang="en" style="background-color:#dfe4f3;">
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#dfe4f3; margin:0;">
+            <tr>
+              <td align="center" style="padding:32px 16px;">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="max-width:640px; background-color:#ffffff; border-radius:18px; box-shadow:0 20px 38px rgba(15,23,42,0.12); overflow:hidden;" bgcolor="#ffffff">
+                  <tr>
+                    <td bgcolor="#2563eb" style="background-color:#2563eb; padding:28px 32px; color:#ffffff; font-family:'Segoe UI', Arial, sans-serif;">
+                      <h1 style="margin:0; font-size:24px; font-weight:700; letter-spacing:-0.01em;">${escapeHtml(heading)}</h1>
+                      <p style="margin:12px 0 0; font-size:15px; line-height:1.6; opacity:0.92;">${introHtml}</p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="padding:32px; font-family:'Segoe UI', Arial, sans-serif; color:#0f172a;">
+                      <p style="margin:0 0 16px; font-size:16px;">Hi ${escapeHtml(greetingName)},</p>
+                      <p style="margin:0 0 16px; color:#475569; line-height:1.7;">${leadHtml}</p>
+                      ${bodyHtml}
+                      <table role="presentation" cellpadding="0" cellspacing="0" border="0" align="center" style="margin:32px auto 28px;">
+                        <tr>
+                          <td align="center" role="presentation">
+                            <a href="${manageUrl}" style="display:inline-block; background-color:#2563eb; color:#ffffff; padding:14px 28px; font-size:15px; border-radius:999px; font-weight:600; text-decoration:none; font-family:'Segoe UI', Arial, sans-serif;" target="_blank" rel="noopener">
+                              ${escapeHtml(buttonLabel || 'Manage Your Signup')}
+                            </a>
+                          </td>
+                        </tr>
+                      </table>
+                      <p style="margin:0; color:#475569; line-height:1.7;">${closingHtml}</p>
+                      <p style="margin:32px 0 0; color:#475569; font-family:'Segoe UI', Arial, sans-serif;">With gratitude,<br /><strong>${escapeHtml(supportName || 'Volunteer Team')}</strong></p>
+                      ${footerHtml || ''}
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </div>
+      </body>
+    </html>`;
+}
+
+function describeLeadTime(hours) {
+  const h = Number(hours);
+  if (!Number.isFinite(h) || h <= 0) return 'soon';
+  if (h % 24 === 0) {
+    const days = h / 24;
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+  return h === 1 ? 'in 1 hour' : `in ${h} hours`;
+}
+
+/**
+ * Automated "coming up" reminder for one registration. Schedule events only
+ * list the blocks in `blockIds` (the ones that triggered the reminder);
+ * potluck events list every item. A fresh manage link is issued so the
+ * volunteer can still make changes. Registrations that opted in to SMS also
+ * get a short text. Resolves true once the email is in the mail outbox, or
+ * the text was accepted when email is switched off.
+ */
+async function sendUpcomingReminder(registrationId, { offsetHours, blockIds } = {}) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !detail.registration) return false;
+  const registration = detail.registration;
+  const wantsEmail = Boolean(registration.registrant_email) && Number(registration.email_opt_in) !== 0;
+  const wantsSms = smsService.canText(registration);
+  if (!wantsEmail && !wantsSms) return false;
+  const event = dal.public.getEventBasic(registration.event_id);
+  if (!event) return false;
+
+  const isPotluckEmail = String(event.signup_mode || '').toLowerCase() === 'potluck';
+  const wanted = new Set((Array.isArray(blockIds) ? blockIds : []).map(Number).filter(Number.isFinite));
+  const participants = groupAssignments(detail)
+    .map(p => ({
+      ...p,
+      schedule: isPotluckEmail ? [] : p.schedule
+        .filter(slot => !wanted.size || wanted.has(Number(slot.time_block_id)))
+        .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time))),
+      potluck: isPotluckEmail ? p.potluck : []
+    }))
+    .filter(p => p.schedule.length || p.potluck.length);
+  if (!participants.length) return false;
+
+  const token = issueManageToken(registration.registration_id);
+  const manageUrl = buildManageUrl(token);
+  const lead = describeLeadTime(offsetHours);
+  const subject = isPotluckEmail
+    ? `Reminder: ${event.name} is ${lead}`
+    : `Reminder: your volunteer shift for ${event.name} is ${lead}`;
+
+  const { supportName, supportEmail, supportPhone, supportContactHtml, orgName, orgMailingAddress } = resolveSupportContact();
+  const complianceFooter = buildComplianceFooter({
+    orgName,
+    supportEmail,
+    supportPhone,
+    mailingAddress: orgMailingAddress,
+    manageUrl
+  });
+
+  const listItems = participants.map(p => {
+    const lines = [];
+    p.schedule.forEach(slot => {
+      const timeStr = fmtRange(slot.start_time, slot.end_time);
+      lines.push(`• ${p.participant_name}: ${slot.station_name}${timeStr ? ' — ' + timeStr : ''}`);
+    });
+    p.potluck.forEach(slot => {
+      const dish = slot.dish_name ? ` (Dish: ${slot.dish_name})` : '';
+      lines.push(`• ${p.participant_name}: ${slot.station_name} — ${slot.title || 'Item'}${dish}`);
+    });
+    return lines.join('\n');
+  }).join('\n');
+
+  const textParts = [
+    `Hi ${registration.registrant_name || registration.registrant_email},`,
+    '',
+    isPotluckEmail
+      ? `This is a friendly reminder that ${event.name} is ${lead} (${fmtRange(event.date_start, event.date_end)}).`
+      : `This is a friendly reminder that your volunteer shift for ${event.name} is ${lead}.`,
+    '',
+    isPotluckEmail ? 'Here is what your group is bringing:' : 'Here is your upcoming schedule:',
+    listItems,
+    '',
+    `Need to make a change? Manage your signup here: ${manageUrl}`,
+    ''
+  ];
+  if (supportEmail || supportPhone) {
+    textParts.push('Questions? Contact us:');
+    if (supportEmail) textParts.push(`Email: ${supportEmail}`);
+    if (supportPhone) textParts.push(`Phone: ${supportPhone}`);
+  } else {
+    textParts.push('Questions? Reply to this email and we will help you.');
+  }
+  textParts.push('', 'With gratitude,', supportName || 'Volunteer Team');
+  if (complianceFooter.textLines.length) {
+    textParts.push('', ...complianceFooter.textLines);
+  }
+  const text = textParts.join('\n');
+
+  const groupedHtml = participants.map(p => `
+      <div style="background-color:#f0f4ff; border-radius:12px; padding:12px 16px; margin:0 0 12px;">
+        <p style="margin:0 0 6px; font-weight:700; color:#1d4ed8; font-size:15px;">${escapeHtml(p.participant_name)}</p>
+        ${p.schedule.map(slot => `<p style="margin:0 0 6px; color:#475569; font-size:14px;">${escapeHtml(slot.station_name)} — ${escapeHtml(fmtRange(slot.start_time, slot.end_time))}</p>`).join('')}
+        ${p.potluck.map(slot => `<p style="margin:0 0 6px; color:#475569; font-size:14px;">${escapeHtml(slot.station_name)} — ${escapeHtml(slot.title || 'Item')}${slot.dish_name ? ' • Dish: ' + escapeHtml(slot.dish_name) : ''}</p>`).join('')}
+      </div>`).join('');
+
+  const html = renderNoticeEmailHtml({
+    subject,
+    heading: `See you ${lead}!`,
+    introHtml: `A quick reminder about <strong>${escapeHtml(event.name)}</strong>.`,
+    greetingName: registration.registrant_name || registration.registrant_email,
+    leadHtml: isPotluckEmail ? 'Here is what your group is bringing.' : 'Here is your group&rsquo;s upcoming schedule.',
+    bodyHtml: groupedHtml,
+    manageUrl,
+    closingHtml: `Can&rsquo;t make it anymore? Please update your signup so we can plan around it. ${supportContactHtml}`,
+    supportName,
+    footerHtml: complianceFooter.htmlBlock
+  });
+
+  const texted = wantsSms && await smsService.sendRegistrationSms(registration,
+    `${orgName} reminder: ${event.name} is ${lead}. ${summarizeForSms(participants)}. Details: ${manageUrl}`);
+  if (!wantsEmail) return texted;
+
+  try {
+    const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
+    await queueMail({ to: registration.registrant_email, subject, text, html, headers }, { kind: 'reminder', eventId: event.event_id });
+    return true;
+  } catch (err) {
+    console.error('Failed to send upcoming reminder email:', err);
+    return texted;
+  }
+}
+
+/**
+ * Let a registration know that waitlisted participants were moved into a
+ * block that opened up. `promoted` holds the rows returned by
+ * `dal.public.promoteWaitlist` for this registration.
+ */
+async function sendWaitlistPromotionEmail(registrationId, promoted) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !detail.registration) return false;
+  const registration = detail.registration;
+  if (!registration.registrant_email || Number(registration.email_opt_in) === 0) return false;
+  const event = dal.public.getEventBasic(registration.event_id);
+  if (!event) return false;
+
+  const promotedIds = new Set(promoted.map(p => Number(p.assignment_id)));
+  const nameById = new Map((detail.participants || []).map(p => [p.participant_id, p.participant_name]));
+  const slots = (detail.scheduleAssignments || [])
+    .filter(a => promotedIds.has(Number(a.assignment_id)))
+    .map(a => ({ ...a, participant_name: nameById.get(a.participant_id) || 'Volunteer' }))
+    .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+  if (!slots.length) return false;
+
+  const token = issueManageToken(registration.registration_id);
+  const manageUrl = buildManageUrl(token);
+  const subject = `A spot opened up: you're in for ${event.name}`;
+
+  const { supportName, supportEmail, supportPhone, supportContactHtml, orgName, orgMailingAddress } = resolveSupportContact();
+  const complianceFooter = buildComplianceFooter({
+    orgName,
+    supportEmail,
+    supportPhone,
+    mailingAddress: orgMailingAddress,
+    manageUrl
+  });
+
+  const listItems = slots.map(slot => {
+    const timeStr = fmtRange(slot.start_time, slot.end_time);
+    return `• ${slot.participant_name}: ${slot.station_name}${timeStr ? ' — ' + timeStr : ''}`;
+  }).join('\n');
+
+  const textParts = [
+    `Hi ${registration.registrant_name || registration.registrant_email},`,
+    '',
+    `Good news! A spot opened up for ${event.name} and we moved your group off the waitlist:`,
+    listItems,
+    '',
+    `If you can no longer make it, please update your signup so the next person can step in: ${manageUrl}`,
+    ''
+  ];
+  if (supportEmail || supportPhone) {
+    textParts.push('Questions? Contact us:');
+    if (supportEmail) textParts.push(`Email: ${supportEmail}`);
+    if (supportPhone) textParts.push(`Phone: ${supportPhone}`);
+  } else {
+    textParts.push('Questions? Reply to this email and we will help you.');
+  }
+  textParts.push('', 'With gratitude,', supportName || 'Volunteer Team');
+  if (complianceFooter.textLines.length) {
+    textParts.push('', ...complianceFooter.textLines);
+  }
+  const text = textParts.join('\n');
+
+  const slotsHtml = `
+      <div style="background-color:#f0f4ff; border-radius:12px; padding:12px 16px; margin:0 0 12px;">
+        ${slots.map(slot => `<p style="margin:0 0 6px; color:#475569; font-size:14px;"><strong style="color:#1d4ed8;">${escapeHtml(slot.participant_name)}</strong>: ${escapeHtml(slot.station_name)} — ${escapeHtml(fmtRange(slot.start_time, slot.end_time))}</p>`).join('')}
+      </div>`;
+
+  const html = renderNoticeEmailHtml({
+    subject,
+    heading: 'A spot opened up!',
+    introHtml: `You&rsquo;re off the waitlist for <strong>${escapeHtml(event.name)}</strong>.`,
+    greetingName: registration.registrant_name || registration.registrant_email,
+    leadHtml: 'We moved your group into the following time blocks.',
+    bodyHtml: slotsHtml,
+    manageUrl,
+    closingHtml: `Can&rsquo;t make it after all? Please update your signup so the next person can step in. ${supportContactHtml}`,
+    supportName,
+    footerHtml: complianceFooter.htmlBlock
+  });
+
+  try {
+    const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
+    await queueMail({ to: registration.registrant_email, subject, text, html, headers }, { kind: 'waitlist', eventId: event.event_id });
+    return true;
+  } catch (err) {
+    console.error('Failed to send waitlist promotion email:', err);
+    return false;
+  }
+}
+
+/**
+ * Admin-written broadcast to one registration. The message is plain text
+ * (blank lines split paragraphs) wrapped in the usual notice shell with a
+ * fresh manage link and the compliance footer. Resolves false when the
+ * registration is gone or has opted out; mailer errors are left to the
+ * caller so the broadcast queue can record them. Broadcasts are already
+ * queued and throttled by broadcastService, so they skip the mail outbox.
+ */
+async function sendBroadcastEmail(registrationId, { subject, body }) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !detail.registration) return false;
+  const registration = detail.registration;
+  if (!registration.registrant_email || Number(registration.email_opt_in) === 0) return false;
+  const event = dal.public.getEventBasic(registration.event_id);
+  if (!event) return false;
+
+  const token = issueManageToken(registration.registration_id);
+  const manageUrl = buildManageUrl(token);
+  const message = String(body || '').replace(/\r\n?/g, '\n').trim();
+
+  const { supportName, supportEmail, supportPhone, supportContactHtml, orgName, orgMailingAddress } = resolveSupportContact();
+  const complianceFooter = buildComplianceFooter({
+    orgName,
+    supportEmail,
+    supportPhone,
+    mailingAddress: orgMailingAddress,
+    manageUrl
+  });
+
+  const textParts = [
+    `Hi ${registration.registrant_name || registration.registrant_email},`,
+    '',
+    message,
+    '',
+    `Your signup for ${event.name}: ${manageUrl}`,
+    ''
+  ];
+  if (supportEmail || supportPhone) {
+    textParts.push('Questions? Contact us:');
+    if (supportEmail) textParts.push(`Email: ${supportEmail}`);
+    if (supportPhone) textParts.push(`Phone: ${supportPhone}`);
+  } else {
+    textParts.push('Questions? Reply to this email and we will help you.');
+  }
+  textParts.push('', 'With gratitude,', supportName || 'Volunteer Team');
+  if (complianceFooter.textLines.length) {
+    textParts.push('', ...complianceFooter.textLines);
+  }
+  const text = textParts.join('\n');
+
+  const messageHtml = message
+    .split(/\n{2,}/)
+    .map(para => escapeHtml(para).replace(/\n/g, '<br />'))
+    .join('<br /><br />');
+
+  const html = renderNoticeEmailHtml({
+    subject,
+    heading: event.name,
+    introHtml: `A message for volunteers of <strong>${escapeHtml(event.name)}</strong>.`,
+    greetingName: registration.registrant_name || registration.registrant_email,
+    leadHtml: messageHtml,
+    bodyHtml: '',
+    manageUrl,
+    closingHtml: `Need to change your signup? Use the button above. ${supportContactHtml}`,
+    supportName,
+    footerHtml: complianceFooter.htmlBlock
+  });
+
+  const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
+  await sendMail({ to: registration.registrant_email, subject, text, html, headers });
+  return true;
+}
+
+/**
+ * Tell one side of a shift swap what changed. `changes` are
+ * `{ label, participant_name, station_name, start_time, end_time }` rows,
+ * e.g. "Now yours" / "Handed over". Pass `manageToken` for the volunteer who
+ * is acting (their current link stays valid); the other side gets a fresh
+ * link. Texts opted-in registrations as well. Resolves true when queued.
+ */
+async function sendShiftSwapNotice(registrationId, { subject, heading, lead, changes, manageToken }) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail || !detail.registration) return false;
+  const registration = detail.registration;
+  const event = dal.public.getEventBasic(registration.event_id);
+  if (!event) return false;
+
+  let token = manageToken;
+  if (token) {
+    dal.public.storeRegistrationToken(token, registrationId, computeExpiryDate());
+  } else {
+    token = issueManageToken(registrationId);
+  }
+  const manageUrl = buildManageUrl(token);
+  const lines = (changes || []).map(c => {
+    const timeStr = fmtRange(c.start_time, c.end_time);
+    return `${c.label} — ${c.participant_name}: ${c.station_name}${timeStr ? ' — ' + timeStr : ''}`;
+  });
+
+  await smsService.sendRegistrationSms(registration, `${event.name}: ${lead} ${lines.join('; ')}. Details: ${manageUrl}`);
+  if (!registration.registrant_email || Number(registration.email_opt_in) === 0) return false;
+
+  const { supportName, supportEmail, supportPhone, supportContactHtml, orgName, orgMailingAddress } = resolveSupportContact();
+  const complianceFooter = buildComplianceFooter({
+    orgName,
+    supportEmail,
+    supportPhone,
+    mailingAddress: orgMailingAddress,
+    manageUrl
+  });
+
+  const textParts = [
+    `Hi ${registration.registrant_name || registration.registrant_email},`,
+    '',
+    lead,
+    ...lines.map(line => `• ${line}`),
+    '',
+    `Your full schedule for ${event.name}: ${manageUrl}`,
+    ''
+  ];
+  if (supportEmail || supportPhone) {
+    textParts.push('Questions? Contact us:');
+    if (supportEmail) textParts.push(`Email: ${supportEmail}`);
+    if (supportPhone) textParts.push(`Phone: ${supportPhone}`);
+  } else {
+    textParts.push('Questions? Reply to this email and we will help you.');
+  }
+  textParts.push('', 'With gratitude,', supportName || 'Volunteer Team');
+  if (complianceFooter.textLines.length) {
+    textParts.push('', ...complianceFooter.textLines);
+  }
+  const text = textParts.join('\n');
+
+  const changesHtml = `
+      <div style="background-color:#f0f4ff; border-radius:12px; padding:12px 16px; margin:0 0 12px;">
+        ${(changes || []).map(c => `<p style="margin:0 0 6px; color:#475569; font-size:14px;"><strong style="color:#1d4ed8;">${escapeHtml(c.label)}</strong> — ${escapeHtml(c.participant_name)}: ${escapeHtml(c.station_name)} — ${escapeHtml(fmtRange(c.start_time, c.end_time))}</p>`).join('')}
+      </div>`;
+
+  const html = renderNoticeEmailHtml({
+    subject,
+    heading,
+    introHtml: `A shift swap for <strong>${escapeHtml(event.name)}</strong>.`,
+    greetingName: registration.registrant_name || registration.registrant_email,
+    leadHtml: escapeHtml(lead),
+    bodyHtml: changesHtml,
+    manageUrl,
+    closingHtml: `Your manage page always shows your current shifts. ${supportContactHtml}`,
+    supportName,
+    footerHtml: complianceFooter.htmlBlock
+  });
+
+  const headers = complianceFooter.listUnsubscribe ? { 'List-Unsubscribe': complianceFooter.listUnsubscribe } : undefined;
+  await queueMail({ to: registration.registrant_email, subject, text, html, headers }, { kind: 'swap', eventId: event.event_id });
+  return true;
+}
+
+/**
+ * Tell the event's owners and coordinators that a volunteer can't make a
+ * locked shift. Falls back to the support contact when nobody is assigned.
+ * Resolves to the number of emails queued.
+ */
+async function sendCantMakeItNotice({ event, registration, shift, note }) {
+  const { supportEmail, orgName } = resolveSupportContact();
+  const recipients = dal.admin.listEventNotifyEmails(event.event_id);
+  if (!recipients.length && supportEmail) recipients.push(supportEmail);
+  if (!recipients.length) return 0;
+
+  const rosterUrl = `${APP_BASE_URL}/admin/event/${event.event_id}`;
+  const when = fmtRange(shift.start_time, shift.end_time);
+  const contact = [registration.registrant_email, registration.registrant_phone].filter(Boolean).join(', ');
+  const subject = `Can't make it: ${shift.participant_name}, ${shift.station_name} (${event.name})`;
+  const text = [
+    `${shift.participant_name} can't make their shift and it is too close to the start to drop it themselves.`,
+    '',
+    `Event: ${event.name}`,
+    `Shift: ${shift.station_name} — ${when}`,
+    `Registrant: ${registration.registrant_name || registration.registrant_email}${contact ? ` (${contact})` : ''}`,
+    note ? `Note: ${note}` : null,
+    '',
+    `The shift stays on the roster, flagged, until you change it: ${rosterUrl}`
+  ].filter(line => line !== null).join('\n');
+
+  const detailHtml = `
+      <div style="background-color:#fff7ed; border-radius:12px; padding:12px 16px; margin:0 0 12px;">
+        <p style="margin:0 0 6px; color:#475569; font-size:14px;"><strong style="color:#c2410c;">${escapeHtml(shift.station_name)}</strong> — ${escapeHtml(when)}</p>
+        <p style="margin:0 0 6px; color:#475569; font-size:14px;">Registrant: ${escapeHtml(registration.registrant_name || registration.registrant_email)}${contact ? ` (${escapeHtml(contact)})` : ''}</p>
+        ${note ? `<p style="margin:0; color:#475569; font-size:14px;">Note: &ldquo;${escapeHtml(note)}&rdquo;</p>` : ''}
+      </div>`;
+  const html = renderNoticeEmailHtml({
+    subject,
+    heading: "A volunteer can't make it",
+    introHtml: `A shift for <strong>${escapeHtml(event.name)}</strong> needs cover.`,
+    greetingName: 'there',
+    leadHtml: `${escapeHtml(shift.participant_name)} can't make their shift and it is too close to the start to drop it themselves.`,
+    bodyHtml: detailHtml,
+    manageUrl: rosterUrl,
+    buttonLabel: 'Open the roster',
+    closingHtml: 'The shift stays on the roster, flagged, until you move or remove the volunteer.',
+    supportName: orgName
+  });
+
+  for (const to of recipients) {
+    await queueMail({ to, subject, text, html }, { kind: 'cant_make_it', eventId: event.event_id });
+  }
+  return recipients.length;
+}
+
+// Why promoting a waitlist entry into `block` would break the event's signup
+// limits for that participant, or null. The minimum isn't checked: a
+// promotion only ever adds a shift.
+function promotionLimitProblem(entry, block) {
+  const limits = signupLimits(dal.public.getEventBasic(block.event_id));
+  const keptIds = (dal.public.getRegistrationDetailWithAssignments(entry.registration_id).scheduleAssignments || [])
+    .filter(a => Number(a.participant_id) === Number(entry.participant_id))
+    .map(a => Number(a.time_block_id))
+    .filter(id => id !== Number(block.block_id));
+  return participantLimitProblem(limits, entry.participant_name, dal.public.getBlocksInfo(keptIds.concat(Number(block.block_id))));
+}
+
+/**
+ * Fill open spots in the given blocks from their waitlists (first come, first
+ * served) and email each promoted registration a fresh manage link. Entries
+ * that would break the event's signup limits stay queued. Returns the
+ * promoted entries.
+ */
+async function promoteWaitlist(blockIds) {
+  const ids = Array.from(new Set((Array.isArray(blockIds) ? blockIds : [blockIds])
+    .map(Number)
+    .filter(Number.isFinite)));
+  const promoted = [];
+  ids.forEach(blockId => {
+    promoted.push(...dal.public.promoteWaitlist(blockId, {
+      canPromote: (entry, block) => !promotionLimitProblem(entry, block)
+    }));
+  });
+
+  const byRegistration = new Map();
+  promoted.forEach(entry => {
+    const list = byRegistration.get(entry.registration_id) || [];
+    list.push(entry);
+    byRegistration.set(entry.registration_id, list);
+  });
+  for (const [registrationId, entries] of byRegistration) {
+    await sendWaitlistPromotionEmail(registrationId, entries);
+  }
+  return promoted;
+}
+
 async function updateEmailPreference(tokenValue, preference, reason) {
   if (!tokenValue) {
     throw createError(400, 'Missing management token.');
@@ -1206,6 +2327,33 @@ async function updateEmailPreference(tokenValue, preference, reason) {
   };
 }
 
+/**
+ * Turn texts on or off from the manage page. Opting in needs a mobile number;
+ * it defaults to the phone given at signup.
+ */
+function updateSmsPreference(tokenValue, preference, phone) {
+  if (!tokenValue) {
+    throw createError(400, 'Missing management token.');
+  }
+  const registration = dal.public.getRegistrationByToken(tokenValue);
+  if (!registration) {
+    throw createError(410, 'This manage link expired. Please request a new one.');
+  }
+  const normalized = String(preference || '').toLowerCase();
+  if (normalized === 'opt-in') {
+    if (!isSmsEnabled()) throw createError(400, 'Text messages are not available.');
+    const smsPhone = normalizePhone(phone || registration.sms_phone || registration.registrant_phone);
+    if (!smsPhone) throw createError(400, 'Enter a mobile number to get text messages.');
+    dal.public.setRegistrationSmsPreference(registration.registration_id, { optIn: true, phone: smsPhone });
+    return { optedIn: true, phone: smsPhone };
+  }
+  if (normalized === 'opt-out') {
+    dal.public.setRegistrationSmsPreference(registration.registration_id, { optIn: false });
+    return { optedIn: false };
+  }
+  throw createError(400, 'Choose a valid text message option.');
+}
+
 function requireManageContext(token) {
   const ctx = getManageContext(token);
   if (!ctx) throw createError(410, 'This link has expired or is no longer valid.');
@@ -1230,22 +2378,138 @@ function addParticipant(token, newName) {
   const lower = trimmed.toLowerCase();
   const collision = ctx.participants.some(p => p.participant_name.toLowerCase() === lower);
   if (collision) throw createError(409, 'Another participant already has that name.');
+  assertPartySize(ctx.event, ctx.participants.length + 1);
   dal.public.addParticipant(ctx.registration.registration_id, trimmed);
   return getManageContext(token);
 }
 
+/**
+ * Change the age bracket / qualifications a participant declared. Rejected
+ * when the new details would no longer cover a shift or waitlist spot they
+ * signed up for themselves.
+ */
+function updateParticipantProfile(token, participantId, { ageBracket, qualifications }) {
+  const ctx = requireManageContext(token);
+  const participant = ctx.participants.find(p => p.participant_id === Number(participantId));
+  if (!participant) throw createError(404, 'Participant not found.');
+  const profile = {
+    participant_name: participant.participant_name,
+    age_bracket: normalizeAgeBracket(ageBracket),
+    qualifications: serializeQualifications(qualifications)
+  };
+  const blockIds = participant.schedule.map(slot => Number(slot.time_block_id))
+    .concat(participant.potluck.map(slot => Number(slot.item_id)))
+    .concat((ctx.waitlist || []).filter(w => Number(w.participant_id) === participant.participant_id).map(w => Number(w.time_block_id)));
+  const blocks = blockIds.length ? dal.public.getBlocksInfo(blockIds) : [];
+  blocks.forEach(block => {
+    const before = unmetRequirements(block, participant);
+    const after = unmetRequirements(block, profile);
+    if (after.some(item => !before.includes(item))) {
+      throw createError(400, `${participant.participant_name} is signed up for ${block.station_name}, which needs ${after.join(', ')}. Remove that shift first.`);
+    }
+  });
+  dal.public.setParticipantProfile(ctx.registration.registration_id, participant.participant_id, {
+    ageBracket: profile.age_bracket,
+    qualifications: profile.qualifications
+  });
+  return getManageContext(token);
+}
+
+/**
+ * Save the answers to the event's registration questions from the manage
+ * page. `answers` is `{ registrant: {...}, participants: { [participantId]: {...} } }`
+ * keyed by question id.
+ */
+function updateRegistrationAnswers(token, answers) {
+  const ctx = requireManageContext(token);
+  registrationQuestions.saveRegistrationAnswers(ctx.registration, ctx.participants, answers);
+  return getManageContext(token);
+}
+
 function mergeParticipants(token, fromId, toId) {
   const ctx = requireManageContext(token);
   const existsFrom = ctx.participants.some(p => p.participant_id === Number(fromId));
   const existsTo = ctx.participants.some(p => p.participant_id === Number(toId));
   if (!existsFrom || !existsTo) throw createError(404, 'Participant not found.');
+  // Merging moves (or drops) the source's shifts, so locked ones hold it back.
+  const locked = getLockedShifts(ctx).find(shift => shift.participant_id === Number(fromId));
+  if (locked) throw lockedShiftError(ctx.event, locked);
   dal.public.mergeParticipants(ctx.registration.registration_id, Number(fromId), Number(toId));
   return getManageContext(token);
 }
 
-function deleteParticipant(token, participantId, removeAssignments) {
+async function deleteParticipant(token, participantId, removeAssignments) {
   const ctx = requireManageContext(token);
+  const participant = ctx.participants.find(p => p.participant_id === Number(participantId));
+  const locked = removeAssignments && getLockedShifts(ctx).find(shift => shift.participant_id === Number(participantId));
+  if (locked) throw lockedShiftError(ctx.event, locked);
   dal.public.deleteParticipant(ctx.registration.registration_id, participantId, removeAssignments);
+  if (participant && participant.schedule.length) {
+    await promoteWaitlist(participant.schedule.map(slot => slot.time_block_id));
+  }
+  return getManageContext(token);
+}
+
+/**
+ * Live iCalendar feed for a registration. Built from the current assignments
+ * on every request so slot changes show up on the next refresh.
+ */
+function buildCalendarFeed(event, participants, manageUrl) {
+  const entries = event.signup_mode === 'potluck'
+    ? []
+    : collectCalendarEntries(event, participants, manageUrl);
+  const slug = String(event.name || 'event').replace(/[^A-Za-z0-9._-]+/g, '_');
+  return {
+    filename: `${slug}_${event.event_id}.ics`,
+    content: buildCalendar({ name: event.name, events: entries })
+  };
+}
+
+/** The feed behind a calendar token (see getCalendarFeedPath), or null. */
+function getCalendarFeed(calendarToken) {
+  const registration = dal.public.getRegistrationByCalendarToken(calendarToken);
+  if (!registration) return null;
+  const event = dal.public.getEventBasic(registration.event_id);
+  if (!event) return null;
+  const detail = dal.public.getRegistrationDetailWithAssignments(registration.registration_id);
+  return buildCalendarFeed(event, groupAssignments(detail), null);
+}
+
+/**
+ * The feed behind a manage link. Kept for feeds subscribed to before they had
+ * their own token; it stops working when that link expires.
+ */
+function getManageCalendar(token) {
+  const ctx = getManageContext(token);
+  if (!ctx) return null;
+  return buildCalendarFeed(ctx.event, ctx.participants, buildManageUrl(token));
+}
+
+/**
+ * Report that a participant can't make a shift inside the change lock-out:
+ * the assignment is flagged on the roster and the coordinators are emailed.
+ * The shift itself stays put until an admin changes it.
+ */
+async function reportCantMakeIt(token, { participantId, blockId, note }, now = new Date()) {
+  const ctx = requireManageContext(token);
+  const shift = getLockedShifts(ctx, now)
+    .find(s => s.participant_id === Number(participantId) && s.time_block_id === Number(blockId));
+  if (!shift) throw createError(400, 'Choose one of your shifts that can no longer be changed here.');
+  if (shift.cant_make_it_at) throw createError(409, 'You already let the coordinator know about this shift.');
+  const cleanNote = String(note || '').trim();
+  if (cleanNote.length > MAX_CANT_MAKE_IT_NOTE) {
+    throw createError(400, `Keep the note under ${MAX_CANT_MAKE_IT_NOTE} characters.`);
+  }
+  if (!dal.public.markCantMakeIt(shift.assignment_id, cleanNote).changes) {
+    throw createError(409, 'You already let the coordinator know about this shift.');
+  }
+  await sendCantMakeItNotice({ event: ctx.event, registration: ctx.registration, shift, note: cleanNote });
+  return shift;
+}
+
+function leaveWaitlist(token, waitlistId) {
+  const ctx = requireManageContext(token);
+  dal.public.removeWaitlistEntry(ctx.registration.registration_id, Number(waitlistId));
   return getManageContext(token);
 }
 
@@ -1253,15 +2517,34 @@ module.exports = {
   getPublicEvents,
   getEventDetailsForPublic,
   getEventDetailsForPreview,
+  getSignupWindow,
   processVolunteerSignup,
   getManageContext,
   updateVolunteerSignup,
+  getLockedShifts,
+  lockedShiftError,
+  reportCantMakeIt,
   sendManageReminder,
+  sendRegistrationConfirmation,
+  sendUpcomingReminder,
+  sendBroadcastEmail,
+  sendShiftSwapNotice,
+  buildTemplateValues,
+  renderTemplateEmail,
+  promoteWaitlist,
   checkDuplicateRegistration,
+  issueManageToken,
   updateEmailPreference,
+  updateSmsPreference,
   renameParticipant,
   addParticipant,
+  updateParticipantProfile,
+  updateRegistrationAnswers,
   mergeParticipants,
   deleteParticipant,
+  leaveWaitlist,
+  getManageCalendar,
+  getCalendarFeed,
+  getCalendarFeedPath,
   mergeAllDuplicatesForEvent
 };
@@ -0,0 +1,66 @@
+// src/services/publishScheduleService.js
+// -----------------------------------------------------------------------------
+// Scheduled publishing. Admins can give an event a time to go public and a
+// time to go back to draft; a small worker checks every minute and applies any
+// change that is due. Each applied time is cleared, so a later manual change
+// in the admin is never undone by an old schedule.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+const { toLocalText } = require('../utils/signupWindow');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+let timer = null;
+
+/**
+ * Apply every publish/unpublish time that has passed. When both are due the
+ * publish is applied first, since unpublishing must be scheduled after it.
+ */
+function runPublishSweep(now = new Date()) {
+  const nowTxt = toLocalText(now);
+  const summary = { published: 0, unpublished: 0 };
+  dal.admin.listDuePublishChanges(nowTxt).forEach(event => {
+    if (event.publish_at && event.publish_at <= nowTxt) {
+      dal.admin.applyScheduledPublish(event.event_id, 'published', 'publish_at');
+      summary.published += 1;
+    }
+    if (event.unpublish_at && event.unpublish_at <= nowTxt) {
+      dal.admin.applyScheduledPublish(event.event_id, 'draft', 'unpublish_at');
+      summary.unpublished += 1;
+    }
+  });
+  return summary;
+}
+
+function tick() {
+  try {
+    const summary = runPublishSweep(new Date());
+    if (summary.published || summary.unpublished) {
+      console.log('[Publishing] published %d, unpublished %d', summary.published, summary.unpublished);
+    }
+  } catch (err) {
+    console.error('[Publishing] Sweep failed:', err);
+  }
+}
+
+/** Start the scheduled publishing worker (PUBLISH_INTERVAL_SECONDS, default 60). */
+function startPublishScheduler() {
+  if (timer) return timer;
+  const interval = Number(process.env.PUBLISH_INTERVAL_SECONDS);
+  const seconds = Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_SECONDS;
+  timer = setInterval(tick, seconds * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  return timer;
+}
+
+function stopPublishScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runPublishSweep,
+  startPublishScheduler,
+  stopPublishScheduler
+};
@@ -0,0 +1,288 @@
+// src/services/registrationQuestionService.js
+// -----------------------------------------------------------------------------
+// Custom registration questions (T-shirt size, dietary needs, allergens in a
+// dish, ...). Anyone who can edit an event manages its questions: a short
+// answer, a drop-down, or a checkbox, required or optional, asked once per
+// signup or once for each participant. The signup wizard and the manage page
+// render them, answers are checked here before they are stored, and the CSV
+// export adds a column per question.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+
+const QUESTION_TYPES = {
+  text: 'Short answer',
+  select: 'Drop-down',
+  checkbox: 'Checkbox'
+};
+const QUESTION_SCOPES = {
+  registrant: 'Once per signup',
+  participant: 'For each participant'
+};
+// Checkbox answers are stored as one of these so a "no" is still an answer.
+const CHECKBOX_VALUES = { yes: 'Yes', no: 'No' };
+
+const MAX_QUESTIONS = 20;
+const MAX_LABEL = 200;
+const MAX_HELP = 500;
+const MAX_OPTIONS = 30;
+const MAX_OPTION_LENGTH = 100;
+const MAX_ANSWER = 500;
+
+/** Drop-down choices from an array or one-per-line text, trimmed and de-duplicated. */
+function parseOptions(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split('\n');
+  const seen = new Set();
+  const out = [];
+  raw.forEach(item => {
+    const text = String(item == null ? '' : item).replace(/\s+/g, ' ').trim();
+    if (!text || seen.has(text.toLowerCase())) return;
+    if (text.length > MAX_OPTION_LENGTH) throw createError(400, `Keep each choice under ${MAX_OPTION_LENGTH} characters.`);
+    seen.add(text.toLowerCase());
+    out.push(text);
+  });
+  if (out.length > MAX_OPTIONS) throw createError(400, `A drop-down can have at most ${MAX_OPTIONS} choices.`);
+  return out;
+}
+
+function mapQuestion(row) {
+  return {
+    question_id: row.question_id,
+    event_id: row.event_id,
+    label: row.label,
+    help_text: row.help_text || '',
+    question_type: row.question_type,
+    options: row.question_type === 'select' ? parseOptions(row.options) : [],
+    is_required: Number(row.is_required) === 1,
+    scope: row.scope,
+    question_order: row.question_order
+  };
+}
+
+function requireEvent(eventId) {
+  const event = dal.public.getEventBasic(Number(eventId));
+  if (!event) throw createError(404, 'Event not found.');
+  return event;
+}
+
+function requireQuestion(eventId, questionId) {
+  const row = dal.admin.getEventQuestion(Number(questionId));
+  if (!row || Number(row.event_id) !== Number(eventId)) throw createError(404, 'Question not found.');
+  return row;
+}
+
+function normalizeQuestionInput(data = {}) {
+  const label = String(data.label || '').replace(/\s+/g, ' ').trim();
+  if (!label) throw createError(400, 'Enter the question.');
+  if (label.length > MAX_LABEL) throw createError(400, `Keep the question under ${MAX_LABEL} characters.`);
+  const helpText = String(data.help_text || '').trim();
+  if (helpText.length > MAX_HELP) throw createError(400, `Keep the help text under ${MAX_HELP} characters.`);
+  const type = String(data.question_type || 'text');
+  if (!QUESTION_TYPES[type]) throw createError(400, 'Choose a question type.');
+  const scope = String(data.scope || 'registrant');
+  if (!QUESTION_SCOPES[scope]) throw createError(400, 'Choose who answers the question.');
+  const options = type === 'select' ? parseOptions(data.options) : [];
+  if (type === 'select' && options.length < 2) throw createError(400, 'Give a drop-down at least two choices, one per line.');
+  return {
+    label,
+    help_text: helpText || null,
+    question_type: type,
+    options: options.length ? options.join('\n') : null,
+    is_required: ['1', 'true', 'on', 'yes'].includes(String(data.is_required || '').toLowerCase()),
+    scope
+  };
+}
+
+/** The event's questions in display order. */
+function listQuestions(eventId) {
+  return dal.admin.listEventQuestions(Number(eventId)).map(mapQuestion);
+}
+
+/** Everything the admin questions page renders. */
+function getQuestionsPage(eventId) {
+  const event = requireEvent(eventId);
+  return {
+    event,
+    questions: dal.admin.listEventQuestions(event.event_id).map(row => ({
+      ...mapQuestion(row),
+      answer_count: Number(row.answer_count || 0)
+    })),
+    questionTypes: QUESTION_TYPES,
+    questionScopes: QUESTION_SCOPES,
+    maxQuestions: MAX_QUESTIONS
+  };
+}
+
+function createQuestion(eventId, data) {
+  const event = requireEvent(eventId);
+  if (dal.admin.listEventQuestions(event.event_id).length >= MAX_QUESTIONS) {
+    throw createError(400, `An event can have at most ${MAX_QUESTIONS} questions.`);
+  }
+  const fields = normalizeQuestionInput(data);
+  return { question_id: dal.admin.createEventQuestion(event.event_id, fields).lastInsertRowid };
+}
+
+/**
+ * Edit a question. Answers already given are kept as they were, even when the
+ * type or the drop-down choices change.
+ */
+function updateQuestion(eventId, questionId, data) {
+  const row = requireQuestion(eventId, questionId);
+  dal.admin.updateEventQuestion(row.question_id, normalizeQuestionInput(data));
+}
+
+/** Delete a question along with every answer to it. */
+function deleteQuestion(eventId, questionId) {
+  const row = requireQuestion(eventId, questionId);
+  dal.admin.deleteEventQuestion(row.question_id);
+}
+
+/** Swap a question with its neighbour; `direction` is 'up' or 'down'. */
+function moveQuestion(eventId, questionId, direction) {
+  const row = requireQuestion(eventId, questionId);
+  const ids = dal.admin.listEventQuestions(row.event_id).map(q => q.question_id);
+  const idx = ids.indexOf(row.question_id);
+  const target = direction === 'up' ? idx - 1 : idx + 1;
+  if (target < 0 || target >= ids.length) return;
+  [ids[idx], ids[target]] = [ids[target], ids[idx]];
+  dal.admin.setEventQuestionsOrder(row.event_id, ids);
+}
+
+/** Give a copied event (or series occurrence) the same questions. */
+function copyQuestions(fromEventId, toEventId) {
+  dal.admin.listEventQuestions(Number(fromEventId)).forEach(row => {
+    dal.admin.createEventQuestion(Number(toEventId), {
+      label: row.label,
+      help_text: row.help_text,
+      question_type: row.question_type,
+      options: row.options,
+      is_required: Number(row.is_required) === 1,
+      scope: row.scope
+    });
+  });
+}
+
+function normalizeAnswer(question, value, who) {
+  const about = who ? ` for ${who}` : '';
+  if (question.question_type === 'checkbox') {
+    const ticked = ['1', 'true', 'on', 'yes'].includes(String(Array.isArray(value) ? value[value.length - 1] : value || '').toLowerCase());
+    if (question.is_required && !ticked) throw createError(400, `Please tick "${question.label}"${about}.`);
+    return ticked ? 'yes' : 'no';
+  }
+  const text = String(Array.isArray(value) ? value.join(', ') : (value == null ? '' : value)).trim();
+  if (!text) {
+    if (question.is_required) throw createError(400, `Please answer "${question.label}"${about}.`);
+    return '';
+  }
+  if (question.question_type === 'select') {
+    const choice = question.options.find(o => o.toLowerCase() === text.toLowerCase());
+    if (!choice) throw createError(400, `Choose one of the listed answers for "${question.label}"${about}.`);
+    return choice;
+  }
+  if (text.length > MAX_ANSWER) throw createError(400, `Keep "${question.label}"${about} under ${MAX_ANSWER} characters.`);
+  return text;
+}
+
+/**
+ * Check submitted answers for one scope against the event's questions and
+ * return `{ [questionId]: answer }` ready to store. `raw` is keyed by question
+ * id; `who` names the participant in error messages.
+ */
+function normalizeAnswers(questions, scope, raw, who) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  questions.filter(q => q.scope === scope).forEach(q => {
+    out[q.question_id] = normalizeAnswer(q, source[q.question_id], who);
+  });
+  return out;
+}
+
+/**
+ * Validate the answers sent with a new signup. `raw` is the payload's
+ * `answers`: `{ registrant: { [questionId]: value }, participants: [ { ... } ] }`
+ * with one participant entry per name, in the same order.
+ */
+function normalizeSignupAnswers(questions, raw, participantNames) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const perParticipant = Array.isArray(source.participants) ? source.participants : [];
+  return {
+    registrant: normalizeAnswers(questions, 'registrant', source.registrant),
+    participants: participantNames.map((name, idx) => normalizeAnswers(questions, 'participant', perParticipant[idx], name))
+  };
+}
+
+/**
+ * Replace a registration's answers from the manage page. `raw` is
+ * `{ registrant: {...}, participants: { [participantId]: {...} } }`; every
+ * participant of the registration is checked, so required questions can't be
+ * skipped by leaving a participant out.
+ */
+function saveRegistrationAnswers(registration, participants, raw) {
+  const questions = listQuestions(registration.event_id);
+  if (!questions.length) return;
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const perParticipant = source.participants && typeof source.participants === 'object' ? source.participants : {};
+  const registrant = normalizeAnswers(questions, 'registrant', source.registrant);
+  const byParticipant = (participants || []).map(p => ({
+    participantId: p.participant_id,
+    answers: normalizeAnswers(questions, 'participant', perParticipant[p.participant_id], p.participant_name)
+  }));
+  if (questions.some(q => q.scope === 'registrant')) {
+    dal.public.setRegistrationAnswers(registration.registration_id, null, registrant);
+  }
+  if (questions.some(q => q.scope === 'participant')) {
+    byParticipant.forEach(entry => dal.public.setRegistrationAnswers(registration.registration_id, entry.participantId, entry.answers));
+  }
+}
+
+/** How an answer reads in exports and on screen. */
+function formatAnswer(question, answer) {
+  if (answer == null || answer === '') return '';
+  if (question && question.question_type === 'checkbox') return CHECKBOX_VALUES[answer] || answer;
+  return answer;
+}
+
+/**
+ * Export columns for the event's questions plus a lookup that fills them for
+ * a roster row ({ registration_id, participant_id }). Registrant-level answers
+ * repeat on every row of the registration.
+ */
+function getExportColumns(eventId) {
+  const questions = listQuestions(eventId);
+  const answers = new Map();
+  if (questions.length) {
+    dal.admin.listEventAnswers(Number(eventId)).forEach(a => {
+      answers.set(`${a.question_id}:${a.registration_id}:${a.participant_id || 0}`, a.answer);
+    });
+  }
+  return {
+    columns: questions.map(q => ({ key: `question_${q.question_id}`, header: q.label, question: q })),
+    valuesFor(row) {
+      const values = {};
+      questions.forEach(q => {
+        const participantId = q.scope === 'participant' ? row.participant_id : 0;
+        values[`question_${q.question_id}`] = formatAnswer(q, answers.get(`${q.question_id}:${row.registration_id}:${participantId || 0}`));
+      });
+      return values;
+    }
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  QUESTION_SCOPES,
+  MAX_QUESTIONS,
+  parseOptions,
+  listQuestions,
+  getQuestionsPage,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  moveQuestion,
+  copyQuestions,
+  normalizeAnswers,
+  normalizeSignupAnswers,
+  saveRegistrationAnswers,
+  formatAnswer,
+  getExportColumns
+};
@@ -0,0 +1,187 @@
+// src/services/reminderService.js
+// -----------------------------------------------------------------------------
+// Automated "your shift is coming up" reminder emails. A lightweight interval
+// sweeps upcoming assignments, works out which configured offset (e.g. 7 days,
+// 24 hours) is due for each one, and hands the email off to publicService.
+// Every delivery is recorded in `reminder_deliveries` so a restart never sends
+// the same reminder twice.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+const publicService = require('./publicService');
+
+const DEFAULT_OFFSETS_HOURS = [168, 24];
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let sweepInProgress = false;
+
+/**
+ * Parse `REMINDER_OFFSETS_HOURS` ("168,24") into a sorted, de-duplicated list
+ * of whole hours (smallest first). An explicit "off"/"none"/"0" disables
+ * reminders entirely.
+ */
+function parseOffsets(raw) {
+  if (raw === undefined || raw === null) return DEFAULT_OFFSETS_HOURS.slice().sort((a, b) => a - b);
+  const txt = String(raw).trim().toLowerCase();
+  if (!txt || ['off', 'none', 'false', '0'].includes(txt)) return [];
+  const list = txt.split(',')
+    .map(part => Math.round(Number(part.trim())))
+    .filter(n => Number.isFinite(n) && n > 0);
+  return Array.from(new Set(list)).sort((a, b) => a - b);
+}
+
+function getReminderConfig() {
+  const interval = Number(process.env.REMINDER_INTERVAL_MINUTES);
+  return {
+    offsets: parseOffsets(process.env.REMINDER_OFFSETS_HOURS),
+    intervalMinutes: Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_MINUTES
+  };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Canonical local "YYYY-MM-DD HH:mm" text, matching how block times are stored.
+function toLocalText(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function parseLocal(value) {
+  if (!value) return null;
+  const d = new Date(String(value).trim().replace(' ', 'T'));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// SQLite `datetime('now')` values are UTC without a zone suffix.
+function parseSqliteUtc(value) {
+  if (!value) return null;
+  const d = new Date(String(value).trim().replace(' ', 'T') + 'Z');
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Pick the reminder offset that is due for a target starting at `start`.
+ * Only the most recent threshold that has passed counts, so a sweep after a
+ * long outage sends one reminder rather than every missed one. Thresholds that
+ * had already passed when the volunteer signed up are skipped because the
+ * confirmation email covered them.
+ */
+function dueOffsetFor(start, signedUpAt, now, offsets) {
+  if (!start || start.getTime() <= now.getTime()) return null;
+  const passed = offsets.filter(h => start.getTime() - h * 3600000 <= now.getTime());
+  if (!passed.length) return null;
+  const offset = passed[0];
+  const threshold = start.getTime() - offset * 3600000;
+  if (signedUpAt && signedUpAt.getTime() >= threshold) return null;
+  return offset;
+}
+
+/**
+ * Group the due targets per registration + offset so each registrant gets a
+ * single email per sweep, even when several participants or blocks are due.
+ */
+function collectDueReminders(now, offsets) {
+  if (!offsets.length) return [];
+  const maxOffset = offsets[offsets.length - 1];
+  const fromTxt = toLocalText(now);
+  const untilTxt = toLocalText(new Date(now.getTime() + maxOffset * 3600000));
+  const groups = new Map();
+
+  const addTarget = (row, targetKey, blockId) => {
+    const offset = dueOffsetFor(parseLocal(row.start_time), parseSqliteUtc(row.assigned_at), now, offsets);
+    if (!offset) return;
+    const key = `${row.registration_id}:${offset}`;
+    if (!groups.has(key)) {
+      groups.set(key, { registrationId: row.registration_id, offsetHours: offset, targets: [] });
+    }
+    const group = groups.get(key);
+    if (group.targets.some(t => t.targetKey === targetKey)) return;
+    group.targets.push({ targetKey, blockId });
+  };
+
+  dal.public.listScheduleReminderCandidates(fromTxt, untilTxt)
+    .forEach(row => addTarget(row, `block:${row.time_block_id}`, row.time_block_id));
+  dal.public.listPotluckReminderCandidates(fromTxt, untilTxt)
+    .forEach(row => addTarget(row, `event:${row.event_id}`, null));
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Run one reminder pass. Targets are claimed before the email goes out and
+ * released again if sending fails, so the next sweep retries them.
+ */
+async function runReminderSweep(now = new Date(), offsets = getReminderConfig().offsets) {
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+  const due = collectDueReminders(now, offsets);
+  for (const group of due) {
+    const claimed = group.targets.filter(t =>
+      dal.public.claimReminderDelivery(group.registrationId, group.offsetHours, t.targetKey)
+    );
+    if (!claimed.length) {
+      summary.skipped += 1;
+      continue;
+    }
+    let ok = false;
+    try {
+      ok = await publicService.sendUpcomingReminder(group.registrationId, {
+        offsetHours: group.offsetHours,
+        blockIds: claimed.map(t => t.blockId).filter(id => id != null)
+      });
+    } catch (err) {
+      console.error('[Reminders] Failed to send reminder for registration %s:', group.registrationId, err);
+    }
+    if (ok) {
+      summary.sent += 1;
+    } else {
+      claimed.forEach(t => dal.public.releaseReminderDelivery(group.registrationId, group.offsetHours, t.targetKey));
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Start the background interval. Safe to call more than once; overlapping
+ * sweeps are skipped while a previous one is still sending.
+ */
+function startReminderScheduler() {
+  if (timer) return timer;
+  const { offsets, intervalMinutes } = getReminderConfig();
+  if (!offsets.length) {
+    console.log('Automated reminders disabled (REMINDER_OFFSETS_HOURS).');
+    return null;
+  }
+  const tick = async () => {
+    if (sweepInProgress) return;
+    sweepInProgress = true;
+    try {
+      const summary = await runReminderSweep(new Date(), offsets);
+      if (summary.sent || summary.failed) {
+        console.log('[Reminders] sent %d, failed %d', summary.sent, summary.failed);
+      }
+    } catch (err) {
+      console.error('[Reminders] Sweep failed:', err);
+    } finally {
+      sweepInProgress = false;
+    }
+  };
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  console.log(`Automated reminders enabled (${offsets.join(', ')}h before; every ${intervalMinutes} min).`);
+  return timer;
+}
+
+function stopReminderScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseOffsets,
+  runReminderSweep,
+  startReminderScheduler,
+  stopReminderScheduler
+};
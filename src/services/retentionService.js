@@ -0,0 +1,156 @@
+// src/services/retentionService.js
+// -----------------------------------------------------------------------------
+// Data retention. ARCHIVE_AFTER_DAYS after an event ends it is archived, which
+// only hides it from the default dashboard. PII_RETENTION_DAYS after it ends
+// the volunteers' personal details are anonymised (see purgeEventPii in the
+// DAL); signups and shifts are kept so hours and fill rates still add up.
+// Both are counted from date_end and 0 turns the step off. A small worker runs
+// both every hour; owners can preview and run the purge from the admin.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+const { toLocalText } = require('../utils/signupWindow');
+
+const DEFAULT_ARCHIVE_AFTER_DAYS = 30;
+const DEFAULT_RETENTION_DAYS = 730;
+const DEFAULT_INTERVAL_SECONDS = 3600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+function readDays(value, fallback) {
+  const raw = String(value == null ? '' : value).trim();
+  if (!raw) return fallback;
+  const days = Number(raw);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+}
+
+/** The configured periods in days; 0 means the step is turned off. */
+function getRetentionSettings(env = process.env) {
+  return {
+    archiveAfterDays: readDays(env.ARCHIVE_AFTER_DAYS, DEFAULT_ARCHIVE_AFTER_DAYS),
+    retentionDays: readDays(env.PII_RETENTION_DAYS, DEFAULT_RETENTION_DAYS)
+  };
+}
+
+/** Local text `days` before `now`; events that ended before it are due. */
+function cutoffFor(days, now) {
+  return toLocalText(new Date(now.getTime() - days * DAY_MS));
+}
+
+/** Archive every event that ended more than ARCHIVE_AFTER_DAYS ago. */
+function runArchiveSweep(now = new Date()) {
+  const { archiveAfterDays } = getRetentionSettings();
+  if (!archiveAfterDays) return { archived: 0 };
+  let archived = 0;
+  dal.admin.listEventsDueForArchive(cutoffFor(archiveAfterDays, now)).forEach(event => {
+    archived += dal.admin.archiveEvent(event.event_id).changes;
+  });
+  return { archived };
+}
+
+/**
+ * What the next purge would anonymise: the events past the retention period
+ * whose personal details are still stored, with per-event and total counts.
+ */
+function getPurgePreview(now = new Date()) {
+  const settings = getRetentionSettings();
+  const cutoff = settings.retentionDays ? cutoffFor(settings.retentionDays, now) : null;
+  const events = cutoff ? dal.admin.listEventsDueForPurge(cutoff) : [];
+  const totals = { events: events.length, registrations: 0, participants: 0, answers: 0, emails: 0 };
+  events.forEach(event => {
+    totals.registrations += event.registration_count;
+    totals.participants += event.participant_count;
+    totals.answers += event.answer_count;
+    totals.emails += event.mail_count;
+  });
+  return { settings, cutoff, events, totals };
+}
+
+/**
+ * Anonymise every event in the preview and log the run. Scheduled runs that
+ * find nothing to do are not logged; manual runs always are.
+ */
+function runPurge({ now = new Date(), source = 'scheduled', runBy = null } = {}) {
+  const preview = getPurgePreview(now);
+  if (!preview.cutoff) return null;
+  const run = {
+    source: source === 'manual' ? 'manual' : 'scheduled',
+    run_by: runBy,
+    retention_days: preview.settings.retentionDays,
+    cutoff: preview.cutoff,
+    event_count: 0,
+    registration_count: 0,
+    participant_count: 0,
+    events: []
+  };
+  preview.events.forEach(event => {
+    const result = dal.admin.purgeEventPii(event.event_id);
+    run.event_count += 1;
+    run.registration_count += result.registrations;
+    run.participant_count += result.participants;
+    run.events.push({
+      event_id: event.event_id,
+      name: event.name,
+      date_end: event.date_end,
+      registrations: result.registrations,
+      participants: result.participants
+    });
+  });
+  if (run.event_count || run.source === 'manual') {
+    run.run_id = dal.admin.insertPurgeRun(run).lastInsertRowid;
+  }
+  return run;
+}
+
+function parseEvents(text) {
+  try {
+    const events = JSON.parse(text || '[]');
+    return Array.isArray(events) ? events : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/** Past purge runs, newest first. */
+function listPurgeRuns(limit = 50) {
+  return dal.admin.listPurgeRuns(limit).map(row => ({ ...row, events: parseEvents(row.events_json) }));
+}
+
+function tick() {
+  try {
+    const { archived } = runArchiveSweep(new Date());
+    if (archived) console.log('[Retention] archived %d event(s)', archived);
+    const run = runPurge({ now: new Date() });
+    if (run && run.event_count) {
+      console.log('[Retention] anonymised %d registration(s) across %d event(s)', run.registration_count, run.event_count);
+    }
+  } catch (err) {
+    console.error('[Retention] Sweep failed:', err);
+  }
+}
+
+/** Start the retention worker (RETENTION_INTERVAL_SECONDS, default 3600). */
+function startRetentionScheduler() {
+  if (timer) return timer;
+  const interval = Number(process.env.RETENTION_INTERVAL_SECONDS);
+  const seconds = Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_SECONDS;
+  timer = setInterval(tick, seconds * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  return timer;
+}
+
+function stopRetentionScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  getRetentionSettings,
+  runArchiveSweep,
+  getPurgePreview,
+  runPurge,
+  listPurgeRuns,
+  startRetentionScheduler,
+  stopRetentionScheduler
+};
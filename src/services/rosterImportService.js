@@ -0,0 +1,210 @@
+// src/services/rosterImportService.js
+// -----------------------------------------------------------------------------
+// Bulk roster import: a spreadsheet of volunteers who are already serving is
+// matched to the event's blocks/items and each row is added exactly as if an
+// admin used "Add volunteer" (adminService.addReservationToBlock), so capacity,
+// overlap, and same-email registration merging behave the same. Rows are
+// independent: one full block or typo does not stop the rest.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const adminService = require('./adminService');
+const publicService = require('./publicService');
+const { parseCsvRecords } = require('../utils/csv');
+
+// Header names follow the advanced roster export, with a few short aliases.
+const ROSTER_COLUMNS = {
+  block_id: 'Block ID',
+  station_name: ['Station/Category', 'Station'],
+  block_start: 'Block Start',
+  block_end: 'Block End',
+  item_title: ['Item Title', 'Item/Block', 'Item'],
+  volunteer_name: ['Volunteer Name', 'Volunteer', 'Name'],
+  volunteer_email: 'Volunteer Email',
+  volunteer_phone: 'Volunteer Phone',
+  registrant_name: 'Registrant Name',
+  registrant_email: ['Registrant Email', 'Email'],
+  registrant_phone: ['Registrant Phone', 'Phone'],
+  dish_name: ['Dish Name', 'Dish']
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function norm(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function canonicalTime(value) {
+  const m = String(value || '').trim().replace('T', ' ').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})(?::\d{2})?$/);
+  return m ? `${m[1]} ${m[2]}` : null;
+}
+
+/** Find the block/item a row refers to, or throw a 400 explaining why not. */
+function resolveBlock(record, event, isPotluck) {
+  const blocks = [];
+  event.stations.forEach(st => st.time_blocks.forEach(b => blocks.push({ ...b, station: st })));
+
+  if (record.block_id) {
+    const byId = blocks.find(b => String(b.block_id) === record.block_id);
+    if (!byId) throw createError(400, `block ID ${record.block_id} is not part of this event.`);
+    return byId;
+  }
+
+  const stationName = norm(record.station_name);
+  if (!stationName) throw createError(400, `a ${isPotluck ? 'category' : 'station'} (or Block ID) is required.`);
+  const inStation = blocks.filter(b => norm(b.station.name) === stationName);
+  if (!inStation.length && !event.stations.some(st => norm(st.name) === stationName)) {
+    throw createError(400, `no ${isPotluck ? 'category' : 'station'} named "${record.station_name}".`);
+  }
+
+  let matches;
+  if (isPotluck) {
+    if (!record.item_title) throw createError(400, 'an item title is required.');
+    matches = inStation.filter(b => norm(b.title) === norm(record.item_title));
+    if (!matches.length) throw createError(400, `"${record.station_name}" has no item named "${record.item_title}".`);
+  } else {
+    const start = canonicalTime(record.block_start);
+    if (!start) throw createError(400, 'block start must look like YYYY-MM-DD HH:mm.');
+    const end = record.block_end ? canonicalTime(record.block_end) : null;
+    if (record.block_end && !end) throw createError(400, 'block end must look like YYYY-MM-DD HH:mm.');
+    matches = inStation.filter(b => b.start_time === start && (!end || b.end_time === end));
+    if (!matches.length) throw createError(400, `"${record.station_name}" has no block starting ${start}${end ? ` and ending ${end}` : ''}.`);
+  }
+  if (matches.length > 1) throw createError(400, 'more than one block matches; add a Block ID column to pick one.');
+  return matches[0];
+}
+
+/** True when this person is already on the roster for the block. */
+function isAlreadyAssigned(eventId, email, participantName, blockId, isPotluck) {
+  const reg = dal.public.findRegistrationByEmail(eventId, email);
+  if (!reg) return false;
+  const detail = dal.public.getRegistrationDetailWithAssignments(reg.registration_id);
+  const participant = (detail && detail.participants || []).find(p => norm(p.participant_name) === norm(participantName));
+  if (!participant) return false;
+  const list = isPotluck ? detail.potluckAssignments : detail.scheduleAssignments;
+  return (list || []).some(a => a.participant_id === participant.participant_id
+    && Number(isPotluck ? a.item_id : a.time_block_id) === Number(blockId));
+}
+
+/**
+ * Parse and match every row without writing anything. Each row comes back as
+ * `ready`, `already` (on the roster or repeated in the file), or `error`.
+ */
+function planRosterImport(eventId, csvText) {
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  if (!event) throw createError(404, 'Event not found.');
+  const isPotluck = String(event.signup_mode || '').toLowerCase() === 'potluck';
+  const { headers, records } = parseCsvRecords(csvText, ROSTER_COLUMNS);
+  const plan = { event, isPotluck, rows: [], errors: [], summary: { ready: 0, already: 0, error: 0 } };
+
+  const hasName = headers.includes('volunteer_name') || headers.includes('registrant_name');
+  const hasEmail = headers.includes('registrant_email') || headers.includes('volunteer_email');
+  const hasBlock = headers.includes('block_id') || (headers.includes('station_name') && headers.includes(isPotluck ? 'item_title' : 'block_start'));
+  if (!hasName || !hasEmail || !hasBlock) {
+    plan.errors.push(isPotluck
+      ? 'The file needs a name column (Volunteer Name), an email column (Registrant Email), and Station/Category with Item Title (or Block ID).'
+      : 'The file needs a name column (Volunteer Name), an email column (Registrant Email), and Station/Category with Block Start (or Block ID).');
+    return plan;
+  }
+  if (!records.length) {
+    plan.errors.push('The file has a header row but no volunteers.');
+    return plan;
+  }
+
+  const seen = new Map();
+  records.forEach(r => {
+    const participantName = r.volunteer_name || r.registrant_name || '';
+    const email = (r.registrant_email || r.volunteer_email || '').toLowerCase();
+    const row = {
+      line: r.line,
+      name: participantName,
+      email,
+      registrant_name: r.registrant_name || '',
+      phone: r.registrant_phone || r.volunteer_phone || '',
+      dish_note: r.dish_name || '',
+      block: null,
+      status: 'ready',
+      message: ''
+    };
+    try {
+      if (!participantName) throw createError(400, 'a volunteer name is required.');
+      if (!EMAIL_RE.test(email)) throw createError(400, email ? `"${email}" is not a valid email address.` : 'an email address is required.');
+      const block = resolveBlock(r, event, isPotluck);
+      row.block = {
+        block_id: block.block_id,
+        station_name: block.station.name,
+        title: block.title || '',
+        start_time: block.start_time,
+        end_time: block.end_time
+      };
+      const key = `${email}|${norm(participantName)}|${block.block_id}`;
+      if (seen.has(key)) {
+        row.status = 'already';
+        row.message = `Same as row ${seen.get(key)}.`;
+      } else if (isAlreadyAssigned(event.event_id, email, participantName, block.block_id, isPotluck)) {
+        row.status = 'already';
+        row.message = 'Already on the roster.';
+      }
+      seen.set(key, seen.get(key) || r.line);
+    } catch (err) {
+      row.status = 'error';
+      row.message = err.message.charAt(0).toUpperCase() + err.message.slice(1);
+    }
+    plan.summary[row.status] += 1;
+    plan.rows.push(row);
+  });
+  return plan;
+}
+
+/**
+ * Add every `ready` row through addReservationToBlock. Rows that fail (full
+ * block, overlapping shift) are reported and the rest continue. With
+ * `sendLinks`, each registrant who gained a signup is emailed their schedule
+ * and manage link once.
+ */
+async function applyRosterImport(eventId, csvText, { sendLinks = false } = {}) {
+  const plan = planRosterImport(eventId, csvText);
+  if (plan.errors.length) throw createError(400, plan.errors[0]);
+  const summary = { added: 0, already: 0, error: 0, emailed: 0 };
+  const addedEmails = new Set();
+
+  plan.rows.forEach(row => {
+    if (row.status !== 'ready') return;
+    try {
+      const added = adminService.addReservationToBlock(row.block.block_id, {
+        name: row.name,
+        participant_name: row.name,
+        registrant_name: row.registrant_name || undefined,
+        email: row.email,
+        phone: row.phone,
+        dish_note: row.dish_note
+      }, plan.event.event_id, plan.isPotluck);
+      row.status = 'added';
+      // Added anyway, but the roster flags stations the volunteer doesn't qualify for.
+      row.message = added && added.unmet && added.unmet.length ? `Doesn't meet: ${added.unmet.join(', ')}` : '';
+      addedEmails.add(row.email);
+    } catch (err) {
+      if (!err.status || err.status >= 500) console.error('[RosterImport] Row %d failed:', row.line, err);
+      row.status = 'error';
+      row.message = err.status && err.status < 500 ? err.message : 'Could not add this volunteer.';
+    }
+  });
+  plan.rows.forEach(row => { summary[row.status] += 1; });
+
+  if (sendLinks) {
+    for (const email of addedEmails) {
+      const reg = dal.public.findRegistrationByEmail(plan.event.event_id, email);
+      try {
+        if (reg && await publicService.sendRegistrationConfirmation(reg.registration_id)) summary.emailed += 1;
+      } catch (err) {
+        console.error('[RosterImport] Failed to email %s:', email, err);
+      }
+    }
+  }
+  return { ...plan, summary };
+}
+
+module.exports = {
+  planRosterImport,
+  applyRosterImport
+};
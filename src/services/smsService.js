@@ -0,0 +1,89 @@
+// src/services/smsService.js
+// -----------------------------------------------------------------------------
+// Text messages to volunteers who opted in, through the provider configured in
+// utils/sms.js. publicService writes the confirmation and reminder wording;
+// this module decides whether a registration may be texted, adds the opt-out
+// line carriers expect, and handles STOP / START / HELP replies coming back
+// through the inbound webhook.
+// -----------------------------------------------------------------------------
+const dal = require('../db/dal');
+const sms = require('../utils/sms');
+const { getBranding } = require('../config/branding');
+
+const STOP_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_WORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_WORDS = ['HELP', 'INFO'];
+const OPT_OUT_LINE = 'Reply STOP to opt out.';
+
+function canText(registration) {
+  return Boolean(sms.isSmsEnabled()
+    && registration
+    && Number(registration.sms_opt_in) === 1
+    && registration.sms_phone);
+}
+
+/**
+ * Text one registration if it opted in. Resolves true when the provider
+ * accepted the message; failures are logged and resolve false so a text never
+ * breaks the signup or reminder that triggered it.
+ */
+async function sendRegistrationSms(registration, message) {
+  if (!canText(registration)) return false;
+  try {
+    await sms.sendSms({ to: registration.sms_phone, body: `${String(message).trim()} ${OPT_OUT_LINE}` });
+    return true;
+  } catch (err) {
+    console.error('[SMS] Failed to text registration %s: %s', registration.registration_id, err && err.message);
+    return false;
+  }
+}
+
+function keywordOf(text) {
+  return String(text || '').trim().split(/\s+/)[0].replace(/[^a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * Apply an inbound text. STOP-type keywords opt every registration with that
+ * number out; START-type keywords undo an earlier opt-out; HELP answers with
+ * the support contact. Anything else is ignored (no reply).
+ */
+function handleInboundSms({ from, text }) {
+  const phone = sms.normalizePhone(from);
+  const keyword = keywordOf(text);
+  const branding = getBranding();
+  const org = branding.orgName || 'Volunteer team';
+  if (!phone) return { action: 'ignored', updated: 0, reply: null };
+
+  if (STOP_WORDS.includes(keyword)) {
+    const { changes } = dal.public.optOutSmsByPhone(phone);
+    return { action: 'stop', updated: changes, reply: `${org}: you will no longer get volunteer texts. Reply START to resubscribe.` };
+  }
+  if (START_WORDS.includes(keyword)) {
+    const { changes } = dal.public.resumeSmsByPhone(phone);
+    return {
+      action: 'start',
+      updated: changes,
+      reply: changes
+        ? `${org}: volunteer texts are back on. ${OPT_OUT_LINE}`
+        : `${org}: to get volunteer texts, tick "Text me" when you sign up.`
+    };
+  }
+  if (HELP_WORDS.includes(keyword)) {
+    const contact = [branding.supportContactEmail, branding.supportContactPhone].filter(Boolean).join(' or ');
+    return {
+      action: 'help',
+      updated: 0,
+      reply: `${org} volunteer texts: signup confirmations and shift reminders.${contact ? ` Help: ${contact}.` : ''} ${OPT_OUT_LINE}`
+    };
+  }
+  return { action: 'ignored', updated: 0, reply: null };
+}
+
+module.exports = {
+  STOP_WORDS,
+  START_WORDS,
+  HELP_WORDS,
+  canText,
+  sendRegistrationSms,
+  handleInboundSms
+};
@@ -0,0 +1,222 @@
+// src/services/swapService.js
+// -----------------------------------------------------------------------------
+// Shift swap board. From their manage page a volunteer can post one of their
+// upcoming shifts when they can't make it; other registrants of the same event
+// see it on their own manage page and take it over, optionally trading one of
+// their shifts back. The hand-over itself is a single DAL transaction
+// (acceptShiftSwap) with the same capacity rules as an admin move; this module
+// checks the manage link, keeps past shifts off the board and notifies both
+// volunteers.
+// -----------------------------------------------------------------------------
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const publicService = require('./publicService');
+const webhookService = require('./webhookService');
+const { unmetRequirements } = require('../utils/stationRequirements');
+const { signupLimits, participantLimitProblem } = require('../utils/signupLimits');
+
+const MAX_NOTE_LENGTH = 300;
+
+function toLocalText(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function hasStarted(slot, now) {
+  return String(slot.start_time || '').replace('T', ' ') <= toLocalText(now);
+}
+
+/**
+ * A participant's shifts once a swap goes through: their current schedule
+ * without `dropBlockId` (the shift they hand over, if any), plus `addBlockId`.
+ */
+function shiftsAfterSwap(detail, participantId, dropBlockId, addBlockId) {
+  const keptIds = (Array.isArray(detail && detail.scheduleAssignments) ? detail.scheduleAssignments : [])
+    .filter(a => Number(a.participant_id) === Number(participantId))
+    .map(a => Number(a.time_block_id))
+    .filter(id => id !== Number(dropBlockId) && id !== Number(addBlockId));
+  return dal.public.getBlocksInfo(keptIds.concat(Number(addBlockId)));
+}
+
+function requireContext(token) {
+  const context = publicService.getManageContext(token);
+  if (!context) throw createError(410, 'This link has expired or is no longer valid.');
+  if (String(context.event.signup_mode || '').toLowerCase() === 'potluck') {
+    throw createError(400, 'Shift swaps are only available for scheduled events.');
+  }
+  return context;
+}
+
+function ownShifts(context, now) {
+  const shifts = [];
+  context.participants.forEach(p => {
+    (p.schedule || []).forEach(slot => {
+      if (hasStarted(slot, now)) return;
+      shifts.push({
+        participant_id: p.participant_id,
+        participant_name: p.participant_name,
+        time_block_id: Number(slot.time_block_id),
+        station_name: slot.station_name,
+        start_time: slot.start_time,
+        end_time: slot.end_time
+      });
+    });
+  });
+  return shifts.sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+}
+
+/**
+ * What the manage page shows: this registration's open offers, everyone
+ * else's upcoming offers, and the shifts it could post or trade.
+ */
+function getSwapBoard(context, now = new Date()) {
+  if (!context || String(context.event.signup_mode || '').toLowerCase() === 'potluck') return null;
+  const registrationId = Number(context.registration.registration_id);
+  const open = dal.public.listOpenShiftSwaps(context.event.event_id).filter(s => !hasStarted(s, now));
+  const shifts = ownShifts(context, now);
+  const offered = new Set(open
+    .filter(s => Number(s.registration_id) === registrationId)
+    .map(s => `${s.participant_id}:${s.time_block_id}`));
+  return {
+    mine: open.filter(s => Number(s.registration_id) === registrationId),
+    available: open
+      .filter(s => Number(s.registration_id) !== registrationId)
+      .map(({ registration_id, participant_id, participant_name, ...rest }) => rest),
+    shifts: shifts.map(s => ({ ...s, offered: offered.has(`${s.participant_id}:${s.time_block_id}`) })),
+    participants: context.participants.map(p => ({ participant_id: p.participant_id, participant_name: p.participant_name }))
+  };
+}
+
+function requestSwap(token, { participantId, blockId, note }, now = new Date()) {
+  const context = requireContext(token);
+  const shift = ownShifts(context, now)
+    .find(s => s.participant_id === Number(participantId) && s.time_block_id === Number(blockId));
+  if (!shift) throw createError(400, 'Choose one of your upcoming shifts.');
+  const cleanNote = String(note || '').trim();
+  if (cleanNote.length > MAX_NOTE_LENGTH) throw createError(400, `Keep the note under ${MAX_NOTE_LENGTH} characters.`);
+  dal.public.createShiftSwap({
+    eventId: context.event.event_id,
+    registrationId: context.registration.registration_id,
+    participantId: shift.participant_id,
+    blockId: shift.time_block_id,
+    note: cleanNote
+  });
+  return shift;
+}
+
+function cancelSwap(token, swapId) {
+  const context = requireContext(token);
+  dal.public.cancelShiftSwap(Number(swapId), context.registration.registration_id);
+  return true;
+}
+
+/**
+ * Take over an offered shift for one of this registration's participants,
+ * optionally giving `tradeBlockId` (one of that participant's shifts) back.
+ * Both volunteers are emailed (and texted if opted in) afterwards; a failed
+ * notification never undoes the swap.
+ */
+async function acceptSwap(token, swapId, { participantId, tradeBlockId }, now = new Date()) {
+  const context = requireContext(token);
+  const swap = dal.public.getShiftSwap(Number(swapId));
+  if (!swap || swap.status !== 'open' || Number(swap.event_id) !== Number(context.event.event_id)) {
+    throw createError(409, 'This shift was already taken or withdrawn.');
+  }
+  if (hasStarted(swap, now)) throw createError(409, 'This shift has already started.');
+
+  const participants = context.participants;
+  const participant = participantId
+    ? participants.find(p => p.participant_id === Number(participantId))
+    : (participants.length === 1 ? participants[0] : null);
+  if (!participant) throw createError(400, 'Choose who will take this shift.');
+
+  let trade = null;
+  if (tradeBlockId) {
+    trade = ownShifts(context, now)
+      .find(s => s.participant_id === participant.participant_id && s.time_block_id === Number(tradeBlockId));
+    if (!trade) throw createError(400, 'Choose one of your upcoming shifts to trade.');
+    // Trading hands the shift over, so the change lock-out applies to it.
+    const locked = publicService.getLockedShifts(context, now)
+      .find(s => s.participant_id === trade.participant_id && s.time_block_id === trade.time_block_id);
+    if (locked) throw publicService.lockedShiftError(context.event, locked);
+  }
+
+  // Station requirements apply to whoever ends up on each shift.
+  const blocks = new Map(dal.public.getBlocksInfo([swap.time_block_id].concat(trade ? [trade.time_block_id] : []))
+    .map(b => [Number(b.block_id), b]));
+  const missing = unmetRequirements(blocks.get(Number(swap.time_block_id)), participant);
+  if (missing.length) {
+    throw createError(400, `${participant.participant_name} can't take this shift (needs ${missing.join(', ')}).`);
+  }
+  const posterDetail = trade ? dal.public.getRegistrationDetailWithAssignments(swap.registration_id) : null;
+  if (trade) {
+    const poster = (posterDetail.participants || [])
+      .find(p => p.participant_id === Number(swap.participant_id));
+    if (unmetRequirements(blocks.get(trade.time_block_id), poster).length) {
+      throw createError(400, `The volunteer who posted this shift doesn't meet the requirements for ${trade.station_name}. Take it without a trade or pick another shift.`);
+    }
+  }
+
+  // So do the event's signup limits, on the shifts each side ends up with.
+  const limits = signupLimits(dal.public.getEventBasic(context.event.event_id));
+  const takerProblem = participantLimitProblem(limits, participant.participant_name, shiftsAfterSwap(
+    dal.public.getRegistrationDetailWithAssignments(context.registration.registration_id),
+    participant.participant_id, trade && trade.time_block_id, swap.time_block_id
+  ));
+  if (takerProblem) throw createError(409, takerProblem);
+  if (trade) {
+    const posterProblem = participantLimitProblem(limits, 'The volunteer who posted this shift',
+      shiftsAfterSwap(posterDetail, swap.participant_id, swap.time_block_id, trade.time_block_id));
+    if (posterProblem) throw createError(409, `${posterProblem} Take it without a trade or pick another shift.`);
+  }
+
+  dal.public.acceptShiftSwap(swap.swap_id, {
+    registrationId: context.registration.registration_id,
+    participantId: participant.participant_id,
+    tradeBlockId: trade ? trade.time_block_id : null
+  });
+
+  const taken = {
+    participant_name: participant.participant_name,
+    station_name: swap.station_name,
+    start_time: swap.start_time,
+    end_time: swap.end_time
+  };
+  const poster = { participant_name: swap.participant_name };
+  try {
+    await publicService.sendShiftSwapNotice(context.registration.registration_id, {
+      subject: `Shift swap confirmed: ${context.event.name}`,
+      heading: 'Shift swap confirmed',
+      lead: trade ? 'You traded shifts with another volunteer.' : 'You took over a shift from another volunteer.',
+      changes: [
+        { label: 'Now yours', ...taken },
+        ...(trade ? [{ label: 'Handed over', ...trade, participant_name: participant.participant_name }] : [])
+      ],
+      manageToken: token
+    });
+    await publicService.sendShiftSwapNotice(swap.registration_id, {
+      subject: `Your shift was taken: ${context.event.name}`,
+      heading: 'Your shift is covered',
+      lead: trade ? 'Another volunteer took your shift and gave you one of theirs.' : 'Another volunteer took over your shift.',
+      changes: [
+        { label: 'Handed over', ...taken, participant_name: poster.participant_name },
+        ...(trade ? [{ label: 'Now yours', ...trade, participant_name: poster.participant_name }] : [])
+      ]
+    });
+  } catch (err) {
+    console.error('[Swaps] Failed to notify volunteers about swap %s:', swap.swap_id, err);
+  }
+
+  webhookService.emit('signup.updated', () => webhookService.registrationData(context.registration.registration_id));
+  webhookService.emit('signup.updated', () => webhookService.registrationData(swap.registration_id));
+
+  return { swap, participant, trade };
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  getSwapBoard,
+  requestSwap,
+  cancelSwap,
+  acceptSwap
+};
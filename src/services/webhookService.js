@@ -0,0 +1,312 @@
+// src/services/webhookService.js
+// -----------------------------------------------------------------------------
+// Outgoing webhooks. Services call `emit()` after a signup change completes;
+// that only queues a row per subscribed endpoint, so a slow or broken receiver
+// never holds up a volunteer. A background worker (like the reminder sweep)
+// POSTs queued payloads, signing each body with the endpoint's secret, and
+// retries failures with increasing delays before giving up.
+//
+// Receivers verify `X-Webhook-Signature: sha256=<hex>`, an HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>" keyed with the endpoint secret.
+// -----------------------------------------------------------------------------
+const crypto = require('crypto');
+const createError = require('http-errors');
+const dal = require('../db/dal');
+const { serializeRegistration } = require('../utils/registrationPayload');
+
+const EVENT_TYPES = {
+  'signup.created': 'Volunteer signed up',
+  'signup.updated': 'Volunteer changed their signup',
+  'signup.cancelled': 'Volunteer cancelled everything',
+  'reservation.created': 'Admin added a volunteer',
+  'reservation.deleted': 'Admin removed a signup'
+};
+// Minutes to wait before each retry; after the last one the delivery fails.
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_INTERVAL_SECONDS = 30;
+const SWEEP_BATCH = 25;
+
+let timer = null;
+let sweepInProgress = false;
+
+// SQLite `datetime('now')` format (UTC, no zone suffix).
+function toSqliteUtc(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseEventTypes(value) {
+  const list = [].concat(value || [])
+    .reduce((acc, v) => acc.concat(String(v).split(',')), [])
+    .map(v => v.trim())
+    .filter(Boolean);
+  const unknown = list.filter(v => !EVENT_TYPES[v]);
+  if (unknown.length) throw createError(400, `Unknown webhook event: ${unknown.join(', ')}`);
+  return Array.from(new Set(list));
+}
+
+function subscribes(endpoint, eventType) {
+  const types = String(endpoint.event_types || '').split(',').filter(Boolean);
+  return !types.length || types.includes(eventType);
+}
+
+function validateUrl(value) {
+  let url;
+  try { url = new URL(String(value || '').trim()); } catch (_) { url = null; }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw createError(400, 'Enter a full http:// or https:// URL.');
+  }
+  return url.toString();
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+// --- Endpoint management (owners) -------------------------------------------
+
+function listEndpoints() {
+  return dal.admin.listWebhookEndpoints().map(row => ({
+    ...row,
+    event_types: String(row.event_types || '').split(',').filter(Boolean),
+    is_active: !!row.is_active
+  }));
+}
+
+function createEndpoint(data, createdBy) {
+  const name = String((data && data.name) || '').trim();
+  if (!name) throw createError(400, 'Give the webhook a name.');
+  const url = validateUrl(data.url);
+  const types = parseEventTypes(data.event_types);
+  const secret = crypto.randomBytes(24).toString('hex');
+  const res = dal.admin.createWebhookEndpoint(name.slice(0, 100), url, secret, types.join(','), createdBy);
+  return { endpoint_id: res.lastInsertRowid, name: name.slice(0, 100), secret };
+}
+
+function requireEndpoint(endpointId) {
+  const endpoint = dal.admin.getWebhookEndpoint(endpointId);
+  if (!endpoint) throw createError(404, 'Webhook not found.');
+  return endpoint;
+}
+
+function updateEndpoint(endpointId, data) {
+  requireEndpoint(endpointId);
+  const patch = {};
+  if (data.name !== undefined) {
+    const name = String(data.name || '').trim();
+    if (!name) throw createError(400, 'Give the webhook a name.');
+    patch.name = name.slice(0, 100);
+  }
+  if (data.url !== undefined) patch.url = validateUrl(data.url);
+  // Unticked checkboxes are simply missing from a form post, so a full edit
+  // (which always carries a name) with no event types means "all events".
+  if (data.event_types !== undefined || data.name !== undefined) {
+    patch.event_types = parseEventTypes(data.event_types).join(',');
+  }
+  if (data.is_active !== undefined) patch.is_active = ['1', 'true', 'on', true, 1].includes(data.is_active) ? 1 : 0;
+  dal.admin.updateWebhookEndpoint(endpointId, patch);
+}
+
+function rotateSecret(endpointId) {
+  const endpoint = requireEndpoint(endpointId);
+  const secret = crypto.randomBytes(24).toString('hex');
+  dal.admin.updateWebhookEndpoint(endpointId, { secret });
+  return { endpoint_id: endpoint.endpoint_id, name: endpoint.name, secret };
+}
+
+function deleteEndpoint(endpointId) {
+  requireEndpoint(endpointId);
+  dal.admin.deleteWebhookEndpoint(endpointId);
+}
+
+// --- Queueing ----------------------------------------------------------------
+
+function buildPayload(eventType, data, now) {
+  return JSON.stringify({
+    id: crypto.randomUUID(),
+    type: eventType,
+    created_at: now.toISOString(),
+    data
+  });
+}
+
+/**
+ * Queue `eventType` for every active endpoint subscribed to it. `data` may be
+ * a function so the payload is only built when someone is listening. Never
+ * throws: a webhook problem must not undo a signup that already succeeded.
+ */
+function emit(eventType, data, now = new Date()) {
+  try {
+    const endpoints = dal.admin.listActiveWebhookEndpoints().filter(e => subscribes(e, eventType));
+    if (!endpoints.length) return [];
+    const resolved = typeof data === 'function' ? data() : data;
+    if (!resolved) return [];
+    const ids = dal.admin.enqueueWebhookDeliveries(endpoints.map(e => e.endpoint_id), eventType, buildPayload(eventType, resolved, now));
+    if (timer) setImmediate(tick);
+    return ids;
+  } catch (err) {
+    console.error('[Webhooks] Failed to queue %s:', eventType, err);
+    return [];
+  }
+}
+
+/** Queue a `ping` for one endpoint regardless of its subscriptions. */
+function sendTest(endpointId, now = new Date()) {
+  const endpoint = requireEndpoint(endpointId);
+  const ids = dal.admin.enqueueWebhookDeliveries([endpoint.endpoint_id], 'ping', buildPayload('ping', { endpoint_id: endpoint.endpoint_id, name: endpoint.name }, now));
+  if (timer) setImmediate(tick);
+  return ids[0];
+}
+
+function retryDelivery(deliveryId) {
+  const res = dal.admin.retryWebhookDelivery(deliveryId);
+  if (!res.changes) throw createError(400, 'Only failed deliveries can be retried.');
+  if (timer) setImmediate(tick);
+}
+
+function eventRef(eventId) {
+  const event = dal.public.getEventBasic(eventId);
+  if (!event) return null;
+  return {
+    event_id: event.event_id,
+    name: event.name,
+    date_start: event.date_start,
+    date_end: event.date_end,
+    signup_mode: event.signup_mode || 'schedule'
+  };
+}
+
+/** Payload describing a registration as it stands now. */
+function registrationData(registrationId) {
+  const detail = dal.public.getRegistrationDetailWithAssignments(registrationId);
+  if (!detail) return null;
+  return { event: eventRef(detail.registration.event_id), registration: serializeRegistration(detail) };
+}
+
+// --- Delivery ----------------------------------------------------------------
+
+async function deliver(row, now) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  const response = await fetch(row.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'volunteer-event-manager-webhooks',
+      'X-Webhook-Event': row.event_type,
+      'X-Webhook-Delivery': String(row.delivery_id),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': sign(row.secret, timestamp, row.payload_json)
+    },
+    body: row.payload_json,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  let snippet = '';
+  try { snippet = (await response.text()).slice(0, 300); } catch (_) {}
+  return { status: response.status, ok: response.status >= 200 && response.status < 300, snippet };
+}
+
+/**
+ * Attempt every due delivery once. Successes are marked delivered; failures
+ * are rescheduled per RETRY_DELAYS_MINUTES and marked failed after the last.
+ */
+async function runWebhookSweep(now = new Date()) {
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  const due = dal.admin.listDueWebhookDeliveries(toSqliteUtc(now), SWEEP_BATCH);
+  for (const row of due) {
+    let outcome;
+    try {
+      outcome = await deliver(row, now);
+    } catch (err) {
+      const timedOut = err && err.name === 'TimeoutError';
+      const reason = timedOut ? 'Timed out' : err && ((err.cause && err.cause.code) || err.message);
+      outcome = { ok: false, status: null, snippet: reason || 'Request failed' };
+    }
+    const attemptedAt = toSqliteUtc(now);
+    if (outcome.ok) {
+      dal.admin.recordWebhookAttempt(row.delivery_id, { status: 'delivered', attemptedAt, responseStatus: outcome.status });
+      summary.delivered += 1;
+      continue;
+    }
+    const attempts = row.attempts + 1;
+    const error = outcome.status ? `HTTP ${outcome.status}${outcome.snippet ? ': ' + outcome.snippet : ''}` : outcome.snippet;
+    if (attempts >= MAX_ATTEMPTS) {
+      dal.admin.recordWebhookAttempt(row.delivery_id, { status: 'failed', attemptedAt, responseStatus: outcome.status, error });
+      summary.failed += 1;
+    } else {
+      const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+      const nextAttemptAt = toSqliteUtc(new Date(now.getTime() + delay * 60000));
+      dal.admin.recordWebhookAttempt(row.delivery_id, { status: 'pending', attemptedAt, nextAttemptAt, responseStatus: outcome.status, error });
+      summary.retrying += 1;
+    }
+  }
+  return summary;
+}
+
+function listDeliveries(query = {}) {
+  const filters = {
+    endpointId: Number(query.endpoint) || null,
+    status: ['pending', 'delivered', 'failed'].includes(query.status) ? query.status : null,
+    beforeId: Number(query.before) || null,
+    limit: 100
+  };
+  const rows = dal.admin.listWebhookDeliveries(filters);
+  return {
+    filters,
+    deliveries: rows,
+    nextBeforeId: rows.length === filters.limit ? rows[rows.length - 1].delivery_id : null
+  };
+}
+
+async function tick() {
+  if (sweepInProgress) return;
+  sweepInProgress = true;
+  try {
+    const summary = await runWebhookSweep(new Date());
+    if (summary.retrying || summary.failed) {
+      console.log('[Webhooks] delivered %d, retrying %d, failed %d', summary.delivered, summary.retrying, summary.failed);
+    }
+  } catch (err) {
+    console.error('[Webhooks] Sweep failed:', err);
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+/** Start the delivery worker (WEBHOOK_INTERVAL_SECONDS, default 30). */
+function startWebhookWorker() {
+  if (timer) return timer;
+  const interval = Number(process.env.WEBHOOK_INTERVAL_SECONDS);
+  const seconds = Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_SECONDS;
+  timer = setInterval(tick, seconds * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  setImmediate(tick);
+  return timer;
+}
+
+function stopWebhookWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RETRY_DELAYS_MINUTES,
+  MAX_ATTEMPTS,
+  sign,
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  rotateSecret,
+  deleteEndpoint,
+  emit,
+  sendTest,
+  retryDelivery,
+  eventRef,
+  registrationData,
+  runWebhookSweep,
+  listDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};
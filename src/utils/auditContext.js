@@ -0,0 +1,38 @@
+// Request-scoped "who is doing this" for the audit log. The DAL's audit
+// triggers read the current actor through SQL functions registered on the
+// connection, so services never have to thread the actor through every call.
+// Work done outside a request (reminder worker, scripts) is logged as "system".
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const SYSTEM_ACTOR = Object.freeze({ type: 'system', label: 'system' });
+
+function getActor() {
+  return storage.getStore() || SYSTEM_ACTOR;
+}
+
+/** Run `fn` with `actor` ({ type, label }) recorded against any DB changes. */
+function runWithActor(actor, fn) {
+  return storage.run(actor || SYSTEM_ACTOR, fn);
+}
+
+/**
+ * Work out the actor for an incoming request: signed-in admins are identified
+ * by email, everything on the public side is a volunteer.
+ */
+function actorFromRequest(req) {
+  const url = String(req.originalUrl || req.url || '');
+  if (url.startsWith('/admin') && req.user && req.user.email) {
+    return { type: 'admin', label: String(req.user.email).toLowerCase() };
+  }
+  if (url.startsWith('/manage')) {
+    return { type: 'volunteer', label: 'volunteer via manage token' };
+  }
+  if (url.startsWith('/checkin')) {
+    return { type: 'volunteer', label: 'volunteer via station check-in' };
+  }
+  return { type: 'volunteer', label: 'volunteer via signup form' };
+}
+
+module.exports = { getActor, runWithActor, actorFromRequest, SYSTEM_ACTOR };
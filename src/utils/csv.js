@@ -0,0 +1,74 @@
+// Minimal CSV (RFC 4180) reader for admin imports. Handles quoted fields with
+// embedded commas, quotes, and newlines, CRLF or LF line endings, and a UTF-8
+// byte-order mark (Excel adds one). Our exports prefix cells that start with
+// = + - @ with an apostrophe so spreadsheets do not run them as formulas;
+// `unguardCell` strips that prefix again on the way back in.
+
+/** Parse CSV text into an array of rows (arrays of strings). Blank lines are dropped. */
+function parseCsv(text) {
+  const src = String(text == null ? '' : text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function unguardCell(value) {
+  const s = String(value == null ? '' : value);
+  return /^'[=+\-@]/.test(s) ? s.slice(1) : s;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by `columns` ({ key: header }
+ * or { key: [header, alias, ...] }, first match wins). Header matching ignores
+ * case and surrounding spaces; unknown columns are ignored. Each record
+ * carries its 1-based spreadsheet `line` for messages.
+ */
+function parseCsvRecords(text, columns) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { headers: [], records: [] };
+  const headers = rows[0].map(h => unguardCell(h).trim().toLowerCase());
+  const indexOf = {};
+  Object.keys(columns).forEach(key => {
+    const idx = [].concat(columns[key])
+      .map(name => headers.indexOf(String(name).toLowerCase()))
+      .find(i => i !== -1);
+    if (idx !== undefined) indexOf[key] = idx;
+  });
+  const records = rows.slice(1).map((cells, i) => {
+    const record = { line: i + 2 };
+    Object.keys(indexOf).forEach(key => {
+      record[key] = unguardCell(cells[indexOf[key]] || '').trim();
+    });
+    return record;
+  });
+  return { headers: Object.keys(indexOf), records };
+}
+
+module.exports = { parseCsv, parseCsvRecords, unguardCell };
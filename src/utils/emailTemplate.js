@@ -0,0 +1,95 @@
+// Placeholder rendering for admin-editable email templates. Templates use
+// `{{name}}` tokens (spaces inside the braces are allowed). Values are plain
+// text and are HTML-escaped when rendering an HTML body; a few placeholders
+// (lists and links) also have a ready-made HTML version for that case.
+
+const PLACEHOLDERS = {
+  registrant_name: 'Name of the person who signed up',
+  registrant_email: 'Their email address',
+  event_name: 'Event name',
+  event_dates: 'Event start and end',
+  assignments: 'Everyone in the group and what they signed up for',
+  waitlist: 'Waitlist spots held by the group (empty if none)',
+  location: 'Where to go, with directions (empty if no location is set)',
+  manage_url: 'Personal link to view or change the signup',
+  manage_links: 'Every manage link when one email has several signups',
+  calendar_url: 'Calendar feed link (empty for potluck events)',
+  support_name: 'Support contact name',
+  support_contact: 'Support email and phone',
+  org_name: 'Organization name'
+};
+
+const TOKEN_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** Placeholder names used in `text` that are not in PLACEHOLDERS. */
+function findUnknownPlaceholders(text) {
+  const unknown = new Set();
+  String(text || '').replace(TOKEN_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name.toLowerCase())) unknown.add(name);
+    return match;
+  });
+  return Array.from(unknown);
+}
+
+/**
+ * Replace placeholders in `text`. With `{ html: true }` values come from
+ * `htmlValues` when present and are escaped otherwise. Unknown tokens are
+ * left as written so a typo is visible in the result.
+ */
+function renderPlaceholders(text, values, { html = false, htmlValues = {} } = {}) {
+  return String(text || '').replace(TOKEN_PATTERN, (match, rawName) => {
+    const name = rawName.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name)) return match;
+    if (html && Object.prototype.hasOwnProperty.call(htmlValues, name)) return htmlValues[name];
+    const value = values[name] == null ? '' : String(values[name]);
+    return html ? escapeHtml(value) : value;
+  });
+}
+
+/**
+ * One line of a plain-text body as HTML. The text around placeholders is
+ * escaped like any value (it is plain text, not markup); only the HTML
+ * versions of placeholders are inserted as they are.
+ */
+function lineToHtml(line, values, htmlValues) {
+  let html = '';
+  let last = 0;
+  line.replace(TOKEN_PATTERN, (match, rawName, offset) => {
+    html += escapeHtml(line.slice(last, offset));
+    html += Object.prototype.hasOwnProperty.call(PLACEHOLDERS, rawName.toLowerCase())
+      ? renderPlaceholders(match, values, { html: true, htmlValues })
+      : escapeHtml(match);
+    last = offset + match.length;
+    return match;
+  });
+  return html + escapeHtml(line.slice(last));
+}
+
+/**
+ * HTML version of a plain-text body: blank lines split paragraphs and single
+ * newlines become line breaks. Placeholders get their HTML values.
+ */
+function textToHtml(text, values, htmlValues) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .trim()
+    .split(/\n{2,}/)
+    .map(para => `<div style="margin:0 0 16px; line-height:1.6;">${para.split('\n').map(line => lineToHtml(line, values, htmlValues)).join('<br />')}</div>`)
+    .join('\n');
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  findUnknownPlaceholders,
+  renderPlaceholders,
+  textToHtml
+};
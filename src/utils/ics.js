@@ -0,0 +1,88 @@
+// Minimal iCalendar (RFC 5545) writer for volunteer shifts. Block times are
+// stored as local wall-clock text ("YYYY-MM-DD HH:mm"), so events are emitted
+// as floating times: calendar apps show them at the same local time the
+// coordinator entered, which matches what the rest of the app displays.
+const { getBranding } = require('../config/branding');
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,');
+}
+
+// Lines longer than 75 octets must be folded with CRLF + a single space.
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, 'utf8');
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatLocal(txt) {
+  const m = String(txt || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/);
+  if (!m) return null;
+  return `${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}00`;
+}
+
+function formatUtc(date) {
+  return `${date.getUTCFullYear()}${pad2(date.getUTCMonth() + 1)}${pad2(date.getUTCDate())}T${pad2(date.getUTCHours())}${pad2(date.getUTCMinutes())}${pad2(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Build a VCALENDAR document. Each entry needs a stable `uid` so calendar apps
+ * update (rather than duplicate) an event when the feed is refreshed. Entries
+ * with unparseable times are skipped.
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+  const { orgName } = getBranding();
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(orgName || 'Volunteer App')}//Volunteer Signups//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  (events || []).forEach(evt => {
+    const start = formatLocal(evt.start);
+    const end = formatLocal(evt.end);
+    if (!start || !end) return;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${evt.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${start}`,
+      `DTEND:${end}`,
+      `SUMMARY:${escapeText(evt.summary)}`
+    );
+    if (evt.description) lines.push(`DESCRIPTION:${escapeText(evt.description)}`);
+    if (evt.location) lines.push(`LOCATION:${escapeText(evt.location)}`);
+    if (evt.url) lines.push(`URL:${evt.url}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, escapeText };
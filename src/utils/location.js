@@ -0,0 +1,85 @@
+// Structured locations: a place name, street address, room and free-text notes
+// (parking, which door, ...). Events and stations store the same four columns
+// prefixed with `location_`. A station only overrides the fields it sets; any
+// blank field falls back to the event's, so a big campus can keep one address
+// on the event and give each station its own room.
+
+const LOCATION_FIELDS = [
+  { key: 'name', label: 'Location name', max: 120 },
+  { key: 'address', label: 'Address', max: 300 },
+  { key: 'room', label: 'Room', max: 120 },
+  { key: 'notes', label: 'Location notes', max: 1000 }
+];
+const LOCATION_COLUMNS = LOCATION_FIELDS.map(f => `location_${f.key}`);
+
+function clean(value) {
+  return String(value == null ? '' : value).replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * Read a location from a row or form body: `location_name`, ... or, with a
+ * prefix, `station_location_name`, .... Missing values become ''.
+ */
+function locationFrom(row, prefix = '') {
+  const loc = {};
+  LOCATION_FIELDS.forEach(f => { loc[f.key] = clean(row && row[`${prefix}location_${f.key}`]); });
+  return loc;
+}
+
+/** Whether any of the location fields is set. */
+function hasLocation(loc) {
+  return !!loc && LOCATION_FIELDS.some(f => clean(loc[f.key]));
+}
+
+/** Why a location can't be saved (a field is too long), or null. */
+function locationProblem(loc) {
+  const long = LOCATION_FIELDS.find(f => clean(loc && loc[f.key]).length > f.max);
+  return long ? `${long.label} must be ${long.max} characters or fewer.` : null;
+}
+
+/** The DAL's column values for a location: location_name, ..., null when blank. */
+function locationColumns(loc) {
+  const cols = {};
+  LOCATION_FIELDS.forEach(f => { cols[`location_${f.key}`] = clean(loc && loc[f.key]) || null; });
+  return cols;
+}
+
+/** A station's effective location: its own fields, each falling back to the event's. */
+function mergeLocation(eventLoc, stationLoc) {
+  const loc = {};
+  LOCATION_FIELDS.forEach(f => {
+    loc[f.key] = clean(stationLoc && stationLoc[f.key]) || clean(eventLoc && eventLoc[f.key]);
+  });
+  return loc;
+}
+
+/**
+ * One line for emails, calendars and CSVs: "Name, Room, Address". Notes are
+ * left out; they are shown on their own line where there is room.
+ */
+function formatLocation(loc) {
+  if (!loc) return '';
+  return ['name', 'room', 'address']
+    .map(key => clean(loc[key]).replace(/\s*\n\s*/g, ', '))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/** A maps link for the address (or the place name when there is no address). */
+function directionsUrl(loc) {
+  const target = clean(loc && loc.address) || clean(loc && loc.name);
+  if (!target) return '';
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(target.replace(/\s*\n\s*/g, ', '))}`;
+}
+
+module.exports = {
+  LOCATION_FIELDS,
+  LOCATION_COLUMNS,
+  locationFrom,
+  hasLocation,
+  locationProblem,
+  locationColumns,
+  mergeLocation,
+  formatLocation,
+  directionsUrl
+};
@@ -0,0 +1,309 @@
+// Minimal QR Code (ISO/IEC 18004) encoder for station check-in posters. Only
+// what we need: byte-mode data, error correction level M, automatic version
+// (1–40) and mask selection. Output is an SVG string, so nothing leaves the
+// server and no third-party image service is involved.
+
+// Error correction level M, indexed by version (index 0 unused).
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const ECL_FORMAT_BITS = 0; // level M
+
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+function numRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(ver) {
+  return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ECC_BLOCKS[ver];
+}
+
+// --- Reed–Solomon over GF(2^8) with polynomial 0x11D -------------------------
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+}
+
+// --- Data encoding ------------------------------------------------------------
+
+function encodeData(bytes) {
+  let ver = 1;
+  for (; ver <= 40; ver++) {
+    const countBits = ver <= 9 ? 8 : 16;
+    if (bytes.length < (1 << countBits) && 4 + countBits + bytes.length * 8 <= numDataCodewords(ver) * 8) break;
+  }
+  if (ver > 40) throw new Error('Text is too long for a QR code.');
+
+  const bits = [];
+  const append = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  append(0x4, 4); // byte mode
+  append(bytes.length, ver <= 9 ? 8 : 16);
+  bytes.forEach(b => append(b, 8));
+  const capacityBits = numDataCodewords(ver) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return { ver, codewords };
+}
+
+function addEccAndInterleave(ver, data) {
+  const numBlocks = NUM_ECC_BLOCKS[ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = rsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte in short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// --- Matrix construction -------------------------------------------------------
+
+function alignmentPositions(ver, size) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function createMatrix(ver) {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = alignmentPositions(ver, size);
+  const last = align.length - 1;
+  align.forEach((ay, i) => {
+    align.forEach((ax, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  drawFormatBits(modules, isFunction, 0);
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+  return { size, modules, isFunction };
+}
+
+function drawFormatBits(modules, isFunction, mask) {
+  const size = modules.length;
+  const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+  const data = (ECL_FORMAT_BITS << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true); // always-dark module
+}
+
+function drawCodewords(matrix, data) {
+  const { size, modules, isFunction } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < data.length * 8) {
+          modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(matrix, mask) {
+  const { size, modules, isFunction } = matrix;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Standard penalty rules: runs, 2x2 boxes, finder-like patterns, dark balance.
+function penaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  const finderA = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0].join('');
+  const finderB = [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1].join('');
+  lines.forEach(line => {
+    let runColor = line[0];
+    let runLen = 1;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === runColor) {
+        runLen++;
+        continue;
+      }
+      if (runLen >= 5) score += 3 + (runLen - 5);
+      if (i < line.length) { runColor = line[i]; runLen = 1; }
+    }
+    const text = line.map(m => (m ? 1 : 0)).join('');
+    for (let i = 0; i + 11 <= text.length; i++) {
+      const slice = text.slice(i, i + 11);
+      if (slice === finderA || slice === finderB) score += 40;
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  score += Math.max(0, k) * 10;
+  return score;
+}
+
+/**
+ * Encode `text` (UTF-8) into a QR matrix. Returns `{ size, modules }` where
+ * `modules[y][x]` is true for dark squares.
+ */
+function encode(text) {
+  const { ver, codewords } = encodeData(Array.from(Buffer.from(String(text), 'utf8')));
+  const allCodewords = addEccAndInterleave(ver, codewords);
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const matrix = createMatrix(ver);
+    drawCodewords(matrix, allCodewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix.modules, matrix.isFunction, mask);
+    const score = penaltyScore(matrix.modules);
+    if (!best || score < best.score) best = { score, mask, matrix };
+  }
+  return { version: ver, mask: best.mask, size: best.matrix.size, modules: best.matrix.modules };
+}
+
+/** Render `text` as a standalone SVG with a quiet zone of `margin` modules. */
+function toSvg(text, { margin = 4, title } = {}) {
+  const { size, modules } = encode(text);
+  const dim = size + margin * 2;
+  const parts = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+    });
+  });
+  const label = title ? `<title>${String(title).replace(/[<>&"]/g, ch => `&#${ch.charCodeAt(0)};`)}</title>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges" role="img">${label}`
+    + `<rect width="${dim}" height="${dim}" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+}
+
+module.exports = { encode, toSvg };
@@ -0,0 +1,44 @@
+// Stable JSON shape for a registration, shared by the /api/v1 API and outgoing
+// webhooks so integrations see the same fields from both. Takes the result of
+// dal.public.getRegistrationDetailWithAssignments and drops internal columns
+// (token hashes, opt-out bookkeeping).
+
+function serializeRegistration(detail) {
+  if (!detail || !detail.registration) return null;
+  const { registration, participants, scheduleAssignments, potluckAssignments } = detail;
+  return {
+    registration_id: registration.registration_id,
+    event_id: registration.event_id,
+    registrant_name: registration.registrant_name,
+    registrant_email: registration.registrant_email,
+    registrant_phone: registration.registrant_phone || '',
+    email_opt_in: registration.email_opt_in == null ? true : !!registration.email_opt_in,
+    created_at: registration.created_at,
+    participants: (participants || []).map(p => ({
+      participant_id: p.participant_id,
+      name: p.participant_name,
+      shifts: (scheduleAssignments || [])
+        .filter(a => a.participant_id === p.participant_id)
+        .map(a => ({
+          assignment_id: a.assignment_id,
+          block_id: a.time_block_id,
+          station_id: a.station_id,
+          station_name: a.station_name,
+          start_time: a.start_time,
+          end_time: a.end_time
+        })),
+      items: (potluckAssignments || [])
+        .filter(a => a.participant_id === p.participant_id)
+        .map(a => ({
+          assignment_id: a.assignment_id,
+          block_id: a.item_id,
+          station_id: a.station_id,
+          station_name: a.station_name,
+          title: a.title || '',
+          dish_name: a.dish_name || ''
+        }))
+    }))
+  };
+}
+
+module.exports = { serializeRegistration };
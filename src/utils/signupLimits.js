@@ -0,0 +1,131 @@
+// Per-event signup limits: how many people one signup may include, how many
+// shifts each participant may (or must) take, how many hours of shifts they
+// may work in a day, and the rest they need between shifts. Every limit is
+// optional. Hours count towards the day a shift starts on. Times are the
+// usual local "YYYY-MM-DD HH:mm" text.
+//
+// public/js/main.js mirrors participantLimitProblem so the wizard can explain
+// a limit before the server refuses the signup.
+
+const LIMIT_FIELDS = [
+  { key: 'max_participants_per_registration', min: 1, max: 50, step: 1 },
+  { key: 'max_assignments_per_participant', min: 1, max: 50, step: 1 },
+  { key: 'min_assignments_per_participant', min: 1, max: 50, step: 1 },
+  { key: 'max_hours_per_day', min: 0.5, max: 24, step: 0.5 },
+  { key: 'min_rest_minutes', min: 1, max: 1440, step: 1 }
+];
+const LIMIT_KEYS = LIMIT_FIELDS.map(f => f.key);
+
+/** A limit value within its range and step, or null (blank, invalid, or unknown key). */
+function normalizeLimit(key, value) {
+  const field = LIMIT_FIELDS.find(f => f.key === key);
+  const raw = String(value == null ? '' : value).trim();
+  if (!field || !raw) return null;
+  const num = Number(raw);
+  if (!Number.isFinite(num) || num < field.min || num > field.max) return null;
+  return Number.isInteger(num / field.step) ? num : null;
+}
+
+/** Every limit of an event row or mapped event, null where unset. */
+function signupLimits(event) {
+  const limits = {};
+  LIMIT_FIELDS.forEach(f => { limits[f.key] = normalizeLimit(f.key, event && event[f.key]); });
+  return limits;
+}
+
+function hasSignupLimits(limits) {
+  return LIMIT_KEYS.some(key => limits && limits[key] != null);
+}
+
+function plural(n, unit) {
+  return `${n} ${unit}${n === 1 ? '' : 's'}`;
+}
+
+function formatMinutes(minutes) {
+  return minutes >= 60 && minutes % 60 === 0 ? plural(minutes / 60, 'hour') : plural(minutes, 'minute');
+}
+
+function formatHours(hours) {
+  return plural(Math.round(hours * 100) / 100, 'hour');
+}
+
+/** Short sentences for the public event page, one per limit that is set. */
+function describeLimits(limits) {
+  const lines = [];
+  const maxPeople = limits.max_participants_per_registration;
+  const min = limits.min_assignments_per_participant;
+  const max = limits.max_assignments_per_participant;
+  if (maxPeople) lines.push(`Up to ${maxPeople} ${maxPeople === 1 ? 'person' : 'people'} per signup.`);
+  if (min && max) {
+    lines.push(min === max ? `Each participant takes ${plural(min, 'shift')}.` : `Each participant takes ${min} to ${max} shifts.`);
+  } else if (max) {
+    lines.push(`Each participant can take up to ${plural(max, 'shift')}.`);
+  } else if (min) {
+    lines.push(`Each participant takes at least ${plural(min, 'shift')}.`);
+  }
+  if (limits.max_hours_per_day) lines.push(`No more than ${formatHours(limits.max_hours_per_day)} of shifts per person per day.`);
+  if (limits.min_rest_minutes) lines.push(`At least ${formatMinutes(limits.min_rest_minutes)} between a person's shifts.`);
+  return lines;
+}
+
+/** Why `count` people is too many for one signup, or null. */
+function partySizeProblem(limits, count) {
+  const max = limits.max_participants_per_registration;
+  if (!max || count <= max) return null;
+  return `Each signup can include at most ${max} ${max === 1 ? 'person' : 'people'}.`;
+}
+
+function parseLocal(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(String(text || ''));
+  return m ? new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) : null;
+}
+
+/**
+ * Why one participant's shifts ({ start_time, end_time }) break the limits,
+ * or null. The minimum only applies with `checkMinimum` (once the selection
+ * is final) and never to a participant with no shifts at all. Hours and rest
+ * are skipped unless `timed`, since potluck items have no real times.
+ */
+function participantLimitProblem(limits, name, shifts, { checkMinimum = false, timed = true } = {}) {
+  const who = name || 'This participant';
+  const count = shifts.length;
+  const max = limits.max_assignments_per_participant;
+  const min = limits.min_assignments_per_participant;
+  if (max && count > max) return `${who} can take at most ${plural(max, 'shift')}.`;
+  if (checkMinimum && min && count > 0 && count < min) return `${who} needs at least ${plural(min, 'shift')} (or none).`;
+  if (!timed) return null;
+
+  const ranges = shifts
+    .map(s => ({ start_time: String(s.start_time || ''), start: parseLocal(s.start_time), end: parseLocal(s.end_time) }))
+    .filter(r => r.start && r.end && r.end > r.start)
+    .sort((a, b) => a.start - b.start);
+  const maxHours = limits.max_hours_per_day;
+  if (maxHours) {
+    const perDay = new Map();
+    ranges.forEach(r => {
+      const day = r.start_time.slice(0, 10);
+      perDay.set(day, (perDay.get(day) || 0) + (r.end - r.start) / 3600000);
+    });
+    const over = Array.from(perDay.values()).find(hours => hours > maxHours);
+    if (over) return `${who} would have ${formatHours(over)} of shifts in one day; the limit is ${formatHours(maxHours)}.`;
+  }
+  const rest = limits.min_rest_minutes;
+  if (rest) {
+    for (let i = 1; i < ranges.length; i++) {
+      const gap = (ranges[i].start - ranges[i - 1].end) / 60000;
+      if (gap >= 0 && gap < rest) return `${who} needs at least ${formatMinutes(rest)} between shifts.`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  LIMIT_KEYS,
+  normalizeLimit,
+  signupLimits,
+  hasSignupLimits,
+  describeLimits,
+  partySizeProblem,
+  participantLimitProblem
+};
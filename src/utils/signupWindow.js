@@ -0,0 +1,87 @@
+// Signup windows and scheduled publishing. An event may set when signups open
+// and close, and when it should be published or unpublished on its own. Like
+// event dates these are local "YYYY-MM-DD HH:mm" text, so the current time is
+// converted to the same form and compared as text.
+//
+// The change lock-out is the same idea per shift: `change_lockout_hours`
+// before a block starts, the manage link can no longer drop or move it.
+
+const SCHEDULE_FIELDS = ['signups_open_at', 'signups_close_at', 'publish_at', 'unpublish_at'];
+const MAX_LOCKOUT_HOURS = 168;
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toLocalText(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+/** Canonical text for a stored or submitted time, or null when blank/invalid. */
+function canonicalTime(value) {
+  const m = String(value || '').trim().replace('T', ' ').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})/);
+  return m ? `${m[1]} ${m[2]}` : null;
+}
+
+function parseLocal(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/.exec(text || '');
+  return m ? new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) : null;
+}
+
+/**
+ * Where an event's signup window stands at `now`: 'upcoming' before it opens,
+ * 'closed' once it has closed, otherwise 'open'. Events without a window are
+ * always open.
+ */
+function signupWindow(event, now = new Date()) {
+  const opensAt = canonicalTime(event && event.signups_open_at);
+  const closesAt = canonicalTime(event && event.signups_close_at);
+  const nowTxt = toLocalText(now);
+  let status = 'open';
+  if (opensAt && nowTxt < opensAt) status = 'upcoming';
+  else if (closesAt && nowTxt >= closesAt) status = 'closed';
+  return { status, opens_at: opensAt, closes_at: closesAt };
+}
+
+/** "3 days", "5 hours", "20 minutes": roughly how long until `text`. */
+function timeUntil(text, now = new Date()) {
+  const target = parseLocal(canonicalTime(text));
+  if (!target) return '';
+  const minutes = Math.max(0, Math.round((target.getTime() - now.getTime()) / 60000));
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if (minutes >= 2 * 24 * 60) return plural(Math.floor(minutes / (24 * 60)), 'day');
+  if (minutes >= 120) return plural(Math.floor(minutes / 60), 'hour');
+  if (minutes >= 1) return plural(minutes, 'minute');
+  return 'less than a minute';
+}
+
+/** Whole hours between 1 and MAX_LOCKOUT_HOURS, or null (no lock-out). */
+function normalizeLockoutHours(value) {
+  const hours = Number(value);
+  return Number.isInteger(hours) && hours >= 1 && hours <= MAX_LOCKOUT_HOURS ? hours : null;
+}
+
+/** When changes to a shift starting at `startTime` lock, or null if they never do. */
+function changeLockedAt(startTime, hours) {
+  const start = parseLocal(canonicalTime(startTime));
+  const lockout = normalizeLockoutHours(hours);
+  if (!start || !lockout) return null;
+  return toLocalText(new Date(start.getTime() - lockout * 60 * 60 * 1000));
+}
+
+function isChangeLocked(event, startTime, now = new Date()) {
+  const lockedAt = changeLockedAt(startTime, event && event.change_lockout_hours);
+  return !!lockedAt && toLocalText(now) >= lockedAt;
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  MAX_LOCKOUT_HOURS,
+  normalizeLockoutHours,
+  changeLockedAt,
+  isChangeLocked,
+  toLocalText,
+  canonicalTime,
+  signupWindow,
+  timeUntil
+};
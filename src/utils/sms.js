@@ -0,0 +1,158 @@
+// SMS counterpart to mailer.js. The rest of the app calls `sendSms` and never
+// deals with a gateway directly; SMS_PROVIDER picks the provider:
+//
+//   (unset) / none – texting is switched off and the opt-in is hidden
+//   console        – print each text to stdout (local development)
+//   file           – append one JSON line per text to SMS_FILE_PATH
+//   twilio         – Twilio REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM)
+//
+// Other gateways plug in with `registerSmsProvider(name, factory)`. A provider
+// is `{ send({ to, from, body }) }` and may also override how inbound
+// webhooks are verified, parsed and answered (see DEFAULT_INBOUND).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Best-effort E.164 form of a phone number typed by a volunteer. Ten-digit
+ * numbers get SMS_DEFAULT_COUNTRY_CODE (default 1). Returns '' when the
+ * value cannot be a mobile number.
+ */
+function normalizePhone(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return '';
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : '';
+  if (raw.startsWith('00')) return digits.length >= 10 && digits.length <= 17 ? `+${digits.slice(2)}` : '';
+  const country = String(process.env.SMS_DEFAULT_COUNTRY_CODE || '1').replace(/\D/g, '') || '1';
+  if (digits.length === 10) return `+${country}${digits}`;
+  if (digits.length === 11 && digits.startsWith(country)) return `+${digits}`;
+  return '';
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+// Inbound behaviour shared by providers that do not override it: the gateway
+// posts `From`/`Body` (or `from`/`text`) to /sms/inbound?token=SMS_INBOUND_TOKEN.
+const DEFAULT_INBOUND = {
+  verifyInbound(req) {
+    const expected = process.env.SMS_INBOUND_TOKEN;
+    if (!expected) return false;
+    return safeEqual((req.query && req.query.token) || req.get('x-sms-token'), expected);
+  },
+  parseInbound(req) {
+    const body = req.body || {};
+    return {
+      from: body.From || body.from || body.msisdn || '',
+      text: body.Body || body.body || body.text || ''
+    };
+  },
+  replyInbound(res, reply) {
+    res.json({ ok: true, reply: reply || null });
+  }
+};
+
+registerSmsProvider('console', () => ({
+  async send({ to, from, body }) {
+    console.log('SMS (console provider) to %s from %s:\n%s', to, from || '-', body);
+    return { id: null };
+  }
+}));
+
+registerSmsProvider('file', () => {
+  const filePath = process.env.SMS_FILE_PATH || path.join(process.cwd(), 'sms-outbox.log');
+  return {
+    async send({ to, from, body }) {
+      const line = JSON.stringify({ at: new Date().toISOString(), to, from: from || null, body });
+      await fs.promises.appendFile(filePath, line + '\n', 'utf8');
+      return { id: null };
+    }
+  };
+});
+
+registerSmsProvider('twilio', () => {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !authToken) throw new Error('SMS_PROVIDER=twilio needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN.');
+  return {
+    async send({ to, from, body }) {
+      const params = new URLSearchParams({ To: to, From: from || '', Body: body });
+      const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: 'Basic ' + Buffer.from(`${sid}:${authToken}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params,
+        signal: AbortSignal.timeout(10000)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(`Twilio responded ${res.status}: ${data.message || 'send failed'}`);
+      return { id: data.sid || null };
+    },
+    // X-Twilio-Signature: base64 HMAC-SHA1 of the public URL followed by the
+    // sorted POST parameters, keyed with the auth token.
+    verifyInbound(req) {
+      const base = String(process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+      const body = req.body || {};
+      const data = Object.keys(body).sort().reduce((acc, key) => acc + key + body[key], base + req.originalUrl);
+      const expected = crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+      return safeEqual(req.get('x-twilio-signature'), expected) || DEFAULT_INBOUND.verifyInbound(req);
+    },
+    replyInbound(res, reply) {
+      const escaped = String(reply || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      res.type('text/xml').send(reply
+        ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escaped}</Message></Response>`
+        : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    }
+  };
+});
+
+/** Add (or replace) a provider. `factory()` is called once, on first use. */
+function registerSmsProvider(name, factory) {
+  const key = String(name).toLowerCase();
+  factories.set(key, factory);
+  instances.delete(key);
+}
+
+function providerName() {
+  return String(process.env.SMS_PROVIDER || 'none').trim().toLowerCase();
+}
+
+function isSmsEnabled() {
+  const name = providerName();
+  return name !== 'none' && name !== '' && factories.has(name);
+}
+
+/** The configured provider with the inbound defaults filled in, or null when SMS is off. */
+function getSmsProvider() {
+  const name = providerName();
+  if (!isSmsEnabled()) return null;
+  if (!instances.has(name)) {
+    instances.set(name, { name, ...DEFAULT_INBOUND, ...factories.get(name)() });
+  }
+  return instances.get(name);
+}
+
+async function sendSms({ to, body, from }) {
+  const provider = getSmsProvider();
+  if (!provider) throw new Error('SMS is not configured (SMS_PROVIDER).');
+  const number = normalizePhone(to);
+  if (!number) throw new Error('Not a valid mobile number.');
+  return provider.send({ to: number, from: from || process.env.SMS_FROM || '', body: String(body || '') });
+}
+
+module.exports = {
+  normalizePhone,
+  registerSmsProvider,
+  isSmsEnabled,
+  getSmsProvider,
+  sendSms
+};
@@ -0,0 +1,103 @@
+// Station requirements (minimum age, required qualifications) and the matching
+// participant declarations. Participants pick an age bracket rather than a
+// birth date, so a bracket counts as its lowest age: "16–17" meets a minimum
+// of 16 but not 18. Qualifications are free text ("Background check",
+// "Food handler card") stored one per line and compared case-insensitively.
+
+const AGE_BRACKETS = [
+  { key: 'under_13', label: 'Under 13', minAge: 0 },
+  { key: '13_15', label: '13–15', minAge: 13 },
+  { key: '16_17', label: '16–17', minAge: 16 },
+  { key: '18_20', label: '18–20', minAge: 18 },
+  { key: '21_plus', label: '21 or older', minAge: 21 }
+];
+
+// Minimum ages an admin can choose for a station; each lines up with a bracket.
+const MIN_AGE_OPTIONS = [13, 16, 18, 21];
+
+const MAX_QUALIFICATIONS = 20;
+const MAX_QUALIFICATION_LENGTH = 80;
+
+function normalizeAgeBracket(value) {
+  const key = String(value || '').trim();
+  return AGE_BRACKETS.some(b => b.key === key) ? key : null;
+}
+
+function ageBracketLabel(key) {
+  const bracket = AGE_BRACKETS.find(b => b.key === key);
+  return bracket ? bracket.label : '';
+}
+
+function normalizeMinAge(value) {
+  const age = Number(value);
+  return MIN_AGE_OPTIONS.includes(age) ? age : null;
+}
+
+/** Accepts an array, or text with one qualification per line (commas also split). */
+function parseQualifications(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  const seen = new Set();
+  const out = [];
+  raw.forEach(item => {
+    const text = String(item == null ? '' : item).replace(/\s+/g, ' ').trim().slice(0, MAX_QUALIFICATION_LENGTH);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key) || out.length >= MAX_QUALIFICATIONS) return;
+    seen.add(key);
+    out.push(text);
+  });
+  return out;
+}
+
+function serializeQualifications(value) {
+  const list = parseQualifications(value);
+  return list.length ? list.join('\n') : null;
+}
+
+/** { minAge, qualifications } for a station row or mapped station object. */
+function stationRequirements(station) {
+  if (!station) return { minAge: null, qualifications: [] };
+  const minAge = station.min_age != null ? station.min_age : station.station_min_age;
+  const quals = station.required_qualifications != null
+    ? station.required_qualifications
+    : station.station_required_qualifications;
+  return { minAge: normalizeMinAge(minAge), qualifications: parseQualifications(quals) };
+}
+
+function hasRequirements(station) {
+  const req = stationRequirements(station);
+  return Boolean(req.minAge || req.qualifications.length);
+}
+
+/**
+ * What a participant is missing for a station, as short readable strings
+ * (empty when they qualify). An undeclared age bracket never meets a minimum.
+ */
+function unmetRequirements(station, participant) {
+  const req = stationRequirements(station);
+  const unmet = [];
+  const p = participant || {};
+  if (req.minAge) {
+    const bracket = AGE_BRACKETS.find(b => b.key === normalizeAgeBracket(p.age_bracket));
+    if (!bracket || bracket.minAge < req.minAge) unmet.push(`age ${req.minAge}+`);
+  }
+  if (req.qualifications.length) {
+    const held = new Set(parseQualifications(p.qualifications).map(q => q.toLowerCase()));
+    req.qualifications.forEach(q => {
+      if (!held.has(q.toLowerCase())) unmet.push(q);
+    });
+  }
+  return unmet;
+}
+
+module.exports = {
+  AGE_BRACKETS,
+  MIN_AGE_OPTIONS,
+  normalizeAgeBracket,
+  ageBracketLabel,
+  normalizeMinAge,
+  parseQualifications,
+  serializeQualifications,
+  stationRequirements,
+  hasRequirements,
+  unmetRequirements
+};
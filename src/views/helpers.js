@@ -1,6 +1,8 @@
 // Small view helpers for formatting dates and rich text used by EJS templates.
 // Keep pure JS and minimal dependencies so templates remain fast and safe.
 
+const { formatLocation, directionsUrl } = require('../utils/location');
+
 function escapeHtml(str) {
   return String(str || '')
     .replace(/&/g, '&amp;')
@@ -134,4 +136,4 @@ function renderRichText(input) {
   return out.join('');
 }
 
-module.exports = { fmt12, canonicalLocal, fmtRange, renderRichText, escapeHtml };
+module.exports = { fmt12, canonicalLocal, fmtRange, renderRichText, escapeHtml, formatLocation, directionsUrl };
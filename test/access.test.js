@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.ADMIN_OWNER_EMAILS = 'boss@example.org';
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+const dal = require('../src/db/dal');
+const accessService = require('../src/services/accessService');
+const { requireRole, requireEventAccess } = require('../src/middleware/authMiddleware');
+
+// Run a middleware with a fake request; resolves to the error passed to next (or null).
+function runMiddleware(mw, user, params = {}) {
+  return new Promise(resolve => {
+    const req = { user, params };
+    const res = { locals: {} };
+    mw(req, res, (err) => resolve(err || null));
+  });
+}
+
+async function run() {
+  // Unknown accounts are refused; configured owners are provisioned on first login.
+  assert.strictEqual(accessService.resolveAdminLogin('stranger@example.org', 'Stranger'), null);
+  const owner = accessService.resolveAdminLogin('Boss@Example.org', 'Boss');
+  assert.strictEqual(owner.role, 'owner');
+
+  const eventA = dal.admin.createEvent('A', '', '2030-01-01 09:00', '2030-01-01 10:00', 'schedule').lastInsertRowid;
+  const eventB = dal.admin.createEvent('B', '', '2030-01-02 09:00', '2030-01-02 10:00', 'schedule').lastInsertRowid;
+  const stationB = dal.admin.createStation(eventB, 'Desk', '', '').lastInsertRowid;
+  const blockB = dal.admin.createTimeBlock(stationB, '2030-01-02 09:00', '2030-01-02 10:00', 1).lastInsertRowid;
+
+  const coordId = accessService.addAdminUser({ email: 'coord@example.org', role: 'coordinator' });
+  accessService.addAdminUser({ email: 'view@example.org', role: 'viewer' });
+  accessService.updateAdminUser(coordId, { role: 'coordinator', event_ids: [String(eventB)] });
+  assert.throws(() => accessService.addAdminUser({ email: 'coord@example.org', role: 'viewer' }), /already has access/);
+
+  const coord = { email: 'coord@example.org' };
+  const viewer = { email: 'view@example.org' };
+  const boss = { email: 'boss@example.org' };
+
+  // Viewers read but cannot edit or create
+  assert.strictEqual(await runMiddleware(requireRole('viewer'), viewer), null);
+  assert.strictEqual((await runMiddleware(requireRole('coordinator'), viewer)).status, 403);
+  assert.strictEqual((await runMiddleware(requireEventAccess('event', 'eventId'), viewer, { eventId: eventB })).status, 403);
+
+  // Coordinators edit only their events, resolved through stations and blocks too
+  assert.strictEqual(await runMiddleware(requireEventAccess('event', 'eventId'), coord, { eventId: eventB }), null);
+  assert.strictEqual(await runMiddleware(requireEventAccess('block', 'blockId'), coord, { blockId: blockB }), null);
+  assert.strictEqual(await runMiddleware(requireEventAccess('station', 'stationId'), coord, { stationId: stationB }), null);
+  assert.strictEqual((await runMiddleware(requireEventAccess('event', 'eventId'), coord, { eventId: eventA })).status, 403);
+  assert.strictEqual((await runMiddleware(requireRole('owner'), coord)).status, 403);
+
+  // Creating an event hands it to the coordinator who made it
+  const coordAccess = accessService.getAccessForUser(coord);
+  accessService.grantCreatorAccess(coordAccess, eventA);
+  assert.strictEqual(await runMiddleware(requireEventAccess('event', 'eventId'), coord, { eventId: eventA }), null);
+
+  // Owners can do everything; removed accounts lose access immediately
+  assert.strictEqual(await runMiddleware(requireRole('owner'), boss), null);
+  assert.strictEqual(await runMiddleware(requireEventAccess('event', 'eventId'), boss, { eventId: eventA }), null);
+  accessService.removeAdminUser(coordId, accessService.getAccessForUser(boss));
+  assert.strictEqual((await runMiddleware(requireRole('viewer'), coord)).status, 403);
+
+  // The last owner cannot be demoted or removed
+  const ownerAccess = accessService.getAccessForUser(boss);
+  assert.throws(() => accessService.updateAdminUser(ownerAccess.admin_user_id, { role: 'viewer' }), /at least one owner/);
+  assert.throws(() => accessService.removeAdminUser(ownerAccess.admin_user_id, ownerAccess), /your own access/);
+
+  console.log('access tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
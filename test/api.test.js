@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const express = require('express');
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const publicService = require('../src/services/publicService');
+const apiService = require('../src/services/apiService');
+const apiRoutes = require('../src/routes/apiRoutes');
+
+async function run() {
+  // Tokens: stored hashed, scoped, revocable
+  assert.throws(() => apiService.createApiToken({ name: '' }), err => err.status === 400);
+  assert.throws(() => apiService.createApiToken({ name: 'x', scope: 'admin' }), err => err.status === 400);
+  const reader = apiService.createApiToken({ name: 'ChMS sync', scope: 'read' }, 'owner@example.org');
+  const writer = apiService.createApiToken({ name: 'Builder', scope: 'write' }, 'owner@example.org');
+  const revoked = apiService.createApiToken({ name: 'Old', scope: 'write' }, 'owner@example.org');
+  apiService.revokeApiToken(revoked.api_token_id);
+  assert.throws(() => apiService.revokeApiToken(revoked.api_token_id), err => err.status === 404);
+  const stored = db.prepare('SELECT token_hash, token_prefix FROM api_tokens WHERE api_token_id = ?').get(reader.api_token_id);
+  assert.notStrictEqual(stored.token_hash, reader.token);
+  assert(!JSON.stringify(db.prepare('SELECT * FROM api_tokens').all()).includes(reader.token));
+  assert(reader.token.startsWith(stored.token_prefix));
+
+  const eventId = dal.admin.createEvent('Food Drive', 'Sort donations', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Sorting', 'Back room', 'Check dates').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-09-01 09:00', '2030-09-01 11:00', 3).lastInsertRowid;
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com', phone: '555-0100' },
+    participants: ['Ann', 'Bo'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }, { blockId, participantIndex: 1 }]
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', apiRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  const call = async (method, url, token, body) => {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(base + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  };
+
+  try {
+    // Authentication and scopes
+    assert.strictEqual((await call('GET', '/events')).status, 401);
+    assert.strictEqual((await call('GET', '/events', 'vsu_nope')).status, 401);
+    assert.strictEqual((await call('GET', '/events', revoked.token)).status, 401);
+    const denied = await call('POST', '/events', reader.token, { name: 'x' });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.ok, false);
+
+    const list = await call('GET', '/events', reader.token);
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.data.map(e => e.name), ['Food Drive']);
+    assert(dal.admin.listApiTokens().find(t => t.api_token_id === reader.api_token_id).last_used_at);
+
+    const detail = await call('GET', `/events/${eventId}`, reader.token);
+    assert.strictEqual(detail.body.data.stations[0].name, 'Sorting');
+    assert.strictEqual(detail.body.data.stations[0].blocks[0].reserved_count, 2);
+    assert.strictEqual((await call('GET', '/events/9999', reader.token)).status, 404);
+
+    const regs = await call('GET', `/events/${eventId}/registrations`, reader.token);
+    assert.strictEqual(regs.body.data.length, 1);
+    assert.strictEqual(regs.body.data[0].registrant_email, 'ann@example.com');
+    assert.deepStrictEqual(regs.body.data[0].participants.map(p => [p.name, p.shifts[0].block_id]), [['Ann', blockId], ['Bo', blockId]]);
+    assert(!('manage_token_hash' in regs.body.data[0]));
+
+    const needs = await call('GET', `/events/${eventId}/open-needs`, reader.token);
+    assert.deepStrictEqual(needs.body.data.map(n => [n.block_id, n.open_slots]), [[blockId, 1]]);
+
+    // Writes go through the same validation as the admin pages
+    const bad = await call('POST', '/events', writer.token, { name: 'Bad', date_start: '2030-10-01 12:00', date_end: '2030-10-01 09:00' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.error, 'Event end must be after start.');
+
+    const created = await call('POST', '/events', writer.token, { name: 'Cleanup', date_start: '2030-10-01 09:00', date_end: '2030-10-01 12:00' });
+    assert.strictEqual(created.status, 201);
+    const newEventId = created.body.data.event_id;
+    assert.strictEqual(created.body.data.publish_state, 'draft');
+
+    const station = await call('POST', `/events/${newEventId}/stations`, writer.token, { name: 'Litter', duties: 'Gloves provided' });
+    assert.strictEqual(station.status, 201);
+    const newStationId = station.body.data.station_id;
+    const renamed = await call('PATCH', `/stations/${newStationId}`, writer.token, { name: 'Litter pickup' });
+    assert.strictEqual(renamed.body.data.name, 'Litter pickup');
+    assert.strictEqual(renamed.body.data.duties, 'Gloves provided');
+
+    const block = await call('POST', `/stations/${newStationId}/blocks`, writer.token, { start_time: '2030-10-01 09:00', end_time: '2030-10-01 10:30', capacity_needed: 4 });
+    assert.strictEqual(block.status, 201);
+    const patched = await call('PATCH', `/blocks/${block.body.data.block_id}`, writer.token, { capacity_needed: 6 });
+    assert.strictEqual(patched.body.data.capacity_needed, 6);
+
+    const published = await call('POST', `/events/${newEventId}/publish`, writer.token, { publish_state: 'published' });
+    assert.strictEqual(published.body.data.publish_state, 'published');
+
+    assert.strictEqual((await call('DELETE', `/blocks/${block.body.data.block_id}`, writer.token)).status, 204);
+    assert.strictEqual((await call('GET', `/blocks/${block.body.data.block_id}`, reader.token)).status, 404);
+    assert.strictEqual((await call('GET', '/nothing-here', reader.token)).status, 404);
+
+    // API changes are attributed to the token in the audit log
+    const actors = dal.admin.listAuditActors(newEventId).map(a => a.actor);
+    assert.deepStrictEqual(actors, ['api token: Builder']);
+  } finally {
+    server.close();
+  }
+
+  console.log('api tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
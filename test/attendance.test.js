@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+
+async function run() {
+  const eventId = dal.admin.createEvent('Check-in Event', '', '2030-07-01 09:00', '2030-07-01 17:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Parking', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-07-01 09:00', '2030-07-01 11:00', 3).lastInsertRowid;
+
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann', 'Bo'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }, { blockId, participantIndex: 1 }]
+  });
+
+  let checkIn = adminService.getEventCheckIn(eventId);
+  assert.deepStrictEqual(checkIn.totals, { assigned: 2, present: 0, late: 0, no_show: 0, unmarked: 2 });
+  const [ann, bo] = checkIn.event.stations[0].time_blocks[0].reservations;
+  assert.strictEqual(ann.name, 'Ann');
+
+  adminService.setReservationAttendance(ann.reservation_id, 'present', 'lead@example.org');
+  adminService.setReservationAttendance(bo.reservation_id, 'no_show', 'lead@example.org');
+  checkIn = adminService.getEventCheckIn(eventId);
+  assert.strictEqual(checkIn.totals.present, 1);
+  assert.strictEqual(checkIn.totals.no_show, 1);
+  assert.strictEqual(checkIn.totals.unmarked, 0);
+
+  // Empty status clears the mark
+  const cleared = adminService.setReservationAttendance(bo.reservation_id, '', 'lead@example.org');
+  assert.strictEqual(cleared.attendance_status, null);
+  assert.strictEqual(adminService.getEventCheckIn(eventId).totals.unmarked, 1);
+
+  assert.throws(() => adminService.setReservationAttendance(ann.reservation_id, 'maybe'), err => err.status === 400);
+
+  // Roster export carries the attendance columns
+  const { rows } = adminService.getEventRosterForExport(eventId);
+  const annRow = rows.find(r => r.volunteer_name === 'Ann');
+  assert.strictEqual(annRow.attendance, 'Present');
+  assert(annRow.attendance_marked_at);
+  assert.strictEqual(rows.find(r => r.volunteer_name === 'Bo').attendance, '');
+
+  console.log('attendance tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const auditService = require('../src/services/auditService');
+const auditContext = require('../src/utils/auditContext');
+
+const admin = { type: 'admin', label: 'coord@example.org' };
+const volunteer = auditContext.actorFromRequest({ originalUrl: '/manage/abc' });
+
+async function run() {
+  const { eventId, blockId } = auditContext.runWithActor(admin, () => {
+    const id = dal.admin.createEvent('Audit Event', '', '2030-06-01 09:00', '2030-06-01 17:00', 'schedule').lastInsertRowid;
+    const stationId = dal.admin.createStation(id, 'Greeters', '', '').lastInsertRowid;
+    const block = dal.admin.createTimeBlock(stationId, '2030-06-01 09:00', '2030-06-01 11:00', 2).lastInsertRowid;
+    adminService.updateEvent(id, { name: 'Audit Event (renamed)', date_start: '2030-06-01 09:00', date_end: '2030-06-01 17:00' });
+    return { eventId: id, blockId: block };
+  });
+
+  // Signup outside any request context is attributed to "system"
+  const signup = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+
+  // Ann cancels through her manage link
+  await auditContext.runWithActor(volunteer, () => publicService.updateVolunteerSignup(signup.token, [], []));
+
+  const history = auditService.getEventHistory(eventId);
+  const rename = history.entries.find(e => e.entity_type === 'event' && e.action === 'update');
+  assert(rename, 'event rename should be logged');
+  assert.strictEqual(rename.actor, 'coord@example.org');
+  assert.deepStrictEqual(rename.changes.map(c => c.field), ['name']);
+  assert.strictEqual(rename.changes[0].before, 'Audit Event');
+
+  const created = history.entries.find(e => e.entity_type === 'reservation' && e.action === 'create');
+  assert(created, 'reservation create should be logged');
+  assert.strictEqual(created.actor_type, 'system');
+  assert(created.description.includes('Ann'));
+
+  const removed = history.entries.find(e => e.entity_type === 'reservation' && e.action === 'delete');
+  assert(removed, 'reservation delete should be logged');
+  assert.strictEqual(removed.actor, 'volunteer via manage token');
+  assert.strictEqual(removed.values.time_block_id, blockId);
+
+  // Token rotation alone is not a change worth logging
+  const regUpdates = history.entries.filter(e => e.entity_type === 'registration' && e.action === 'update');
+  assert.strictEqual(regUpdates.length, 0);
+
+  // Filters
+  const byVolunteer = auditService.getEventHistory(eventId, { actor: 'volunteer via manage token' });
+  assert(byVolunteer.entries.length > 0);
+  assert(byVolunteer.entries.every(e => e.actor === 'volunteer via manage token'));
+  const stationsOnly = auditService.getEventHistory(eventId, { entity: 'station', action: 'create' });
+  assert.strictEqual(stationsOnly.entries.length, 1);
+  assert.strictEqual(stationsOnly.entries[0].description, 'Greeters');
+  assert(history.actors.some(a => a.actor === 'coord@example.org'));
+
+  console.log('audit log tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
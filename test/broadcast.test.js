@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load).
+const sent = [];
+let failNext = false;
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  if (failNext) { failNext = false; throw new Error('SMTP down'); }
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const broadcastService = require('../src/services/broadcastService');
+
+async function signup(eventId, name, email, scheduleAssignments, potluckAssignments) {
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name, email },
+    participants: [name],
+    scheduleAssignments: (scheduleAssignments || []).map(blockId => ({ blockId, participantIndex: 0 })),
+    potluckAssignments: (potluckAssignments || []).map(itemId => ({ itemId, participantIndex: 0, dishName: 'Dish' }))
+  });
+  return dal.public.findRegistrationByEmail(eventId, email).registration_id;
+}
+
+async function run() {
+  const eventId = dal.admin.createEvent('Food Drive', '', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const sorting = dal.admin.createStation(eventId, 'Sorting', '', '').lastInsertRowid;
+  const early = dal.admin.createTimeBlock(sorting, '2030-09-01 09:00', '2030-09-01 11:00', 3).lastInsertRowid;
+  const late = dal.admin.createTimeBlock(sorting, '2030-09-01 11:00', '2030-09-01 13:00', 3).lastInsertRowid;
+  const desk = dal.admin.createStation(eventId, 'Front desk', '', '').lastInsertRowid;
+  const deskBlock = dal.admin.createTimeBlock(desk, '2030-09-01 09:00', '2030-09-01 13:00', 2).lastInsertRowid;
+
+  await signup(eventId, 'Ann', 'ann@example.com', [early]);
+  await signup(eventId, 'Bo', 'bo@example.com', [late]);
+  const cyId = await signup(eventId, 'Cy', 'cy@example.com', [deskBlock]);
+  const deeId = await signup(eventId, 'Dee', 'dee@example.com', [early]);
+  dal.public.setRegistrationEmailPreference(deeId, { optIn: false, reason: 'too many emails' });
+  const annSignupToken = sent.find(m => m.to === 'ann@example.com').text.match(/\/manage\/([a-f0-9]{48})/)[1];
+  sent.length = 0;
+
+  // Validation happens before anything is stored
+  assert.throws(() => broadcastService.queueBroadcast(eventId, { audience: 'all', subject: '', body: 'x' }), err => err.status === 400);
+  assert.throws(() => broadcastService.queueBroadcast(eventId, { audience: 'station', target_id: 9999, subject: 'Hi', body: 'x' }), err => err.status === 400);
+  assert.throws(() => broadcastService.queueBroadcast(eventId, { audience: 'unfilled', subject: 'Hi', body: 'x' }), err => /potluck/.test(err.message));
+  assert.throws(() => broadcastService.queueBroadcast(9999, { audience: 'all', subject: 'Hi', body: 'x' }), err => err.status === 404);
+
+  // Station audience: only people on that station, opted-out recorded as skipped
+  const station = broadcastService.queueBroadcast(eventId, {
+    audience: 'station',
+    target_id: sorting,
+    subject: 'Parking update',
+    body: 'Park behind the hall.\n\nBring <gloves>.'
+  }, 'admin@example.com');
+  assert.deepStrictEqual([station.queued, station.skipped], [2, 1]);
+  assert.strictEqual(sent.length, 0, 'nothing is sent until the worker runs');
+
+  // Block audience
+  const block = broadcastService.queueBroadcast(eventId, { audience: 'block', target_id: deskBlock, subject: 'Desk', body: 'Keys are in the office.' });
+  assert.strictEqual(block.queued, 1);
+
+  // Throttled: each sweep sends at most the batch size, oldest first
+  let summary = await broadcastService.runBroadcastSweep(1);
+  assert.deepStrictEqual(summary, { sent: 1, failed: 0, skipped: 0 });
+  assert.strictEqual(sent[0].to, 'ann@example.com');
+  assert.strictEqual(sent[0].subject, 'Parking update');
+  assert(sent[0].text.includes('Park behind the hall.\n\nBring <gloves>.'));
+  assert(sent[0].html.includes('Bring &lt;gloves&gt;.'));
+  const broadcastToken = sent[0].text.match(/\/manage\/([a-f0-9]{48})/)[1];
+  assert.notStrictEqual(broadcastToken, annSignupToken);
+  assert(publicService.getManageContext(broadcastToken), 'manage link');
+  assert(publicService.getManageContext(annSignupToken), 'the link from the signup email keeps working');
+  assert(sent[0].text.includes('Manage your volunteer email preferences'), 'compliance footer');
+  assert(sent[0].headers && sent[0].headers['List-Unsubscribe']);
+
+  // Opting out after queueing still skips; mailer errors are recorded
+  dal.public.setRegistrationEmailPreference(cyId, { optIn: false });
+  failNext = true;
+  summary = await broadcastService.runBroadcastSweep(10);
+  assert.deepStrictEqual(summary, { sent: 0, failed: 1, skipped: 1 });
+  assert.deepStrictEqual((await broadcastService.runBroadcastSweep(10)), { sent: 0, failed: 0, skipped: 0 });
+
+  // History per event with per-recipient status
+  const page = broadcastService.getBroadcastPage(eventId);
+  assert.deepStrictEqual(page.history.map(m => m.subject), ['Desk', 'Parking update']);
+  const parking = page.history[1];
+  assert.deepStrictEqual(
+    [parking.recipient_count, parking.sent_count, parking.failed_count, parking.skipped_count, parking.pending_count],
+    [3, 1, 1, 1, 0]
+  );
+  assert.strictEqual(parking.audience_label, 'Station: Sorting');
+  assert.strictEqual(parking.sent_by, 'admin@example.com');
+  const detail = broadcastService.getBroadcastDetail(eventId, station.message_id);
+  const byEmail = Object.fromEntries(detail.recipients.map(r => [r.email, r]));
+  assert.strictEqual(byEmail['ann@example.com'].status, 'sent');
+  assert.strictEqual(byEmail['bo@example.com'].error, 'SMTP down');
+  assert.strictEqual(byEmail['dee@example.com'].status, 'skipped');
+  assert.strictEqual(page.history[0].skipped_count, 1, 'Cy opted out before the desk message went out');
+  assert.throws(() => broadcastService.getBroadcastDetail(eventId + 1, station.message_id), err => err.status === 404);
+
+  // Everyone opted out (or nobody signed up) => nothing is queued
+  assert.throws(() => broadcastService.queueBroadcast(eventId, { audience: 'block', target_id: deskBlock, subject: 'Hi', body: 'x' }), err => /opted out/.test(err.message));
+
+  // Potluck: "unfilled" targets contributors to items with open slots only
+  const potluckId = dal.admin.createEvent('Harvest Supper', '', '2030-10-01 17:00', '2030-10-01 20:00', 'potluck').lastInsertRowid;
+  const mains = adminService.createStation({ event_id: potluckId, name: 'Mains' }).station_id;
+  const casserole = adminService.createTimeBlock({ station_id: mains, title: 'Casserole', capacity_needed: 2 }).lastInsertRowid;
+  const bread = adminService.createTimeBlock({ station_id: mains, title: 'Bread', capacity_needed: 1 }).lastInsertRowid;
+  await signup(potluckId, 'Hal', 'hal@example.com', [], [casserole]);
+  await signup(potluckId, 'Ida', 'ida@example.com', [], [bread]);
+  sent.length = 0;
+  const unfilled = broadcastService.queueBroadcast(potluckId, { audience: 'unfilled', subject: 'Still need one casserole', body: 'Can you bring a second?' });
+  assert.strictEqual(unfilled.queued, 1);
+  await broadcastService.runBroadcastSweep(10);
+  assert.deepStrictEqual(sent.map(m => m.to), ['hal@example.com']);
+  assert.strictEqual(broadcastService.getBroadcastPage(potluckId).history[0].audience_label, 'Contributors to items that still need more');
+
+  console.log('broadcast tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
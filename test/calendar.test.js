@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+const sent = [];
+mailer.sendMail = async (message) => { sent.push(message); return {}; };
+
+const { buildCalendar } = require('../src/utils/ics');
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+
+async function run() {
+  // Escaping and line folding
+  const doc = buildCalendar({
+    name: 'Test',
+    now: new Date(Date.UTC(2030, 0, 1, 12, 0, 0)),
+    events: [{
+      uid: 'a@example.org',
+      start: '2030-05-01 09:00',
+      end: '2030-05-01 11:30',
+      summary: 'Setup, chairs; tables',
+      description: 'Line one\nLine two ' + 'x'.repeat(120)
+    }, { uid: 'bad@example.org', start: 'nope', end: '', summary: 'Skipped' }]
+  });
+  assert(doc.includes('DTSTART:20300501T090000\r\n'));
+  assert(doc.includes('DTEND:20300501T113000\r\n'));
+  assert(doc.includes('DTSTAMP:20300101T120000Z'));
+  assert(doc.includes('SUMMARY:Setup\\, chairs\\; tables'));
+  assert(doc.includes('DESCRIPTION:Line one\\nLine two'));
+  assert(!doc.includes('Skipped'));
+  doc.split('\r\n').forEach(line => assert(Buffer.byteLength(line) <= 75, `line too long: ${line}`));
+
+  const eventId = dal.admin.createEvent('Spring Fair', 'Bring water', '2030-05-01 09:00', '2030-05-01 17:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Parking', '', '').lastInsertRowid;
+  const morning = dal.admin.createTimeBlock(stationId, '2030-05-01 09:00', '2030-05-01 11:00', 3).lastInsertRowid;
+  const noon = dal.admin.createTimeBlock(stationId, '2030-05-01 11:00', '2030-05-01 13:00', 3).lastInsertRowid;
+
+  const signup = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann', 'Ben'],
+    scheduleAssignments: [
+      { blockId: morning, participantIndex: 0 },
+      { blockId: morning, participantIndex: 1 }
+    ]
+  });
+
+  // Confirmation email carries one VEVENT per assignment
+  const confirmation = sent[sent.length - 1];
+  assert(confirmation.attachments && confirmation.attachments.length === 1);
+  const attached = confirmation.attachments[0];
+  assert.strictEqual(attached.filename, 'volunteer-schedule.ics');
+  assert.strictEqual((attached.content.match(/BEGIN:VEVENT/g) || []).length, 2);
+  assert(attached.content.includes('SUMMARY:Spring Fair: Parking (Ben)'));
+  const feedUrl = confirmation.text.match(/\/calendar\/([0-9a-f]{48})\.ics/);
+  assert(feedUrl, 'confirmation should link the calendar feed');
+  assert(!confirmation.text.includes(`/manage/${signup.token}/calendar.ics`));
+
+  // The feed follows changes made through the manage link
+  const ctx = publicService.getManageContext(signup.token);
+  const [ann, ben] = ctx.participants;
+  await publicService.updateVolunteerSignup(signup.token, [
+    { participantId: ann.participant_id, blockId: noon },
+    { participantId: ben.participant_id, blockId: morning }
+  ], []);
+  const feed = publicService.getManageCalendar(signup.token);
+  assert.strictEqual((feed.content.match(/BEGIN:VEVENT/g) || []).length, 2);
+  assert(feed.content.includes('DTSTART:20300501T110000'));
+  assert(feed.content.includes(`UID:shift-${ann.participant_id}-${noon}@`));
+  assert(!feed.content.includes(`UID:shift-${ann.participant_id}-${morning}@`));
+
+  // The feed has its own token: sending a new manage link doesn't change it
+  await publicService.sendRegistrationConfirmation(signup.registrationId);
+  const resent = sent[sent.length - 1];
+  assert(!resent.text.includes(signup.token));
+  assert(resent.text.includes(`/calendar/${feedUrl[1]}.ics`));
+  const subscribed = publicService.getCalendarFeed(feedUrl[1]);
+  assert.strictEqual((subscribed.content.match(/BEGIN:VEVENT/g) || []).length, 2);
+  assert(subscribed.content.includes(`UID:shift-${ann.participant_id}-${noon}@`));
+  assert(!subscribed.content.includes('/manage/'), 'the feed must not leak a manage link');
+
+  assert.strictEqual(publicService.getManageCalendar('not-a-token'), null);
+  assert.strictEqual(publicService.getCalendarFeed('not-a-token'), null);
+
+  console.log('calendar tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
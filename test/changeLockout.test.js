@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const { normalizeLockoutHours, changeLockedAt, isChangeLocked } = require('../src/utils/signupWindow');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const swapService = require('../src/services/swapService');
+const { runMailSweep } = require('../src/services/mailOutboxService');
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Local text `hours` hours from now, rounded to the minute.
+function hoursFromNow(hours) {
+  const d = new Date(Date.now() + hours * 3600 * 1000);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+async function run() {
+  // Helpers
+  assert.strictEqual(normalizeLockoutHours('24'), 24);
+  assert.strictEqual(normalizeLockoutHours(''), null);
+  assert.strictEqual(normalizeLockoutHours('2.5'), null);
+  assert.strictEqual(normalizeLockoutHours(169), null);
+  assert.strictEqual(changeLockedAt('2030-04-10 09:00', 24), '2030-04-09 09:00');
+  assert.strictEqual(changeLockedAt('2030-04-10 09:00', null), null);
+  const now = new Date(2030, 3, 9, 12, 0);
+  assert.strictEqual(isChangeLocked({ change_lockout_hours: 24 }, '2030-04-10 09:00', now), true);
+  assert.strictEqual(isChangeLocked({ change_lockout_hours: 12 }, '2030-04-10 09:00', now), false);
+  assert.strictEqual(isChangeLocked({}, '2030-04-09 13:00', now), false);
+
+  const eventId = dal.admin.createEvent('Food Drive', '', hoursFromNow(6), hoursFromNow(80), 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const stationId = dal.admin.createStation(eventId, 'Sorting', '', '').lastInsertRowid;
+  const soon = dal.admin.createTimeBlock(stationId, hoursFromNow(6), hoursFromNow(8), 5).lastInsertRowid;
+  const soonToo = dal.admin.createTimeBlock(stationId, hoursFromNow(8), hoursFromNow(10), 5).lastInsertRowid;
+  const later = dal.admin.createTimeBlock(stationId, hoursFromNow(72), hoursFromNow(74), 5).lastInsertRowid;
+
+  const ownerId = dal.admin.createAdminUser('owner@example.com', 'Olive Owner', 'owner').lastInsertRowid;
+  assert.ok(ownerId);
+
+  // Admin validation
+  assert.throws(() => adminService.updateEvent(eventId, { change_lockout_hours: '0' }),
+    err => err.status === 400 && /whole hours from 1 to 168/.test(err.message));
+  assert.throws(() => adminService.updateEvent(eventId, { change_lockout_hours: 'soon' }), err => err.status === 400);
+
+  // Without a lock-out every shift can still be changed
+  const signup = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Rosa Diaz', email: 'rosa@example.com' },
+    participants: ['Rosa Diaz', 'Tom Diaz'],
+    scheduleAssignments: [
+      { blockId: soon, participantIndex: 0 },
+      { blockId: soon, participantIndex: 1 },
+      { blockId: later, participantIndex: 0 }
+    ]
+  });
+  let context = publicService.getManageContext(signup.token);
+  const [rosa, tom] = context.participants;
+  assert.deepStrictEqual(publicService.getLockedShifts(context), []);
+
+  adminService.updateEvent(eventId, { change_lockout_hours: '24' });
+  assert.strictEqual(adminService.getEventDetailsForAdmin(eventId).change_lockout_hours, 24);
+  context = publicService.getManageContext(signup.token);
+  let locked = publicService.getLockedShifts(context);
+  assert.deepStrictEqual(locked.map(s => [s.participant_id, s.time_block_id]), [[rosa.participant_id, soon], [tom.participant_id, soon]]);
+
+  // Locked shifts cannot be dropped or moved; later ones and additions are fine
+  const keep = [
+    { blockId: soon, participantId: rosa.participant_id },
+    { blockId: soon, participantId: tom.participant_id }
+  ];
+  await assert.rejects(() => publicService.updateVolunteerSignup(signup.token, [keep[0]], []),
+    err => err.status === 403 && /Tom Diaz's Sorting shift .* starts within 24 hours/.test(err.message));
+  await assert.rejects(() => publicService.updateVolunteerSignup(signup.token, [
+    keep[0],
+    { blockId: soonToo, participantId: tom.participant_id }
+  ], []), err => err.status === 403);
+  keep.push({ blockId: soonToo, participantId: rosa.participant_id });
+  await publicService.updateVolunteerSignup(signup.token, keep, []);
+  context = publicService.getManageContext(signup.token);
+  assert.deepStrictEqual(context.participants[0].schedule.map(s => s.time_block_id).sort(), [soon, soonToo].sort());
+  await assert.rejects(() => publicService.deleteParticipant(signup.token, tom.participant_id, true), err => err.status === 403);
+  assert.throws(() => publicService.mergeParticipants(signup.token, tom.participant_id, rosa.participant_id),
+    err => err.status === 403 && /Tom Diaz's Sorting shift/.test(err.message));
+  assert.deepStrictEqual(publicService.getManageContext(signup.token).participants[1].schedule.map(s => s.time_block_id), [soon]);
+
+  // "Can't make it" flags the shift and emails the owner
+  await assert.rejects(() => publicService.reportCantMakeIt(signup.token, { participantId: rosa.participant_id, blockId: later }),
+    err => err.status === 400);
+  await assert.rejects(() => publicService.reportCantMakeIt(signup.token, { participantId: tom.participant_id, blockId: soon, note: 'x'.repeat(301) }),
+    err => err.status === 400);
+  sent.length = 0;
+  await publicService.reportCantMakeIt(signup.token, { participantId: tom.participant_id, blockId: soon, note: 'Sick kid' });
+  await runMailSweep();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, 'owner@example.com');
+  assert.ok(/Tom Diaz/.test(sent[0].text) && /Sick kid/.test(sent[0].text));
+  await assert.rejects(() => publicService.reportCantMakeIt(signup.token, { participantId: tom.participant_id, blockId: soon }),
+    err => err.status === 409);
+
+  // The flag survives other manage updates and shows on the roster and export
+  await publicService.updateVolunteerSignup(signup.token, keep, []);
+  locked = publicService.getLockedShifts(publicService.getManageContext(signup.token));
+  assert.strictEqual(locked.find(s => s.participant_id === tom.participant_id).cant_make_it_note, 'Sick kid');
+  const admin = adminService.getEventDetailsForAdmin(eventId);
+  const flagged = admin.stations[0].time_blocks.find(b => b.block_id === soon).reservations
+    .find(r => r.name === 'Tom Diaz');
+  assert.strictEqual(flagged.cant_make_it_note, 'Sick kid');
+  const rows = adminService.getEventRosterForExport(eventId, {}).rows;
+  assert.strictEqual(rows.find(r => r.volunteer_name === 'Tom Diaz').cant_make_it, 'Sick kid');
+  assert.strictEqual(rows.find(r => r.volunteer_name === 'Rosa Diaz').cant_make_it, '');
+
+  // A locked shift can't be traded away on the swap board; taking a shift still works
+  const sam = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Sam', email: 'sam@example.com' },
+    participants: ['Sam'],
+    scheduleAssignments: [{ blockId: later, participantIndex: 0 }]
+  });
+  swapService.requestSwap(sam.token, { participantId: publicService.getManageContext(sam.token).participants[0].participant_id, blockId: later });
+  const swapId = dal.public.listOpenShiftSwaps(eventId)[0].swap_id;
+  await assert.rejects(() => swapService.acceptSwap(signup.token, swapId, { participantId: rosa.participant_id, tradeBlockId: soonToo }),
+    err => err.status === 403 && /Rosa Diaz's Sorting shift/.test(err.message));
+  assert.strictEqual(dal.public.getShiftSwap(swapId).status, 'open');
+  await swapService.acceptSwap(signup.token, swapId, { participantId: rosa.participant_id });
+  assert.strictEqual(dal.public.getShiftSwap(swapId).status, 'accepted');
+
+  // Copies keep the setting
+  const copy = adminService.copyEvent(eventId);
+  assert.strictEqual(adminService.getEventDetailsForAdmin(copy.event_id).change_lockout_hours, 24);
+
+  console.log('change lock-out tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const emailTemplateService = require('../src/services/emailTemplateService');
+const { renderPlaceholders, findUnknownPlaceholders, textToHtml } = require('../src/utils/emailTemplate');
+
+async function signUp(eventId, blockId, name, email) {
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name, email },
+    participants: [name],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+  return sent[sent.length - 1];
+}
+
+async function run() {
+  // Placeholder rendering
+  assert.strictEqual(renderPlaceholders('Hi {{ registrant_name }} {{nope}}', { registrant_name: 'Ann' }), 'Hi Ann {{nope}}');
+  assert.strictEqual(renderPlaceholders('<b>{{event_name}}</b>', { event_name: 'A & <B>' }, { html: true }), '<b>A &amp; &lt;B&gt;</b>');
+  assert.deepStrictEqual(findUnknownPlaceholders('{{event_name}} {{evnt}}'), ['evnt']);
+  // Text bodies are plain text: what the admin typed is escaped, only HTML placeholder values go in as markup
+  assert.strictEqual(
+    textToHtml('Bring <gloves> & {{event_name}}\n<script>x</script> {{nope}}\n\n{{manage_url}}', { event_name: 'A & B', manage_url: 'u' }, { manage_url: '<a href="u">u</a>' }),
+    '<div style="margin:0 0 16px; line-height:1.6;">Bring &lt;gloves&gt; &amp; A &amp; B<br />&lt;script&gt;x&lt;/script&gt; {{nope}}</div>\n' +
+    '<div style="margin:0 0 16px; line-height:1.6;"><a href="u">u</a></div>'
+  );
+
+  const eventId = dal.admin.createEvent('Food Drive', '', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const otherId = dal.admin.createEvent('Cleanup', '', '2030-09-02 09:00', '2030-09-02 13:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Sorting', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-09-01 09:00', '2030-09-01 11:00', 5).lastInsertRowid;
+  const otherStation = dal.admin.createStation(otherId, 'Litter', '', '').lastInsertRowid;
+  const otherBlock = dal.admin.createTimeBlock(otherStation, '2030-09-02 09:00', '2030-09-02 11:00', 5).lastInsertRowid;
+
+  // No template saved: the built-in email goes out
+  const builtIn = await signUp(eventId, blockId, 'Ann', 'ann@example.com');
+  assert.strictEqual(builtIn.subject, 'Your volunteer schedule for Food Drive');
+  assert.deepStrictEqual(emailTemplateService.listTemplates().templates.map(t => t.source), ['default', 'default']);
+
+  // Validation
+  assert.throws(() => emailTemplateService.saveTemplate('confirmation', null, { subject: '', text_body: 'x' }), err => err.status === 400);
+  assert.throws(
+    () => emailTemplateService.saveTemplate('confirmation', null, { subject: 'Hi', text_body: '{{registrant}}' }),
+    err => err.status === 400 && /\{\{registrant\}\}/.test(err.message)
+  );
+  assert.throws(() => emailTemplateService.getTemplateEditor('nope'), err => err.status === 404);
+
+  // Site-wide template replaces the built-in email; the footer and calendar file stay
+  emailTemplateService.saveTemplate('confirmation', null, {
+    subject: 'Thanks {{registrant_name}} — {{event_name}}',
+    text_body: 'Hello {{registrant_name}},\n\n{{assignments}}\n\nChange it: {{manage_url}}'
+  }, 'owner@example.com');
+  const custom = await signUp(eventId, blockId, 'Bo <b>', 'bo@example.com');
+  assert.strictEqual(custom.subject, 'Thanks Bo <b> — Food Drive');
+  assert(custom.text.startsWith('Hello Bo <b>,\n\n• Bo <b>: Sorting'));
+  assert(/Change it: http\S+\/manage\/\S+/.test(custom.text));
+  assert(custom.text.includes('Manage your volunteer email preferences'), 'compliance footer is appended');
+  assert(custom.html.includes('Hello Bo &lt;b&gt;,'), 'values are escaped in the HTML body');
+  assert(custom.html.includes('<ul'), 'assignments become an HTML list');
+  assert(custom.headers['List-Unsubscribe']);
+  assert.strictEqual(custom.attachments[0].filename, 'volunteer-schedule.ics');
+  assert.strictEqual(emailTemplateService.getTemplateEditor('confirmation').saved.updated_by, 'owner@example.com');
+
+  // A per-event override wins for that event only
+  emailTemplateService.saveTemplate('confirmation', eventId, {
+    subject: 'Food Drive crew: {{registrant_name}}',
+    text_body: 'See you there.',
+    html_body: '<html><body><h1>{{event_name}}</h1></body></html>'
+  });
+  const overridden = await signUp(eventId, blockId, 'Cy', 'cy@example.com');
+  assert.strictEqual(overridden.subject, 'Food Drive crew: Cy');
+  assert(/<h1>Food Drive<\/h1>[\s\S]*email preferences[\s\S]*<\/body>/.test(overridden.html), 'footer goes inside the custom body');
+  assert.strictEqual((await signUp(otherId, otherBlock, 'Di', 'di@example.com')).subject, 'Thanks Di — Cleanup');
+  const eventList = emailTemplateService.listTemplates(eventId);
+  assert.deepStrictEqual(eventList.templates.map(t => t.source), ['event', 'default']);
+  assert.strictEqual(emailTemplateService.listTemplates().templates[0].eventOverrides, 1);
+  assert(emailTemplateService.getTemplateEditor('confirmation', otherId).inheritsSite);
+
+  // Removing the override falls back to the site-wide template
+  assert.strictEqual(emailTemplateService.resetTemplate('confirmation', eventId), true);
+  assert.strictEqual(emailTemplateService.resetTemplate('confirmation', eventId), false);
+  assert.strictEqual((await signUp(eventId, blockId, 'Ed', 'ed@example.com')).subject, 'Thanks Ed — Food Drive');
+
+  // Manage-link template
+  emailTemplateService.saveTemplate('manage_link', null, {
+    subject: 'Your link for {{event_name}}',
+    text_body: 'Hi {{registrant_name}}: {{manage_links}}\n{{assignments}}'
+  });
+  await publicService.sendManageReminder('ann@example.com', eventId);
+  const manage = sent[sent.length - 1];
+  assert.strictEqual(manage.subject, 'Your link for Food Drive');
+  assert(/^Hi Ann: http\S+\/manage\/\S+\n• Ann: Sorting/.test(manage.text));
+
+  // Preview with sample data, and the test send to the admin
+  const preview = emailTemplateService.previewTemplate('manage_link', eventId, {
+    subject: 'Preview {{registrant_name}}',
+    text_body: '{{manage_links}}'
+  });
+  assert.strictEqual(preview.subject, 'Preview Jordan Rivera');
+  assert(preview.text.includes('Signup 2: https://example.org/manage/sample-token-2'));
+  assert.throws(() => emailTemplateService.previewTemplate('manage_link', null, { subject: 'x', text_body: '{{bad}}' }), err => err.status === 400);
+  const status = await emailTemplateService.sendTestEmail('confirmation', null, { subject: 'Hi {{registrant_name}}', text_body: 'Body' }, 'admin@example.com');
+  assert.strictEqual(status, 'sent');
+  const test = sent[sent.length - 1];
+  assert.deepStrictEqual([test.to, test.subject], ['admin@example.com', '[Test] Hi Jordan Rivera']);
+  await assert.rejects(() => emailTemplateService.sendTestEmail('confirmation', null, { subject: 'x', text_body: 'y' }, ''), err => err.status === 400);
+
+  console.log('email template tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
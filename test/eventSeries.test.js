@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+
+async function run() {
+  // Monthly rules keep the weekday position: 2030-01-08 is the 2nd Tuesday.
+  const monthly = adminService.seriesDayOffsets('2030-01-08 09:00', { frequency: 'monthly', count: 3 });
+  assert.deepStrictEqual(monthly, [35, 63]); // Feb 12, Mar 12 (2nd Tuesdays)
+  // 5th-week templates fall back to the last matching weekday.
+  const last = adminService.seriesDayOffsets('2030-01-29 09:00', { frequency: 'monthly', count: 2 });
+  assert.deepStrictEqual(last, [28]); // Feb 26 is the last Tuesday
+  // Until dates are inclusive.
+  const weekly = adminService.seriesDayOffsets('2030-01-08 09:00', { frequency: 'weekly', until_date: '2030-01-22' });
+  assert.deepStrictEqual(weekly, [7, 14]);
+
+  const eventId = dal.admin.createEvent('Food Pantry', 'Weekly shift', '2030-03-05 09:00', '2030-03-05 12:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Sorting', 'Sort donations', '').lastInsertRowid;
+  dal.admin.createTimeBlock(stationId, '2030-03-05 09:00', '2030-03-05 10:30', 2);
+  dal.admin.createTimeBlock(stationId, '2030-03-05 10:30', '2030-03-05 12:00', 2);
+
+  const result = adminService.generateEventSeries(eventId, { frequency: 'biweekly', occurrence_count: '3' });
+  assert.strictEqual(result.event_ids.length, 2);
+  const second = adminService.getEventDetailsForAdmin(result.event_ids[0]);
+  assert.strictEqual(second.date_start, '2030-03-19 09:00');
+  assert.strictEqual(second.publish_state, 'draft');
+  assert.strictEqual(second.series_id, result.series_id);
+  assert.strictEqual(second.series_index, 1);
+  assert.strictEqual(second.stations[0].time_blocks[1].start_time, '2030-03-19 10:30');
+  assert.throws(() => adminService.generateEventSeries(eventId, { frequency: 'weekly', occurrence_count: '2' }), /already belongs/);
+
+  // A volunteer signs up for the first block of the third occurrence.
+  const third = adminService.getEventDetailsForAdmin(result.event_ids[1]);
+  const bookedBlock = third.stations[0].time_blocks[0].block_id;
+  await publicService.processVolunteerSignup({
+    eventId: third.event_id,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann'],
+    scheduleAssignments: [{ blockId: bookedBlock, participantIndex: 0 }]
+  });
+
+  // Template edits: rename, new start time, drop the second block.
+  adminService.updateEvent(eventId, { name: 'Food Pantry Shift' });
+  const template = adminService.getEventDetailsForAdmin(eventId);
+  dal.admin.updateTimeBlock(template.stations[0].time_blocks[0].block_id, { start_time: '2030-03-05 08:30' });
+  dal.admin.deleteTimeBlock(template.stations[0].time_blocks[1].block_id);
+
+  assert.throws(() => adminService.pushSeriesTemplate(result.event_ids[0]), /first event/);
+  // Pretend it is already past the second occurrence: only the third is touched.
+  // The booked block keeps its time; the empty one is removed.
+  const afterSecond = new Date(2030, 2, 20, 12, 0);
+  const pushed = adminService.pushSeriesTemplate(eventId, afterSecond);
+  assert.deepStrictEqual(pushed, { updated: 1, skipped: 1 });
+  assert.strictEqual(adminService.getEventDetailsForAdmin(result.event_ids[0]).name, 'Food Pantry');
+  const updated = adminService.getEventDetailsForAdmin(result.event_ids[1]);
+  assert.strictEqual(updated.name, 'Food Pantry Shift');
+  assert.strictEqual(updated.date_start, '2030-04-02 09:00');
+  assert.strictEqual(updated.stations[0].time_blocks.length, 1);
+  assert.strictEqual(updated.stations[0].time_blocks[0].block_id, bookedBlock);
+  assert.strictEqual(updated.stations[0].time_blocks[0].start_time, '2030-04-02 09:00');
+  assert.strictEqual(updated.stations[0].time_blocks[0].reserved_count, 1);
+
+  // New template stations are added to occurrences
+  const intakeId = dal.admin.createStation(eventId, 'Intake', '', '').lastInsertRowid;
+  const intakeBlock = dal.admin.createTimeBlock(intakeId, '2030-03-05 09:00', '2030-03-05 12:00', 3).lastInsertRowid;
+  assert.deepStrictEqual(adminService.pushSeriesTemplate(eventId, afterSecond), { updated: 1, skipped: 1 });
+  assert.deepStrictEqual(adminService.getEventDetailsForAdmin(result.event_ids[1]).stations.map(st => st.name), ['Sorting', 'Intake']);
+
+  // A failure part way through leaves the occurrence as it was
+  adminService.updateEvent(eventId, { name: 'Pantry Night' });
+  const setStationLocation = dal.admin.setStationLocation;
+  dal.admin.setStationLocation = () => { throw new Error('disk full'); };
+  assert.throws(() => adminService.pushSeriesTemplate(eventId, afterSecond), /disk full/);
+  dal.admin.setStationLocation = setStationLocation;
+  assert.strictEqual(adminService.getEventDetailsForAdmin(result.event_ids[1]).name, 'Food Pantry Shift');
+
+  // Stations are matched to the template station they were copied from, not
+  // by position: dropping Sorting from the template must not turn the
+  // occurrence's Sorting into Intake. The signup mode only changes on
+  // occurrences nobody has signed up for.
+  dal.admin.deleteStation(template.stations[0].station_id);
+  dal.admin.updateTimeBlock(intakeBlock, { capacity_needed: 5 });
+  dal.admin.updateEvent(eventId, { signup_mode: 'potluck' });
+  assert.deepStrictEqual(adminService.pushSeriesTemplate(eventId, new Date(2030, 2, 10, 12, 0)), { updated: 2, skipped: 1 });
+  const booked = adminService.getEventDetailsForAdmin(result.event_ids[1]);
+  assert.strictEqual(booked.name, 'Pantry Night');
+  assert.strictEqual(booked.signup_mode, 'schedule');
+  assert.deepStrictEqual(booked.stations.map(st => st.name), ['Sorting', 'Intake']);
+  assert.strictEqual(booked.stations[0].time_blocks[0].block_id, bookedBlock);
+  assert.strictEqual(booked.stations[1].time_blocks[0].capacity_needed, 5);
+  const empty = adminService.getEventDetailsForAdmin(result.event_ids[0]);
+  assert.strictEqual(empty.signup_mode, 'potluck');
+  assert.deepStrictEqual(empty.stations.map(st => st.name), ['Intake']);
+  assert.strictEqual(empty.stations[0].time_blocks[0].capacity_needed, 5);
+
+  const summary = adminService.getEventSeriesSummary(template);
+  assert.strictEqual(summary.is_template, true);
+  assert.strictEqual(summary.events.length, 3);
+
+  console.log('event series tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const hoursReportService = require('../src/services/hoursReportService');
+
+async function run() {
+  // Default range is the current calendar year; bad or reversed dates are handled
+  const now = new Date(2031, 4, 10);
+  assert.deepStrictEqual(hoursReportService.parseFilters({}, now), { from: '2031-01-01', to: '2031-12-31', attendedOnly: false });
+  assert.deepStrictEqual(
+    hoursReportService.parseFilters({ from: '2031-06-30', to: '2031-06-01', attended: '1' }, now),
+    { from: '2031-06-01', to: '2031-06-30', attendedOnly: true }
+  );
+  assert.strictEqual(hoursReportService.parseFilters({ from: 'June' }, now).from, '2031-01-01');
+
+  const spring = dal.admin.createEvent('Spring Cleanup', '', '2031-04-05 08:00', '2031-04-05 14:00', 'schedule').lastInsertRowid;
+  const rakes = dal.admin.createStation(spring, 'Rakes', '', '').lastInsertRowid;
+  const bags = dal.admin.createStation(spring, 'Bags', '', '').lastInsertRowid;
+  const rakesAm = dal.admin.createTimeBlock(rakes, '2031-04-05 08:00', '2031-04-05 10:30', 5).lastInsertRowid;
+  const bagsPm = dal.admin.createTimeBlock(bags, '2031-04-05 11:00', '2031-04-05 14:00', 5).lastInsertRowid;
+
+  const fall = dal.admin.createEvent('Fall Festival', '', '2031-10-01 09:00', '2031-10-01 12:00', 'schedule').lastInsertRowid;
+  const gate = dal.admin.createStation(fall, 'Gate', '', '').lastInsertRowid;
+  const gateAm = dal.admin.createTimeBlock(gate, '2031-10-01 09:00', '2031-10-01 12:00', 5).lastInsertRowid;
+
+  const lastYear = dal.admin.createEvent('Old Event', '', '2030-10-01 09:00', '2030-10-01 12:00', 'schedule').lastInsertRowid;
+  const oldStation = dal.admin.createStation(lastYear, 'Gate', '', '').lastInsertRowid;
+  const oldBlock = dal.admin.createTimeBlock(oldStation, '2030-10-01 09:00', '2030-10-01 12:00', 5).lastInsertRowid;
+
+  await publicService.processVolunteerSignup({
+    eventId: spring,
+    registrant: { name: 'Ann Lee', email: 'Ann@Example.com' },
+    participants: ['Ann Lee', 'Bo Lee'],
+    scheduleAssignments: [
+      { blockId: rakesAm, participantIndex: 0 },
+      { blockId: bagsPm, participantIndex: 0 },
+      { blockId: rakesAm, participantIndex: 1 }
+    ]
+  });
+  // Same person signs up again for another event with different email casing
+  await publicService.processVolunteerSignup({
+    eventId: fall,
+    registrant: { name: 'Ann Lee', email: 'ann@example.com' },
+    participants: ['ann lee'],
+    scheduleAssignments: [{ blockId: gateAm, participantIndex: 0 }]
+  });
+  await publicService.processVolunteerSignup({
+    eventId: lastYear,
+    registrant: { name: 'Ann Lee', email: 'ann@example.com' },
+    participants: ['Ann Lee'],
+    scheduleAssignments: [{ blockId: oldBlock, participantIndex: 0 }]
+  });
+
+  let report = hoursReportService.getVolunteerHoursReport({}, now);
+  assert.deepStrictEqual(report.totals, { volunteers: 2, shifts: 4, hours: 11 });
+  const [ann, bo] = report.volunteers;
+  assert.strictEqual(ann.email, 'ann@example.com');
+  assert.strictEqual(ann.shifts, 3);
+  assert.strictEqual(ann.hours, 8.5);
+  assert.deepStrictEqual(ann.events.map(e => [e.name, e.hours]), [['Spring Cleanup', 5.5], ['Fall Festival', 3]]);
+  assert.deepStrictEqual(ann.stations.map(s => [s.name, s.hours]), [['Bags', 3], ['Rakes', 2.5], ['Gate', 3]]);
+  assert.strictEqual(bo.name, 'Bo Lee');
+  assert.strictEqual(bo.hours, 2.5);
+
+  const springRow = report.events.find(e => e.event_id === spring);
+  assert.deepStrictEqual([springRow.volunteers, springRow.shifts, springRow.hours], [2, 3, 8]);
+  const rakesRow = report.stations.find(s => s.station_id === rakes);
+  assert.deepStrictEqual([rakesRow.volunteers, rakesRow.hours], [2, 5]);
+
+  // Only shifts marked present/late count when requested
+  const springDetail = adminService.getEventCheckIn(spring).event;
+  const rakeSignups = springDetail.stations.find(s => s.station_id === rakes).time_blocks[0].reservations;
+  adminService.setReservationAttendance(rakeSignups.find(r => r.name === 'Bo Lee').reservation_id, 'late', 'lead@example.org');
+  adminService.setReservationAttendance(rakeSignups.find(r => r.name === 'Ann Lee').reservation_id, 'no_show', 'lead@example.org');
+  report = hoursReportService.getVolunteerHoursReport({ attended: '1' }, now);
+  assert.deepStrictEqual(report.totals, { volunteers: 1, shifts: 1, hours: 2.5 });
+  assert.strictEqual(report.volunteers[0].name, 'Bo Lee');
+
+  // Date range picks up last year's event only
+  report = hoursReportService.getVolunteerHoursReport({ from: '2030-01-01', to: '2030-12-31' }, now);
+  assert.deepStrictEqual(report.totals, { volunteers: 1, shifts: 1, hours: 3 });
+  assert.strictEqual(report.events[0].name, 'Old Event');
+
+  console.log('hours report tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const { locationFrom, mergeLocation, formatLocation, directionsUrl, locationProblem } = require('../src/utils/location');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const emailTemplateService = require('../src/services/emailTemplateService');
+
+// ICS folds long lines; join them back before matching.
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+async function run() {
+  // Helpers
+  const campus = { name: 'Lincoln High', address: '1 Main St\nSpringfield', room: '', notes: 'Park in the north lot' };
+  assert.deepStrictEqual(locationFrom({ station_location_room: ' Room 204 ' }, 'station_'), { name: '', address: '', room: 'Room 204', notes: '' });
+  assert.deepStrictEqual(mergeLocation(campus, { room: 'Room 204', notes: '' }),
+    { name: 'Lincoln High', address: '1 Main St\nSpringfield', room: 'Room 204', notes: 'Park in the north lot' });
+  assert.strictEqual(formatLocation(mergeLocation(campus, { room: 'Room 204' })), 'Lincoln High, Room 204, 1 Main St, Springfield');
+  assert.strictEqual(formatLocation({}), '');
+  assert.strictEqual(directionsUrl(campus), 'https://www.google.com/maps/dir/?api=1&destination=1%20Main%20St%2C%20Springfield');
+  assert.strictEqual(directionsUrl({ name: 'Town Park' }), 'https://www.google.com/maps/dir/?api=1&destination=Town%20Park');
+  assert.strictEqual(directionsUrl({ room: 'Gym' }), '');
+  assert.strictEqual(locationProblem({ room: 'x'.repeat(121) }), 'Room must be 120 characters or fewer.');
+
+  const eventId = dal.admin.createEvent('Book Sale', '', '2030-09-07 09:00', '2030-09-07 15:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const desk = dal.admin.createStation(eventId, 'Cashier', '', '').lastInsertRowid;
+  const deskAm = dal.admin.createTimeBlock(desk, '2030-09-07 09:00', '2030-09-07 12:00', 4).lastInsertRowid;
+
+  // Admin: event location, validated; blank fields are stored as NULL
+  assert.throws(() => adminService.updateEvent(eventId, { location_name: 'x'.repeat(121) }), err => err.status === 400);
+  adminService.updateEvent(eventId, {
+    location_name: ' Lincoln High ',
+    location_address: '1 Main St\r\nSpringfield',
+    location_room: '',
+    location_notes: 'Park in the north lot'
+  });
+  assert.deepStrictEqual(adminService.getEventDetailsForAdmin(eventId).location, campus);
+  assert.strictEqual(dal.public.getEventBasic(eventId).location_room, null);
+  // Partial updates leave the other fields alone
+  adminService.updateEvent(eventId, { name: 'Book Sale' });
+  assert.strictEqual(adminService.getEventDetailsForAdmin(eventId).location.name, 'Lincoln High');
+
+  // Stations override field by field
+  const { station_id: sorting } = adminService.createStation({ event_id: eventId, name: 'Sorting', location_room: 'Room 204' });
+  const sortAm = dal.admin.createTimeBlock(sorting, '2030-09-07 09:00', '2030-09-07 12:00', 4).lastInsertRowid;
+  assert.throws(() => adminService.updateStation(sorting, { name: 'Sorting', location_notes: 'x'.repeat(1001) }), err => err.status === 400);
+  adminService.updateStation(sorting, { name: 'Sorting', location_notes: 'Basement, take the lift' });
+  adminService.updateStation(sorting, { name: 'Sorting' });
+  const admin = adminService.getEventDetailsForAdmin(eventId);
+  const adminSorting = admin.stations.find(st => st.station_id === sorting);
+  assert.deepStrictEqual(adminSorting.own_location, { name: '', address: '', room: 'Room 204', notes: 'Basement, take the lift' });
+  assert.deepStrictEqual(adminSorting.location, { ...campus, room: 'Room 204', notes: 'Basement, take the lift' });
+  assert.deepStrictEqual(admin.stations.find(st => st.station_id === desk).location, campus);
+  assert.deepStrictEqual(adminService.getStationDetailsForAdmin(sorting).own_location, adminSorting.own_location);
+
+  // Copying a station keeps its own location
+  const { station_id: sorting2 } = adminService.createStation({ event_id: eventId, name: 'Sorting 2', copyStationId: sorting });
+  assert.deepStrictEqual(adminService.getStationDetailsForAdmin(sorting2).own_location, adminSorting.own_location);
+  dal.admin.deleteStation(sorting2);
+
+  // Public page
+  const publicEvent = publicService.getEventDetailsForPublic(eventId);
+  assert.deepStrictEqual(publicEvent.location, campus);
+  assert.strictEqual(publicEvent.stations.find(st => st.station_id === sorting).location.room, 'Room 204');
+
+  // Confirmation email, template placeholder and calendar attachment
+  sent.length = 0;
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann', 'Ben'],
+    scheduleAssignments: [
+      { blockId: deskAm, participantIndex: 0 },
+      { blockId: sortAm, participantIndex: 1 }
+    ]
+  });
+  const confirmation = sent[sent.length - 1];
+  assert(confirmation.text.includes('Where to go:'));
+  assert(confirmation.text.includes('• Cashier: Lincoln High, 1 Main St, Springfield'));
+  assert(confirmation.text.includes('• Sorting: Lincoln High, Room 204, 1 Main St, Springfield'));
+  assert(confirmation.text.includes('  Basement, take the lift'));
+  assert(confirmation.text.includes(`  Directions: ${directionsUrl(campus)}`));
+  assert(confirmation.html.includes('Get directions'));
+  const ics = unfold(confirmation.attachments[0].content);
+  assert(ics.includes('LOCATION:Lincoln High\\, Room 204\\, 1 Main St\\, Springfield'));
+  assert(ics.includes('LOCATION:Lincoln High\\, 1 Main St\\, Springfield'));
+
+  const { values, htmlValues } = publicService.buildTemplateValues({
+    registration: { registrant_name: 'Cy', registrant_email: 'cy@example.com' },
+    event: dal.public.getEventBasic(eventId),
+    participants: [],
+    manageUrls: ['https://example.org/manage/x']
+  });
+  assert.strictEqual(values.location, `• Lincoln High, 1 Main St, Springfield\n  Park in the north lot\n  Directions: ${directionsUrl(campus)}`);
+  assert(htmlValues.location.includes('Park in the north lot'));
+  emailTemplateService.saveTemplate('confirmation', eventId, { subject: 'See you', text_body: 'Find us at:\n{{location}}' });
+  sent.length = 0;
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Dee', email: 'dee@example.com' },
+    participants: ['Dee'],
+    scheduleAssignments: [{ blockId: sortAm, participantIndex: 0 }]
+  });
+  assert(sent[sent.length - 1].text.startsWith('Find us at:\n• Lincoln High, Room 204, 1 Main St, Springfield'));
+  emailTemplateService.resetTemplate('confirmation', eventId);
+
+  // CSV export rows carry each station's effective location
+  const { rows } = adminService.getEventRosterForExport(eventId);
+  const annRow = rows.find(r => r.volunteer_name === 'Ann');
+  const benRow = rows.find(r => r.volunteer_name === 'Ben');
+  assert.strictEqual(annRow.location, 'Lincoln High, 1 Main St, Springfield');
+  assert.strictEqual(benRow.location, 'Lincoln High, Room 204, 1 Main St, Springfield');
+  assert.strictEqual(benRow.location_room, 'Room 204');
+  assert.strictEqual(benRow.location_notes, 'Basement, take the lift');
+
+  // Copies carry the event and station locations
+  const copy = adminService.getEventDetailsForAdmin(adminService.copyEvent(eventId).event_id);
+  assert.deepStrictEqual(copy.location, campus);
+  assert.deepStrictEqual(copy.stations.find(st => st.name === 'Sorting').own_location, adminSorting.own_location);
+  const series = adminService.generateEventSeries(eventId, { frequency: 'weekly', occurrence_count: 2 });
+  const next = adminService.getEventDetailsForAdmin(series.event_ids[0]);
+  assert.deepStrictEqual(next.location, campus);
+  assert.strictEqual(next.stations.find(st => st.name === 'Sorting').location.room, 'Room 204');
+
+  // Pushing the template updates upcoming occurrences, including cleared fields
+  adminService.updateEvent(eventId, { location_notes: '' });
+  adminService.updateStation(sorting, { name: 'Sorting', location_room: 'Room 210', location_notes: '' });
+  adminService.pushSeriesTemplate(eventId, new Date(2030, 0, 1));
+  const pushed = adminService.getEventDetailsForAdmin(series.event_ids[0]);
+  assert.strictEqual(pushed.location.notes, '');
+  assert.deepStrictEqual(pushed.stations.find(st => st.name === 'Sorting').own_location, { name: '', address: '', room: 'Room 210', notes: '' });
+
+  console.log('locations tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load); flip `down` to
+// simulate the mail server failing.
+const sent = [];
+let down = false;
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  if (down) throw new Error('Connection refused');
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const publicService = require('../src/services/publicService');
+const mailOutboxService = require('../src/services/mailOutboxService');
+
+const minutesFromNow = (m) => new Date(Date.now() + m * 60000);
+const row = (mailId) => dal.admin.getMail(mailId);
+
+async function run() {
+  assert.deepStrictEqual([1, 2, 3, 4, 7, 8].map(mailOutboxService.retryDelayMinutes), [1, 2, 4, 8, 60, 60]);
+
+  const eventId = dal.admin.createEvent('Food Drive', '', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Sorting', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-09-01 09:00', '2030-09-01 11:00', 3).lastInsertRowid;
+
+  // Healthy server: the confirmation goes out immediately and is logged as sent
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].attachments[0].filename, 'volunteer-schedule.ics');
+  const [first] = mailOutboxService.listMail({}).messages;
+  assert.deepStrictEqual([first.kind, first.status, first.attempts, first.event_name], ['confirmation', 'sent', 1, 'Food Drive']);
+  // The volunteer gets a working link; the stored copy doesn't keep it
+  const annToken = sent[0].text.match(/\/manage\/([0-9a-f]{48})/)[1];
+  const stored = row(first.mail_id);
+  [stored.text_body, stored.html_body, stored.headers_json, stored.attachments_json].forEach(body => {
+    assert(!body.includes(annToken), 'stored mail must not hold the manage link');
+  });
+  assert(stored.text_body.includes('/manage/{{registration:'));
+  assert(!sent[0].attachments[0].content.includes('/manage/'));
+
+  // Server down: the signup still succeeds and the email waits in the outbox
+  down = true;
+  const originalError = console.error;
+  console.error = () => {};
+  const result = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Bo', email: 'bo@example.com' },
+    participants: ['Bo'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+  assert(result, 'signup is not affected by the mail failure');
+  const pending = mailOutboxService.listMail({ status: 'pending' }).messages;
+  assert.strictEqual(pending.length, 1);
+  const mailId = pending[0].mail_id;
+  assert.deepStrictEqual([row(mailId).attempts, row(mailId).last_error], [1, 'Connection refused']);
+
+  // Not due yet; then retried with exponential backoff until it is dead
+  assert.deepStrictEqual(await mailOutboxService.runMailSweep(new Date()), { sent: 0, retrying: 0, dead: 0 });
+  let clock = minutesFromNow(1);
+  for (let attempt = 2; attempt < mailOutboxService.MAX_ATTEMPTS; attempt += 1) {
+    const summary = await mailOutboxService.runMailSweep(clock);
+    assert.strictEqual(summary.retrying, 1, `attempt ${attempt}`);
+    const next = new Date(row(mailId).next_attempt_at.replace(' ', 'T') + 'Z');
+    assert.strictEqual(Math.round((next - clock) / 60000), mailOutboxService.retryDelayMinutes(attempt));
+    clock = next;
+  }
+  assert.deepStrictEqual(await mailOutboxService.runMailSweep(clock), { sent: 0, retrying: 0, dead: 1 });
+  assert.strictEqual(row(mailId).status, 'dead');
+  assert.strictEqual(row(mailId).attempts, mailOutboxService.MAX_ATTEMPTS);
+  console.error = originalError;
+
+  // Resend puts it back in the queue with fresh attempts; the attachment survives the round trip
+  down = false;
+  mailOutboxService.resendMail(mailId);
+  assert.throws(() => mailOutboxService.resendMail(mailId), err => err.status === 400);
+  assert.deepStrictEqual([row(mailId).status, row(mailId).attempts], ['pending', 0]);
+  assert.strictEqual((await mailOutboxService.runMailSweep(minutesFromNow(0))).sent, 1);
+  const resent = sent[sent.length - 1];
+  assert.strictEqual(resent.to, 'bo@example.com');
+  assert(resent.attachments[0].content.includes('BEGIN:VCALENDAR'));
+  assert(resent.headers['List-Unsubscribe']);
+  assert.strictEqual(row(mailId).status, 'sent');
+  // ... with a freshly issued manage link, used everywhere in the message
+  const resentToken = resent.text.match(/\/manage\/([0-9a-f]{48})/)[1];
+  assert.strictEqual(publicService.getManageContext(resentToken).registration.registrant_email, 'bo@example.com');
+  assert(resent.html.includes(`/manage/${resentToken}`));
+  assert(resent.headers['List-Unsubscribe'].includes(`/manage/${resentToken}`));
+  assert(!resent.text.includes('{{registration:'));
+
+  // Discard: only pending or dead messages
+  assert.throws(() => mailOutboxService.discardMail(mailId), err => err.status === 400);
+  down = true;
+  console.error = () => {};
+  await publicService.sendManageReminder('ann@example.com', eventId);
+  console.error = originalError;
+  const manageMail = mailOutboxService.listMail({ kind: 'manage_link' }).messages[0];
+  assert.strictEqual(manageMail.status, 'pending');
+  mailOutboxService.discardMail(manageMail.mail_id);
+  down = false;
+  const before = sent.length;
+  await mailOutboxService.runMailSweep(minutesFromNow(120));
+  assert.strictEqual(sent.length, before, 'discarded mail is never sent');
+  assert.throws(() => mailOutboxService.getMail(9999), err => err.status === 404);
+
+  // Filters and counts
+  const log = mailOutboxService.listMail({ q: 'bo@' });
+  assert.deepStrictEqual(log.messages.map(m => m.to_address), ['bo@example.com']);
+  assert.deepStrictEqual(log.counts, { pending: 0, sent: 2, dead: 0, discarded: 1 });
+
+  // Old sent/discarded mail is purged by the sweep
+  db.prepare(`UPDATE mail_outbox SET created_at = datetime('now', '-40 days') WHERE mail_id != ?`).run(mailId);
+  await mailOutboxService.runMailSweep(new Date());
+  assert.deepStrictEqual(db.prepare(`SELECT mail_id FROM mail_outbox`).all().map(r => r.mail_id), [mailId]);
+
+  // A link that no longer works points at the event page, where a new one can be requested
+  await mailOutboxService.queueMail({ to: 'ann@example.com', subject: 'Old link', text: `https://example.org/manage/${'0'.repeat(48)}` },
+    { eventId });
+  const stale = mailOutboxService.listMail({ q: 'Old link' }).messages[0];
+  assert.strictEqual(row(stale.mail_id).text_body, `https://example.org/events/${eventId}`);
+  assert.strictEqual(sent[sent.length - 1].text, `https://example.org/manage/${'0'.repeat(48)}`);
+
+  console.log('mail outbox tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const questions = require('../src/services/registrationQuestionService');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const auditService = require('../src/services/auditService');
+
+async function run() {
+  const eventId = dal.admin.createEvent('Cleanup Day', '', '2030-05-01 09:00', '2030-05-01 12:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const stationId = dal.admin.createStation(eventId, 'Litter', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-05-01 09:00', '2030-05-01 12:00', 10).lastInsertRowid;
+
+  // Admin CRUD and validation
+  assert.throws(() => questions.createQuestion(eventId, { label: '  ' }), err => err.status === 400 && /Enter the question/.test(err.message));
+  assert.throws(() => questions.createQuestion(eventId, { label: 'Size', question_type: 'select', options: 'Only one' }),
+    err => err.status === 400 && /at least two choices/.test(err.message));
+  assert.throws(() => questions.createQuestion(eventId, { label: 'Size', question_type: 'radio' }), err => err.status === 400);
+  const { question_id: shirtId } = questions.createQuestion(eventId, {
+    label: 'T-shirt size',
+    question_type: 'select',
+    options: 'Small\nMedium\nlarge\nLarge\n',
+    is_required: 'on',
+    scope: 'participant'
+  });
+  const { question_id: dietId } = questions.createQuestion(eventId, { label: 'Dietary needs', scope: 'participant' });
+  const { question_id: waiverId } = questions.createQuestion(eventId, { label: 'I accept the waiver', question_type: 'checkbox', is_required: '1' });
+  const { question_id: parkingId } = questions.createQuestion(eventId, { label: 'Need parking?', question_type: 'checkbox' });
+  let list = questions.listQuestions(eventId);
+  assert.deepStrictEqual(list.map(q => q.label), ['T-shirt size', 'Dietary needs', 'I accept the waiver', 'Need parking?']);
+  assert.deepStrictEqual(list[0].options, ['Small', 'Medium', 'large']);
+  assert.deepStrictEqual([list[0].is_required, list[1].is_required], [true, false]);
+
+  questions.moveQuestion(eventId, parkingId, 'up');
+  questions.moveQuestion(eventId, shirtId, 'up');
+  assert.deepStrictEqual(questions.listQuestions(eventId).map(q => q.question_id), [shirtId, dietId, parkingId, waiverId]);
+  assert.throws(() => questions.updateQuestion(eventId + 1, shirtId, { label: 'x' }), err => err.status === 404);
+  questions.updateQuestion(eventId, shirtId, { label: 'T-shirt size', question_type: 'select', options: 'S\nM\nL', is_required: '1', scope: 'participant' });
+  assert.deepStrictEqual(questions.listQuestions(eventId)[0].options, ['S', 'M', 'L']);
+
+  // Public event exposes the questions, without admin-only counts
+  const publicEvent = publicService.getEventDetailsForPublic(eventId);
+  assert.strictEqual(publicEvent.questions.length, 4);
+  assert.strictEqual(publicEvent.questions[0].answer_count, undefined);
+
+  // Signup answers are validated before anything is stored
+  const signup = {
+    eventId,
+    registrant: { name: 'Ana Ruiz', email: 'ana@example.com' },
+    participants: ['Ana Ruiz', 'Leo Ruiz'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }, { blockId, participantIndex: 1 }],
+    answers: {
+      registrant: { [waiverId]: 'yes' },
+      participants: [{ [shirtId]: 'm', [dietId]: 'Vegetarian' }, { [shirtId]: 'S' }]
+    }
+  };
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    ...signup,
+    answers: { ...signup.answers, participants: [signup.answers.participants[0], {}] }
+  }), err => err.status === 400 && /Please answer "T-shirt size" for Leo Ruiz/.test(err.message));
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    ...signup,
+    answers: { ...signup.answers, registrant: { [waiverId]: 'no' } }
+  }), err => err.status === 400 && /Please tick "I accept the waiver"/.test(err.message));
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    ...signup,
+    answers: { ...signup.answers, participants: [{ [shirtId]: 'XXL' }, { [shirtId]: 'S' }] }
+  }), err => err.status === 400 && /Choose one of the listed answers/.test(err.message));
+  assert.strictEqual(dal.admin.listEventAnswers(eventId).length, 0);
+
+  const ana = await publicService.processVolunteerSignup(signup);
+  let context = publicService.getManageContext(ana.token);
+  const [anaP, leoP] = context.participants;
+  assert.deepStrictEqual(context.answers.registrant, { [waiverId]: 'yes', [parkingId]: 'no' });
+  assert.deepStrictEqual(context.answers.participants[anaP.participant_id], { [shirtId]: 'M', [dietId]: 'Vegetarian' });
+  assert.deepStrictEqual(context.answers.participants[leoP.participant_id], { [shirtId]: 'S' });
+
+  // Manage page: every participant is checked, answers are replaced
+  assert.throws(() => publicService.updateRegistrationAnswers(ana.token, {
+    registrant: { [waiverId]: 'yes' },
+    participants: { [anaP.participant_id]: { [shirtId]: 'L' } }
+  }), err => err.status === 400 && /Leo Ruiz/.test(err.message));
+  context = publicService.updateRegistrationAnswers(ana.token, {
+    registrant: { [waiverId]: 'yes', [parkingId]: 'yes' },
+    participants: {
+      [anaP.participant_id]: { [shirtId]: 'L', [dietId]: '' },
+      [leoP.participant_id]: { [shirtId]: 'S', [dietId]: 'No nuts' }
+    }
+  });
+  assert.deepStrictEqual(context.answers.registrant, { [waiverId]: 'yes', [parkingId]: 'yes' });
+  assert.deepStrictEqual(context.answers.participants[anaP.participant_id], { [shirtId]: 'L' });
+  assert.deepStrictEqual(context.answers.participants[leoP.participant_id], { [shirtId]: 'S', [dietId]: 'No nuts' });
+
+  // Export: one column per question, registrant answers on every row
+  const payload = adminService.getEventRosterForExport(eventId, {});
+  assert.deepStrictEqual(payload.questionColumns.map(c => c.header), ['T-shirt size', 'Dietary needs', 'Need parking?', 'I accept the waiver']);
+  const byName = new Map(payload.rows.map(r => [r.volunteer_name, r]));
+  assert.strictEqual(byName.get('Ana Ruiz')[`question_${shirtId}`], 'L');
+  assert.strictEqual(byName.get('Ana Ruiz')[`question_${dietId}`], '');
+  assert.strictEqual(byName.get('Leo Ruiz')[`question_${dietId}`], 'No nuts');
+  assert.strictEqual(byName.get('Leo Ruiz')[`question_${parkingId}`], 'Yes');
+  assert.strictEqual(byName.get('Leo Ruiz')[`question_${waiverId}`], 'Yes');
+
+  // Copies bring the questions along; answers stay behind
+  const copy = adminService.copyEvent(eventId);
+  assert.deepStrictEqual(questions.listQuestions(copy.event_id).map(q => q.label), ['T-shirt size', 'Dietary needs', 'Need parking?', 'I accept the waiver']);
+  assert.strictEqual(dal.admin.listEventAnswers(copy.event_id).length, 0);
+
+  // Deleting a question drops its answers and is audited
+  const page = questions.getQuestionsPage(eventId);
+  assert.strictEqual(page.questions.find(q => q.question_id === dietId).answer_count, 1);
+  questions.deleteQuestion(eventId, dietId);
+  assert.ok(!dal.admin.listEventAnswers(eventId).some(a => a.question_id === dietId));
+  const history = auditService.getEventHistory(eventId, { entity: 'question' });
+  assert.ok(history.entries.some(e => e.action === 'delete' && e.description === 'Dietary needs'));
+
+  console.log('registration questions tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
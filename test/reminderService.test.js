@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+const sent = [];
+const capture = async (message) => { sent.push(message); return {}; };
+let mailHandler = capture;
+mailer.sendMail = (message) => mailHandler(message);
+
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const reminderService = require('../src/services/reminderService');
+const mailOutboxService = require('../src/services/mailOutboxService');
+const publicService = require('../src/services/publicService');
+
+function pad(n) { return String(n).padStart(2, '0'); }
+function localText(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+function hoursFrom(base, h) { return new Date(base.getTime() + h * 3600000); }
+
+async function run() {
+  assert.deepStrictEqual(reminderService.parseOffsets('24, 168,24'), [24, 168]);
+  assert.deepStrictEqual(reminderService.parseOffsets('off'), []);
+
+  const now = new Date();
+  now.setSeconds(0, 0);
+  const offsets = [24, 168];
+
+  // Schedule event: block A starts in 20h (24h reminder due), block B in 100h (7-day reminder due)
+  const eventId = dal.admin.createEvent('Reminder Event', '', localText(hoursFrom(now, 20)), localText(hoursFrom(now, 110)), 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Greeters', '', '').lastInsertRowid;
+  const blockA = dal.admin.createTimeBlock(stationId, localText(hoursFrom(now, 20)), localText(hoursFrom(now, 22)), 5).lastInsertRowid;
+  const blockB = dal.admin.createTimeBlock(stationId, localText(hoursFrom(now, 100)), localText(hoursFrom(now, 102)), 5).lastInsertRowid;
+  const blockFar = dal.admin.createTimeBlock(stationId, localText(hoursFrom(now, 400)), localText(hoursFrom(now, 402)), 5).lastInsertRowid;
+
+  const reg = dal.public.createRegistrationWithAssignments(
+    eventId,
+    { name: 'Alice', email: 'alice@example.com' },
+    ['Alice'],
+    [{ blockId: blockA, participantIndex: 0 }, { blockId: blockB, participantIndex: 0 }, { blockId: blockFar, participantIndex: 0 }],
+    []
+  );
+  const optedOut = dal.public.createRegistrationWithAssignments(
+    eventId,
+    { name: 'Bob', email: 'bob@example.com', email_opt_in: 0 },
+    ['Bob'],
+    [{ blockId: blockA, participantIndex: 0 }],
+    []
+  );
+  // Pretend both signed up well before any reminder threshold
+  db.prepare(`UPDATE schedule_assignments SET created_at = datetime('now', '-30 days')`).run();
+  db.prepare(`UPDATE registrations SET created_at = datetime('now', '-30 days')`).run();
+
+  // Late signup: joined after the 24h threshold for block A, so no reminder
+  const late = dal.public.createRegistrationWithAssignments(
+    eventId,
+    { name: 'Cara', email: 'cara@example.com' },
+    ['Cara'],
+    [{ blockId: blockA, participantIndex: 0 }],
+    []
+  );
+
+  const first = await reminderService.runReminderSweep(now, offsets);
+  assert.strictEqual(first.sent, 2, 'Expected one 24h and one 7-day reminder for Alice');
+  assert.strictEqual(sent.length, 2);
+  assert(sent.every(m => m.to === 'alice@example.com'), 'Opted-out and late registrants are skipped');
+  const dayReminder = sent.find(m => /tomorrow/.test(m.subject));
+  assert(dayReminder, 'Expected a 24h reminder');
+  assert(/\/manage\/[0-9a-f]{48}/.test(dayReminder.text), 'Reminder should include a manage link');
+  // Each reminder mails its own link; the earlier one keeps working
+  const links = sent.map(m => m.text.match(/\/manage\/([0-9a-f]{48})/)[1]);
+  assert.notStrictEqual(links[0], links[1]);
+  links.forEach(token => {
+    const context = publicService.getManageContext(token);
+    assert(context, 'Every reminder link should still open the manage page');
+    assert.strictEqual(context.registration.registration_id, reg.registrationId);
+  });
+
+  // Running again (or after a restart) must not double-send
+  const second = await reminderService.runReminderSweep(now, offsets);
+  assert.strictEqual(second.sent, 0);
+  assert.strictEqual(sent.length, 2);
+  const rows = db.prepare(`SELECT COUNT(*) AS c FROM reminder_deliveries WHERE registration_id = ?`).get(reg.registrationId);
+  assert.strictEqual(rows.c, 2);
+  const none = db.prepare(`SELECT COUNT(*) AS c FROM reminder_deliveries WHERE registration_id IN (?, ?)`).get(optedOut.registrationId, late.registrationId);
+  assert.strictEqual(none.c, 0);
+
+  // Failed sends stay in the mail outbox, which retries them
+  const potEventId = dal.admin.createEvent('Potluck', '', localText(hoursFrom(now, 10)), localText(hoursFrom(now, 12)), 'potluck').lastInsertRowid;
+  const potStation = dal.admin.createStation(potEventId, 'Mains', '', '').lastInsertRowid;
+  const item = dal.admin.createTimeBlock(potStation, localText(hoursFrom(now, 10)), localText(hoursFrom(now, 10)), 5).lastInsertRowid;
+  const potReg = dal.public.createRegistrationWithAssignments(
+    potEventId,
+    { name: 'Dee', email: 'dee@example.com' },
+    ['Dee'],
+    [],
+    [{ itemId: item, participantIndex: 0, dishName: 'Chili' }]
+  );
+  db.prepare(`UPDATE registrations SET created_at = datetime('now', '-30 days') WHERE registration_id = ?`).run(potReg.registrationId);
+
+  mailHandler = async () => { throw new Error('SMTP down'); };
+  const originalError = console.error;
+  console.error = () => {};
+  const queued = await reminderService.runReminderSweep(now, offsets);
+  console.error = originalError;
+  assert.strictEqual(queued.sent, 1);
+  assert.strictEqual((await reminderService.runReminderSweep(now, offsets)).sent, 0, 'claimed once it is in the outbox');
+  const stuck = db.prepare(`SELECT status, attempts, last_error FROM mail_outbox WHERE to_address = 'dee@example.com'`).get();
+  assert.deepStrictEqual(stuck, { status: 'pending', attempts: 1, last_error: 'SMTP down' });
+  mailHandler = capture;
+  const retried = await mailOutboxService.runMailSweep(new Date(Date.now() + 2 * 60000));
+  assert.strictEqual(retried.sent, 1);
+  const potMail = sent[sent.length - 1];
+  assert.strictEqual(potMail.to, 'dee@example.com');
+  assert(potMail.text.includes('Chili'));
+
+  console.log('reminderService tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.ARCHIVE_AFTER_DAYS = '30';
+process.env.PII_RETENTION_DAYS = '365';
+
+const { initDatabase, db } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const hoursReportService = require('../src/services/hoursReportService');
+const webhookService = require('../src/services/webhookService');
+const questions = require('../src/services/registrationQuestionService');
+const retentionService = require('../src/services/retentionService');
+const mailOutboxService = require('../src/services/mailOutboxService');
+
+function eventAudit(eventId) {
+  return db.prepare(`SELECT entity_type, action, before_json, after_json FROM audit_log WHERE event_id = ?`).all(eventId);
+}
+
+async function run() {
+  // Settings come from the environment; 0 turns a step off, junk falls back
+  assert.deepStrictEqual(retentionService.getRetentionSettings(), { archiveAfterDays: 30, retentionDays: 365 });
+  assert.deepStrictEqual(retentionService.getRetentionSettings({}), { archiveAfterDays: 30, retentionDays: 730 });
+  assert.deepStrictEqual(retentionService.getRetentionSettings({ ARCHIVE_AFTER_DAYS: '0', PII_RETENTION_DAYS: 'soon' }),
+    { archiveAfterDays: 0, retentionDays: 730 });
+
+  const spring = dal.admin.createEvent('Spring Cleanup', '', '2031-04-05 08:00', '2031-04-05 14:00', 'schedule').lastInsertRowid;
+  const rakes = dal.admin.createStation(spring, 'Rakes', '', '').lastInsertRowid;
+  const morning = dal.admin.createTimeBlock(rakes, '2031-04-05 08:00', '2031-04-05 10:30', 5).lastInsertRowid;
+  const afternoon = dal.admin.createTimeBlock(rakes, '2031-04-05 11:00', '2031-04-05 14:00', 5).lastInsertRowid;
+  const { question_id: dietId } = questions.createQuestion(spring, { label: 'Dietary needs', scope: 'participant' });
+
+  const fall = dal.admin.createEvent('Fall Festival', '', '2031-10-01 09:00', '2031-10-01 12:00', 'schedule').lastInsertRowid;
+  const gate = dal.admin.createStation(fall, 'Gate', '', '').lastInsertRowid;
+  const gateAm = dal.admin.createTimeBlock(gate, '2031-10-01 09:00', '2031-10-01 12:00', 5).lastInsertRowid;
+
+  webhookService.createEndpoint({ name: 'CRM', url: 'https://example.org/hook' }, 'owner@example.org');
+  const ann = await publicService.processVolunteerSignup({
+    eventId: spring,
+    registrant: { name: 'Ann Lee', email: 'ann@example.com', phone: '555-0100' },
+    participants: ['Ann Lee', 'Bo Lee'],
+    scheduleAssignments: [
+      { blockId: morning, participantIndex: 0 },
+      { blockId: afternoon, participantIndex: 0 },
+      { blockId: morning, participantIndex: 1 }
+    ],
+    answers: { participants: [{ [dietId]: 'Vegetarian' }, {}] }
+  });
+  await publicService.processVolunteerSignup({
+    eventId: fall,
+    registrant: { name: 'Cy Park', email: 'cy@example.com' },
+    participants: ['Cy Park'],
+    scheduleAssignments: [{ blockId: gateAm, participantIndex: 0 }]
+  });
+  const hoursBefore = hoursReportService.getVolunteerHoursReport({ from: '2031-01-01', to: '2031-12-31' });
+  assert.deepStrictEqual(hoursBefore.totals, { volunteers: 3, shifts: 4, hours: 11 });
+
+  // Archiving: only once ARCHIVE_AFTER_DAYS have passed since the event ended
+  assert.deepStrictEqual(retentionService.runArchiveSweep(new Date(2031, 4, 1)), { archived: 0 });
+  assert.deepStrictEqual(retentionService.runArchiveSweep(new Date(2031, 4, 6)), { archived: 1 });
+  assert.deepStrictEqual(retentionService.runArchiveSweep(new Date(2031, 4, 6)), { archived: 0 });
+  assert.deepStrictEqual(adminService.getDashboardData().map(e => e.name), ['Fall Festival']);
+  assert.deepStrictEqual(adminService.getDashboardData({ includeArchived: true }).map(e => e.name), ['Fall Festival', 'Spring Cleanup']);
+  assert.ok(adminService.getEventDetailsForAdmin(spring).archived_at);
+  assert.strictEqual(adminService.getEventDetailsForAdmin(spring).pii_purged_at, null);
+
+  // Preview lists what the purge would touch, without changing anything
+  const purgeDay = new Date(2032, 4, 1);
+  assert.strictEqual(retentionService.getPurgePreview(new Date(2032, 3, 1)).events.length, 0);
+  const preview = retentionService.getPurgePreview(purgeDay);
+  assert.strictEqual(preview.cutoff, '2031-05-02 00:00');
+  assert.deepStrictEqual(preview.events.map(e => [e.name, e.registration_count, e.participant_count, e.answer_count, e.mail_count]),
+    [['Spring Cleanup', 1, 2, 1, 1]]);
+  assert.deepStrictEqual(preview.totals, { events: 1, registrations: 1, participants: 2, answers: 1, emails: 1 });
+  assert.ok(publicService.getManageContext(ann.token));
+
+  // Scheduled runs with nothing due are not logged
+  assert.strictEqual(retentionService.runPurge({ now: new Date(2032, 3, 1) }).event_count, 0);
+  assert.strictEqual(retentionService.listPurgeRuns().length, 0);
+  assert.ok(eventAudit(spring).some(row => /ann@example\.com/.test(row.after_json)));
+
+  const run = retentionService.runPurge({ now: purgeDay });
+  assert.strictEqual(run.event_count, 1);
+  assert.strictEqual(run.registration_count, 1);
+  assert.strictEqual(run.participant_count, 2);
+
+  // Personal details are gone everywhere they were kept
+  const registration = db.prepare(`SELECT * FROM registrations WHERE event_id = ?`).get(spring);
+  assert.strictEqual(registration.registrant_name, 'Anonymised');
+  assert.strictEqual(registration.registrant_email, '');
+  assert.strictEqual(registration.registrant_phone, null);
+  assert.strictEqual(registration.manage_token_hash, null);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS c FROM registration_tokens WHERE registration_id = ?`).get(registration.registration_id).c, 0);
+  assert.strictEqual(registration.email_opt_in, 0);
+  const names = db.prepare(`SELECT participant_name FROM participants WHERE registration_id = ? ORDER BY participant_id`).all(registration.registration_id);
+  assert.ok(names.every(p => /^Anonymised #\d+$/.test(p.participant_name)));
+  assert.strictEqual(dal.admin.listEventAnswers(spring).length, 0);
+  const mail = db.prepare(`SELECT * FROM mail_outbox WHERE event_id = ?`).get(spring);
+  assert.strictEqual(mail.to_address, '');
+  assert.strictEqual(mail.text_body, null);
+  assert.strictEqual(mail.status, 'sent');
+  const payloads = db.prepare(`SELECT payload_json FROM webhook_deliveries`).all().map(row => row.payload_json);
+  assert.strictEqual(payloads.length, 2);
+  assert.ok(!payloads.some(p => /ann@example\.com|Ann Lee/.test(p)));
+  assert.ok(payloads.some(p => /cy@example\.com/.test(p)), 'other events are untouched');
+  const audit = eventAudit(spring);
+  assert.ok(!audit.some(row => /ann@example\.com|Ann Lee|Bo Lee|555-0100/.test(`${row.before_json} ${row.after_json}`)));
+  assert.ok(audit.some(row => row.entity_type === 'event' && JSON.parse(row.after_json).pii_purged_at));
+  assert.strictEqual(publicService.getManageContext(ann.token), null);
+  assert.strictEqual(db.prepare(`SELECT registrant_email FROM registrations WHERE event_id = ?`).get(fall).registrant_email, 'cy@example.com');
+
+  // Aggregates survive: same shifts, hours and headcount
+  const hoursAfter = hoursReportService.getVolunteerHoursReport({ from: '2031-01-01', to: '2031-12-31' });
+  assert.deepStrictEqual(hoursAfter.totals, hoursBefore.totals);
+  assert.deepStrictEqual(hoursAfter.events.map(e => [e.name, e.hours, e.volunteers]), hoursBefore.events.map(e => [e.name, e.hours, e.volunteers]));
+  const admin = adminService.getEventDetailsForAdmin(spring);
+  assert.ok(admin.pii_purged_at);
+  assert.strictEqual(admin.stations[0].time_blocks[0].reservations.length, 2);
+
+  // Already purged events are not picked up again; manual runs are always logged
+  assert.strictEqual(retentionService.getPurgePreview(purgeDay).events.length, 0);
+  const manual = retentionService.runPurge({ now: purgeDay, source: 'manual', runBy: 'owner@example.org' });
+  assert.strictEqual(manual.event_count, 0);
+  const runs = retentionService.listPurgeRuns();
+  assert.deepStrictEqual(runs.map(r => [r.source, r.run_by, r.event_count]), [['manual', 'owner@example.org', 0], ['scheduled', null, 1]]);
+  assert.deepStrictEqual(runs[1].events.map(e => [e.name, e.registrations, e.participants]), [['Spring Cleanup', 1, 2]]);
+  assert.strictEqual(runs[1].retention_days, 365);
+
+  // Free text typed by volunteers goes too: potluck dish names and mail subjects
+  const picnic = dal.admin.createEvent('Picnic', '', '2031-06-01 12:00', '2031-06-01 15:00', 'potluck').lastInsertRowid;
+  const mains = dal.admin.createStation(picnic, 'Mains', '', '').lastInsertRowid;
+  const pie = dal.admin.createTimeBlock(mains, '2031-06-01 12:00', '2031-06-01 12:00', 5).lastInsertRowid;
+  await publicService.processVolunteerSignup({
+    eventId: picnic,
+    registrant: { name: 'Dee Ray', email: 'dee@example.com' },
+    participants: ['Dee Ray'],
+    potluckAssignments: [{ itemId: pie, participantIndex: 0, dishName: "Grandma Ray's pie" }]
+  });
+  await mailOutboxService.queueMail({ to: 'owner@example.org', subject: "Can't make it: Dee Ray, Mains", text: 'Dee Ray' },
+    { kind: 'cant_make_it', eventId: picnic });
+  dal.admin.purgeEventPii(picnic);
+  assert.deepStrictEqual(db.prepare(`
+    SELECT pa.dish_name FROM potluck_assignments pa JOIN time_blocks tb ON tb.block_id = pa.item_id WHERE tb.station_id = ?
+  `).all(mains), [{ dish_name: null }]);
+  const picnicMail = db.prepare(`SELECT subject FROM mail_outbox WHERE event_id = ?`).all(picnic);
+  assert.strictEqual(picnicMail.length, 2);
+  assert.ok(picnicMail.every(m => m.subject === 'Anonymised'));
+
+  console.log('retention tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
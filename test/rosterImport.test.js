@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load).
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => { sent.push(message); return {}; };
+
+const dal = require('../src/db/dal');
+const adminService = require('../src/services/adminService');
+const rosterImportService = require('../src/services/rosterImportService');
+
+async function run() {
+  const eventId = dal.admin.createEvent('Food Drive', '', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const sorting = dal.admin.createStation(eventId, 'Sorting', '', '').lastInsertRowid;
+  const early = dal.admin.createTimeBlock(sorting, '2030-09-01 09:00', '2030-09-01 11:00', 2).lastInsertRowid;
+  const late = dal.admin.createTimeBlock(sorting, '2030-09-01 11:00', '2030-09-01 13:00', 1).lastInsertRowid;
+  const desk = dal.admin.createStation(eventId, 'Front desk', '', '').lastInsertRowid;
+  const deskBlock = dal.admin.createTimeBlock(desk, '2030-09-01 10:00', '2030-09-01 12:00', 3).lastInsertRowid;
+
+  // Missing columns are reported before any row is looked at
+  const noEmail = rosterImportService.planRosterImport(eventId, 'Volunteer Name,Station/Category,Block Start\nAnn,Sorting,2030-09-01 09:00');
+  assert.strictEqual(noEmail.errors.length, 1);
+  assert.throws(() => rosterImportService.planRosterImport(9999, 'x'), err => err.status === 404);
+
+  const csv = [
+    'Volunteer Name,Registrant Email,Registrant Phone,Station/Category,Block Start,Block End',
+    'Ann Lee,ann@example.com,555-0100,Sorting,2030-09-01 09:00,2030-09-01 11:00',
+    'Bo Lee,ANN@example.com,,sorting,2030-09-01 09:00,',
+    'Cy,cy@example.com,,Sorting,2030-09-01 11:00,2030-09-01 13:00',
+    'Dee,dee@example.com,,Sorting,2030-09-01 11:00,2030-09-01 13:00',
+    'Ann Lee,ann@example.com,,Front desk,2030-09-01 10:00,',
+    'Eve,not-an-email,,Sorting,2030-09-01 09:00,',
+    'Fay,fay@example.com,,Kitchen,2030-09-01 09:00,',
+    'Gus,gus@example.com,,Sorting,2030-09-01 08:00,',
+    'Ann Lee,ann@example.com,,Sorting,2030-09-01 09:00,'
+  ].join('\n');
+
+  // Dry run: rows are matched but nothing is written
+  const plan = rosterImportService.planRosterImport(eventId, csv);
+  assert.deepStrictEqual(plan.errors, []);
+  assert.deepStrictEqual(plan.rows.map(r => r.status), ['ready', 'ready', 'ready', 'ready', 'ready', 'error', 'error', 'error', 'already']);
+  assert.strictEqual(plan.rows[0].block.block_id, early);
+  assert.strictEqual(plan.rows[1].block.block_id, early, 'station match ignores case; end is optional');
+  assert(/valid email/.test(plan.rows[5].message));
+  assert(/no station named "Kitchen"/i.test(plan.rows[6].message));
+  assert(/no block starting 2030-09-01 08:00/i.test(plan.rows[7].message));
+  assert.strictEqual(plan.rows[8].message, 'Same as row 2.');
+  assert.strictEqual(dal.public.listRegistrationsForEvent(eventId).length, 0);
+
+  // Apply: capacity and overlap rules come from addReservationToBlock
+  const result = await rosterImportService.applyRosterImport(eventId, csv, { sendLinks: true });
+  assert.deepStrictEqual(
+    result.rows.map(r => r.status),
+    ['added', 'added', 'added', 'error', 'error', 'error', 'error', 'error', 'already']
+  );
+  assert(/full|capacity|no longer available/i.test(result.rows[3].message), result.rows[3].message);
+  assert(/overlapping/.test(result.rows[4].message), result.rows[4].message);
+  assert.deepStrictEqual(result.summary, { added: 3, already: 1, error: 5, emailed: 2 });
+
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  const names = (blockId) => event.stations.flatMap(s => s.time_blocks).find(b => b.block_id === blockId).reservations.map(r => r.name).sort();
+  assert.deepStrictEqual(names(early), ['Ann Lee', 'Bo Lee']);
+  assert.deepStrictEqual(names(late), ['Cy']);
+  assert.deepStrictEqual(names(deskBlock), []);
+
+  // Same email => one registration (one manage link) holding both people
+  const regs = dal.public.listRegistrationsForEvent(eventId);
+  assert.strictEqual(regs.length, 2);
+  const ann = dal.public.findRegistrationByEmail(eventId, 'ann@example.com');
+  assert.strictEqual(ann.registrant_phone, '555-0100');
+  assert.deepStrictEqual(dal.public.getRegistrationDetailWithAssignments(ann.registration_id).participants.map(p => p.participant_name).sort(), ['Ann Lee', 'Bo Lee']);
+
+  // One email per registrant with their manage link
+  assert.deepStrictEqual(sent.map(m => m.to).sort(), ['ann@example.com', 'cy@example.com']);
+  assert(sent.every(m => /\/manage\/[a-f0-9]+/.test(m.text || m.html)));
+
+  // Importing the same file again adds nobody and sends nothing
+  sent.length = 0;
+  const again = await rosterImportService.applyRosterImport(eventId, csv);
+  assert.strictEqual(again.summary.added, 0);
+  assert.strictEqual(again.rows[0].status, 'already');
+  assert.strictEqual(sent.length, 0);
+
+  // Potluck: items by title, dish names kept; Block ID works as a shortcut
+  const potluckId = dal.admin.createEvent('Harvest Supper', '', '2030-10-01 17:00', '2030-10-01 20:00', 'potluck').lastInsertRowid;
+  const mains = adminService.createStation({ event_id: potluckId, name: 'Mains' }).station_id;
+  const casserole = adminService.createTimeBlock({ station_id: mains, title: 'Casserole', capacity_needed: 2 }).lastInsertRowid;
+  const potluck = await rosterImportService.applyRosterImport(potluckId, [
+    'Volunteer Name,Email,Station,Item Title,Dish Name,Block ID',
+    'Hal,hal@example.com,Mains,casserole,Tuna bake,',
+    'Ida,ida@example.com,,,,' + casserole,
+    'Jo,jo@example.com,Mains,Soup,,'
+  ].join('\n'));
+  assert.deepStrictEqual(potluck.rows.map(r => r.status), ['added', 'added', 'error']);
+  const hal = dal.public.getRegistrationDetailWithAssignments(dal.public.findRegistrationByEmail(potluckId, 'hal@example.com').registration_id);
+  assert.strictEqual(hal.potluckAssignments[0].dish_name, 'Tuna bake');
+
+  console.log('roster import tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
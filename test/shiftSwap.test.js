@@ -0,0 +1,132 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const swapService = require('../src/services/swapService');
+
+async function signUp(eventId, blockIds, name) {
+  const result = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name, email: `${name.toLowerCase()}@example.com` },
+    participants: [name],
+    scheduleAssignments: blockIds.map(blockId => ({ blockId, participantIndex: 0 }))
+  });
+  const person = { ...result, context: () => publicService.getManageContext(person.token) };
+  return person;
+}
+
+function tokenIn(text) {
+  return /\/manage\/([0-9a-f]{48})/.exec(text)[1];
+}
+
+function blocksOf(person) {
+  return person.context().participants[0].schedule.map(s => Number(s.time_block_id)).sort();
+}
+
+async function run() {
+  const eventId = dal.admin.createEvent('Harvest Fair', '', '2030-10-01 09:00', '2030-10-01 17:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Gate', '', '').lastInsertRowid;
+  const morning = dal.admin.createTimeBlock(stationId, '2030-10-01 09:00', '2030-10-01 11:00', 2).lastInsertRowid;
+  const midday = dal.admin.createTimeBlock(stationId, '2030-10-01 11:00', '2030-10-01 13:00', 2).lastInsertRowid;
+  const overlapping = dal.admin.createTimeBlock(stationId, '2030-10-01 10:00', '2030-10-01 12:00', 2).lastInsertRowid;
+  const afternoon = dal.admin.createTimeBlock(stationId, '2030-10-01 14:00', '2030-10-01 16:00', 1).lastInsertRowid;
+
+  const ann = await signUp(eventId, [morning], 'Ann');
+  const bo = await signUp(eventId, [midday], 'Bo');
+  const cy = await signUp(eventId, [overlapping], 'Cy');
+  const annPid = ann.context().participants[0].participant_id;
+  const boPid = bo.context().participants[0].participant_id;
+
+  // Posting a shift
+  assert.throws(() => swapService.requestSwap(ann.token, { participantId: annPid, blockId: midday }), err => err.status === 400);
+  swapService.requestSwap(ann.token, { participantId: annPid, blockId: morning, note: 'Happy to trade for midday' });
+  assert.throws(() => swapService.requestSwap(ann.token, { participantId: annPid, blockId: morning }), err => err.status === 409);
+
+  const annBoard = swapService.getSwapBoard(ann.context());
+  assert.strictEqual(annBoard.mine.length, 1);
+  assert.strictEqual(annBoard.available.length, 0);
+  assert.deepStrictEqual(annBoard.shifts.map(s => s.offered), [true]);
+  const boBoard = swapService.getSwapBoard(bo.context());
+  assert.strictEqual(boBoard.available.length, 1);
+  assert.strictEqual(boBoard.available[0].note, 'Happy to trade for midday');
+  assert.strictEqual(boBoard.available[0].participant_name, undefined, 'other volunteers do not see who posted');
+  const swapId = boBoard.available[0].swap_id;
+
+  // Guard rails
+  await assert.rejects(() => swapService.acceptSwap(ann.token, swapId, {}), err => err.status === 400);
+  await assert.rejects(() => swapService.acceptSwap(cy.token, swapId, {}), err => err.status === 409 && /overlaps/.test(err.message));
+  await assert.rejects(() => swapService.acceptSwap(bo.token, swapId, { tradeBlockId: afternoon }), err => err.status === 400);
+
+  // Trade: Bo takes the morning and gives Ann the midday shift
+  const before = sent.length;
+  const result = await swapService.acceptSwap(bo.token, swapId, { tradeBlockId: midday });
+  assert.strictEqual(result.trade.time_block_id, midday);
+  const notices = sent.slice(before);
+  assert.deepStrictEqual(notices.map(m => m.to), ['bo@example.com', 'ann@example.com']);
+  assert(/Now yours — Bo: Gate/.test(notices[0].text) && /Handed over — Bo: Gate/.test(notices[0].text));
+  assert(/Handed over — Ann: Gate/.test(notices[1].text) && /Now yours — Ann: Gate/.test(notices[1].text));
+  assert.strictEqual(tokenIn(notices[0].text), bo.token, 'the taker keeps their current manage link');
+  // The poster is mailed a fresh link; the one they already have keeps working
+  assert.notStrictEqual(tokenIn(notices[1].text), ann.token);
+  assert(publicService.getManageContext(tokenIn(notices[1].text)));
+  assert(ann.context(), 'the poster\'s earlier manage link still works');
+
+  assert.deepStrictEqual(blocksOf(bo), [morning]);
+  assert.deepStrictEqual(blocksOf(ann), [midday]);
+  assert.strictEqual(dal.public.getShiftSwap(swapId).status, 'accepted');
+  assert.strictEqual(dal.public.getShiftSwap(swapId).accepted_participant_id, boPid);
+  assert.deepStrictEqual(dal.admin.listMail({ kind: 'swap' }).map(m => m.status), ['sent', 'sent']);
+  await assert.rejects(() => swapService.acceptSwap(cy.token, swapId, {}), err => err.status === 409);
+
+  // Plain cover: Dee takes Bo's morning shift without trading
+  const dee = await signUp(eventId, [afternoon], 'Dee');
+  swapService.requestSwap(bo.token, { participantId: boPid, blockId: morning });
+  const coverId = swapService.getSwapBoard(dee.context()).available[0].swap_id;
+  await swapService.acceptSwap(dee.token, coverId, {});
+  assert.notStrictEqual(tokenIn(sent[sent.length - 1].text), bo.token);
+  assert.deepStrictEqual(blocksOf(dee), [morning, afternoon].sort());
+  assert.deepStrictEqual(blocksOf(bo), []);
+
+  // Withdrawing, and offers that vanish when the poster edits the shift away
+  swapService.requestSwap(ann.token, { participantId: annPid, blockId: midday });
+  const withdrawId = swapService.getSwapBoard(dee.context()).available[0].swap_id;
+  assert.strictEqual(swapService.cancelSwap(ann.token, withdrawId), true);
+  assert.throws(() => swapService.cancelSwap(ann.token, withdrawId), err => err.status === 404);
+  swapService.requestSwap(ann.token, { participantId: annPid, blockId: midday });
+  assert.strictEqual(swapService.getSwapBoard(dee.context()).available.length, 1);
+  await publicService.updateVolunteerSignup(ann.token, [{ blockId: overlapping, participantId: annPid }], []);
+  assert.strictEqual(swapService.getSwapBoard(dee.context()).available.length, 0);
+
+  // Past shifts are neither posted nor offered
+  assert.strictEqual(swapService.getSwapBoard(dee.context(), new Date('2031-01-01T00:00:00')).shifts.length, 0);
+
+  // Admin moves still go through the same capacity rules
+  const cyAssignment = cy.context().participants[0].schedule[0].assignment_id;
+  assert.throws(() => dal.admin.moveReservation(cyAssignment, afternoon), err => err.status === 409 && /full/.test(err.message));
+  assert.deepStrictEqual(dal.admin.moveReservation(cyAssignment, midday), { changes: 1 });
+
+  console.log('shift swap tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
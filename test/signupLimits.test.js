@@ -0,0 +1,188 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const { normalizeLimit, describeLimits, participantLimitProblem, signupLimits } = require('../src/utils/signupLimits');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const swapService = require('../src/services/swapService');
+
+async function run() {
+  // Helpers
+  assert.strictEqual(normalizeLimit('max_hours_per_day', '7.5'), 7.5);
+  assert.strictEqual(normalizeLimit('max_hours_per_day', '7.25'), null);
+  assert.strictEqual(normalizeLimit('max_assignments_per_participant', '0'), null);
+  assert.strictEqual(normalizeLimit('min_rest_minutes', ''), null);
+  const limits = signupLimits({ max_assignments_per_participant: 3, min_assignments_per_participant: 2, max_hours_per_day: 5, min_rest_minutes: 60 });
+  assert.deepStrictEqual(describeLimits(limits), [
+    'Each participant takes 2 to 3 shifts.',
+    'No more than 5 hours of shifts per person per day.',
+    "At least 1 hour between a person's shifts."
+  ]);
+  const shift = (start, end) => ({ start_time: `2030-06-01 ${start}`, end_time: `2030-06-01 ${end}` });
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [shift('09:00', '11:00')]), null);
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [shift('09:00', '11:00')], { checkMinimum: true }),
+    'Ada needs at least 2 shifts (or none).');
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [], { checkMinimum: true }), null);
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [shift('09:00', '11:00'), shift('11:30', '13:00')]),
+    'Ada needs at least 1 hour between shifts.');
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [shift('08:00', '11:00'), shift('13:00', '16:00')]),
+    'Ada would have 6 hours of shifts in one day; the limit is 5 hours.');
+  assert.strictEqual(participantLimitProblem(limits, 'Ada', [shift('08:00', '11:00'), shift('13:00', '16:00')], { timed: false }), null);
+
+  const eventId = dal.admin.createEvent('Harvest Fair', '', '2030-06-01 09:00', '2030-06-02 18:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const kitchen = dal.admin.createStation(eventId, 'Kitchen', '', '').lastInsertRowid;
+  const block = (start, end) => dal.admin.createTimeBlock(kitchen, start, end, 10).lastInsertRowid;
+  const a = block('2030-06-01 09:00', '2030-06-01 11:00');
+  const b = block('2030-06-01 11:00', '2030-06-01 13:00');
+  const c = block('2030-06-01 13:30', '2030-06-01 15:30');
+  const d = block('2030-06-01 16:00', '2030-06-01 18:00');
+  const e = block('2030-06-02 09:00', '2030-06-02 11:00');
+
+  // Admin validation
+  assert.throws(() => adminService.updateEvent(eventId, { max_hours_per_day: '30' }),
+    err => err.status === 400 && /half hours from 0.5 to 24/.test(err.message));
+  assert.throws(() => adminService.updateEvent(eventId, { min_assignments_per_participant: '4', max_assignments_per_participant: '3' }),
+    err => err.status === 400 && /cannot be more than the most/.test(err.message));
+  adminService.updateEvent(eventId, {
+    max_participants_per_registration: '2',
+    max_assignments_per_participant: '3',
+    min_assignments_per_participant: '2',
+    max_hours_per_day: '5',
+    min_rest_minutes: '30'
+  });
+  const admin = adminService.getEventDetailsForAdmin(eventId);
+  assert.deepStrictEqual([admin.max_participants_per_registration, admin.max_hours_per_day, admin.min_rest_minutes], [2, 5, 30]);
+  const publicEvent = publicService.getEventDetailsForPublic(eventId);
+  assert.strictEqual(publicEvent.signup_limits.max_assignments_per_participant, 3);
+  assert.strictEqual(publicEvent.signup_limit_notes[0], 'Up to 2 people per signup.');
+
+  // New signups
+  const signup = (participants, blocks) => publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Lena Park', email: 'lena@example.com' },
+    participants,
+    scheduleAssignments: blocks.map(([blockId, participantIndex]) => ({ blockId, participantIndex }))
+  });
+  await assert.rejects(() => signup(['Lena Park', 'Jo Park', 'Kai Park'], [[a, 0]]),
+    err => err.status === 400 && err.message === 'Each signup can include at most 2 people.');
+  await assert.rejects(() => signup(['Lena Park'], [[a, 0]]), err => /Lena Park needs at least 2 shifts/.test(err.message));
+  await assert.rejects(() => signup(['Lena Park'], [[a, 0], [b, 0]]), err => /at least 30 minutes between shifts/.test(err.message));
+  await assert.rejects(() => signup(['Lena Park'], [[a, 0], [c, 0], [d, 0]]), err => /6 hours of shifts in one day/.test(err.message));
+  await assert.rejects(() => signup(['Lena Park'], [[a, 0], [c, 0], [e, 0], [d, 0]]), err => /at most 3 shifts/.test(err.message));
+  const lena = await signup(['Lena Park', 'Jo Park'], [[a, 0], [c, 0], [e, 0]]);
+
+  // Manage page: only participants whose shifts change are checked
+  let context = publicService.getManageContext(lena.token);
+  const [lenaP, joP] = context.participants;
+  const mine = [a, c, e].map(blockId => ({ blockId, participantId: lenaP.participant_id }));
+  await assert.rejects(() => publicService.updateVolunteerSignup(lena.token, mine.concat({ blockId: d, participantId: lenaP.participant_id }), []),
+    err => err.status === 400 && /at most 3 shifts/.test(err.message));
+  await assert.rejects(() => publicService.updateVolunteerSignup(lena.token, [mine[0]], []), err => /needs at least 2 shifts/.test(err.message));
+  adminService.updateEvent(eventId, { max_assignments_per_participant: '2' });
+  await publicService.updateVolunteerSignup(lena.token, mine.concat(
+    { blockId: a, participantId: joP.participant_id },
+    { blockId: e, participantId: joP.participant_id }
+  ), []);
+  context = publicService.getManageContext(lena.token);
+  assert.deepStrictEqual(context.participants.map(p => p.schedule.length), [3, 2]);
+  assert.throws(() => publicService.addParticipant(lena.token, 'Kai Park'), err => err.status === 400 && /at most 2 people/.test(err.message));
+
+  // Admin placements: count, hours and rest, but not the minimum
+  assert.throws(() => adminService.addReservationToBlock(d, { name: 'Jo Park', email: 'lena@example.com' }, eventId, false),
+    err => err.status === 409 && /Jo Park can take at most 2 shifts/.test(err.message));
+  const joAtE = dal.admin.getEventReservations(eventId).find(r => r.volunteer_name === 'Jo Park' && r.block_id === e);
+  assert.throws(() => adminService.updateReservation(joAtE.reservation_id, { block_id: b }),
+    err => err.status === 409 && /between shifts/.test(err.message));
+  adminService.updateEvent(eventId, { min_rest_minutes: '' });
+  adminService.updateReservation(joAtE.reservation_id, { block_id: b });
+
+  // Swaps: the taker always, the poster too when they get a shift back
+  const fairId = dal.admin.createEvent('Book Fair', '', '2030-07-01 07:00', '2030-07-01 18:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(fairId, 'published');
+  adminService.updateEvent(fairId, { max_assignments_per_participant: '2', min_rest_minutes: '60' });
+  const desk = dal.admin.createStation(fairId, 'Desk', '', '').lastInsertRowid;
+  const slot = (start, end) => dal.admin.createTimeBlock(desk, `2030-07-01 ${start}`, `2030-07-01 ${end}`, 2).lastInsertRowid;
+  const early = slot('07:00', '10:00');
+  const late = slot('10:30', '12:30');
+  const mid = slot('14:00', '16:00');
+  const after = slot('16:30', '18:00');
+  const signUp = async (name, blockIds) => (await publicService.processVolunteerSignup({
+    eventId: fairId,
+    registrant: { name, email: `${name.toLowerCase()}@example.com` },
+    participants: [name],
+    scheduleAssignments: blockIds.map(blockId => ({ blockId, participantIndex: 0 }))
+  })).token;
+  const quinn = await signUp('Quinn', [late, mid]);
+  const pat = await signUp('Pat', [early, after]);
+  const quinnPid = publicService.getManageContext(quinn).participants[0].participant_id;
+  swapService.requestSwap(quinn, { participantId: quinnPid, blockId: late });
+  const swapId = swapService.getSwapBoard(publicService.getManageContext(pat)).available[0].swap_id;
+  await assert.rejects(() => swapService.acceptSwap(pat, swapId, {}),
+    err => err.status === 409 && /Pat can take at most 2 shifts/.test(err.message));
+  await assert.rejects(() => swapService.acceptSwap(pat, swapId, { tradeBlockId: after }),
+    err => err.status === 409 && /Pat needs at least 1 hour between shifts/.test(err.message));
+  adminService.updateEvent(fairId, { min_rest_minutes: '', max_hours_per_day: '4' });
+  await assert.rejects(() => swapService.acceptSwap(pat, swapId, { tradeBlockId: early }),
+    err => err.status === 409 && /The volunteer who posted this shift would have 5 hours/.test(err.message));
+  assert.strictEqual(dal.public.getShiftSwap(swapId).status, 'open');
+  adminService.updateEvent(fairId, { max_hours_per_day: '' });
+  await swapService.acceptSwap(pat, swapId, { tradeBlockId: early });
+  const scheduleOf = token => publicService.getManageContext(token).participants[0].schedule.map(s => Number(s.time_block_id)).sort();
+  assert.deepStrictEqual(scheduleOf(pat), [late, after].sort());
+  assert.deepStrictEqual(scheduleOf(quinn), [early, mid].sort());
+
+  // Waitlists: requests count at signup, and promotions are checked too
+  const saleId = dal.admin.createEvent('Plant Sale', '', '2030-08-01 09:00', '2030-08-01 17:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(saleId, 'published');
+  adminService.updateEvent(saleId, { max_assignments_per_participant: '1' });
+  const till = dal.admin.createStation(saleId, 'Till', '', '').lastInsertRowid;
+  const tillAm = dal.admin.createTimeBlock(till, '2030-08-01 09:00', '2030-08-01 11:00', 1).lastInsertRowid;
+  const tillPm = dal.admin.createTimeBlock(till, '2030-08-01 13:00', '2030-08-01 15:00', 2).lastInsertRowid;
+  const sale = (name, scheduleAssignments, waitlist) => publicService.processVolunteerSignup({
+    eventId: saleId,
+    registrant: { name, email: `${name.toLowerCase()}@example.com` },
+    participants: [name],
+    scheduleAssignments,
+    waitlist
+  });
+  const ray = await sale('Ray', [{ blockId: tillAm, participantIndex: 0 }], []);
+  await assert.rejects(() => sale('Tia', [{ blockId: tillPm, participantIndex: 0 }], [{ blockId: tillAm, participantIndex: 0 }]),
+    err => err.status === 400 && /Tia can take at most 1 shift/.test(err.message));
+  adminService.updateEvent(saleId, { max_assignments_per_participant: '' });
+  const uma = await sale('Uma', [{ blockId: tillPm, participantIndex: 0 }], [{ blockId: tillAm, participantIndex: 0 }]);
+  adminService.updateEvent(saleId, { max_assignments_per_participant: '1' });
+  await publicService.updateVolunteerSignup(ray.token, [], []);
+  const umaContext = publicService.getManageContext(uma.token);
+  assert.deepStrictEqual(umaContext.participants[0].schedule.map(slot => Number(slot.time_block_id)), [tillPm]);
+  assert.strictEqual(umaContext.waitlist.length, 1);
+
+  // Copies keep the limits
+  const copy = adminService.getEventDetailsForAdmin(adminService.copyEvent(eventId).event_id);
+  assert.deepStrictEqual([copy.max_participants_per_registration, copy.max_assignments_per_participant, copy.min_rest_minutes], [2, 2, null]);
+
+  console.log('signup limits tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
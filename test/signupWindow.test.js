@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const { signupWindow, timeUntil, canonicalTime, toLocalText } = require('../src/utils/signupWindow');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const { runPublishSweep } = require('../src/services/publishScheduleService');
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Local text `days` days (and `hours` hours) from now, rounded to the minute.
+function fromNow(days, hours = 0) {
+  const d = new Date(Date.now() + (days * 24 + hours) * 3600 * 1000);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+async function run() {
+  // Window helpers
+  const now = new Date(2030, 3, 10, 12, 0);
+  assert.strictEqual(toLocalText(now), '2030-04-10 12:00');
+  assert.strictEqual(canonicalTime('2030-04-12T09:30'), '2030-04-12 09:30');
+  assert.strictEqual(canonicalTime('  '), null);
+  assert.deepStrictEqual(signupWindow({}, now), { status: 'open', opens_at: null, closes_at: null });
+  assert.strictEqual(signupWindow({ signups_open_at: '2030-04-12 09:00' }, now).status, 'upcoming');
+  assert.strictEqual(signupWindow({ signups_open_at: '2030-04-10 12:00' }, now).status, 'open');
+  assert.strictEqual(signupWindow({ signups_close_at: '2030-04-10 12:00' }, now).status, 'closed');
+  assert.strictEqual(signupWindow({ signups_open_at: '2030-04-01 09:00', signups_close_at: '2030-04-20 09:00' }, now).status, 'open');
+  assert.strictEqual(timeUntil('2030-04-13 12:00', now), '3 days');
+  assert.strictEqual(timeUntil('2030-04-10 17:30', now), '5 hours');
+  assert.strictEqual(timeUntil('2030-04-10 12:20', now), '20 minutes');
+  assert.strictEqual(timeUntil('2030-04-10 12:00', now), 'less than a minute');
+
+  const eventId = dal.admin.createEvent('Park Cleanup', '', fromNow(30), fromNow(30, 3), 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const stationId = dal.admin.createStation(eventId, 'Litter', '', '').lastInsertRowid;
+  const blockA = dal.admin.createTimeBlock(stationId, fromNow(30), fromNow(30, 1), 5).lastInsertRowid;
+  const blockB = dal.admin.createTimeBlock(stationId, fromNow(30, 1), fromNow(30, 2), 5).lastInsertRowid;
+
+  // Admin validation: blanks clear, order is checked against stored values
+  assert.throws(() => adminService.updateEvent(eventId, { signups_open_at: fromNow(5), signups_close_at: fromNow(2) }),
+    err => err.status === 400 && /close after they open/.test(err.message));
+  assert.throws(() => adminService.updateEvent(eventId, { publish_at: fromNow(5), unpublish_at: fromNow(1) }),
+    err => err.status === 400 && /unpublish time must be after/.test(err.message));
+  adminService.updateEvent(eventId, { signups_close_at: fromNow(10) });
+  assert.throws(() => adminService.updateEvent(eventId, { signups_open_at: fromNow(12) }), err => err.status === 400);
+  adminService.updateEvent(eventId, { signups_open_at: fromNow(2), signups_close_at: '' });
+  let admin = adminService.getEventDetailsForAdmin(eventId);
+  assert.strictEqual(admin.signups_open_at, fromNow(2));
+  assert.strictEqual(admin.signups_close_at, null);
+
+  // Before the window opens: the public page says so and signups are refused
+  const publicWindow = publicService.getSignupWindow(publicService.getEventDetailsForPublic(eventId));
+  assert.strictEqual(publicWindow.status, 'upcoming');
+  assert.ok(/^(2 days|47 hours)$/.test(publicWindow.opens_in), publicWindow.opens_in);
+  assert.strictEqual(publicService.getPublicEvents().find(e => e.event_id === eventId).signup_window.status, 'upcoming');
+  const signup = {
+    eventId,
+    registrant: { name: 'Maya Chen', email: 'maya@example.com' },
+    participants: ['Maya Chen'],
+    scheduleAssignments: [{ blockId: blockA, participantIndex: 0 }]
+  };
+  await assert.rejects(() => publicService.processVolunteerSignup(signup),
+    err => err.status === 403 && /Signups for Park Cleanup open/.test(err.message));
+
+  // Open window: signups work
+  adminService.updateEvent(eventId, { signups_open_at: fromNow(-1), signups_close_at: fromNow(10) });
+  const maya = await publicService.processVolunteerSignup(signup);
+  assert.ok(maya.token);
+
+  // After close: new signups and newly added slots are refused, drops are not
+  adminService.updateEvent(eventId, { signups_open_at: fromNow(-2), signups_close_at: fromNow(-1) });
+  assert.strictEqual(publicService.getSignupWindow(publicService.getEventDetailsForPublic(eventId)).status, 'closed');
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    ...signup,
+    registrant: { name: 'Sam Ode', email: 'sam@example.com' },
+    participants: ['Sam Ode']
+  }), err => err.status === 403 && /closed/.test(err.message));
+  const context = publicService.getManageContext(maya.token);
+  const participantId = context.participants[0].participant_id;
+  await assert.rejects(() => publicService.updateVolunteerSignup(maya.token, [
+    { blockId: blockA, participantId },
+    { blockId: blockB, participantId }
+  ], []), err => err.status === 403);
+  await publicService.updateVolunteerSignup(maya.token, [{ blockId: blockA, participantId }], []);
+  assert.strictEqual(publicService.getManageContext(maya.token).participants[0].schedule.length, 1);
+  const cancelled = await publicService.updateVolunteerSignup(maya.token, [], []);
+  assert.strictEqual(cancelled.deleted, true);
+
+  // Scheduled publishing: applied once due, then cleared
+  const laterId = dal.admin.createEvent('Tree Planting', '', fromNow(40), fromNow(40, 2), 'schedule').lastInsertRowid;
+  adminService.updateEvent(laterId, { publish_at: fromNow(0, -1), unpublish_at: fromNow(20) });
+  assert.deepStrictEqual(runPublishSweep(), { published: 1, unpublished: 0 });
+  admin = adminService.getEventDetailsForAdmin(laterId);
+  assert.strictEqual(admin.publish_state, 'published');
+  assert.strictEqual(admin.publish_at, null);
+  assert.strictEqual(admin.unpublish_at, fromNow(20));
+  assert.deepStrictEqual(runPublishSweep(), { published: 0, unpublished: 0 });
+  assert.deepStrictEqual(runPublishSweep(new Date(Date.now() + 21 * 24 * 3600 * 1000)), { published: 0, unpublished: 1 });
+  admin = adminService.getEventDetailsForAdmin(laterId);
+  assert.strictEqual(admin.publish_state, 'draft');
+  assert.strictEqual(admin.unpublish_at, null);
+
+  // Series occurrences get the window shifted with the event date
+  const templateId = dal.admin.createEvent('Weekly Pantry', '', '2030-06-03 09:00', '2030-06-03 12:00', 'schedule').lastInsertRowid;
+  adminService.updateEvent(templateId, { signups_open_at: '2030-05-27 09:00', signups_close_at: '2030-06-02 18:00', publish_at: '2030-05-20 08:00' });
+  const series = adminService.generateEventSeries(templateId, { frequency: 'weekly', occurrence_count: '2' });
+  const next = adminService.getEventDetailsForAdmin(series.event_ids[0]);
+  assert.strictEqual(next.signups_open_at, '2030-06-03 09:00');
+  assert.strictEqual(next.signups_close_at, '2030-06-09 18:00');
+  assert.strictEqual(next.publish_at, '2030-05-27 08:00');
+
+  // Copies start without a schedule
+  const copy = adminService.copyEvent(templateId);
+  assert.strictEqual(adminService.getEventDetailsForAdmin(copy.event_id).signups_open_at, null);
+
+  console.log('signup window tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.SMS_PROVIDER = 'memory';
+process.env.SMS_DEFAULT_COUNTRY_CODE = '1';
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail and texts (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+const texts = [];
+let provider = 'up';
+const sms = require('../src/utils/sms');
+sms.registerSmsProvider('memory', () => ({
+  async send(message) {
+    texts.push(message);
+    if (provider === 'hanging') return new Promise(() => {});
+    if (provider === 'down') throw new Error('Provider unavailable');
+    return { id: String(texts.length) };
+  }
+}));
+
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const publicService = require('../src/services/publicService');
+const reminderService = require('../src/services/reminderService');
+const smsService = require('../src/services/smsService');
+
+function pad(n) { return String(n).padStart(2, '0'); }
+function localText(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+function hoursFrom(base, h) { return new Date(base.getTime() + h * 3600000); }
+function registration(id) { return dal.public.getRegistrationDetailWithAssignments(id).registration; }
+function tokenIn(text) { return /\/manage\/([0-9a-f]+)/.exec(text)[1]; }
+
+async function run() {
+  // Phone normalisation
+  assert.strictEqual(sms.normalizePhone('(555) 555-1234'), '+15555551234');
+  assert.strictEqual(sms.normalizePhone('1-555-555-1234'), '+15555551234');
+  assert.strictEqual(sms.normalizePhone('+44 7700 900123'), '+447700900123');
+  assert.strictEqual(sms.normalizePhone('555-1234'), '');
+  assert.strictEqual(sms.isSmsEnabled(), true);
+
+  const now = new Date();
+  now.setSeconds(0, 0);
+  const eventId = dal.admin.createEvent('Park Day', '', localText(hoursFrom(now, 20)), localText(hoursFrom(now, 24)), 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Planting', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, localText(hoursFrom(now, 20)), localText(hoursFrom(now, 22)), 5).lastInsertRowid;
+
+  // Opting in needs a usable mobile number
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Nope', email: 'nope@example.com', phone: '123', sms_opt_in: true },
+    participants: ['Nope'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  }), err => err.status === 400 && /mobile number/.test(err.message));
+
+  // Signup with the box ticked sends a confirmation text as well as the email
+  const ann = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com', phone: '(555) 555-1234', sms_opt_in: true },
+    participants: ['Ann'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+  assert.strictEqual(texts.length, 1);
+  assert.strictEqual(texts[0].to, '+15555551234');
+  assert(/Park Day/.test(texts[0].body) && /\/manage\//.test(texts[0].body));
+  assert(texts[0].body.endsWith('Reply STOP to opt out.'));
+  assert.strictEqual(Number(registration(ann.registrationId).sms_opt_in), 1);
+
+  // No box ticked, no text
+  const bo = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Bo', email: 'bo@example.com', phone: '555-555-9876' },
+    participants: ['Bo'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+  assert.strictEqual(texts.length, 1);
+
+  // Reminders go by text even when email is switched off
+  publicService.updateEmailPreference(ann.token, 'opt-out');
+  db.prepare(`UPDATE schedule_assignments SET created_at = datetime('now', '-30 days')`).run();
+  db.prepare(`UPDATE registrations SET created_at = datetime('now', '-30 days')`).run();
+  const mailBefore = sent.length;
+  const sweep = await reminderService.runReminderSweep(now, [24]);
+  assert.strictEqual(sweep.sent, 2, 'Ann is texted, Bo is emailed');
+  assert.strictEqual(texts.length, 2);
+  assert(/reminder: Park Day is tomorrow/.test(texts[1].body));
+  assert.deepStrictEqual(sent.slice(mailBefore).map(m => m.to), ['bo@example.com']);
+  // Reminders issue fresh manage links
+  const annToken = tokenIn(texts[1].body);
+  const boToken = tokenIn(sent[sent.length - 1].text);
+
+  // STOP opts the number out; later texts are skipped
+  const stop = smsService.handleInboundSms({ from: '+1 555 555 1234', text: 'stop please' });
+  assert.strictEqual(stop.action, 'stop');
+  assert.strictEqual(stop.updated, 1);
+  assert(/no longer/.test(stop.reply));
+  const stopped = registration(ann.registrationId);
+  assert.strictEqual(Number(stopped.sms_opt_in), 0);
+  assert(stopped.sms_opted_out_at);
+  assert.strictEqual(await smsService.sendRegistrationSms(stopped, 'Hello'), false);
+  assert.strictEqual(texts.length, 2);
+
+  // START resumes numbers that sent STOP; HELP answers; anything else is ignored
+  assert.deepStrictEqual(
+    [smsService.handleInboundSms({ from: '5555551234', text: 'START' }).updated, smsService.handleInboundSms({ from: '5555559876', text: 'START' }).updated],
+    [1, 0]
+  );
+  assert.strictEqual(Number(registration(ann.registrationId).sms_opt_in), 1);
+  assert.strictEqual(smsService.handleInboundSms({ from: '5555551234', text: 'help' }).action, 'help');
+  assert.deepStrictEqual(smsService.handleInboundSms({ from: '5555551234', text: 'see you there' }), { action: 'ignored', updated: 0, reply: null });
+
+  // Manage page preference
+  assert.throws(() => publicService.updateSmsPreference(boToken, 'opt-in', 'nope'), err => err.status === 400);
+  assert.deepStrictEqual(publicService.updateSmsPreference(boToken, 'opt-in', ''), { optedIn: true, phone: '+15555559876' });
+  assert.strictEqual(Number(registration(bo.registrationId).sms_opt_in), 1);
+  assert.deepStrictEqual(publicService.updateSmsPreference(boToken, 'opt-out'), { optedIn: false });
+  assert.throws(() => publicService.updateSmsPreference('missing', 'opt-in', '5555551234'), err => err.status === 410);
+
+  // A hanging or failing provider never holds up or breaks a signup
+  for (const [state, name] of [['hanging', 'Cy'], ['down', 'Di']]) {
+    provider = state;
+    const originalError = console.error;
+    console.error = () => {};
+    let signup;
+    let timer;
+    try {
+      signup = await Promise.race([
+        publicService.processVolunteerSignup({
+          eventId,
+          registrant: { name, email: `${name.toLowerCase()}@example.com`, phone: '(555) 555-2222', sms_opt_in: true },
+          participants: [name],
+          scheduleAssignments: [{ blockId, participantIndex: 0 }]
+        }),
+        new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(`signup waited on a ${state} provider`)), 1000); })
+      ]);
+      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      clearTimeout(timer);
+      console.error = originalError;
+    }
+    assert(signup.token, `signup with a ${state} provider`);
+    assert.strictEqual(texts[texts.length - 1].to, '+15555552222');
+  }
+  provider = 'up';
+
+  // Switched off: nothing is offered or sent
+  process.env.SMS_PROVIDER = '';
+  assert.strictEqual(sms.isSmsEnabled(), false);
+  assert.throws(() => publicService.updateSmsPreference(annToken, 'opt-in', '5555551234'), err => err.status === 400);
+  await assert.rejects(() => sms.sendSms({ to: '5555551234', body: 'x' }), /not configured/);
+
+  console.log('sms tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const checkInService = require('../src/services/checkInService');
+const qr = require('../src/utils/qr');
+
+function localDate(txt) {
+  return new Date(txt.replace(' ', 'T'));
+}
+
+async function run() {
+  // QR encoder basics: version picked from length, finder patterns in the corners
+  const small = qr.encode('https://example.org/checkin/0123456789abcdef');
+  assert.strictEqual(small.version, 4);
+  assert.strictEqual(small.size, 33);
+  [[0, 0], [small.size - 7, 0], [0, small.size - 7]].forEach(([x, y]) => {
+    assert.strictEqual(small.modules[y][x], true);
+    assert.strictEqual(small.modules[y + 3][x + 3], true);
+    assert.strictEqual(small.modules[y + 1][x + 1], false);
+  });
+  assert(qr.toSvg('hello', { title: 'A & B' }).startsWith('<svg'));
+  assert(qr.toSvg('hello', { title: 'A & B' }).includes('A &#38; B'));
+
+  const eventId = dal.admin.createEvent('Check-in Day', '', '2030-08-01 08:00', '2030-08-01 17:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Registration desk', 'Front entrance', 'Hand out badges').lastInsertRowid;
+  const morning = dal.admin.createTimeBlock(stationId, '2030-08-01 09:00', '2030-08-01 12:00', 4).lastInsertRowid;
+  dal.admin.createTimeBlock(stationId, '2030-08-01 13:00', '2030-08-01 16:00', 4);
+
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann Lee', email: 'family@example.com' },
+    participants: ['Ann Lee', 'Bo Lee'],
+    scheduleAssignments: [{ blockId: morning, participantIndex: 0 }, { blockId: morning, participantIndex: 1 }]
+  });
+  await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Cat', email: 'cat@example.com' },
+    participants: ['Cat'],
+    scheduleAssignments: [{ blockId: morning, participantIndex: 0 }]
+  });
+
+  const event = adminService.getEventDetailsForAdmin(eventId);
+  const [poster] = checkInService.getEventQrPosters(event);
+  const token = poster.url.split('/checkin/')[1];
+  assert(/^[a-f0-9]{32}$/.test(token));
+  assert(poster.svg.includes('<path'));
+  // Token is stable once minted
+  assert.strictEqual(checkInService.getEventQrPosters(event)[0].url, poster.url);
+
+  // Too early: nothing open yet, next block is reported
+  const early = localDate('2030-08-01 07:30');
+  const earlyCtx = checkInService.getStationCheckIn(token, early);
+  assert.strictEqual(earlyCtx.currentBlocks.length, 0);
+  assert.strictEqual(earlyCtx.nextBlock.block_id, morning);
+  assert.strictEqual(checkInService.selfCheckIn(token, { lookup: 'Cat' }, early).result, 'no_shift');
+
+  // Within the early window, name match checks in
+  const onTime = localDate('2030-08-01 08:15');
+  const cat = checkInService.selfCheckIn(token, { lookup: '  cat ' }, onTime);
+  assert.strictEqual(cat.result, 'checked_in');
+  assert.strictEqual(cat.station.description_tasks, 'Hand out badges');
+  assert.strictEqual(checkInService.selfCheckIn(token, { lookup: 'Cat' }, onTime).result, 'already');
+
+  // Shared family email asks who is checking in, then marks only that person
+  const family = checkInService.selfCheckIn(token, { lookup: 'FAMILY@example.com' }, onTime);
+  assert.strictEqual(family.result, 'choose');
+  assert.strictEqual(family.matches.length, 2);
+  const bo = family.matches.find(m => m.participant_name === 'Bo Lee');
+  const boResult = checkInService.selfCheckIn(token, { lookup: 'family@example.com', participantId: bo.participant_id }, onTime);
+  assert.strictEqual(boResult.result, 'checked_in');
+  assert.strictEqual(boResult.participantName, 'Bo Lee');
+
+  assert.strictEqual(checkInService.selfCheckIn(token, { lookup: 'Nobody' }, onTime).result, 'not_found');
+  assert.throws(() => checkInService.selfCheckIn(token, { lookup: '' }, onTime), err => err.status === 400);
+  assert.throws(() => checkInService.selfCheckIn('nope', { lookup: 'Cat' }, onTime), err => err.status === 404);
+
+  // Attendance shows up on the admin check-in page
+  const totals = adminService.getEventCheckIn(eventId).totals;
+  assert.strictEqual(totals.present, 2);
+  assert.strictEqual(totals.unmarked, 1);
+
+  console.log('station check-in tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail (must happen before services load)
+const sent = [];
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async (message) => {
+  sent.push(message);
+  return {};
+};
+
+const dal = require('../src/db/dal');
+const requirements = require('../src/utils/stationRequirements');
+const adminService = require('../src/services/adminService');
+const publicService = require('../src/services/publicService');
+const swapService = require('../src/services/swapService');
+
+function tokenIn(text) {
+  return /\/manage\/([0-9a-f]{48})/.exec(text)[1];
+}
+
+async function run() {
+  // Helpers
+  assert.deepStrictEqual(requirements.parseQualifications('Background check\nbackground CHECK, First aid\n'), ['Background check', 'First aid']);
+  assert.strictEqual(requirements.serializeQualifications([]), null);
+  assert.strictEqual(requirements.normalizeMinAge('17'), null);
+  const nursery = { min_age: 18, required_qualifications: 'Background check' };
+  assert.deepStrictEqual(requirements.unmetRequirements(nursery, {}), ['age 18+', 'Background check']);
+  assert.deepStrictEqual(requirements.unmetRequirements(nursery, { age_bracket: '16_17', qualifications: 'background check' }), ['age 18+']);
+  assert.deepStrictEqual(requirements.unmetRequirements(nursery, { age_bracket: '21_plus', qualifications: ['Background check'] }), []);
+
+  const eventId = dal.admin.createEvent('Family Day', '', '2030-06-01 09:00', '2030-06-01 15:00', 'schedule').lastInsertRowid;
+  dal.admin.setEventPublish(eventId, 'published');
+  const { station_id: nurseryId } = adminService.createStation({
+    event_id: eventId,
+    name: 'Nursery',
+    min_age: '18',
+    required_qualifications: 'Background check'
+  });
+  const gamesId = adminService.createStation({ event_id: eventId, name: 'Games' }).station_id;
+  const nurseryAm = dal.admin.createTimeBlock(nurseryId, '2030-06-01 09:00', '2030-06-01 11:00', 2).lastInsertRowid;
+  const nurseryPm = dal.admin.createTimeBlock(nurseryId, '2030-06-01 13:00', '2030-06-01 15:00', 2).lastInsertRowid;
+  const gamesAm = dal.admin.createTimeBlock(gamesId, '2030-06-01 09:00', '2030-06-01 11:00', 3).lastInsertRowid;
+
+  // Public page asks for what the stations need
+  const publicEvent = publicService.getEventDetailsForPublic(eventId);
+  const publicNursery = publicEvent.stations.find(s => s.station_id === nurseryId);
+  assert.strictEqual(publicNursery.min_age, 18);
+  assert.deepStrictEqual(publicNursery.required_qualifications, ['Background check']);
+  assert.strictEqual(publicEvent.requirements.ageBrackets.length, requirements.AGE_BRACKETS.length);
+  assert.deepStrictEqual(publicEvent.requirements.qualifications, ['Background check']);
+
+  // Signup: a teen can't take the nursery, not even from the waitlist
+  const teenSignup = {
+    eventId,
+    registrant: { name: 'Pat Lee', email: 'pat@example.com' },
+    participants: ['Pat Lee', 'Sam Lee'],
+    participantDetails: [
+      { age_bracket: '21_plus', qualifications: ['Background check'] },
+      { age_bracket: '13_15', qualifications: [] }
+    ],
+    scheduleAssignments: [{ blockId: nurseryAm, participantIndex: 0 }, { blockId: nurseryPm, participantIndex: 1 }]
+  };
+  await assert.rejects(() => publicService.processVolunteerSignup(teenSignup),
+    err => err.status === 400 && /Sam Lee can't sign up for Nursery \(needs age 18\+, Background check\)/.test(err.message));
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    ...teenSignup,
+    scheduleAssignments: [{ blockId: gamesAm, participantIndex: 1 }],
+    waitlist: [{ blockId: nurseryPm, participantIndex: 1 }]
+  }), err => err.status === 400 && /Sam Lee/.test(err.message));
+
+  const pat = await publicService.processVolunteerSignup({
+    ...teenSignup,
+    scheduleAssignments: [{ blockId: nurseryAm, participantIndex: 0 }, { blockId: gamesAm, participantIndex: 1 }]
+  });
+  let context = publicService.getManageContext(pat.token);
+  const [patP, samP] = context.participants;
+  assert.strictEqual(patP.age_bracket, '21_plus');
+  assert.strictEqual(patP.qualifications, 'Background check');
+  assert.strictEqual(samP.age_bracket, '13_15');
+
+  // Manage page: new nursery shifts are checked, declared details too
+  await assert.rejects(() => publicService.updateVolunteerSignup(pat.token, [
+    { blockId: nurseryAm, participantId: patP.participant_id },
+    { blockId: nurseryPm, participantId: samP.participant_id }
+  ], []), err => err.status === 400 && /Sam Lee/.test(err.message));
+  assert.throws(() => publicService.updateParticipantProfile(pat.token, patP.participant_id, { ageBracket: '21_plus', qualifications: [] }),
+    err => err.status === 400 && /Remove that shift first/.test(err.message));
+  publicService.updateParticipantProfile(pat.token, samP.participant_id, { ageBracket: '18_20', qualifications: ['Background check'] });
+  await publicService.updateVolunteerSignup(pat.token, [
+    { blockId: nurseryAm, participantId: patP.participant_id },
+    { blockId: nurseryPm, participantId: samP.participant_id }
+  ], []);
+  context = publicService.getManageContext(pat.token);
+  assert.deepStrictEqual(context.participants[1].schedule.map(s => Number(s.time_block_id)), [nurseryPm]);
+
+  // Admin adds are allowed but flagged, on the result and the roster
+  const added = adminService.addReservationToBlock(nurseryPm, { name: 'Kim', email: 'kim@example.com', age_bracket: '16_17' }, eventId, false);
+  assert.deepStrictEqual(added.unmet, ['age 18+', 'Background check']);
+  const roster = adminService.getEventDetailsForAdmin(eventId);
+  const pmRoster = roster.stations.find(s => s.station_id === nurseryId).time_blocks.find(b => b.block_id === nurseryPm).reservations;
+  assert.deepStrictEqual(pmRoster.map(r => [r.name, r.unmet]), [['Sam Lee', []], ['Kim', ['age 18+', 'Background check']]]);
+  assert.strictEqual(pmRoster[1].age_bracket, '16_17');
+  const gamesAdd = adminService.addReservationToBlock(gamesAm, { name: 'Kim', email: 'kim@example.com' }, eventId, false);
+  assert.deepStrictEqual(gamesAdd.unmet, []);
+
+  // A flagged volunteer can still edit the rest of their signup
+  await publicService.sendManageReminder('kim@example.com', eventId);
+  const kimToken = tokenIn(sent[sent.length - 1].text);
+  const kimPid = publicService.getManageContext(kimToken).participants[0].participant_id;
+  await publicService.updateVolunteerSignup(kimToken, [{ blockId: nurseryPm, participantId: kimPid }], []);
+
+  // Swaps: whoever ends up on the nursery shift must qualify
+  const lou = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Lou', email: 'lou@example.com' },
+    participants: ['Lou'],
+    scheduleAssignments: [{ blockId: gamesAm, participantIndex: 0 }]
+  });
+  swapService.requestSwap(pat.token, { participantId: patP.participant_id, blockId: nurseryAm });
+  const swapId = swapService.getSwapBoard(publicService.getManageContext(lou.token)).available[0].swap_id;
+  await assert.rejects(() => swapService.acceptSwap(lou.token, swapId, {}), err => err.status === 400 && /Lou can't take this shift/.test(err.message));
+
+  // Station edits and copies keep the requirements
+  adminService.updateStation(gamesId, { name: 'Games', min_age: '13', required_qualifications: '' });
+  assert.strictEqual(adminService.getStationDetailsForAdmin(gamesId).min_age, 13);
+  adminService.updateStation(gamesId, { name: 'Games' });
+  assert.strictEqual(adminService.getStationDetailsForAdmin(gamesId).min_age, 13, 'untouched when not sent');
+  const copy = adminService.createStation({ event_id: eventId, name: 'Nursery 2', copyStationId: nurseryId });
+  const copied = adminService.getStationDetailsForAdmin(copy.station_id);
+  assert.deepStrictEqual([copied.min_age, copied.required_qualifications], [18, ['Background check']]);
+
+  console.log('station requirements tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const adminController = require('../src/controllers/adminController');
+const { parseCsv } = require('../src/utils/csv');
+
+// Run the real skeleton export and capture the CSV body.
+function exportSkeleton(eventId) {
+  let body = null;
+  const res = { setHeader() {}, send(text) { body = text; } };
+  adminController.exportEventSkeletonCsv({ params: { eventId } }, res, err => { throw err; });
+  return body;
+}
+
+const countRows = (table) => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+async function run() {
+  // CSV reader: quotes, embedded commas/newlines, CRLF, BOM
+  assert.deepStrictEqual(
+    parseCsv('\uFEFFa,"b,1","say ""hi""\nthere"\r\n\r\n,x,\n'),
+    [['a', 'b,1', 'say "hi"\nthere'], ['', 'x', '']]
+  );
+
+  // Round trip: a skeleton exported from one event recreates it on an empty one
+  const srcId = dal.admin.createEvent('Food Drive', 'Sort donations', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const sorting = dal.admin.createStation(srcId, 'Sorting', 'Back room, by the dock', '-Check dates').lastInsertRowid;
+  const early = dal.admin.createTimeBlock(sorting, '2030-09-01 09:00', '2030-09-01 11:00', 3).lastInsertRowid;
+  dal.admin.updateTimeBlock(early, { title: 'Early "crew"' });
+  dal.admin.createTimeBlock(sorting, '2030-09-01 11:00', '2030-09-01 13:00', 2);
+  const desk = dal.admin.createStation(srcId, 'Front desk', '', '').lastInsertRowid;
+  dal.admin.createTimeBlock(desk, '2030-09-01 09:00', '2030-09-01 13:00', 1);
+  await publicService.processVolunteerSignup({
+    eventId: srcId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann', 'Bo'],
+    scheduleAssignments: [{ blockId: early, participantIndex: 0 }, { blockId: early, participantIndex: 1 }]
+  });
+  const csv = exportSkeleton(srcId);
+
+  const copyId = dal.admin.createEvent('Food Drive (copy)', '', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+  const plan = adminService.planStructureImport(copyId, csv);
+  assert.deepStrictEqual(plan.errors, []);
+  assert(plan.warnings.some(w => w.includes('exported from "Food Drive"')));
+  assert.deepStrictEqual(plan.summary, { stationsCreated: 2, stationsUpdated: 0, blocksCreated: 3, blocksUpdated: 0, unchanged: 0 });
+  assert.strictEqual(adminService.getEventDetailsForAdmin(copyId).stations.length, 0, 'dry run writes nothing');
+
+  adminService.applyStructureImport(copyId, csv);
+  const copy = adminService.getEventDetailsForAdmin(copyId);
+  assert.deepStrictEqual(copy.stations.map(s => s.name), ['Sorting', 'Front desk']);
+  assert.strictEqual(copy.stations[0].about, 'Back room, by the dock');
+  assert.strictEqual(copy.stations[0].duties, '-Check dates', 'formula guard is stripped');
+  assert.deepStrictEqual(
+    copy.stations[0].time_blocks.map(b => [b.start_time, b.end_time, b.capacity_needed, b.title]),
+    [['2030-09-01 09:00', '2030-09-01 11:00', 3, 'Early "crew"'], ['2030-09-01 11:00', '2030-09-01 13:00', 2, '']]
+  );
+
+  // Re-importing the same file is a no-op
+  const again = adminService.planStructureImport(copyId, exportSkeleton(copyId));
+  assert.deepStrictEqual(again.summary, { stationsCreated: 0, stationsUpdated: 0, blocksCreated: 0, blocksUpdated: 0, unchanged: 5 });
+
+  // Edits: matched rows update, new rows add, missing rows are kept
+  const edited = [
+    'Station/Category,Station Description,Block Start,Block End,Slots,Item/Block',
+    'Sorting,Back room,2030-09-01 09:00,2030-09-01 11:00,1,Early crew',
+    'Sorting,Back room,2030-09-01 13:00,2030-09-01 15:00,4,',
+    'Parking,,2030-09-01 08:30,2030-09-01 09:30,2,'
+  ].join('\n');
+  const editPlan = adminService.planStructureImport(srcId, edited);
+  assert.deepStrictEqual(editPlan.errors, []);
+  assert.deepStrictEqual(editPlan.summary, { stationsCreated: 1, stationsUpdated: 1, blocksCreated: 2, blocksUpdated: 1, unchanged: 0 });
+  assert.deepStrictEqual(editPlan.kept, { stations: 1, blocks: 2 });
+  const sortingPlan = editPlan.stations.find(s => s.values.name === 'Sorting');
+  assert.deepStrictEqual(sortingPlan.changes.map(c => c.field), ['Description']);
+  assert.deepStrictEqual(sortingPlan.blocks[0].changes.map(c => [c.field, c.before, c.after]), [['Title', 'Early "crew"', 'Early crew'], ['Slots', 3, 1]]);
+  assert(editPlan.warnings.some(w => w.startsWith('Row 2:') && w.includes('2 volunteers')));
+
+  adminService.applyStructureImport(srcId, edited);
+  const src = adminService.getEventDetailsForAdmin(srcId);
+  assert.deepStrictEqual(src.stations.map(s => s.name), ['Sorting', 'Front desk', 'Parking']);
+  assert.strictEqual(src.stations[0].about, 'Back room');
+  assert.strictEqual(src.stations[0].duties, '-Check dates', 'missing columns keep current text');
+  assert.strictEqual(src.stations[0].time_blocks.length, 3);
+  assert.strictEqual(src.stations[0].time_blocks.find(b => b.block_id === early).reservations.length, 2, 'signups untouched');
+
+  // Row errors block the import and nothing is written
+  const before = countRows('time_blocks');
+  const bad = [
+    'Station/Category,Block Start,Block End,Slots',
+    'Sorting,2030-09-02 09:00,2030-09-02 08:00,2',
+    ',2030-09-02 09:00,2030-09-02 10:00,2',
+    'Greeters,2030-09-02 09:00,2030-09-02 10:00,0',
+    'Greeters,2030-09-02 10:00,2030-09-02 11:00,2',
+    'Greeters,2030-09-02 10:00,2030-09-02 11:00,3'
+  ].join('\n');
+  const badPlan = adminService.planStructureImport(srcId, bad);
+  assert.strictEqual(badPlan.errors.length, 4);
+  assert(badPlan.errors[0].startsWith('Row 2:'));
+  assert(badPlan.errors[3].includes('earlier in the file'));
+  assert.throws(() => adminService.applyStructureImport(srcId, bad), err => err.status === 400);
+  assert.strictEqual(countRows('time_blocks'), before);
+  assert(adminService.planStructureImport(srcId, 'Name,Start\nx,y').errors[0].startsWith('Missing columns'));
+  assert.throws(() => adminService.planStructureImport(9999, csv), err => err.status === 404);
+
+  // Potluck: items match by name, feeds ranges parse back, mode must agree
+  const potluckId = dal.admin.createEvent('Harvest Supper', '', '2030-10-01 17:00', '2030-10-01 20:00', 'potluck').lastInsertRowid;
+  const mains = adminService.createStation({ event_id: potluckId, name: 'Mains' }).station_id;
+  adminService.createTimeBlock({ station_id: mains, title: 'Casserole', capacity_needed: 2, servings_min: 8, servings_max: 10 });
+  const potluckCsv = exportSkeleton(potluckId);
+  assert(parseCsv(potluckCsv)[1].includes('8-10'));
+  assert.deepStrictEqual(adminService.planStructureImport(potluckId, potluckCsv).summary.unchanged, 2);
+  const potluckEdit = [
+    'Mode,Station/Category,Item/Block,Feeds,Slots',
+    'potluck,Mains,casserole,≤12,3',
+    'potluck,Desserts,Pie,6,4'
+  ].join('\n');
+  adminService.applyStructureImport(potluckId, potluckEdit);
+  const potluck = adminService.getEventDetailsForAdmin(potluckId);
+  const casserole = potluck.stations[0].time_blocks[0];
+  assert.deepStrictEqual([casserole.title, casserole.capacity_needed, casserole.servings_min, casserole.servings_max], ['casserole', 3, null, 12]);
+  const pie = potluck.stations[1].time_blocks[0];
+  assert.deepStrictEqual([pie.title, pie.servings_min, pie.servings_max, pie.start_time], ['Pie', 6, null, '2030-10-01 17:00']);
+  const wrongMode = 'Mode,Station/Category,Block Start,Block End,Slots\npotluck,Sorting,2030-09-01 09:00,2030-09-01 11:00,1';
+  assert(adminService.planStructureImport(srcId, wrongMode).errors[0].includes('does not match'));
+
+  console.log('structure import tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
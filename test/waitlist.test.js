@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+const sent = [];
+mailer.sendMail = async (message) => { sent.push(message); return {}; };
+
+const dal = require('../src/db/dal');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+
+async function run() {
+  const eventId = dal.admin.createEvent('Waitlist Event', '', '2030-05-01 09:00', '2030-05-01 17:00', 'schedule').lastInsertRowid;
+  const stationId = dal.admin.createStation(eventId, 'Greeters', '', '').lastInsertRowid;
+  const blockId = dal.admin.createTimeBlock(stationId, '2030-05-01 09:00', '2030-05-01 11:00', 1).lastInsertRowid;
+
+  // Fill the only spot
+  const first = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ann', email: 'ann@example.com' },
+    participants: ['Ann'],
+    scheduleAssignments: [{ blockId, participantIndex: 0 }]
+  });
+
+  // Joining the waitlist alone is a valid signup
+  const second = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Ben', email: 'ben@example.com' },
+    participants: ['Ben'],
+    waitlist: [{ blockId, participantIndex: 0 }]
+  });
+  const third = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Cat', email: 'cat@example.com' },
+    participants: ['Cat'],
+    waitlist: [{ blockId, participantIndex: 0 }]
+  });
+  const benCtx = publicService.getManageContext(second.token);
+  assert.strictEqual(benCtx.waitlist.length, 1);
+  assert.strictEqual(benCtx.waitlist[0].position, 1);
+  assert.strictEqual(publicService.getManageContext(third.token).waitlist[0].position, 2);
+  assert(sent[sent.length - 1].text.includes('#2 in line'));
+
+  // Ann cancels through her manage link -> Ben is promoted and emailed
+  sent.length = 0;
+  const cleared = await publicService.updateVolunteerSignup(first.token, [], []);
+  assert.strictEqual(cleared.deleted, true);
+  const promotionMail = sent.find(m => m.to === 'ben@example.com');
+  assert(promotionMail, 'promoted volunteer should be emailed');
+  const benToken = (promotionMail.text.match(/\/manage\/([a-f0-9]+)/) || [])[1];
+  assert(benToken, 'promotion email should include a manage link');
+  const promotedCtx = publicService.getManageContext(benToken);
+  assert.strictEqual(promotedCtx.waitlist.length, 0);
+  assert.strictEqual(promotedCtx.participants[0].schedule.length, 1);
+  assert.strictEqual(publicService.getManageContext(third.token).waitlist[0].position, 1);
+
+  // Admin removes Ben -> Cat is promoted next
+  sent.length = 0;
+  const benAssignment = promotedCtx.participants[0].schedule[0];
+  const promoted = await adminService.deleteReservation(benAssignment.assignment_id);
+  assert.strictEqual(promoted.length, 1);
+  assert.strictEqual(promoted[0].participant_name, 'Cat');
+  const catMail = sent.find(m => m.to === 'cat@example.com');
+  assert(catMail);
+  const catToken = (catMail.text.match(/\/manage\/([a-f0-9]+)/) || [])[1];
+  assert.strictEqual(publicService.getManageContext(catToken).participants[0].schedule.length, 1);
+  // The promotion mails a new link without breaking the one from signup
+  assert.notStrictEqual(catToken, third.token);
+  assert.strictEqual(publicService.getManageContext(third.token).participants[0].schedule.length, 1);
+  assert(publicService.getManageContext(second.token), 'Ben\'s signup link should still work');
+
+  // Leaving the waitlist removes the entry
+  const fourth = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Dan', email: 'dan@example.com' },
+    participants: ['Dan'],
+    waitlist: [{ blockId, participantIndex: 0 }]
+  });
+  const danCtx = publicService.getManageContext(fourth.token);
+  const afterLeave = publicService.leaveWaitlist(fourth.token, danCtx.waitlist[0].waitlist_id);
+  assert.strictEqual(afterLeave.waitlist.length, 0);
+
+  // Only full blocks take waitlist requests; open ones must be picked as shifts
+  const lunch = dal.admin.createTimeBlock(stationId, '2030-05-01 11:00', '2030-05-01 13:00', 1).lastInsertRowid;
+  await assert.rejects(() => publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Eve', email: 'eve@example.com' },
+    participants: ['Eve', 'Fay'],
+    waitlist: [{ blockId: lunch, participantIndex: 0 }, { blockId: lunch, participantIndex: 1 }]
+  }), err => err.status === 409 && /open spots/.test(err.message));
+  assert.strictEqual(dal.public.findRegistrationsByEmail(eventId, 'eve@example.com').length, 0);
+  assert.strictEqual(dal.public.getAssignmentsForBlock(lunch).length, 0);
+  // A block filled by the same signup counts as full
+  const fifth = await publicService.processVolunteerSignup({
+    eventId,
+    registrant: { name: 'Eve', email: 'eve@example.com' },
+    participants: ['Eve', 'Fay'],
+    scheduleAssignments: [{ blockId: lunch, participantIndex: 0 }],
+    waitlist: [{ blockId: lunch, participantIndex: 1 }]
+  });
+  assert.strictEqual(publicService.getManageContext(fifth.token).waitlist[0].participant_name, 'Fay');
+
+  console.log('waitlist tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
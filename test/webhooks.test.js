@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Use isolated DB per run
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volunteer-app-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+const { initDatabase } = require('../src/config/database');
+initDatabase();
+
+// Capture outgoing mail instead of printing it (must happen before services load).
+const mailer = require('../src/utils/mailer');
+mailer.sendMail = async () => ({});
+
+const dal = require('../src/db/dal');
+const { db } = require('../src/config/database');
+const publicService = require('../src/services/publicService');
+const adminService = require('../src/services/adminService');
+const webhookService = require('../src/services/webhookService');
+
+const later = (base, minutes) => new Date(base.getTime() + minutes * 60000);
+const deliveryRow = (id) => db.prepare('SELECT * FROM webhook_deliveries WHERE delivery_id = ?').get(id);
+
+async function run() {
+  // Stand-in receiver: answers with whatever status is queued next (default 200).
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length ? statuses.shift() : 200;
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  try {
+    // Validation
+    assert.throws(() => webhookService.createEndpoint({ name: '', url }), err => err.status === 400);
+    assert.throws(() => webhookService.createEndpoint({ name: 'x', url: 'ftp://example.org' }), err => err.status === 400);
+    assert.throws(() => webhookService.createEndpoint({ name: 'x', url, event_types: ['signup.exploded'] }), err => err.status === 400);
+
+    const all = webhookService.createEndpoint({ name: 'Everything', url }, 'owner@example.org');
+    const cancels = webhookService.createEndpoint({ name: 'Cancels only', url, event_types: ['signup.cancelled'] }, 'owner@example.org');
+    assert.strictEqual(all.secret.length, 48);
+    assert.deepStrictEqual(webhookService.listEndpoints().find(e => e.endpoint_id === cancels.endpoint_id).event_types, ['signup.cancelled']);
+
+    const eventId = dal.admin.createEvent('Food Drive', 'Sort donations', '2030-09-01 09:00', '2030-09-01 13:00', 'schedule').lastInsertRowid;
+    const stationId = dal.admin.createStation(eventId, 'Sorting', 'Back room', 'Check dates').lastInsertRowid;
+    const blockId = dal.admin.createTimeBlock(stationId, '2030-09-01 09:00', '2030-09-01 11:00', 3).lastInsertRowid;
+
+    // A signup queues one delivery, only for subscribed endpoints
+    const signup = await publicService.processVolunteerSignup({
+      eventId,
+      registrant: { name: 'Ann', email: 'ann@example.com', phone: '555-0100' },
+      participants: ['Ann'],
+      scheduleAssignments: [{ blockId, participantIndex: 0 }]
+    });
+    let queued = db.prepare('SELECT * FROM webhook_deliveries ORDER BY delivery_id').all();
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].endpoint_id, all.endpoint_id);
+    assert.strictEqual(queued[0].event_type, 'signup.created');
+    const payload = JSON.parse(queued[0].payload_json);
+    assert.strictEqual(payload.type, 'signup.created');
+    assert.strictEqual(payload.data.event.name, 'Food Drive');
+    assert.strictEqual(payload.data.registration.registration_id, signup.registrationId);
+    assert.strictEqual(payload.data.registration.participants[0].shifts[0].block_id, blockId);
+
+    // First attempt gets a 500 and is rescheduled; the body is signed
+    const now = new Date();
+    statuses.push(500);
+    assert.deepStrictEqual(await webhookService.runWebhookSweep(now), { delivered: 0, retrying: 1, failed: 0 });
+    assert.strictEqual(received.length, 1);
+    const first = received[0];
+    assert.strictEqual(first.headers['x-webhook-event'], 'signup.created');
+    assert.strictEqual(first.headers['x-webhook-delivery'], String(queued[0].delivery_id));
+    assert.strictEqual(first.body, queued[0].payload_json);
+    assert.strictEqual(first.headers['x-webhook-signature'], webhookService.sign(all.secret, first.headers['x-webhook-timestamp'], first.body));
+    let row = deliveryRow(queued[0].delivery_id);
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.response_status, 500);
+    assert(/HTTP 500/.test(row.last_error));
+
+    // Not due yet, then delivered after the first backoff
+    assert.deepStrictEqual(await webhookService.runWebhookSweep(now), { delivered: 0, retrying: 0, failed: 0 });
+    assert.deepStrictEqual(await webhookService.runWebhookSweep(later(now, 2)), { delivered: 1, retrying: 0, failed: 0 });
+    row = deliveryRow(queued[0].delivery_id);
+    assert.strictEqual(row.status, 'delivered');
+    assert.strictEqual(row.attempts, 2);
+    assert(row.delivered_at);
+
+    // Admin removal reaches the catch-all endpoint with the removed signup
+    const reservation = db.prepare('SELECT assignment_id FROM schedule_assignments WHERE time_block_id = ?').get(blockId);
+    await adminService.deleteReservation(reservation.assignment_id);
+    queued = db.prepare("SELECT * FROM webhook_deliveries WHERE event_type = 'reservation.deleted'").all();
+    assert.strictEqual(queued.length, 1);
+    const removed = JSON.parse(queued[0].payload_json).data;
+    assert.strictEqual(removed.removed.block_id, blockId);
+    assert.strictEqual(removed.removed.participant_name, 'Ann');
+    await webhookService.runWebhookSweep(later(now, 3));
+
+    // Paused endpoints queue nothing; an endpoint that keeps failing gives up
+    webhookService.updateEndpoint(all.endpoint_id, { is_active: '0' });
+    const test = webhookService.sendTest(cancels.endpoint_id, now);
+    assert.strictEqual(JSON.parse(deliveryRow(test).payload_json).type, 'ping');
+    for (let i = 0; i < webhookService.MAX_ATTEMPTS; i += 1) statuses.push(503);
+    let at = now;
+    for (let i = 0; i < webhookService.MAX_ATTEMPTS; i += 1) {
+      await webhookService.runWebhookSweep(at);
+      at = later(at, 24 * 60);
+    }
+    row = deliveryRow(test);
+    assert.strictEqual(row.status, 'failed');
+    assert.strictEqual(row.attempts, webhookService.MAX_ATTEMPTS);
+
+    // Manual retry of a failed delivery
+    assert.throws(() => webhookService.retryDelivery(queued[0].delivery_id), err => err.status === 400);
+    webhookService.retryDelivery(test);
+    assert.deepStrictEqual(await webhookService.runWebhookSweep(later(at, 1)), { delivered: 1, retrying: 0, failed: 0 });
+
+    const log = webhookService.listDeliveries({ endpoint: String(cancels.endpoint_id) });
+    assert.deepStrictEqual(log.deliveries.map(d => d.delivery_id), [test]);
+    assert.strictEqual(log.deliveries[0].endpoint_name, 'Cancels only');
+
+    // Rotation changes the secret; deleting removes the delivery log
+    const rotated = webhookService.rotateSecret(cancels.endpoint_id);
+    assert.notStrictEqual(rotated.secret, cancels.secret);
+    webhookService.deleteEndpoint(cancels.endpoint_id);
+    assert.strictEqual(deliveryRow(test), undefined);
+    assert.throws(() => webhookService.deleteEndpoint(cancels.endpoint_id), err => err.status === 404);
+  } finally {
+    server.close();
+  }
+
+  console.log('webhook tests passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});